@@ -25,6 +25,7 @@ import "../vendor/add-to-calendar-button@2.js";
 import LivePhone from "./live_phone";
 import StickyNavbar from "./sticky_navbar";
 import Uploaders from "./uploaders";
+import ImagePreprocess from "./image_preprocess";
 import BlurHashCanvas from "./blur_hash_canvas";
 import BlurHashImage from "./blur_hash_image";
 import GrowingInput from "./growing_input_field";
@@ -34,9 +35,9 @@ import CalendarHover from "./calendar_hover";
 import Sortable from "./sortable";
 import RadarMap from "./radar";
 import MoneyInput from "./money_input";
+import CurrencyDisplay from "./currency_display";
 import Turnstile from "./phoenix_turnstile";
-import StripeInput from "./stripe_payment";
-import StripeElements from "./stripe_elements";
+import StripePayment from "./stripe_payment";
 import CheckoutTimer from "./checkout_timer";
 import HoldCountdown from "./hold_countdown";
 import CountdownColor from "./countdown_color";
@@ -53,6 +54,8 @@ import HistoryNav from "./history_nav";
 import InfoNav from "./info_nav";
 import Confetti from "./confetti";
 import AutoConsumeUpload from "./auto_consume_upload";
+import ExpenseReportDraft, { clearDrafts } from "./expense_report_draft";
+import UploadDropZone from "./upload_drop_zone";
 import ImageCarouselAutoplay from "./image_carousel_autoplay";
 import ReadingProgress from "./reading_progress";
 import TimelineFilter from "./timeline_filter";
@@ -61,8 +64,13 @@ import Autocomplete from "./autocomplete";
 import ReceiptLightbox from "./receipt_lightbox";
 import ScrollToSection from "./scroll_to_section";
 import PasskeyAuth from "./passkey_auth";
+import PasskeyManager from "./passkey_manager";
+import PasskeyUpgrade from "./passkey_upgrade";
 import ConfirmCloseModal from "./confirm_close_modal";
 import ClipboardCopy from "./clipboard_copy";
+import { initTheme } from "./theme";
+
+initTheme();
 
 let Hooks = {
     StickyNavbar,
@@ -75,9 +83,9 @@ let Hooks = {
     Sortable,
     RadarMap,
     MoneyInput,
+    CurrencyDisplay,
     Turnstile,
-    StripeInput,
-    StripeElements,
+    StripePayment,
     CheckoutTimer,
     HoldCountdown,
     CountdownColor,
@@ -94,6 +102,9 @@ let Hooks = {
     InfoNav,
     Confetti,
     AutoConsumeUpload,
+    ImagePreprocess,
+    ExpenseReportDraft,
+    UploadDropZone,
     ImageCarouselAutoplay,
     ReadingProgress,
     TimelineFilter,
@@ -102,6 +113,8 @@ let Hooks = {
     ReceiptLightbox,
     ScrollToSection,
     PasskeyAuth,
+    PasskeyManager,
+    PasskeyUpgrade,
     ConfirmCloseModal,
     ClipboardCopy,
 };
@@ -155,6 +168,11 @@ window.addEventListener("phx:scroll-to-price-details", () => {
 // connect if there are any LiveViews on the page
 liveSocket.connect();
 
+// Nobody is signed in (e.g. right after logging out): drop saved form drafts
+if (document.body.hasAttribute("data-signed-out")) {
+    clearDrafts();
+}
+
 // Handle map toggle text updates
 window.addEventListener("phx:toggle-map-text", () => {
     const buttonText = document.getElementById("map-button-text");
@@ -312,47 +330,6 @@ let AutoSubmit = {
 // Add AutoSubmit to hooks
 Hooks.AutoSubmit = AutoSubmit;
 
-// Auto-consume uploads when they reach 100% progress
-// Listen for multiple possible events
-window.addEventListener("phx:file-update", (e) => {
-    console.log("phx:file-update event:", e.detail);
-    const { ref, progress } = e.detail || {};
-    if (progress === 100) {
-        // Find the consume button for this ref
-        const consumeButton = document.getElementById(`receipt-consume-${ref}`) ||
-            document.getElementById(`proof-consume-${ref}`);
-        if (consumeButton && !consumeButton.disabled) {
-            console.log("Auto-consuming upload:", ref);
-            // Small delay to ensure upload is fully processed
-            setTimeout(() => {
-                consumeButton.click();
-            }, 200);
-        }
-    }
-});
-
-// Also listen for progress updates via DOM observation
-// Check progress bars periodically for completed uploads
-setInterval(() => {
-    document.querySelectorAll('progress[data-ref]').forEach((progress) => {
-        const ref = progress.getAttribute('data-ref');
-        const progressValue = parseInt(progress.value) || 0;
-        const uploadType = progress.getAttribute('data-upload-type');
-
-        // Check if progress is 100% and button is not disabled
-        if (progressValue === 100) {
-            const consumeButton = document.getElementById(`${uploadType}-consume-${ref}`);
-            if (consumeButton && !consumeButton.disabled && !consumeButton.dataset.consumed) {
-                console.log("Auto-consuming upload via progress check:", ref, "progress:", progressValue);
-                consumeButton.dataset.consumed = 'true';
-                setTimeout(() => {
-                    consumeButton.click();
-                }, 300);
-            }
-        }
-    });
-}, 500);
-
 // Handle print-page event for PDF download
 window.addEventListener("phx:print-page", () => {
     window.print();
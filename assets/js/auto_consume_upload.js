@@ -1,49 +1,76 @@
+import UploadLifecycle from "./upload_lifecycle";
+
 // Auto-consume upload hook for expense reports
-// Automatically consumes the upload when it's done (entry.done? && progress == 100)
+// Sits on an entry's progress element and reports the entry to UploadLifecycle
+// as LiveView re-renders it. Once the entry completes (entry.done? && progress
+// == 100, mirrored on the consume button) it clicks the matching
+// `<upload-type>-consume-<ref>` button exactly once.
 let AutoConsumeUpload = {
     mounted() {
-        this.checkAndConsume();
-        // Poll every 300ms to check if upload is done
-        this.intervalId = setInterval(() => this.checkAndConsume(), 300);
+        this.ref = this.el.dataset.ref;
+        this.uploadType = this.el.dataset.uploadType || 'receipt';
+
+        this.handleCompleted = (event) => {
+            if (event.detail.ref === this.ref) {
+                this.consume();
+            }
+        };
+        window.addEventListener('upload:completed', this.handleCompleted);
+
+        UploadLifecycle.started(this.ref, this.detail());
+        this.reportState();
     },
 
     updated() {
-        this.checkAndConsume();
+        this.reportState();
     },
 
     destroyed() {
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
+        window.removeEventListener('upload:completed', this.handleCompleted);
+
+        // LiveView drops the entry once consume-<type> has attached the file
+        if (this.consumed) {
+            UploadLifecycle.consumed(this.ref, { uploadType: this.uploadType });
         }
+        UploadLifecycle.forget(this.ref);
     },
 
-    checkAndConsume() {
-        const ref = this.el.dataset.ref;
-        const uploadType = this.el.dataset.uploadType || 'receipt';
+    detail() {
+        return { el: this.el, uploadType: this.uploadType };
+    },
 
-        // Find the consume button
-        const consumeButton = document.getElementById(`${uploadType}-consume-${ref}`);
+    consumeButton() {
+        return document.getElementById(`${this.uploadType}-consume-${this.ref}`);
+    },
+
+    reportState() {
+        const consumeButton = this.consumeButton();
         if (!consumeButton) return;
 
-        // Check if button is enabled (which means entry.done? && progress == 100)
-        const isDone = consumeButton.dataset.done === 'true' &&
-                       parseInt(consumeButton.dataset.progress) === 100;
-        const isDisabled = consumeButton.disabled;
-
-        // If done and not disabled and not already consumed, auto-click
-        if (isDone && !isDisabled && !this.consumed) {
-            this.consumed = true;
-            if (this.intervalId) {
-                clearInterval(this.intervalId);
-                this.intervalId = null;
+        const progress = parseInt(consumeButton.dataset.progress) || 0;
+        const isDone = consumeButton.dataset.done === 'true' && progress === 100;
+
+        if (isDone) {
+            // Already reported: the earlier click attempt may have found the
+            // button missing or still disabled, so try again on this patch
+            if (!UploadLifecycle.completed(this.ref, this.detail())) {
+                this.consume();
             }
-            // Small delay to ensure everything is ready
-            setTimeout(() => {
-                consumeButton.click();
-            }, 100);
+        } else {
+            UploadLifecycle.progress(this.ref, progress, this.detail());
         }
+    },
+
+    consume() {
+        const consumeButton = this.consumeButton();
+        if (!consumeButton || consumeButton.disabled || this.consumed) return;
+
+        this.consumed = true;
+        // Let LiveView finish patching the button before clicking it
+        setTimeout(() => {
+            consumeButton.click();
+        }, 100);
     }
 };
 
 export default AutoConsumeUpload;
-
@@ -0,0 +1,149 @@
+// Approximate amounts in the guest's currency
+// Shows "≈ 1 085 kr" next to USD prices for international guests. Charges
+// are always in USD; these amounts are for reference only.
+//
+// The CurrencyDisplay hook sits on the currency picker rendered by the
+// currency_display component, which carries the display rates (units per
+// 1 USD) and the locale the browser sent in the LiveSocket params:
+//
+//   data-locale   - e.g. "nb-NO"; amounts are formatted for it
+//   data-currency - default currency for that locale, if any
+//   data-rates    - JSON, e.g. {"EUR": 0.92, "NOK": 10.85}
+//
+// USD amounts get an empty approx_amount placeholder with data-usd-cents.
+// The hook fills every placeholder on the page and, through a
+// MutationObserver, refills them when LiveView changes their amount or
+// adds new ones. The guest's pick is remembered in localStorage; "none"
+// means USD only.
+
+const STORAGE_KEY = "ysc:display-currency";
+const NONE = "none";
+
+let settings = null;
+
+function readSettings(el) {
+    let rates = {};
+    try {
+        rates = JSON.parse(el.dataset.rates || "{}");
+    } catch (_) {
+        rates = {};
+    }
+
+    return {
+        locale: el.dataset.locale || undefined,
+        defaultCurrency: el.dataset.currency || null,
+        rates,
+    };
+}
+
+function storedCurrency() {
+    try {
+        return localStorage.getItem(STORAGE_KEY);
+    } catch (_) {
+        return null;
+    }
+}
+
+function storeCurrency(currency) {
+    try {
+        localStorage.setItem(STORAGE_KEY, currency || NONE);
+    } catch (_) {
+        // Private browsing; the pick only lasts for this page
+    }
+}
+
+function selectedCurrency() {
+    if (!settings) return null;
+
+    const stored = storedCurrency();
+    if (stored === NONE) return null;
+    if (stored && settings.rates[stored]) return stored;
+
+    return settings.rates[settings.defaultCurrency]
+        ? settings.defaultCurrency
+        : null;
+}
+
+function formatter(locale, currency) {
+    const options = { style: "currency", currency, maximumFractionDigits: 0 };
+    try {
+        return new Intl.NumberFormat(locale, options);
+    } catch (_) {
+        return new Intl.NumberFormat(undefined, options);
+    }
+}
+
+// "≈ 1 085 kr" for an amount in USD cents, or null when no currency is
+// selected or the amount isn't a number.
+function approximateAmount(cents) {
+    const currency = selectedCurrency();
+    const amount = cents === "" ? NaN : Number(cents);
+    if (!currency || !Number.isFinite(amount)) return null;
+
+    const converted = (amount / 100) * settings.rates[currency];
+    return `≈ ${formatter(settings.locale, currency).format(converted)}`;
+}
+
+function renderPlaceholder(el) {
+    const text = approximateAmount(el.dataset.usdCents);
+    el.textContent = text || "";
+    el.classList.toggle("hidden", !text);
+}
+
+function renderAll(root = document) {
+    root.querySelectorAll("[data-usd-cents]").forEach(renderPlaceholder);
+}
+
+function renderMutations(mutations) {
+    mutations.forEach((mutation) => {
+        if (mutation.type === "attributes") {
+            renderPlaceholder(mutation.target);
+            return;
+        }
+
+        mutation.addedNodes.forEach((node) => {
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+            if (node.dataset.usdCents !== undefined) renderPlaceholder(node);
+            renderAll(node);
+        });
+    });
+}
+
+const CurrencyDisplay = {
+    mounted() {
+        settings = readSettings(this.el);
+        this.select = this.el.querySelector("select");
+        this.select.value = selectedCurrency() || "";
+
+        this.onChange = () => {
+            storeCurrency(this.select.value);
+            renderAll();
+        };
+        this.select.addEventListener("change", this.onChange);
+
+        this.observer = new MutationObserver(renderMutations);
+        this.observer.observe(document.body, {
+            subtree: true,
+            childList: true,
+            attributes: true,
+            attributeFilter: ["data-usd-cents"],
+        });
+
+        renderAll();
+    },
+
+    // The picker is phx-update="ignore", but LiveView still merges its
+    // data attributes, so new rates arrive here
+    updated() {
+        settings = readSettings(this.el);
+        renderAll();
+    },
+
+    destroyed() {
+        this.select.removeEventListener("change", this.onChange);
+        this.observer.disconnect();
+        settings = null;
+    },
+};
+
+export default CurrencyDisplay;
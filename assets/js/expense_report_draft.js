@@ -0,0 +1,295 @@
+// Expense Report Draft Hook for Phoenix LiveView
+// Mirrors the expense report form into IndexedDB so members filling it out on
+// a flaky connection don't lose their work:
+//   - every input/change saves the form fields (debounced), even while the
+//     socket is disconnected
+//   - receipt/proof files picked in a drop zone are stored as pending until
+//     the LiveView has consumed them
+//   - on mount (e.g. after the tab was reloaded or killed) a saved draft is
+//     pushed through the form's existing "recover" event, and pending files
+//     are re-queued one at a time through the drop zone's file input, so the
+//     regular auto-upload and consume-receipt/consume-proof flow takes over
+//
+// Receipts and proofs that were already uploaded come back through signed
+// hidden *_s3_token fields, which are saved with the other form fields.
+//
+// Expects on the form: data-draft-key (unique per member).
+// Drop zone labels carry data-upload-type ("receipt" | "proof") and data-index.
+// Mount with data-draft-clear="true" (success page) to delete the draft.
+// clearDrafts() drops every draft; app.js calls it on signed-out pages so
+// receipt images don't stay behind on a shared device after logging out.
+
+const DB_NAME = "ysc-drafts";
+const DB_VERSION = 1;
+const STORE = "forms";
+const SAVE_DEBOUNCE_MS = 400;
+const DRAFT_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Params LiveView adds to form payloads that shouldn't be replayed
+const IGNORED_FIELDS = /^(_csrf_token|_target|_unused_)/;
+
+let dbPromise = null;
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === "undefined") {
+                reject(new Error("IndexedDB not available"));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a later retry if opening failed (e.g. private browsing)
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+async function withStore(mode, callback) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const request = callback(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+const readDraft = (key) => withStore("readonly", (store) => store.get(key));
+const writeDraft = (key, draft) => withStore("readwrite", (store) => store.put(draft, key));
+const deleteDraft = (key) => withStore("readwrite", (store) => store.delete(key));
+
+export function clearDrafts() {
+    dbPromise = null;
+    try {
+        if (typeof indexedDB !== "undefined") {
+            indexedDB.deleteDatabase(DB_NAME);
+        }
+    } catch (error) {
+        // Storage unavailable, nothing to clear
+    }
+}
+
+// Turns `expense_report[expense_items][0][amount]` style names into nested
+// objects, the shape LiveView sends for a form change.
+function formFieldsToParams(fields) {
+    const params = {};
+    fields.forEach(([name, value]) => {
+        const keys = name.replace(/\]/g, "").split("[");
+        let target = params;
+        keys.slice(0, -1).forEach((key) => {
+            if (typeof target[key] !== "object" || target[key] === null) {
+                target[key] = {};
+            }
+            target = target[key];
+        });
+        target[keys[keys.length - 1]] = value;
+    });
+    return params;
+}
+
+const ExpenseReportDraft = {
+    mounted() {
+        this.draftKey = this.el.dataset.draftKey;
+        if (!this.draftKey) {
+            console.error("ExpenseReportDraft: data-draft-key is required");
+            return;
+        }
+
+        if (this.el.dataset.draftClear === "true") {
+            deleteDraft(this.draftKey).catch(() => { });
+            return;
+        }
+
+        this.pendingFiles = [];
+        this.requeuedFileId = null;
+        this.saveTimer = null;
+        this.savedFileTokens = this.fileTokens();
+
+        this.handleInput = (event) => {
+            if (event.target.type === "file") {
+                // Browsers fire input and change for one selection
+                if (event.type === "input") this.trackFiles(event.target);
+            } else {
+                this.scheduleSave();
+            }
+        };
+        this.el.addEventListener("input", this.handleInput);
+        this.el.addEventListener("change", this.handleInput);
+
+        this.restoreDraft();
+    },
+
+    updated() {
+        if (!this.pendingFiles) return;
+        this.prunePendingFiles();
+        this.requeueNextFile();
+
+        // A receipt/proof was stored or removed; keep its token in the draft
+        const fileTokens = this.fileTokens();
+        if (fileTokens !== this.savedFileTokens) {
+            this.savedFileTokens = fileTokens;
+            this.scheduleSave();
+        }
+    },
+
+    reconnected() {
+        // The server lost any in-flight upload entries with the old socket
+        this.requeuedFileId = null;
+        this.requeueNextFile();
+    },
+
+    destroyed() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        if (this.handleInput) {
+            this.el.removeEventListener("input", this.handleInput);
+            this.el.removeEventListener("change", this.handleInput);
+        }
+    },
+
+    // Tokens are re-signed on every render, so compare which items have one
+    fileTokens() {
+        return Array.from(this.el.querySelectorAll("input[name$='_s3_token]']"))
+            .map((input) => input.name)
+            .join("&");
+    },
+
+    serializeFields() {
+        const fields = [];
+        new FormData(this.el).forEach((value, name) => {
+            if (typeof value === "string" && !IGNORED_FIELDS.test(name)) {
+                fields.push([name, value]);
+            }
+        });
+        return fields;
+    },
+
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveDraft(), SAVE_DEBOUNCE_MS);
+    },
+
+    async saveDraft() {
+        this.saveTimer = null;
+        try {
+            await writeDraft(this.draftKey, {
+                fields: this.serializeFields(),
+                files: this.pendingFiles,
+                updatedAt: Date.now()
+            });
+        } catch (error) {
+            // Drafting is best effort; the form keeps working without storage
+            console.warn("ExpenseReportDraft: failed to save draft", error);
+        }
+    },
+
+    async restoreDraft() {
+        let draft;
+        try {
+            draft = await readDraft(this.draftKey);
+        } catch (error) {
+            console.warn("ExpenseReportDraft: failed to read draft", error);
+            return;
+        }
+
+        if (!draft) return;
+
+        if (Date.now() - draft.updatedAt > DRAFT_TTL_MS) {
+            deleteDraft(this.draftKey).catch(() => { });
+            return;
+        }
+
+        this.pendingFiles = draft.files || [];
+
+        const current = JSON.stringify(this.serializeFields());
+        if (draft.fields && draft.fields.length > 0 && JSON.stringify(draft.fields) !== current) {
+            // Reuse the server's form recovery path so nested items are rebuilt
+            this.pushEvent("recover", formFieldsToParams(draft.fields));
+        } else {
+            this.requeueNextFile();
+        }
+    },
+
+    trackFiles(input) {
+        const dropZone = input.closest("label[data-upload-type]");
+        if (!dropZone) return;
+
+        // A re-queued file coming back through the input is already tracked
+        if (input.dataset.draftRequeued) {
+            delete input.dataset.draftRequeued;
+            return;
+        }
+
+        const uploadType = dropZone.dataset.uploadType;
+        const index = dropZone.dataset.index;
+
+        Array.from(input.files || []).forEach((file) => {
+            this.pendingFiles.push({
+                id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+                uploadType,
+                index,
+                file
+            });
+        });
+
+        this.saveDraft();
+    },
+
+    dropZoneFor(pending) {
+        return this.el.querySelector(
+            `label[data-upload-type="${pending.uploadType}"][data-index="${pending.index}"]`
+        );
+    },
+
+    // The drop zone is only rendered while the item has no stored receipt/proof,
+    // so a missing drop zone means the file was consumed (or the item removed).
+    prunePendingFiles() {
+        const before = this.pendingFiles.length;
+        this.pendingFiles = this.pendingFiles.filter((pending) => this.dropZoneFor(pending));
+
+        if (this.requeuedFileId && !this.pendingFiles.some((pending) => pending.id === this.requeuedFileId)) {
+            this.requeuedFileId = null;
+        }
+
+        if (this.pendingFiles.length !== before) {
+            this.saveDraft();
+        }
+    },
+
+    requeueNextFile() {
+        if (this.requeuedFileId || this.pendingFiles.length === 0) return;
+
+        // Leave uploads the member started in this session alone
+        if (this.el.querySelector("progress[data-upload-type]")) return;
+
+        const pending = this.pendingFiles.find((candidate) => this.dropZoneFor(candidate));
+        if (!pending) return;
+
+        const input = this.dropZoneFor(pending).querySelector("input[type='file']");
+        if (!input) return;
+
+        try {
+            const transfer = new DataTransfer();
+            transfer.items.add(pending.file);
+            input.files = transfer.files;
+        } catch (error) {
+            console.warn("ExpenseReportDraft: unable to re-queue file", pending.file.name, error);
+            return;
+        }
+
+        this.requeuedFileId = pending.id;
+        input.dataset.draftRequeued = "true";
+        input.dispatchEvent(new Event("input", { bubbles: true }));
+    }
+};
+
+export default ExpenseReportDraft;
@@ -17,8 +17,9 @@ const GLightboxHook = {
             return;
         }
 
-        // Find all Trix figures that wrap an <a><img/></a>
-        const figures = this.el.querySelectorAll('figure.attachment[data-trix-attachment]');
+        // Find all Trix figures that wrap an <a><img/></a>. Content attachments
+        // are rich embeds (see trix_embeds.js) and are handled below.
+        const figures = this.el.querySelectorAll('figure.attachment[data-trix-attachment]:not(.attachment--content)');
 
         figures.forEach((fig) => {
             const link = fig.querySelector('a[href]');
@@ -54,8 +55,18 @@ const GLightboxHook = {
             }
         });
 
+        // Map and gallery embeds mark their own links, one gallery per embed
+        const embedLinks = this.el.querySelectorAll('a[data-embed-lightbox]');
+
+        embedLinks.forEach((link) => {
+            if (link.classList.contains('glightbox')) return;
+
+            link.classList.add('glightbox');
+            link.setAttribute('data-gallery', link.getAttribute('data-embed-lightbox'));
+        });
+
         // Initialize GLightbox if we have any images
-        if (figures.length > 0) {
+        if (figures.length > 0 || embedLinks.length > 0) {
             // Destroy existing instance if it exists
             if (this.lightboxInstance) {
                 this.lightboxInstance.destroy();
@@ -0,0 +1,287 @@
+// Image Preprocess Hook for Phoenix LiveView uploads
+// Sits on the element wrapping a live_file_input (usually the drop zone label)
+// and rewrites picked or dropped images before LiveView sees them:
+//   - applies EXIF orientation and re-encodes, which drops all metadata (GPS)
+//   - downscales so the longest edge is at most data-image-max-edge pixels
+//   - converts to data-image-format ("jpeg" or "webp"), including HEIC input
+//     on browsers that can decode it
+//
+// Configured per upload through data attributes:
+//   data-image-max-edge="2400"   (default 2400)
+//   data-image-format="jpeg"     (default "jpeg")
+//   data-image-quality="0.85"    (default 0.85)
+//
+// Non-image files (PDFs) and GIFs pass through untouched, as does any image
+// the browser fails to decode. While files are processed the hook element
+// carries data-processing="true" for styling.
+
+const DEFAULT_MAX_EDGE = 2400;
+const DEFAULT_FORMAT = "jpeg";
+const DEFAULT_QUALITY = 0.85;
+
+const PASSTHROUGH_TYPES = ["image/gif", "image/svg+xml"];
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|webp|heic|heif|avif|bmp|tiff?)$/i;
+
+// Events re-dispatched by this hook after processing, so they reach LiveView
+const processedEvents = new WeakSet();
+
+// Runs inside the worker; must not reference anything from this module
+function workerMain() {
+    self.onmessage = async (message) => {
+        const { id, file, options } = message.data;
+        try {
+            const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+            const scale = Math.min(1, options.maxEdge / Math.max(bitmap.width, bitmap.height));
+            const width = Math.round(bitmap.width * scale);
+            const height = Math.round(bitmap.height * scale);
+
+            const canvas = new OffscreenCanvas(width, height);
+            const ctx = canvas.getContext("2d");
+            if (options.type === "image/jpeg") {
+                // JPEG has no alpha channel, flatten transparent PNGs onto white
+                ctx.fillStyle = "#ffffff";
+                ctx.fillRect(0, 0, width, height);
+            }
+            ctx.drawImage(bitmap, 0, 0, width, height);
+            bitmap.close();
+
+            const blob = await canvas.convertToBlob({ type: options.type, quality: options.quality });
+            self.postMessage({ id, blob });
+        } catch (error) {
+            self.postMessage({ id, error: error.message || "Image processing failed" });
+        }
+    };
+}
+
+let worker = null;
+let workerRequestId = 0;
+const workerRequests = new Map();
+
+// Rejects jobs the worker can no longer answer, so they run on the main thread
+class WorkerFailedError extends Error {}
+
+function abandonWorker(reason) {
+    console.warn("ImagePreprocess: worker failed, processing on main thread", reason);
+    if (worker) {
+        worker.terminate();
+    }
+    worker = false;
+
+    const pending = Array.from(workerRequests.values());
+    workerRequests.clear();
+    pending.forEach((request) => request.reject(new WorkerFailedError(String(reason))));
+}
+
+function getWorker() {
+    if (worker !== null) {
+        return worker;
+    }
+
+    // `false` marks that workers (or OffscreenCanvas in workers) are unavailable
+    worker = false;
+    if (typeof Worker === "undefined" || typeof OffscreenCanvas === "undefined") {
+        return worker;
+    }
+
+    try {
+        const source = `(${workerMain.toString()})()`;
+        const url = URL.createObjectURL(new Blob([source], { type: "text/javascript" }));
+        worker = new Worker(url);
+        URL.revokeObjectURL(url);
+
+        worker.onmessage = ({ data }) => {
+            const request = workerRequests.get(data.id);
+            if (!request) return;
+            workerRequests.delete(data.id);
+            if (data.error) {
+                request.reject(new Error(data.error));
+            } else {
+                request.resolve(data.blob);
+            }
+        };
+        worker.onerror = (event) => {
+            event.preventDefault();
+            abandonWorker(event.message || "worker error");
+        };
+        worker.onmessageerror = () => abandonWorker("unreadable worker message");
+    } catch (error) {
+        console.warn("ImagePreprocess: worker unavailable, processing on main thread", error);
+        worker = false;
+    }
+
+    return worker;
+}
+
+function processInWorker(file, options) {
+    return new Promise((resolve, reject) => {
+        const id = ++workerRequestId;
+        workerRequests.set(id, { resolve, reject });
+        try {
+            getWorker().postMessage({ id, file, options });
+        } catch (error) {
+            workerRequests.delete(id);
+            reject(new WorkerFailedError(error.message));
+        }
+    });
+}
+
+// Fallback for browsers without OffscreenCanvas in workers (older Safari)
+async function processOnMainThread(file, options) {
+    const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+    const scale = Math.min(1, options.maxEdge / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+
+    const ctx = canvas.getContext("2d");
+    if (options.type === "image/jpeg") {
+        ctx.fillStyle = "#ffffff";
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(
+            (blob) => (blob ? resolve(blob) : reject(new Error("Image encoding failed"))),
+            options.type,
+            options.quality
+        );
+    });
+}
+
+async function processImage(file, options) {
+    if (!getWorker()) {
+        return processOnMainThread(file, options);
+    }
+
+    try {
+        return await processInWorker(file, options);
+    } catch (error) {
+        if (error instanceof WorkerFailedError) {
+            return processOnMainThread(file, options);
+        }
+        throw error;
+    }
+}
+
+export function isProcessableImage(file) {
+    if (PASSTHROUGH_TYPES.includes(file.type)) return false;
+    // HEIC files often arrive with an empty type, so fall back to the extension
+    return file.type.startsWith("image/") || (!file.type && IMAGE_EXTENSIONS.test(file.name));
+}
+
+function renameWithExtension(name, type) {
+    const extension = type === "image/webp" ? "webp" : "jpg";
+    const base = name.replace(/\.[^.]+$/, "") || "image";
+    return `${base}.${extension}`;
+}
+
+async function preprocessFile(file, options) {
+    if (!isProcessableImage(file)) {
+        return file;
+    }
+
+    try {
+        let blob = await processImage(file, options);
+
+        // Safari can't encode WebP and silently hands back PNG; use JPEG instead
+        if (blob.type !== options.type && options.type !== "image/jpeg") {
+            blob = await processImage(file, { ...options, type: "image/jpeg" });
+        }
+
+        return new File([blob], renameWithExtension(file.name, blob.type), {
+            type: blob.type,
+            lastModified: file.lastModified
+        });
+    } catch (error) {
+        // Undecodable (e.g. HEIC outside Safari); let the server decide
+        console.warn("ImagePreprocess: passing file through unprocessed", file.name, error);
+        return file;
+    }
+}
+
+const ImagePreprocess = {
+    mounted() {
+        this.handleFileInput = this.handleFileInput.bind(this);
+        this.handleDrop = this.handleDrop.bind(this);
+
+        // Capture phase so the files are swapped before LiveView's window
+        // listeners track them
+        this.el.addEventListener("input", this.handleFileInput, true);
+        this.el.addEventListener("change", this.handleFileInput, true);
+        this.el.addEventListener("drop", this.handleDrop, true);
+    },
+
+    destroyed() {
+        this.el.removeEventListener("input", this.handleFileInput, true);
+        this.el.removeEventListener("change", this.handleFileInput, true);
+        this.el.removeEventListener("drop", this.handleDrop, true);
+    },
+
+    options() {
+        const format = (this.el.dataset.imageFormat || DEFAULT_FORMAT).toLowerCase();
+        const maxEdge = parseInt(this.el.dataset.imageMaxEdge, 10);
+        const quality = parseFloat(this.el.dataset.imageQuality);
+
+        return {
+            type: format === "webp" ? "image/webp" : "image/jpeg",
+            maxEdge: maxEdge > 0 ? maxEdge : DEFAULT_MAX_EDGE,
+            quality: quality > 0 && quality <= 1 ? quality : DEFAULT_QUALITY
+        };
+    },
+
+    fileInput() {
+        return this.el.querySelector("input[type='file']");
+    },
+
+    handleFileInput(event) {
+        const input = event.target;
+        if (input.type !== "file" || processedEvents.has(event)) return;
+
+        event.stopPropagation();
+
+        // Browsers fire both input and change for one selection; only process once
+        if (event.type === "change" || this.processing) return;
+
+        this.replaceFiles(input, Array.from(input.files || []));
+    },
+
+    handleDrop(event) {
+        const input = this.fileInput();
+        const files = Array.from(event.dataTransfer?.files || []);
+        if (!input || input.disabled || files.length === 0) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        this.replaceFiles(input, files);
+    },
+
+    async replaceFiles(input, files) {
+        if (files.length === 0) return;
+
+        this.processing = true;
+        this.el.dataset.processing = "true";
+
+        try {
+            const options = this.options();
+            const processed = await Promise.all(files.map((file) => preprocessFile(file, options)));
+
+            const transfer = new DataTransfer();
+            processed.forEach((file) => transfer.items.add(file));
+            input.files = transfer.files;
+        } catch (error) {
+            // Picked files are still on the input, so LiveView uploads the originals
+            console.error("ImagePreprocess: failed to replace files", error);
+        } finally {
+            this.processing = false;
+            delete this.el.dataset.processing;
+        }
+
+        const event = new Event("input", { bubbles: true });
+        processedEvents.add(event);
+        input.dispatchEvent(event);
+    }
+};
+
+export default ImagePreprocess;
@@ -1,95 +1,254 @@
+// Money input
+// Locale-aware USD amount field rendered by the money_input component. The
+// member types the amount the way their locale writes it ("1.234,50",
+// "1 234,50" or "1,234.50"); the hook parses it to cents and keeps the
+// hidden input named after the field at the plain amount ("1234.50"), so
+// forms and events get the same value whatever the locale.
+//
+// Data attributes on the hook element (amounts are plain, e.g. "10.00"):
+//
+//   data-locale        - formatting locale; defaults to the browser's, which
+//                        is also what LiveSocket sends as the locale param
+//   data-min, data-max - inclusive bounds, checked as the member types with
+//                        the message shown in [data-money-message]
+//   data-step          - what the [data-money-step] −/+ buttons move by;
+//                        typed amounts must be a multiple of it
+//
+// [data-money-preset] buttons set their amount. Donation inputs (with a
+// data-tier-id) push update-donation-amount with the plain amount once it
+// is valid, or an empty amount while it isn't. An input with
+// data-approx-target keeps that approx_amount placeholder (see
+// CurrencyDisplay) in step while typing.
+
+const PUSH_DEBOUNCE_MS = 300;
+
+function separators(locale) {
+    const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+    const find = (type, fallback) =>
+        parts.find((part) => part.type === type)?.value || fallback;
+
+    return { group: find("group", ","), decimal: find("decimal", ".") };
+}
+
+// Cents for an amount typed in any common notation, null when empty or NaN
+// when it isn't an amount. With a single kind of separator, it's a decimal
+// separator unless it's repeated or followed by exactly three digits and
+// isn't the locale's decimal separator ("1.234" is 1234 in Norway).
+function parseCents(text, decimal) {
+    const cleaned = text.replace(/[\s\u00a0\u202f\'’$]/g, "");
+    if (cleaned === "") return null;
+    if (!/^\d*(?:[.,]\d*)*$/.test(cleaned) || !/\d/.test(cleaned)) return NaN;
+
+    const last = Math.max(cleaned.lastIndexOf("."), cleaned.lastIndexOf(","));
+    if (last === -1) return Number(cleaned) * 100;
+
+    const separator = cleaned[last];
+    const whole = cleaned.slice(0, last).replace(/[.,]/g, "");
+    const fraction = cleaned.slice(last + 1);
+    const mixed = cleaned.includes(".") && cleaned.includes(",");
+    const repeated = cleaned.indexOf(separator) !== last;
+    const isDecimal = mixed ||
+        (!repeated && (fraction.length !== 3 || separator === decimal));
+
+    if (!isDecimal) return Number(whole + fraction) * 100;
+
+    return Math.round(Number(`${whole || "0"}.${fraction || "0"}`) * 100);
+}
+
+function plainAmount(cents) {
+    return cents === null || isNaN(cents) ? "" : (cents / 100).toFixed(2);
+}
+
+function formatAmount(cents, locale, useGrouping = true) {
+    return new Intl.NumberFormat(locale, {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+        useGrouping,
+    }).format(cents / 100);
+}
+
+function formatUsd(cents, locale) {
+    return new Intl.NumberFormat(locale, {
+        style: "currency",
+        currency: "USD",
+    }).format(cents / 100);
+}
+
 let MoneyInput = {
     mounted() {
-        const input = this.el;
-        const hook = this;
-
-        // Debounce timer
-        let debounceTimer = null;
-
-        // Push value to LiveView (only for donation inputs)
-        const pushValue = (value) => {
-        const tierId = input.getAttribute("data-tier-id") ||
-            input.getAttribute("phx-value-tier-id") ||
-            input.closest("[data-tier-id]")?.getAttribute("data-tier-id");
-
-            // Only push event if this is a donation input (has data-tier-id)
-            // Regular price inputs in admin forms should not trigger this event
-            if (!tierId) {
-                return;
+        this.input = this.el.querySelector("[data-money-input]");
+        this.hidden = this.el.querySelector("[data-money-value]");
+        this.message = this.el.querySelector("[data-money-message]");
+        this.debounceTimer = null;
+
+        this.readOptions();
+        this.cents = parseCents(this.hidden.value, ".");
+        this.pushedValue = this.hidden.value;
+        this.render();
+
+        this.onInput = () => this.handleInput();
+        this.onFocus = () => {
+            // Drop grouping while editing
+            if (this.isValidAmount()) {
+                this.input.value = formatAmount(this.cents, this.locale, false);
             }
+        };
+        this.onBlur = () => {
+            this.render();
+            this.pushValue();
+        };
+        this.onClick = (e) => this.handleClick(e);
 
-            const name = input.getAttribute("name");
+        this.input.addEventListener("input", this.onInput);
+        this.input.addEventListener("focus", this.onFocus);
+        this.input.addEventListener("blur", this.onBlur);
+        this.el.addEventListener("click", this.onClick);
+    },
 
-            // Get the value without formatting (remove commas)ke
-            const cleanValue = value.replace(/,/g, "");
+    // LiveView re-rendered the field; take the server's amount unless the
+    // member is typing in it
+    updated() {
+        this.readOptions();
+        if (document.activeElement !== this.input) {
+            this.cents = parseCents(this.hidden.value, ".");
+            this.pushedValue = this.hidden.value;
+            this.render();
+        }
+    },
 
-            // Build the event payload with the input name as a dynamic key
-            const eventPayload = {
-                "tier-id": tierId
-            };
-            eventPayload[name] = cleanValue;
+    destroyed() {
+        clearTimeout(this.debounceTimer);
+    },
 
-            // Push to LiveView with the input name and tier-id
-            hook.pushEvent("update-donation-amount", eventPayload);
-        };
+    readOptions() {
+        const data = this.el.dataset;
+        const amount = (value) => (value ? parseCents(value, ".") : null);
 
-        // Debounced push function
-        const debouncedPush = (value) => {
-            clearTimeout(debounceTimer);
-            debounceTimer = setTimeout(() => pushValue(value), 300);
-        };
+        this.locale = data.locale || undefined;
+        this.decimal = separators(this.locale).decimal;
+        this.min = amount(data.min);
+        this.max = amount(data.max);
+        this.step = amount(data.step);
+    },
 
-        // Handle input changes
-        input.addEventListener("input", (e) => {
-            // Remove any non-numeric characters except decimal point
-            let value = e.target.value.replace(/[^\d.]/g, "");
+    isValidAmount() {
+        return this.cents !== null && !isNaN(this.cents);
+    },
 
-            // Ensure only one decimal point
-            const decimalPoints = value.match(/\./g);
-            if (decimalPoints && decimalPoints.length > 1) {
-                const parts = value.split(".");
-                value = parts[0] + "." + parts.slice(1).join("");
-            }
+    handleInput() {
+        this.cents = parseCents(this.input.value, this.decimal);
+        this.hidden.value = plainAmount(this.cents);
+        this.showError(this.validate());
+        this.updateApprox();
 
-            // Limit to two decimal places
-            const parts = value.split(".");
-            if (parts[1] && parts[1].length > 2) {
-                parts[1] = parts[1].substring(0, 2);
-                value = parts.join(".");
-            }
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(
+            () => this.pushValue(),
+            PUSH_DEBOUNCE_MS
+        );
+    },
 
-            // Optional: Format with thousand separators as user types
-            // Only format the part before the decimal
-            if (parts[0].length > 3) {
-                parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, ",");
-                value = parts.join(".");
-            }
+    handleClick(e) {
+        const button =
+            e.target.closest("[data-money-step], [data-money-preset]");
+        if (!button || this.input.disabled) return;
 
-            e.target.value = value;
+        if (button.dataset.moneyPreset !== undefined) {
+            this.setCents(parseCents(button.dataset.moneyPreset, "."));
+        } else if (this.step) {
+            const current = this.isValidAmount() ? this.cents : null;
+            const direction = Number(button.dataset.moneyStep);
+            this.setCents(this.stepFrom(current, direction));
+        }
+    },
 
-            // Push value to LiveView (debounced)
-            debouncedPush(value);
-        });
+    // The next multiple of the step (counted from min) in the direction,
+    // kept within min and max
+    stepFrom(cents, direction) {
+        const base = this.min || 0;
+        let next;
 
-        // Remove formatting when focusing
-        input.addEventListener("focus", (e) => {
-            const value = e.target.value.replace(/,/g, "");
-            e.target.value = value;
-        });
+        if (cents === null) {
+            next = base;
+        } else {
+            const steps = (cents - base) / this.step;
+            const snapped =
+                direction > 0 ? Math.floor(steps) : Math.ceil(steps);
+            next = base + (snapped + direction) * this.step;
+        }
 
-        // Reapply formatting when leaving field
-        input.addEventListener("blur", (e) => {
-            if (e.target.value) {
-                const num = parseFloat(e.target.value.replace(/,/g, ""));
-                if (!isNaN(num)) {
-                    const parts = num.toFixed(2).split(".");
-                    parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, ",");
-                    e.target.value = parts.join(".");
-                    pushValue(e.target.value);
-                }
-            } else {
-                pushValue("");
-            }
+        if (this.min !== null) next = Math.max(next, this.min);
+        if (this.max !== null) next = Math.min(next, this.max);
+        return Math.max(next, 0);
+    },
+
+    // Goes through the input event so forms see the change too
+    setCents(cents) {
+        this.input.value = formatAmount(cents, this.locale);
+        this.input.dispatchEvent(new Event("input", { bubbles: true }));
+        this.render();
+    },
+
+    validate() {
+        const cents = this.cents;
+        if (cents === null) return null;
+
+        if (isNaN(cents)) {
+            return `Enter an amount like ${formatAmount(123450, this.locale)}`;
+        }
+        if (this.min !== null && cents < this.min) {
+            return `The minimum is ${formatUsd(this.min, this.locale)}`;
+        }
+        if (this.max !== null && cents > this.max) {
+            return `The maximum is ${formatUsd(this.max, this.locale)}`;
+        }
+        if (this.step && (cents - (this.min || 0)) % this.step !== 0) {
+            return `Use a multiple of ${formatUsd(this.step, this.locale)}`;
+        }
+        return null;
+    },
+
+    render() {
+        if (this.isValidAmount()) {
+            this.input.value = formatAmount(this.cents, this.locale);
+        }
+        this.hidden.value = plainAmount(this.cents);
+        this.showError(this.validate());
+        this.updateApprox();
+    },
+
+    showError(message) {
+        this.input.setAttribute("aria-invalid", message ? "true" : "false");
+        if (!this.message) return;
+
+        this.message.textContent = message || "";
+        this.message.classList.toggle("hidden", !message);
+    },
+
+    updateApprox() {
+        const targetId = this.input.getAttribute("data-approx-target");
+        const target = targetId && document.getElementById(targetId);
+        if (target) {
+            const cents = this.isValidAmount() ? String(this.cents) : "";
+            target.setAttribute("data-usd-cents", cents);
+        }
+    },
+
+    // Only donation inputs push; other money inputs are read from their form
+    pushValue() {
+        clearTimeout(this.debounceTimer);
+
+        const tierId = this.input.getAttribute("data-tier-id") ||
+            this.input.closest("[data-tier-id]")?.getAttribute("data-tier-id");
+        if (!tierId) return;
+
+        const value = this.validate() ? "" : plainAmount(this.cents);
+        if (value === this.pushedValue) return;
+        this.pushedValue = value;
+
+        this.pushEvent("update-donation-amount", {
+            "tier-id": tierId,
+            [this.hidden.name]: value,
         });
     },
 };
@@ -3,8 +3,38 @@
  *
  * Handles WebAuthn/Passkey authentication using the browser's native API.
  * Also handles device detection (iOS mobile) and passkey support detection.
- * Uses builtin browser functionality (parseRequestOptionsFromJSON) when available.
+ * Option parsing, credential encoding, error codes and debug logging live in
+ * ./webauthn.js.
+ *
+ * Failures are pushed as passkey_auth_error / passkey_registration_error
+ * with { error, code, message }: the DOMException name, a stable code (see
+ * describeError) and guidance to show the member. Aborted requests aren't
+ * reported.
+ *
+ * Passkey autofill: when the hook element has data-passkey-autofill (the id
+ * of the password form) and the browser supports conditional mediation, the
+ * hook asks the LiveView for a challenge with "start_conditional_passkey".
+ * The challenge comes back as create_authentication_challenge with
+ * mediation "conditional", and the pending navigator.credentials.get() shows
+ * saved passkeys in the email field's autofill (autocomplete="username
+ * webauthn"). It is aborted when the password form is submitted or another
+ * passkey request starts, and the LiveView sends a fresh challenge after a
+ * failed attempt.
+ *
+ * Events go to the LiveComponent the element sits in, if any, otherwise to
+ * the LiveView. An element with data-passkey-scope only handles challenges
+ * pushed with the same scope, and the others ignore scoped challenges, so
+ * the post-login passkey offer can share a page with another PasskeyAuth
+ * element.
  */
+import {
+    credentialToJSON,
+    creationOptionsFromJSON,
+    debug,
+    describeError,
+    requestOptionsFromJSON
+} from "./webauthn";
+
 const PasskeyAuth = {
     mounted() {
         // Device detection: Detect if device is an iPhone or iPad (iOS mobile device)
@@ -12,26 +42,17 @@ const PasskeyAuth = {
         const isIOSMobile = /iPhone|iPad|iPod/.test(userAgent);
 
         if (isIOSMobile) {
-            this.pushEvent("device_detected", { device: "ios_mobile" });
+            this.pushEventTo(this.el, "device_detected", { device: "ios_mobile" });
         }
 
         // Check if WebAuthn/Passkey is supported
-        const hasPublicKeyCredential = typeof window.PublicKeyCredential !== "undefined";
-        const isPasskeySupported = hasPublicKeyCredential;
+        const isPasskeySupported = typeof window.PublicKeyCredential !== "undefined";
 
         // Send event to LiveView with passkey support status
-        try {
-            this.pushEvent("passkey_support_detected", { supported: isPasskeySupported });
-        } catch (error) {
-            console.error("[PasskeyAuth] Error pushing passkey_support_detected event", error);
-        }
+        this.pushEventTo(this.el, "passkey_support_detected", { supported: isPasskeySupported });
 
         // Send user agent to LiveView for device nickname generation
-        try {
-            this.pushEvent("user_agent_received", { user_agent: userAgent });
-        } catch (error) {
-            console.error("[PasskeyAuth] Error pushing user_agent_received event", error);
-        }
+        this.pushEventTo(this.el, "user_agent_received", { user_agent: userAgent });
 
         // If WebAuthn is not supported, return early
         if (!isPasskeySupported) {
@@ -39,354 +60,141 @@ const PasskeyAuth = {
         }
 
         // Listen for authentication challenge from LiveView
-        this.handleEvent("create_authentication_challenge", async ({ options }) => {
-            try {
-                // Check if browser supports JSON-based WebAuthn API
-                const jsonWebAuthnSupport = !!window.PublicKeyCredential?.parseRequestOptionsFromJSON;
-
-                let credential;
+        this.handleEvent("create_authentication_challenge", ({ options, mediation, scope }) => {
+            if (this.inScope(scope)) {
+                this.authenticate(options, mediation);
+            }
+        });
 
-                if (jsonWebAuthnSupport) {
-                    console.log("[PasskeyAuth] Using modern JSON-based WebAuthn API");
-                    console.log("[PasskeyAuth] Options before parsing", {
-                        options: options,
-                        hasChallenge: !!options?.challenge,
-                        challengeValue: options?.challenge,
-                        challengeLength: options?.challenge?.length,
-                        challengeType: typeof options?.challenge,
-                        rpId: options?.rpId || options?.rp_id,
-                        timeout: options?.timeout,
-                        userVerification: options?.userVerification || options?.user_verification,
-                        allKeys: Object.keys(options || {})
-                    });
-                    
-                    // Use modern JSON-based API (Chrome 108+, Safari 16.4+, Firefox 119+)
-                    // parseRequestOptionsFromJSON expects { publicKey: options } format
-                    // The options should have camelCase keys (challenge, rpId, userVerification)
-                    const publicKeyOptions = {
-                        challenge: options?.challenge,
-                        rpId: options?.rpId || options?.rp_id,
-                        timeout: options?.timeout,
-                        userVerification: options?.userVerification || options?.user_verification || "preferred"
-                        // Intentionally omitting allowCredentials for discoverable credentials
-                    };
-                    
-                    console.log("[PasskeyAuth] Prepared publicKeyOptions for parseRequestOptionsFromJSON", {
-                        hasChallenge: !!publicKeyOptions.challenge,
-                        challengeValue: publicKeyOptions.challenge,
-                        challengeLength: publicKeyOptions.challenge?.length,
-                        challengeType: typeof publicKeyOptions.challenge,
-                        rpId: publicKeyOptions.rpId,
-                        userVerification: publicKeyOptions.userVerification,
-                        fullOptions: JSON.stringify(publicKeyOptions)
-                    });
-                    
-                    // parseRequestOptionsFromJSON expects { publicKey: { challenge, rpId, ... } }
-                    const parseInput = { publicKey: publicKeyOptions };
-                    console.log("[PasskeyAuth] Input to parseRequestOptionsFromJSON", {
-                        hasPublicKey: !!parseInput.publicKey,
-                        hasChallenge: !!parseInput.publicKey?.challenge,
-                        challengeValue: parseInput.publicKey?.challenge,
-                        challengeLength: parseInput.publicKey?.challenge?.length,
-                        challengeType: typeof parseInput.publicKey?.challenge,
-                        fullInput: JSON.stringify(parseInput, null, 2)
-                    });
-                    
-                    if (!parseInput.publicKey?.challenge) {
-                        console.error("[PasskeyAuth] CRITICAL: Challenge is missing from parseInput!", {
-                            parseInput: parseInput,
-                            publicKeyOptions: publicKeyOptions,
-                            originalOptions: options
-                        });
-                        throw new Error("Challenge is required but was not provided");
-                    }
-                    
-                    // Try parseRequestOptionsFromJSON - if it fails or produces empty challenge, fall back to manual conversion
-                    let publicKey;
-                    try {
-                        publicKey = PublicKeyCredential.parseRequestOptionsFromJSON(parseInput);
-                        
-                        // Check if challenge was properly converted (should be non-empty ArrayBuffer)
-                        if (!publicKey.challenge || publicKey.challenge.byteLength === 0) {
-                            throw new Error("Empty challenge from parseRequestOptionsFromJSON");
-                        }
-                        
-                        // Also check if rpId is missing
-                        if (!publicKey.rpId) {
-                            throw new Error("Missing rpId from parseRequestOptionsFromJSON");
-                        }
-                    } catch (parseError) {
-                        // Fallback: manually convert challenge from base64url to ArrayBuffer
-                        publicKey = {
-                            challenge: base64UrlToArrayBuffer(publicKeyOptions.challenge),
-                            rpId: publicKeyOptions.rpId,
-                            timeout: publicKeyOptions.timeout,
-                            userVerification: publicKeyOptions.userVerification
-                        };
-                    }
-                    
-                    credential = await navigator.credentials.get({ publicKey });
-                } else {
-                    // Fallback to traditional API (requires manual Base64 encoding/decoding)
-                    const publicKey = {
-                        ...options,
-                        challenge: base64UrlToArrayBuffer(options.challenge)
-                    };
+        // Listen for registration challenge from LiveView
+        this.handleEvent("create_registration_challenge", (payload) => {
+            if (this.inScope(payload?.scope)) {
+                this.register(payload?.options || payload);
+            }
+        });
 
-                    // Only include allowCredentials if it exists (non-discoverable mode)
-                    if (options.allowCredentials && options.allowCredentials.length > 0) {
-                        publicKey.allowCredentials = options.allowCredentials.map(cred => ({
-                            ...cred,
-                            id: base64UrlToArrayBuffer(cred.id)
-                        }));
-                    }
+        this.startPasskeyAutofill();
+    },
 
-                    credential = await navigator.credentials.get({ publicKey });
+    // The LiveView process restarted and lost the challenge; ask for a new one
+    reconnected() {
+        if (this.conditionalRequest) {
+            this.abortConditionalRequest();
+            this.startPasskeyAutofill();
+        }
+    },
 
-                    // Convert ArrayBuffers back to base64url strings
-                    if (credential) {
-                        credential = {
-                            id: credential.id,
-                            rawId: arrayBufferToBase64Url(credential.rawId),
-                            response: {
-                                authenticatorData: arrayBufferToBase64Url(credential.response.authenticatorData),
-                                clientDataJSON: arrayBufferToBase64Url(credential.response.clientDataJSON),
-                                signature: arrayBufferToBase64Url(credential.response.signature),
-                                userHandle: credential.response.userHandle ? arrayBufferToBase64Url(credential.response.userHandle) : null
-                            },
-                            type: credential.type
-                        };
-                    }
-                }
+    destroyed() {
+        this.abortConditionalRequest();
+        this.passwordForm?.removeEventListener("submit", this.onPasswordSubmit);
+    },
 
-                if (credential) {
-                    // Convert credential to JSON format for transmission
-                    const credentialJson = jsonWebAuthnSupport && credential.toJSON ?
-                        credential.toJSON() :
-                        credential;
+    inScope(scope) {
+        return (scope || null) === (this.el.dataset.passkeyScope || null);
+    },
 
-                    // Push the result back to the LiveView
-                    this.pushEvent("verify_authentication", credentialJson);
-                }
-            } catch (error) {
-                console.error("[PasskeyAuth] Passkey authentication failed", error);
+    async authenticate(options, mediation) {
+        // Only one WebAuthn request can be pending at a time
+        this.abortConditionalRequest();
 
-                // Push error event to LiveView
-                this.pushEvent("passkey_auth_error", {
-                    error: error.name || "UnknownError",
-                    message: error.message || "Authentication failed"
-                });
-            }
-        });
+        let requestOptions = {};
+        if (mediation === "conditional") {
+            this.conditionalRequest = new AbortController();
+            requestOptions = { mediation, signal: this.conditionalRequest.signal };
+        }
+        const signal = requestOptions.signal;
+        const startedAt = Date.now();
 
-        console.log("[PasskeyAuth] Setting up registration challenge handler");
+        try {
+            const publicKey = requestOptionsFromJSON(options);
+            debug("Requesting a passkey", { mediation: mediation || "optional" });
 
-        // Listen for registration challenge from LiveView
-        this.handleEvent("create_registration_challenge", async (payload) => {
-            console.log("[PasskeyAuth] REGISTRATION HANDLER CALLED!", payload);
-            console.log("[PasskeyAuth] create_registration_challenge event received - RAW PAYLOAD", payload);
-            
-            const options = payload?.options || payload;
-            
-            console.log("[PasskeyAuth] create_registration_challenge event received", {
-                payload: payload,
-                options: options,
-                optionsKeys: options ? Object.keys(options) : null,
-                hasChallenge: !!options?.challenge,
-                challengeValue: options?.challenge,
-                challengeType: typeof options?.challenge,
-                challengeLength: options?.challenge?.length,
-                hasUser: !!options?.user,
-                hasRp: !!options?.rp,
-                elementId: this.el?.id,
-                hookName: "PasskeyAuth"
-            });
+            const credential = await navigator.credentials.get({ publicKey, ...requestOptions });
 
-            if (!options) {
-                console.error("[PasskeyAuth] No options provided in create_registration_challenge event", {
-                    payload: payload
-                });
+            if (credential) {
+                debug("Passkey selected, verifying");
+                this.pushEventTo(this.el, "verify_authentication", credentialToJSON(credential));
+            }
+        } catch (error) {
+            // Aborted on purpose (password sign-in or a newer request)
+            if (signal?.aborted) {
                 return;
             }
 
-            try {
-                // Check if browser supports JSON-based WebAuthn API
-                const jsonWebAuthnSupport = !!window.PublicKeyCredential?.parseCreationOptionsFromJSON;
-                
-                console.log("[PasskeyAuth] Browser capabilities for registration", {
-                    jsonWebAuthnSupport: jsonWebAuthnSupport,
-                    hasParseCreationOptionsFromJSON: !!window.PublicKeyCredential?.parseCreationOptionsFromJSON,
-                    hasToJSON: !!window.PublicKeyCredential?.prototype?.toJSON
-                });
-
-                let credential;
-
-                if (jsonWebAuthnSupport) {
-                    console.log("[PasskeyAuth] Using modern JSON-based WebAuthn API for registration");
-                    console.log("[PasskeyAuth] Options before parsing:", JSON.stringify(options, null, 2));
-                    console.log("[PasskeyAuth] Challenge value:", options?.challenge);
-                    console.log("[PasskeyAuth] Challenge type:", typeof options?.challenge);
-                    console.log("[PasskeyAuth] Challenge length:", options?.challenge?.length);
-                    
-                    // Verify all required fields are present
-                    if (!options?.challenge) {
-                        console.error("[PasskeyAuth] Challenge is missing from options!");
-                        throw new Error("Challenge is required but was not provided");
-                    }
-                    if (!options?.rp) {
-                        console.error("[PasskeyAuth] RP is missing from options!");
-                        throw new Error("RP is required but was not provided");
-                    }
-                    if (!options?.user) {
-                        console.error("[PasskeyAuth] User is missing from options!");
-                        throw new Error("User is required but was not provided");
-                    }
-                    
-                    // Use modern JSON-based WebAuthn API (Chrome 108+, Safari 16.4+, Firefox 119+)
-                    // parseCreationOptionsFromJSON expects the options object directly (not wrapped in { publicKey: ... })
-                    // It returns a PublicKeyCredentialCreationOptions object which is then used in navigator.credentials.create({ publicKey: ... })
-                    // Try parseCreationOptionsFromJSON - if it fails or produces empty challenge, fall back to manual conversion
-                    let publicKey;
-                    try {
-                        publicKey = PublicKeyCredential.parseCreationOptionsFromJSON(options);
-                        
-                        // Check if challenge was properly converted (should be non-empty ArrayBuffer)
-                        if (!publicKey.challenge || publicKey.challenge.byteLength === 0) {
-                            throw new Error("Empty challenge from parseCreationOptionsFromJSON");
-                        }
-                        
-                        // Also check if user.id is missing or empty
-                        if (!publicKey.user?.id || publicKey.user.id.byteLength === 0) {
-                            throw new Error("Missing or empty user.id from parseCreationOptionsFromJSON");
-                        }
-                    } catch (parseError) {
-                        // Fallback: manually convert challenge and user.id from base64url to ArrayBuffer
-                        publicKey = {
-                            challenge: base64UrlToArrayBuffer(options.challenge),
-                            rp: options.rp,
-                            user: {
-                                ...options.user,
-                                id: base64UrlToArrayBuffer(options.user.id)
-                            },
-                            pubKeyCredParams: options.pubKeyCredParams,
-                            timeout: options.timeout,
-                            authenticatorSelection: options.authenticatorSelection
-                        };
-                    }
-                    
-                    credential = await navigator.credentials.create({ publicKey });
-                } else {
-                    console.log("[PasskeyAuth] Using fallback traditional WebAuthn API for registration");
-                    // Fallback to traditional API (requires manual Base64 encoding/decoding)
-                    // Convert base64url strings to ArrayBuffer
-                    console.log("[PasskeyAuth] Converting challenge to ArrayBuffer", {
-                        challengeLength: options.challenge?.length,
-                        challengePreview: options.challenge?.substring(0, 20)
-                    });
-                    
-                    const publicKey = {
-                        ...options,
-                        challenge: base64UrlToArrayBuffer(options.challenge),
-                        user: {
-                            ...options.user,
-                            id: base64UrlToArrayBuffer(options.user.id)
-                        }
-                    };
-
-                    console.log("[PasskeyAuth] Built publicKey object for registration", {
-                        hasChallenge: !!publicKey.challenge,
-                        challengeType: publicKey.challenge?.constructor?.name,
-                        hasUser: !!publicKey.user,
-                        hasRp: !!publicKey.rp
-                    });
+            const failure = describeError(error, {
+                ceremony: "authentication",
+                timeout: options?.timeout,
+                startedAt
+            });
+            debug("Passkey authentication failed", { error: failure.error, code: failure.code });
 
-                    console.log("[PasskeyAuth] Calling navigator.credentials.create() with fallback API...");
-                    credential = await navigator.credentials.create({ publicKey });
-                    console.log("[PasskeyAuth] navigator.credentials.create() completed (fallback)", {
-                        hasCredential: !!credential,
-                        credentialId: credential?.id,
-                        credentialType: credential?.type
-                    });
+            this.pushEventTo(this.el, "passkey_auth_error", {
+                ...failure,
+                mediation: mediation || "optional"
+            });
+        } finally {
+            if (signal && this.conditionalRequest?.signal === signal) {
+                this.conditionalRequest = null;
+            }
+        }
+    },
 
-                    // Convert ArrayBuffers back to base64url strings
-                    if (credential) {
-                        credential = {
-                            id: credential.id,
-                            rawId: arrayBufferToBase64Url(credential.rawId),
-                            response: {
-                                attestationObject: arrayBufferToBase64Url(credential.response.attestationObject),
-                                clientDataJSON: arrayBufferToBase64Url(credential.response.clientDataJSON)
-                            },
-                            type: credential.type
-                        };
-                    }
-                }
+    async register(options) {
+        const startedAt = Date.now();
 
-                if (credential) {
-                    console.log("[PasskeyAuth] Processing credential for transmission", {
-                        jsonWebAuthnSupport: jsonWebAuthnSupport,
-                        hasToJSON: jsonWebAuthnSupport && typeof credential.toJSON === "function"
-                    });
-                    
-                    // Convert credential to JSON format for transmission
-                    const credentialJson = jsonWebAuthnSupport && credential.toJSON ?
-                        credential.toJSON() :
-                        credential;
+        try {
+            const publicKey = creationOptionsFromJSON(options);
+            debug("Creating a passkey");
 
-                    // Push the result back to the LiveView
-                    this.pushEvent("verify_registration", credentialJson);
-                }
-            } catch (error) {
-                console.error("[PasskeyAuth] Passkey registration failed", error);
+            const credential = await navigator.credentials.create({ publicKey });
 
-                // Push error event to LiveView
-                this.pushEvent("passkey_registration_error", {
-                    error: error.name || "UnknownError",
-                    message: error.message || "Registration failed"
-                });
+            if (credential) {
+                debug("Passkey created, verifying");
+                this.pushEventTo(this.el, "verify_registration", credentialToJSON(credential));
             }
-        });
-    }
-};
-
-// Helper functions for Base64 URL encoding/decoding (for older browsers)
-function base64UrlToArrayBuffer(base64url) {
-    // Convert base64url to base64
-    let base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+        } catch (error) {
+            const failure = describeError(error, {
+                ceremony: "registration",
+                timeout: options?.timeout,
+                startedAt
+            });
+            debug("Passkey registration failed", { error: failure.error, code: failure.code });
 
-    // Add padding if needed
-    while (base64.length % 4) {
-        base64 += '=';
-    }
+            this.pushEventTo(this.el, "passkey_registration_error", failure);
+        }
+    },
 
-    // Decode base64 to binary string
-    const binaryString = atob(base64);
+    async startPasskeyAutofill() {
+        const formId = this.el.dataset.passkeyAutofill;
+        if (!formId) {
+            return;
+        }
 
-    // Convert binary string to ArrayBuffer
-    const bytes = new Uint8Array(binaryString.length);
-    for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
-    }
+        try {
+            const available = await PublicKeyCredential.isConditionalMediationAvailable?.();
+            if (!available) {
+                return;
+            }
+        } catch (error) {
+            return;
+        }
 
-    return bytes.buffer;
-}
+        // Signing in with a password releases the pending passkey request
+        if (!this.passwordForm) {
+            this.passwordForm = document.getElementById(formId);
+            this.onPasswordSubmit = () => this.abortConditionalRequest();
+            this.passwordForm?.addEventListener("submit", this.onPasswordSubmit);
+        }
 
-function arrayBufferToBase64Url(arrayBuffer) {
-    // Convert ArrayBuffer to Uint8Array
-    const bytes = new Uint8Array(arrayBuffer);
+        this.pushEventTo(this.el, "start_conditional_passkey", {});
+    },
 
-    // Convert to binary string
-    let binary = '';
-    for (let i = 0; i < bytes.length; i++) {
-        binary += String.fromCharCode(bytes[i]);
+    abortConditionalRequest() {
+        if (this.conditionalRequest) {
+            this.conditionalRequest.abort();
+            this.conditionalRequest = null;
+        }
     }
+};
 
-    // Encode to base64
-    const base64 = btoa(binary);
-
-    // Convert base64 to base64url
-    return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
-}
-
-
-export default PasskeyAuth;
\ No newline at end of file
+export default PasskeyAuth;
@@ -0,0 +1,57 @@
+/**
+ * PasskeyManager Hook
+ *
+ * Sits on the passkeys panel of the security settings. Rows switch to their
+ * inline rename form with JS commands; the hook adds Escape to cancel a
+ * rename and keeps the member's authenticators in sync through the WebAuthn
+ * Signal API where the browser supports it:
+ *
+ *   passkey_revoked  - { rpId, credentialId } reported with
+ *                      signalUnknownCredential so the passkey stops being
+ *                      offered on the device that holds it
+ *   passkey_renamed  - { rpId, userId, name, displayName } reported with
+ *                      signalCurrentUserDetails. Nicknames only live here;
+ *                      authenticators get the account's current name.
+ *
+ * Ids are base64url, as in the registration options.
+ */
+async function signal(method, options) {
+    if (typeof window.PublicKeyCredential?.[method] !== "function") {
+        return;
+    }
+
+    try {
+        await PublicKeyCredential[method](options);
+    } catch (error) {
+        // Nothing to tell the member; the change is already saved
+        console.warn(`[PasskeyManager] ${method} failed`, error);
+    }
+}
+
+const PasskeyManager = {
+    mounted() {
+        this.onKeydown = (event) => {
+            if (event.key !== "Escape") {
+                return;
+            }
+
+            const form = event.target.closest("[data-passkey-rename]");
+            form?.querySelector("[data-passkey-rename-cancel]")?.click();
+        };
+        this.el.addEventListener("keydown", this.onKeydown);
+
+        this.handleEvent("passkey_revoked", ({ rpId, credentialId }) =>
+            signal("signalUnknownCredential", { rpId, credentialId })
+        );
+
+        this.handleEvent("passkey_renamed", ({ rpId, userId, name, displayName }) =>
+            signal("signalCurrentUserDetails", { rpId, userId, name, displayName })
+        );
+    },
+
+    destroyed() {
+        this.el.removeEventListener("keydown", this.onKeydown);
+    }
+};
+
+export default PasskeyManager;
@@ -0,0 +1,117 @@
+/**
+ * PasskeyUpgrade Hook
+ *
+ * Sits on the PasskeyUpgradeComponent, the passkey offer shown after a
+ * password or code sign-in. The component renders nothing until this hook
+ * pushes "offer_passkey", which it only does when the device has a platform
+ * authenticator (Face ID, Touch ID, Windows Hello, ...) and the member hasn't
+ * turned the offer down here.
+ *
+ * The member's choice is remembered in localStorage, per member:
+ *
+ *   [data-passkey-offer-dismiss="later"] - "Not now", asks again in 30 days
+ *   [data-passkey-offer-dismiss="never"] - "Never on this device"
+ *   data-status="created"                - a passkey was created, don't ask
+ *                                          again on this device
+ *
+ * The offer is made once per sign-in: once the hook has decided whether to
+ * show it, it asks the server to drop the session flag that renders it.
+ */
+const STORAGE_KEY = "ysc:passkey-offer";
+const SNOOZE_MS = 30 * 24 * 60 * 60 * 1000;
+
+function readChoices() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function remember(userId, choice) {
+    const choices = readChoices();
+    choices[userId] = choice;
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(choices));
+    } catch (error) {
+        // Private browsing; the choice only lasts for this page
+    }
+}
+
+function declined(userId) {
+    const choice = readChoices()[userId];
+    if (!choice) {
+        return false;
+    }
+
+    return choice.never || choice.created || Date.now() < (choice.until || 0);
+}
+
+// Live navigation mounts the hook again with the session it started with,
+// so the page also remembers that the offer has been settled
+let offerSettled = false;
+
+function settleOffer() {
+    offerSettled = true;
+
+    const csrfToken = document.querySelector("meta[name='csrf-token']")?.getAttribute("content");
+
+    fetch("/users/passkey-upgrade", {
+        method: "DELETE",
+        headers: { "x-csrf-token": csrfToken },
+        credentials: "same-origin"
+    }).catch(() => {
+        // Offered again on the next page load at worst
+    });
+}
+
+async function platformAuthenticatorAvailable() {
+    try {
+        return await window.PublicKeyCredential?.isUserVerifyingPlatformAuthenticatorAvailable?.() === true;
+    } catch (error) {
+        return false;
+    }
+}
+
+const PasskeyUpgrade = {
+    async mounted() {
+        this.userId = this.el.dataset.userId;
+
+        this.onClick = (event) => {
+            const button = event.target.closest("[data-passkey-offer-dismiss]");
+            if (!button) {
+                return;
+            }
+
+            if (button.dataset.passkeyOfferDismiss === "never") {
+                remember(this.userId, { never: true });
+            } else {
+                remember(this.userId, { until: Date.now() + SNOOZE_MS });
+            }
+        };
+        this.el.addEventListener("click", this.onClick);
+
+        if (offerSettled) {
+            return;
+        }
+
+        if (!declined(this.userId) && (await platformAuthenticatorAvailable())) {
+            this.pushEventTo(this.el, "offer_passkey", {});
+        }
+
+        settleOffer();
+    },
+
+    updated() {
+        if (this.el.dataset.status === "created") {
+            remember(this.userId, { created: true });
+        }
+    },
+
+    destroyed() {
+        this.el.removeEventListener("click", this.onClick);
+    }
+};
+
+export default PasskeyUpgrade;
@@ -0,0 +1,95 @@
+// Stripe Elements appearance
+// Built from the --ysc-* design tokens that tailwind.config.js emits as CSS
+// variables, so payment forms use the site palette and follow the site theme
+// (data-theme on <html>, see theme.js).
+
+// Used when the stylesheet hasn't defined the tokens (e.g. a stale build)
+const FALLBACK_TOKENS = {
+    'color-scheme': 'light',
+    'color-primary': '#2563eb',
+    'color-background': '#ffffff',
+    'color-text': '#18181b',
+    'color-text-secondary': '#71717a',
+    'color-danger': '#ef4444',
+    'color-border': '#e4e4e7',
+    'font-family': 'system-ui, -apple-system, sans-serif',
+    'radius-field': '0.5rem',
+    'radius-card': '0.75rem',
+    'spacing-unit': '0.25rem'
+};
+
+const readTokens = () => {
+    const styles = getComputedStyle(document.documentElement);
+    return Object.fromEntries(Object.entries(FALLBACK_TOKENS).map(([name, fallback]) => [
+        name,
+        styles.getPropertyValue(`--ysc-${name}`).trim() || fallback
+    ]));
+};
+
+// Stripe wants pixel lengths; Tailwind's scale is in rem
+const toPx = (length) => length.endsWith('rem')
+    ? `${parseFloat(length) * 16}px`
+    : length;
+
+const withAlpha = (hex, alpha) => {
+    const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+    if (!match) {
+        return hex;
+    }
+    const [r, g, b] = match.slice(1).map((channel) => parseInt(channel, 16));
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+};
+
+export const colorScheme = () => readTokens()['color-scheme'] === 'dark' ? 'dark' : 'light';
+
+export const stripeAppearance = () => {
+    const tokens = readTokens();
+
+    return {
+        theme: tokens['color-scheme'] === 'dark' ? 'night' : 'stripe',
+        variables: {
+            colorPrimary: tokens['color-primary'],
+            colorBackground: tokens['color-background'],
+            colorText: tokens['color-text'],
+            colorTextSecondary: tokens['color-text-secondary'],
+            colorDanger: tokens['color-danger'],
+            fontFamily: tokens['font-family'],
+            spacingUnit: toPx(tokens['spacing-unit']),
+            borderRadius: toPx(tokens['radius-card']),
+        },
+        rules: {
+            '.Input': {
+                borderRadius: toPx(tokens['radius-field']),
+                borderColor: tokens['color-border'],
+                padding: '12px',
+            },
+            '.Input:focus': {
+                borderColor: tokens['color-primary'],
+                boxShadow: `0 0 0 3px ${withAlpha(tokens['color-primary'], 0.1)}`,
+            },
+            '.Label': {
+                fontWeight: '500',
+                fontSize: '14px',
+                marginBottom: '8px',
+            }
+        }
+    };
+};
+
+// Calls back when theme.js switches data-theme on <html>. Returns a function
+// that stops watching.
+export const watchColorScheme = (callback) => {
+    let current = colorScheme();
+    const check = () => {
+        const scheme = colorScheme();
+        if (scheme !== current) {
+            current = scheme;
+            callback(scheme);
+        }
+    };
+
+    const observer = new MutationObserver(check);
+    observer.observe(document.documentElement, { attributes: true, attributeFilter: ['data-theme'] });
+
+    return () => observer.disconnect();
+};
@@ -1,60 +1,990 @@
-let StripeInput = {
+// Stripe payment hook for Phoenix LiveView
+// One hook for every Stripe form, configured through data attributes on the
+// hook element:
+//
+//   data-mode             "payment" (default), "setup" or "deferred"
+//   data-client-secret    PaymentIntent / SetupIntent secret (payment, setup)
+//   data-amount           amount in the smallest currency unit (deferred); in
+//                         payment mode, a change re-reads the updated intent
+//   data-currency         ISO currency code, defaults to "usd" (deferred)
+//   data-return-url       where redirect-based methods come back to
+//   data-booking-id       booking being paid; sets the default return URL
+//   data-ticket-order-id  ticket order being paid
+//   data-payment-share-id share of a split booking being paid (deferred)
+//   data-element-target   id of the Payment Element container ("payment-element")
+//   data-submit-target    id of the submit button ("submit-payment")
+//   data-message-target   id of the status message element ("payment-message")
+//   data-layout           Payment Element layout, "tabs" (default) or "accordion"
+//
+// Events pushed to the LiveView:
+//
+//   payment-redirect-started  {}                   before confirming a payment
+//   payment-success           {payment_intent_id}  payment and deferred modes
+//   payment-method-set        {payment_method_id}  setup mode
+//   payment-intent-create     {payment_share_id}   deferred mode, on submit; the
+//                             reply must be {client_secret} or {error}
+//
+// Payments for a booking, share or ticket order are journaled in
+// sessionStorage while they are being confirmed. If the connection drops
+// mid-confirmation, or the tab is reloaded or comes back from a redirect
+// before the LiveView heard about the result, the hook asks Stripe for the
+// intent's status and tells the member whether they were charged. A new
+// submit first settles any journaled attempt, so a retry never pays twice.
+//
+// Elements are styled from the site's design tokens (see stripe_appearance.js)
+// and restyled when the color scheme changes.
+
+import { colorScheme, stripeAppearance, watchColorScheme } from './stripe_appearance';
+
+let stripePromise = null;
+
+// Suppress known harmless Stripe telemetry errors (from ad blockers)
+// These errors don't affect payment functionality
+if (typeof window !== 'undefined' && !window.stripeErrorSuppressionInitialized) {
+    window.stripeErrorSuppressionInitialized = true;
+
+    // Suppress uncaught promise rejections for Stripe telemetry
+    window.addEventListener('unhandledrejection', (event) => {
+        const reason = event.reason;
+        if (
+            reason &&
+            typeof reason === 'object' &&
+            reason.message &&
+            (
+                reason.message.includes('r.stripe.com/b') ||
+                reason.message.includes('ERR_BLOCKED_BY_CLIENT') ||
+                (reason.message.includes('Failed to fetch') && reason.message.includes('stripe.com'))
+            )
+        ) {
+            // Suppress these errors - they're from ad blockers blocking Stripe telemetry
+            // Payment functionality still works fine
+            event.preventDefault();
+        }
+    });
+}
+
+const MODES = ['payment', 'setup', 'deferred'];
+
+// How long to wait for the LiveView to create a deferred payment intent
+const CLIENT_SECRET_TIMEOUT_MS = 15000;
+
+const ATTEMPT_PREFIX = 'ysc:payment-attempt:';
+// Older attempts are dropped instead of settled
+const ATTEMPT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Stripe errors that say for certain the payment wasn't taken. Anything else
+// (connection and API errors, exceptions) leaves the outcome unknown.
+const DEFINITIVE_ERROR_TYPES = ['card_error', 'validation_error'];
+
+const UNCONFIRMED_MESSAGE = "We couldn't confirm whether your payment went through. " +
+    "Please check your connection and try again; you won't be charged twice.";
+
+const attemptKey = (data) => {
+    if (data.mode === 'setup') {
+        return null;
+    }
+    if (data.paymentShareId) {
+        return `${ATTEMPT_PREFIX}share:${data.paymentShareId}`;
+    }
+    if (data.bookingId) {
+        return `${ATTEMPT_PREFIX}booking:${data.bookingId}`;
+    }
+    if (data.ticketOrderId) {
+        return `${ATTEMPT_PREFIX}ticket-order:${data.ticketOrderId}`;
+    }
+    return null;
+};
+
+// sessionStorage can be unavailable (privacy settings, quota); payments
+// then simply go unjournaled
+const readAttempt = (key) => {
+    if (!key) {
+        return null;
+    }
+    try {
+        const attempt = JSON.parse(sessionStorage.getItem(key));
+        if (attempt && attempt.clientSecret && Date.now() - attempt.startedAt < ATTEMPT_MAX_AGE_MS) {
+            return attempt;
+        }
+        sessionStorage.removeItem(key);
+    } catch (_) {
+        // Ignore unreadable journal entries
+    }
+    return null;
+};
+
+const writeAttempt = (key, attempt) => {
+    if (!key) {
+        return;
+    }
+    try {
+        sessionStorage.setItem(key, JSON.stringify(attempt));
+    } catch (_) {
+        // Carry on without a journal
+    }
+};
+
+const clearAttempt = (key) => {
+    if (!key) {
+        return;
+    }
+    try {
+        sessionStorage.removeItem(key);
+    } catch (_) {
+        // Nothing to clear
+    }
+};
+
+const readConfig = (el) => {
+    const data = el.dataset;
+    const amount = parseInt(data.amount, 10);
+
+    return {
+        mode: MODES.includes(data.mode) ? data.mode : 'payment',
+        clientSecret: data.clientSecret || null,
+        amount: Number.isNaN(amount) ? null : amount,
+        currency: (data.currency || 'usd').toLowerCase(),
+        returnUrl: data.returnUrl || null,
+        paymentShareId: data.paymentShareId || null,
+        attemptKey: attemptKey(data),
+        elementTarget: data.elementTarget || 'payment-element',
+        submitTarget: data.submitTarget || 'submit-payment',
+        messageTarget: data.messageTarget || 'payment-message',
+        layout: data.layout || 'tabs'
+    };
+};
+
+// Payment and setup modes render from an existing intent; deferred mode
+// renders from the amount alone and creates the intent on submit
+const elementsOptions = (config) => {
+    if (config.mode === 'deferred') {
+        return {
+            mode: 'payment',
+            amount: config.amount,
+            currency: config.currency,
+            appearance: stripeAppearance()
+        };
+    }
+    return { clientSecret: config.clientSecret, appearance: stripeAppearance() };
+};
+
+// Wallet buttons contrast with the page
+const walletButtonTheme = () => colorScheme() === 'dark'
+    ? { applePay: 'white', googlePay: 'white' }
+    : { applePay: 'black', googlePay: 'black' };
+
+const isConfigured = (config) => config.mode === 'deferred'
+    ? config.amount !== null && config.amount > 0
+    : !!config.clientSecret;
+
+const getStripe = () => {
+    if (!stripePromise && window.Stripe) {
+        const publishableKey = window.stripePublishableKey;
+        if (!publishableKey || publishableKey.trim() === '') {
+            console.error('Stripe publishable key is not configured. Please set STRIPE_PUBLIC_KEY environment variable.');
+            return null;
+        }
+        stripePromise = window.Stripe(publishableKey);
+    }
+    return stripePromise;
+};
+
+const StripePayment = {
     mounted() {
-        const clientSecret = this.el.dataset.clientsecret;
-        const stripe = Stripe(this.el.dataset.publickey);
+        this.isDestroyed = false;
+        this.initializing = false;
+        this.confirming = false;
+        this.config = readConfig(this.el);
+        this.initializeStripe();
+    },
+
+    // A payment-success that couldn't be pushed while offline is still in
+    // the journal
+    reconnected() {
+        if (this.stripe && !this.confirming) {
+            this.recoverPaymentAttempt();
+        }
+    },
+
+    updated() {
+        // Only re-initialize if the client secret actually changes
+        // Don't re-initialize if we're already initializing or if Stripe is already working
+        if (this.initializing || this.isDestroyed) {
+            return;
+        }
+
+        this.config = readConfig(this.el);
+
+        // Deferred payments keep their Elements and follow the amount instead
+        if (this.config.mode === 'deferred') {
+            this.syncDeferredAmount();
+            return;
+        }
+
+        if (this.config.mode === 'payment') {
+            this.syncIntentAmount();
+        }
+
+        // Only re-initialize if:
+        // 1. We have a new client secret
+        // 2. It's different from the current one
+        // 3. We don't already have a working Stripe instance with this client secret
+        if (this.config.clientSecret &&
+            this.config.clientSecret !== this.clientSecret &&
+            (!this.elements || !this.paymentElement)) {
+            this.initializeStripe();
+        }
+    },
+
+    async initializeStripe() {
+        // Prevent multiple simultaneous initializations
+        if (this.initializing) {
+            return;
+        }
+
+        this.initializing = true;
+
+        try {
+            const config = this.config;
+
+            if (!isConfigured(config)) {
+                console.error(config.mode === 'deferred'
+                    ? 'No amount provided for deferred payment'
+                    : 'No client secret provided');
+                return;
+            }
+
+            // If we already have this client secret initialized, don't re-initialize
+            if (this.clientSecret === config.clientSecret && this.elements && this.paymentElement) {
+                // Just verify the element is still mounted
+                const paymentElementContainer = this.paymentElementContainer();
+                if (paymentElementContainer && document.contains(paymentElementContainer)) {
+                    const hasStripeContent = paymentElementContainer.querySelector('.StripeElement') ||
+                        paymentElementContainer.querySelector('[data-testid]') ||
+                        paymentElementContainer.children.length > 0;
+                    if (hasStripeContent) {
+                        // Already initialized and mounted, nothing to do
+                        return;
+                    }
+                }
+            }
+
+            this.clientSecret = config.clientSecret;
+
+            // Wait for Stripe to be available
+            let attempts = 0;
+            while (!window.Stripe && attempts < 50) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+                attempts++;
+            }
+
+            if (!window.Stripe) {
+                console.error('Stripe not available');
+                this.showMessage('Payment system not ready. Please refresh and try again.');
+                return;
+            }
+
+            const stripe = getStripe();
+
+            if (!stripe) {
+                console.error('Failed to initialize Stripe - check publishable key configuration');
+                this.showMessage('Payment system not configured. Please contact support.');
+                return;
+            }
 
-        const appearance = {};
-        const options = { layout: "accordion" };
-        const elements = stripe.elements({ clientSecret, appearance });
-        const paymentElement = elements.create("payment", options);
-        paymentElement.mount("#payment-element");
+            this.stripe = stripe;
 
-        const returnURL = this.el.dataset.returnurl;
+            // Check if payment element container exists
+            const paymentElementContainer = this.paymentElementContainer();
+            if (!paymentElementContainer) {
+                console.error('Payment element container not found');
+                this.showMessage('Payment form container not found. Please refresh and try again.');
+                return;
+            }
 
-        const submitButton = document.getElementById("submit");
-        const cardErrors = document.getElementById("card-errors");
+            // Create or get the payment element
+            if (!this.elements) {
+                this.elements = stripe.elements(elementsOptions(config));
+                this.deferredAmount = { amount: config.amount, currency: config.currency };
+                this.intentAmount = config.amount;
+                this.stopWatchingColorScheme = watchColorScheme(() => this.applyAppearance());
+                this.paymentElement = this.createPaymentElement();
 
-        paymentElement.on("change", function(event) {
-            if (event.error) {
-                cardErrors.textContent = event.error.message;
-                submitButton.disabled = true;
+                // Only mount if the container is still in the DOM
+                if (document.contains(paymentElementContainer)) {
+                    this.paymentElement.mount(paymentElementContainer);
+                    // Show the payment element after mounting
+                    paymentElementContainer.classList.remove('hidden');
+                    if (config.mode !== 'setup') {
+                        this.mountExpressCheckout();
+                    }
+                } else {
+                    console.error('Payment element container is not in the DOM');
+                    this.showMessage('Payment form container is not available. Please refresh and try again.');
+                    return;
+                }
             } else {
-                cardErrors.textContent = "";
-                submitButton.disabled = false;
+                // If elements already exist but payment element is not mounted, try to mount it
+                if (this.paymentElement && document.contains(paymentElementContainer)) {
+                    // Check if Stripe content exists in the container
+                    const hasStripeContent = paymentElementContainer.querySelector('.StripeElement') ||
+                        paymentElementContainer.querySelector('[data-testid]') ||
+                        paymentElementContainer.children.length > 0;
+
+                    if (!hasStripeContent) {
+                        try {
+                            // Try to mount the payment element
+                            this.paymentElement.mount(paymentElementContainer);
+                            // Show the payment element after mounting
+                            paymentElementContainer.classList.remove('hidden');
+                        } catch (mountError) {
+                            console.error('Failed to mount payment element:', mountError);
+                            // Recreate the payment element
+                            try {
+                                this.paymentElement = this.createPaymentElement();
+                                this.paymentElement.mount(paymentElementContainer);
+                                // Show the payment element after mounting
+                                paymentElementContainer.classList.remove('hidden');
+                            } catch (recreateError) {
+                                console.error('Failed to recreate payment element:', recreateError);
+                                this.showMessage('Failed to initialize payment form. Please refresh and try again.');
+                            }
+                        }
+                    }
+                }
             }
-        });
 
-        this.el.addEventListener("submit", async(event) => {
-            event.preventDefault();
+            if (config.mode !== 'setup') {
+                this.setupSavedPaymentMethods();
+            }
+
+            // Handle form submission
+            if (!this.submitButton) {
+                this.handleSubmit = this.handleSubmit.bind(this);
+                this.submitButton = document.getElementById(config.submitTarget);
+                if (this.submitButton) {
+                    this.submitButton.addEventListener('click', this.handleSubmit);
+                }
+            }
+
+            // Settle an attempt left over from before a reload or redirect
+            if (!this.attemptRecovered) {
+                this.attemptRecovered = true;
+                this.recoverPaymentAttempt();
+            }
+
+        } catch (error) {
+            console.error('Error initializing Stripe Elements:', error);
+            this.showMessage('Failed to initialize payment form. Please refresh and try again.');
+        } finally {
+            this.initializing = false;
+        }
+    },
+
+    async handleSubmit(event) {
+        event.preventDefault();
+
+        // Check if hook is being destroyed
+        if (this.isDestroyed) {
+            console.warn('Payment form is being destroyed, cannot submit');
+            return;
+        }
+
+        // A second confirmation while one is in flight could charge twice
+        if (this.confirming) {
+            return;
+        }
+
+        const submitButton = this.submitButton;
 
+        // Check if the hook element is still in the DOM
+        if (!this.el || !document.contains(this.el)) {
+            console.error('Stripe payment hook element is not in the DOM');
+            this.showMessage('Payment form is no longer available. Please refresh and try again.');
+            return;
+        }
+
+        // Check if the payment element container exists
+        const paymentElementContainer = this.paymentElementContainer();
+        if (!paymentElementContainer || !document.contains(paymentElementContainer)) {
+            console.error('Payment element container is not in the DOM');
+            this.showMessage('Payment form is no longer available. Please refresh and try again.');
+            return;
+        }
+
+        if (!this.stripe || !this.paymentElement) {
+            this.showMessage('Payment form not ready. Please try again.');
+            return;
+        }
+
+        // Verify the payment element container exists and has Stripe content
+        // Check if the payment element container has any Stripe-generated content
+        const hasStripeContent = paymentElementContainer.querySelector('.StripeElement') ||
+            paymentElementContainer.querySelector('[data-testid]') ||
+            paymentElementContainer.children.length > 0;
+
+        if (!hasStripeContent && this.paymentElement) {
+            // Element exists but might not be mounted - try to mount it
             try {
-                cardErrors.textContent = "";
-                submitButton.disabled = true;
-                submitButton.classList.add("phx-submit-loading");
-
-                const { error, setupIntent } = await stripe.confirmSetup({
-                    elements,
-                    redirect: "if_required",
-                    confirmParams: {
-                        return_url: returnURL,
-                    },
-                });
+                if (document.contains(paymentElementContainer)) {
+                    this.paymentElement.mount(paymentElementContainer);
+                    // Wait a moment for the element to mount
+                    await new Promise(resolve => setTimeout(resolve, 100));
+                } else {
+                    this.showMessage('Payment form is no longer available. Please refresh and try again.');
+                    return;
+                }
+            } catch (mountError) {
+                // If mount fails, the element might already be mounted or there's a real issue
+                console.warn('Could not mount payment element, proceeding anyway:', mountError);
+            }
+        } else if (!hasStripeContent && !this.paymentElement) {
+            // No element exists at all - this is a real problem
+            this.showMessage('Payment form is not ready. Please refresh and try again.');
+            return;
+        }
 
-                if (error) {
-                    console.error(error);
-                    cardErrors.textContent = error.message;
+        this.lockSubmit();
+
+        try {
+            let error;
+            if (this.config.mode === 'setup') {
+                error = await this.confirmSetup();
+            } else {
+                // Settle an earlier attempt first; if it went through there
+                // is nothing left to pay
+                const previous = await this.settlePaymentAttempt();
+                if (previous === 'paid' || previous === 'processing') {
+                    return;
+                }
+                if (previous === 'unknown') {
+                    error = { message: UNCONFIRMED_MESSAGE };
+                } else {
+                    // Notify LiveView that a redirect might be about to happen
+                    // This prevents the order from being cancelled when the connection is lost
+                    // Give LiveView a moment to process the event before redirect happens
+                    // This is especially important for redirect-based payment methods (Amazon Pay, CashApp, etc.)
+                    if (this.notifyRedirectStarted()) {
+                        await new Promise(resolve => setTimeout(resolve, 100));
+                    }
+                    error = await this.confirmPayment(this.selectedSavedPaymentMethod());
+                }
+            }
+
+            if (error) {
+                // Show error to customer
+                this.showMessage(error.message);
+                this.unlockSubmit();
+            } else if (this.config.mode === 'setup') {
+                // The LiveView takes over from payment-method-set; the form
+                // stays usable in case it asks for another card
+                this.unlockSubmit();
+            }
+        } catch (err) {
+            console.error('Payment confirmation error:', err);
+            this.showMessage('An unexpected error occurred. Please try again.');
+            this.unlockSubmit();
+        }
+    },
+
+    // Blocks further submits until the confirmation in flight is settled
+    lockSubmit() {
+        this.confirming = true;
+
+        const submitButton = this.submitButton;
+        if (submitButton) {
+            // Store original button text
+            if (!this.originalButtonText) {
+                this.originalButtonText = submitButton.textContent;
+            }
+            submitButton.disabled = true;
+            submitButton.textContent = 'Processing...';
+        }
+    },
+
+    unlockSubmit() {
+        this.confirming = false;
+
+        const submitButton = this.submitButton;
+        if (submitButton) {
+            submitButton.disabled = false;
+            submitButton.textContent = this.originalButtonText || 'Pay';
+        }
+    },
+
+    // Keeps the Payment Element (and wallet sheets) showing the current total
+    // when the LiveView changes data-amount, e.g. as guests or rooms change
+    syncDeferredAmount() {
+        const { amount, currency } = this.config;
+        if (!this.elements) {
+            // Nothing rendered yet because there was no amount to render from
+            if (isConfigured(this.config)) {
+                this.initializeStripe();
+            }
+            return;
+        }
+        if (amount === null || amount <= 0) {
+            return;
+        }
+        if (amount === this.deferredAmount.amount && currency === this.deferredAmount.currency) {
+            return;
+        }
+
+        this.elements.update({ amount, currency });
+        this.deferredAmount = { amount, currency };
+    },
+
+    // The LiveView changed the intent's amount (e.g. a promo code was
+    // applied); Elements fetch it again instead of being recreated
+    syncIntentAmount() {
+        const { amount } = this.config;
+        if (!this.elements || amount === null || amount === this.intentAmount) {
+            return;
+        }
+
+        this.intentAmount = amount;
+        this.elements.fetchUpdates().then(({ error } = {}) => {
+            if (error) {
+                console.warn('Could not refresh payment amount:', error);
+            }
+        });
+    },
+
+    // Restyles the mounted Elements for the current color scheme
+    applyAppearance() {
+        if (this.elements) {
+            this.elements.update({ appearance: stripeAppearance() });
+        }
+        if (this.expressCheckoutElement) {
+            this.expressCheckoutElement.update({ buttonTheme: walletButtonTheme() });
+        }
+    },
+
+    paymentElementContainer() {
+        return document.getElementById(this.config.elementTarget);
+    },
+
+    createPaymentElement() {
+        return this.elements.create('payment', {
+            layout: this.config.layout,
+            business: {
+                name: 'The Young Scandinavians Club'
+            }
+        });
+    },
+
+    returnUrl() {
+        if (this.config.returnUrl) {
+            return this.config.returnUrl;
+        }
+
+        // Booking payments land on the receipt; ticket orders and anything else
+        // go through the payment success page, which redirects to the order
+        const bookingId = this.el.dataset.bookingId;
+        if (bookingId) {
+            return `${window.location.origin}/bookings/${bookingId}/receipt?confetti=true`;
+        }
+        return `${window.location.origin}/payment/success`;
+    },
+
+    // Returns true when the LiveView was told a redirect may follow
+    notifyRedirectStarted() {
+        if (this.el.dataset.ticketOrderId || this.el.dataset.bookingId) {
+            this.pushEvent('payment-redirect-started', {});
+            return true;
+        }
+        return false;
+    },
+
+    // Confirms the payment intent with a saved card when one is given,
+    // otherwise with whatever the member entered in the Payment Element or
+    // wallet. 3D Secure challenges are shown by Stripe either way. In deferred
+    // mode the intent is created by the LiveView first. Returns Stripe's
+    // error, if any.
+    async confirmPayment(savedPaymentMethodId = null) {
+        if (this.config.mode === 'deferred') {
+            if (!savedPaymentMethodId) {
+                // Validates the Payment Element before the intent exists
+                const { error: submitError } = await this.elements.submit();
+                if (submitError) {
+                    return submitError;
+                }
+            }
+
+            const { clientSecret, error } = await this.requestClientSecret();
+            if (error) {
+                return error;
+            }
+            this.clientSecret = clientSecret;
+        }
+
+        writeAttempt(this.config.attemptKey, {
+            clientSecret: this.clientSecret,
+            startedAt: Date.now()
+        });
+
+        const options = savedPaymentMethodId
+            ? {
+                clientSecret: this.clientSecret,
+                confirmParams: {
+                    payment_method: savedPaymentMethodId,
+                    return_url: this.returnUrl(),
+                }
+            }
+            : {
+                elements: this.elements,
+                confirmParams: {
+                    return_url: this.returnUrl(),
+                }
+            };
+
+        if (this.config.mode === 'deferred') {
+            options.clientSecret = this.clientSecret;
+        }
+
+        let error;
+        try {
+            ({ error } = await this.stripe.confirmPayment({
+                ...options,
+                redirect: 'if_required'
+            }));
+        } catch (err) {
+            console.error('Payment confirmation error:', err);
+            error = { message: 'An unexpected error occurred. Please try again.' };
+        }
+
+        if (!error) {
+            // Payment succeeded
+            this.showMessage('Payment successful! Processing your order...', true);
+            this.reportPaymentSuccess(this.clientSecret.split('_secret_')[0]);
+            return null;
+        }
+
+        if (DEFINITIVE_ERROR_TYPES.includes(error.type)) {
+            clearAttempt(this.config.attemptKey);
+            return error;
+        }
+
+        // The request may have reached Stripe before it failed; ask for the
+        // outcome rather than inviting a second payment
+        const outcome = await this.settlePaymentAttempt();
+        if (outcome === 'paid' || outcome === 'processing') {
+            return null;
+        }
+        return outcome === 'unknown' ? { message: UNCONFIRMED_MESSAGE } : error;
+    },
+
+    // Notifies the LiveView; the journal entry is kept until it could be told
+    reportPaymentSuccess(paymentIntentId) {
+        const sent = this.pushEvent('payment-success', {
+            payment_intent_id: paymentIntentId
+        });
+        if (sent !== false) {
+            clearAttempt(this.config.attemptKey);
+        }
+    },
+
+    // Checks the journaled attempt against Stripe. Returns 'none' when there
+    // is no attempt or it didn't charge the member (the entry is cleared),
+    // 'paid' or 'processing' when it did, and 'unknown' when Stripe couldn't
+    // be asked. Pass announce to tell the member about an attempt that
+    // didn't go through.
+    async settlePaymentAttempt(announce = false) {
+        const attempt = readAttempt(this.config.attemptKey);
+        if (!attempt) {
+            return 'none';
+        }
+
+        const paymentIntent = await this.retrievePaymentIntent(attempt.clientSecret);
+        if (!paymentIntent) {
+            return 'unknown';
+        }
+
+        switch (paymentIntent.status) {
+            case 'succeeded':
+                this.showMessage('Your payment went through. Processing your order...', true, true);
+                this.reportPaymentSuccess(paymentIntent.id);
+                return 'paid';
+
+            case 'processing':
+                this.showMessage(
+                    "Your payment is processing. We'll email you once it's confirmed, so please don't pay again.",
+                    true,
+                    true
+                );
+                return 'processing';
+
+            default:
+                // requires_payment_method, requires_action, canceled, ...
+                clearAttempt(this.config.attemptKey);
+                if (announce) {
+                    this.showMessage("Your last payment attempt didn't go through and you haven't been charged. Please try again.", false, true);
+                }
+                return 'none';
+        }
+    },
+
+    // Settles a journaled attempt when the form comes up, holding the
+    // submit button while Stripe is asked
+    async recoverPaymentAttempt() {
+        if (!readAttempt(this.config.attemptKey)) {
+            return;
+        }
+
+        this.lockSubmit();
+        const outcome = await this.settlePaymentAttempt(true);
+
+        if (outcome === 'unknown') {
+            this.showMessage(UNCONFIRMED_MESSAGE, false, true);
+        }
+        if (outcome === 'none' || outcome === 'unknown') {
+            this.unlockSubmit();
+        }
+    },
+
+    async retrievePaymentIntent(clientSecret) {
+        try {
+            const { paymentIntent, error } = await this.stripe.retrievePaymentIntent(clientSecret);
+            if (error) {
+                console.warn('Could not retrieve payment intent:', error);
+                return null;
+            }
+            return paymentIntent;
+        } catch (error) {
+            console.warn('Could not retrieve payment intent:', error);
+            return null;
+        }
+    },
+
+    // Saves the card from the Payment Element through the setup intent and
+    // hands the new payment method to the LiveView. Returns Stripe's error,
+    // if any.
+    async confirmSetup() {
+        const { error, setupIntent } = await this.stripe.confirmSetup({
+            elements: this.elements,
+            confirmParams: {
+                return_url: this.returnUrl(),
+            },
+            redirect: 'if_required'
+        });
+
+        if (!error) {
+            this.pushEvent('payment-method-set', {
+                payment_method_id: setupIntent.payment_method
+            });
+        }
+
+        return error;
+    },
+
+    // Asks the LiveView to create the payment intent for a deferred payment
+    requestClientSecret() {
+        const failure = (message) => ({ error: { message } });
+
+        return new Promise((resolve) => {
+            const timeout = setTimeout(() => {
+                resolve(failure('The payment could not be started. Please try again.'));
+            }, CLIENT_SECRET_TIMEOUT_MS);
+
+            // The share id lets the LiveView reject a submit for a split that
+            // changed after this page rendered it
+            const params = this.config.paymentShareId
+                ? { payment_share_id: this.config.paymentShareId }
+                : {};
+
+            const sent = this.pushEvent('payment-intent-create', params, (reply) => {
+                clearTimeout(timeout);
+                if (reply && reply.client_secret) {
+                    resolve({ clientSecret: reply.client_secret });
+                } else {
+                    resolve(failure((reply && reply.error) || 'The payment could not be started. Please try again.'));
+                }
+            });
+
+            if (sent === false) {
+                clearTimeout(timeout);
+                resolve(failure('Connection lost. Please check your connection and try again.'));
+            }
+        });
+    },
+
+    // Saved cards rendered by saved_payment_methods/1. While one is selected
+    // the Payment Element is hidden and the submit button pays with that card.
+    setupSavedPaymentMethods() {
+        const fieldset = document.getElementById('saved-payment-methods');
+        if (fieldset && !this.handleSavedMethodChange) {
+            this.savedMethodsFieldset = fieldset;
+            this.handleSavedMethodChange = () => this.applySavedPaymentMethod();
+            fieldset.addEventListener('change', this.handleSavedMethodChange);
+        }
+        this.applySavedPaymentMethod();
+    },
+
+    selectedSavedPaymentMethod() {
+        const checked = document.querySelector('#saved-payment-methods input[name="saved-payment-method"]:checked');
+        return checked && checked.value ? checked.value : null;
+    },
+
+    applySavedPaymentMethod() {
+        const paymentElementContainer = this.paymentElementContainer();
+        if (paymentElementContainer && this.paymentElement) {
+            paymentElementContainer.classList.toggle('hidden', !!this.selectedSavedPaymentMethod());
+        }
+    },
+
+    // Apple Pay / Google Pay buttons above the Payment Element. They live in
+    // #express-checkout-element inside a hidden #express-checkout wrapper,
+    // which is only shown once Stripe reports a wallet on this device, so
+    // browsers without one just see the regular card form.
+    mountExpressCheckout() {
+        const wrapper = document.getElementById('express-checkout');
+        const container = document.getElementById('express-checkout-element');
+        if (!wrapper || !container || this.expressCheckoutElement) {
+            return;
+        }
+
+        try {
+            this.expressCheckoutElement = this.elements.create('expressCheckout', {
+                buttonType: { applePay: 'buy', googlePay: 'buy' },
+                buttonTheme: walletButtonTheme(),
+                buttonHeight: 48,
+                paymentMethods: { applePay: 'auto', googlePay: 'auto', link: 'never' }
+            });
+        } catch (error) {
+            console.warn('Express Checkout Element unavailable:', error);
+            this.expressCheckoutElement = null;
+            return;
+        }
+
+        this.expressCheckoutElement.on('ready', ({ availablePaymentMethods }) => {
+            const hasWallet = !!availablePaymentMethods &&
+                Object.values(availablePaymentMethods).some(Boolean);
+            wrapper.classList.toggle('hidden', !hasWallet);
+        });
+
+        this.expressCheckoutElement.on('loaderror', (event) => {
+            console.warn('Express Checkout Element failed to load:', event.error);
+            wrapper.classList.add('hidden');
+        });
+
+        // Stripe requires resolve() within a second of the click
+        this.expressCheckoutElement.on('click', (event) => {
+            if (this.isDestroyed) {
+                return;
+            }
+            this.notifyRedirectStarted();
+            event.resolve();
+        });
+
+        this.expressCheckoutElement.on('confirm', async (event) => {
+            if (this.isDestroyed || this.confirming) {
+                event.paymentFailed({ reason: 'fail' });
+                return;
+            }
+
+            this.lockSubmit();
+
+            try {
+                const previous = await this.settlePaymentAttempt();
+                if (previous === 'paid' || previous === 'processing') {
+                    event.paymentFailed({ reason: 'fail' });
                     return;
                 }
 
-                this.pushEvent("payment-method-set", {
-                    payment_method_id: setupIntent.payment_method,
-                });
-            } finally {
-                submitButton.disabled = false;
-                submitButton.classList.remove("phx-submit-loading");
+                const error = previous === 'unknown'
+                    ? { message: UNCONFIRMED_MESSAGE }
+                    : await this.confirmPayment();
+                if (error) {
+                    event.paymentFailed({ reason: 'fail' });
+                    this.showMessage(error.message);
+                    this.unlockSubmit();
+                }
+            } catch (err) {
+                console.error('Express checkout confirmation error:', err);
+                event.paymentFailed({ reason: 'fail' });
+                this.showMessage('An unexpected error occurred. Please try again.');
+                this.unlockSubmit();
             }
         });
+
+        this.expressCheckoutElement.mount('#express-checkout-element');
+    },
+
+    // Messages hide after 5 seconds unless persist is set
+    showMessage(message, isSuccess = false, persist = false) {
+        const messageDiv = document.getElementById(this.config.messageTarget);
+        if (messageDiv) {
+            messageDiv.textContent = message;
+            messageDiv.classList.remove('hidden');
+
+            // Update styling based on message type
+            if (isSuccess) {
+                messageDiv.className = 'text-sm text-green-600 font-medium';
+            } else {
+                messageDiv.className = 'text-sm text-red-600';
+            }
+
+            // Hide message after 5 seconds
+            clearTimeout(this.messageTimer);
+            if (!persist) {
+                this.messageTimer = setTimeout(() => {
+                    messageDiv.classList.add('hidden');
+                }, 5000);
+            }
+        }
     },
+
+    destroyed() {
+        // Mark as destroyed to prevent any pending operations
+        this.isDestroyed = true;
+        clearTimeout(this.messageTimer);
+
+        if (this.stopWatchingColorScheme) {
+            this.stopWatchingColorScheme();
+            this.stopWatchingColorScheme = null;
+        }
+
+        // Clean up event listeners
+        if (this.submitButton && this.handleSubmit) {
+            this.submitButton.removeEventListener('click', this.handleSubmit);
+            this.submitButton = null;
+        }
+
+        if (this.savedMethodsFieldset && this.handleSavedMethodChange) {
+            this.savedMethodsFieldset.removeEventListener('change', this.handleSavedMethodChange);
+            this.savedMethodsFieldset = null;
+            this.handleSavedMethodChange = null;
+        }
+
+        if (this.expressCheckoutElement) {
+            try {
+                this.expressCheckoutElement.destroy();
+            } catch (e) {
+                console.warn('Error destroying Stripe express checkout element:', e);
+            }
+            this.expressCheckoutElement = null;
+        }
+
+        // Unmount Stripe Elements
+        if (this.paymentElement) {
+            try {
+                // Check if element is still in DOM before unmounting
+                const paymentElementContainer = this.paymentElementContainer();
+                if (paymentElementContainer && document.contains(paymentElementContainer)) {
+                    this.paymentElement.unmount();
+                }
+            } catch (e) {
+                // Element might already be unmounted, ignore error
+                console.warn('Error unmounting Stripe payment element:', e);
+            }
+            this.paymentElement = null;
+        }
+
+        // Clean up references
+        this.elements = null;
+        this.stripe = null;
+        this.clientSecret = null;
+    }
 };
 
-export default StripeInput;
\ No newline at end of file
+export default StripePayment;
\ No newline at end of file
@@ -0,0 +1,209 @@
+// Local Stripe.js stub
+// Implements the parts of Stripe.js the StripePayment hook uses (Payment Element,
+// Express Checkout Element, confirmPayment, confirmSetup, retrievePaymentIntent)
+// without talking to Stripe, so checkout flows can be exercised offline and in
+// browser tests.
+//
+// Build it with `mix esbuild stripe_stub` and start the server with
+// STRIPE_JS_URL=/assets/stripe_stub.js. Behaviour is controlled through
+// window.stripeStubOptions or a JSON object in localStorage["ysc:stripe-stub"]:
+//
+//   wallets: { applePay: false, googlePay: true }   wallets the device "has"
+//   outcome: "succeeded" | "card_declined"          result of every confirm
+
+const DEFAULT_OPTIONS = {
+    wallets: { applePay: false, googlePay: true },
+    outcome: "succeeded"
+};
+
+const WALLET_LABELS = {
+    applePay: "Apple Pay",
+    googlePay: "Google Pay"
+};
+
+function stubOptions() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem("ysc:stripe-stub")) || {};
+    } catch (_) {
+        // Ignore malformed overrides
+    }
+    return { ...DEFAULT_OPTIONS, ...stored, ...(window.stripeStubOptions || {}) };
+}
+
+function stubError() {
+    return {
+        type: "card_error",
+        code: "card_declined",
+        message: "Your card was declined."
+    };
+}
+
+function intentIdFromSecret(clientSecret) {
+    return (clientSecret || "pi_stub_secret_stub").split("_secret_")[0];
+}
+
+class StubElement {
+    constructor(type, options) {
+        this.type = type;
+        this.options = options || {};
+        this.handlers = {};
+        this.container = null;
+    }
+
+    on(event, handler) {
+        (this.handlers[event] = this.handlers[event] || []).push(handler);
+        return this;
+    }
+
+    emit(event, payload) {
+        (this.handlers[event] || []).forEach((handler) => handler(payload));
+    }
+
+    update(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    mount(target) {
+        this.container = typeof target === "string" ? document.querySelector(target) : target;
+        if (!this.container) {
+            throw new Error(`StripeStub: mount target ${target} not found`);
+        }
+
+        if (this.type === "expressCheckout") {
+            this.mountExpressCheckout();
+        } else {
+            this.mountPayment();
+        }
+    }
+
+    mountPayment() {
+        const field = document.createElement("div");
+        field.className = "StripeElement";
+        field.dataset.testid = `stub-${this.type}-element`;
+
+        const input = document.createElement("input");
+        input.type = "text";
+        input.placeholder = "4242 4242 4242 4242 (Stripe stub)";
+        input.className = "w-full rounded-lg border border-zinc-200 px-3 py-2";
+        field.appendChild(input);
+
+        this.container.replaceChildren(field);
+        setTimeout(() => this.emit("ready", {}), 0);
+    }
+
+    mountExpressCheckout() {
+        const wallets = stubOptions().wallets || {};
+        const available = Object.keys(WALLET_LABELS).filter((wallet) => wallets[wallet]);
+
+        this.container.replaceChildren(...available.map((wallet) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.dataset.testid = `stub-express-${wallet}`;
+            button.className = "w-full h-12 mb-2 rounded-lg bg-black text-white font-semibold";
+            button.textContent = `Buy with ${WALLET_LABELS[wallet]} (Stripe stub)`;
+            button.addEventListener("click", () => this.startExpressPayment(wallet));
+            return button;
+        }));
+
+        const availablePaymentMethods = available.length > 0
+            ? Object.fromEntries(Object.keys(WALLET_LABELS).map((wallet) => [wallet, !!wallets[wallet]]))
+            : undefined;
+        setTimeout(() => this.emit("ready", { availablePaymentMethods }), 0);
+    }
+
+    startExpressPayment(wallet) {
+        let resolved = false;
+        this.emit("click", {
+            expressPaymentType: wallet,
+            resolve: () => { resolved = true; }
+        });
+
+        // Stripe cancels the payment sheet when click isn't resolved in time
+        setTimeout(() => {
+            if (!resolved) {
+                this.emit("cancel", { expressPaymentType: wallet });
+                return;
+            }
+            this.emit("confirm", {
+                expressPaymentType: wallet,
+                // Stripe closes the payment sheet; nothing to close here
+                paymentFailed: () => {}
+            });
+        }, 50);
+    }
+
+    unmount() {
+        if (this.container) {
+            this.container.replaceChildren();
+            this.container = null;
+        }
+    }
+
+    destroy() {
+        this.unmount();
+        this.handlers = {};
+    }
+}
+
+class StubElements {
+    constructor(options) {
+        this.options = options || {};
+        this.elements = {};
+    }
+
+    create(type, options) {
+        this.elements[type] = new StubElement(type, options);
+        return this.elements[type];
+    }
+
+    getElement(type) {
+        return this.elements[type] || null;
+    }
+
+    update(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    async fetchUpdates() {
+        return {};
+    }
+
+    async submit() {
+        return {};
+    }
+}
+
+function StripeStub(publishableKey) {
+    return {
+        publishableKey,
+
+        elements(options) {
+            return new StubElements(options);
+        },
+
+        async confirmPayment({ elements, clientSecret }) {
+            if (stubOptions().outcome === "card_declined") {
+                return { error: stubError() };
+            }
+            const secret = clientSecret || (elements && elements.options.clientSecret);
+            return { paymentIntent: { id: intentIdFromSecret(secret), status: "succeeded" } };
+        },
+
+        async retrievePaymentIntent(clientSecret) {
+            const status = stubOptions().outcome === "card_declined"
+                ? "requires_payment_method"
+                : "succeeded";
+            return { paymentIntent: { id: intentIdFromSecret(clientSecret), status } };
+        },
+
+        async confirmSetup() {
+            if (stubOptions().outcome === "card_declined") {
+                return { error: stubError() };
+            }
+            return { setupIntent: { id: "seti_stub", status: "succeeded", payment_method: "pm_stub_card" } };
+        }
+    };
+}
+
+window.Stripe = StripeStub;
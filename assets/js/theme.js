@@ -0,0 +1,64 @@
+// Site color theme
+// Applies the member's theme choice ("light", the default, "dark" or
+// "system") as data-theme="light" | "dark" on <html>, which drives Tailwind's
+// dark: variant and the --ysc-* design token variables. "system" follows
+// prefers-color-scheme and keeps following it while the page is open. The
+// choice is remembered in localStorage.
+//
+// The pages have no dark styles yet, so nothing follows the OS setting until
+// a member picks a theme: otherwise a dark OS would get dark payment forms on
+// a white page. There is no theme toggle yet either; one sets the choice by
+// dispatching ysc:set-theme, e.g. from HEEx:
+//
+//   phx-click={JS.dispatch("ysc:set-theme", detail: %{theme: "dark"})}
+
+const STORAGE_KEY = "ysc:theme";
+const THEMES = ["light", "dark", "system"];
+
+const darkQuery = () => window.matchMedia("(prefers-color-scheme: dark)");
+
+function storedTheme() {
+    try {
+        const theme = localStorage.getItem(STORAGE_KEY);
+        return THEMES.includes(theme) ? theme : "light";
+    } catch (_) {
+        return "light";
+    }
+}
+
+function applyTheme(theme) {
+    const resolved = theme === "system"
+        ? (darkQuery().matches ? "dark" : "light")
+        : theme;
+    document.documentElement.dataset.theme = resolved;
+}
+
+function setTheme(theme) {
+    if (!THEMES.includes(theme)) {
+        return;
+    }
+    try {
+        if (theme === "light") {
+            localStorage.removeItem(STORAGE_KEY);
+        } else {
+            localStorage.setItem(STORAGE_KEY, theme);
+        }
+    } catch (_) {
+        // Storage unavailable; the choice lasts until the page is left
+    }
+    applyTheme(theme);
+}
+
+export function initTheme() {
+    applyTheme(storedTheme());
+
+    darkQuery().addEventListener("change", () => {
+        if (storedTheme() === "system") {
+            applyTheme("system");
+        }
+    });
+
+    window.addEventListener("ysc:set-theme", (event) => {
+        setTheme(event.detail && event.detail.theme);
+    });
+}
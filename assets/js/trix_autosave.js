@@ -0,0 +1,402 @@
+// Trix autosave for the post editor
+// Saves the editor body through the hook's update event with the revision
+// it was based on. The LiveView replies with one of:
+//   { status: "saved", revision }
+//   { status: "conflict", revision, raw_body }   another admin saved first
+//   { status: "error" }
+// Unsaved bodies are mirrored to localStorage so they can be recovered after
+// a crash or closed tab, and conflicts show a side-by-side diff with the
+// choice of keeping either version.
+
+const SAVE_DEBOUNCE_MS = 1500;
+const SAVE_REPLY_TIMEOUT_MS = 15000;
+const SAVE_RETRY_MS = 5000;
+const DRAFT_PREFIX = "ysc:editor-draft:";
+const MAX_DIFF_CELLS = 250000;
+
+const STATUS_LABELS = {
+  saved: "All changes saved",
+  saving: "Saving…",
+  unsaved: "Unsaved changes",
+  offline: "Offline, changes kept on this device",
+  conflict: "Not saved, conflicting edit",
+  error: "Save failed, retrying…",
+};
+
+const STATUS_CLASSES = {
+  saved: "text-zinc-500",
+  saving: "text-zinc-500",
+  unsaved: "text-amber-600",
+  offline: "text-amber-600",
+  conflict: "text-red-600",
+  error: "text-red-600",
+};
+
+function readDraft(key) {
+  try {
+    return JSON.parse(localStorage.getItem(DRAFT_PREFIX + key));
+  } catch (_) {
+    return null;
+  }
+}
+
+function writeDraft(key, draft) {
+  try {
+    localStorage.setItem(DRAFT_PREFIX + key, JSON.stringify(draft));
+  } catch (_) {
+    // Recovery is best effort; saving still goes to the server
+  }
+}
+
+function clearDraft(key) {
+  try {
+    localStorage.removeItem(DRAFT_PREFIX + key);
+  } catch (_) {
+    // Ignore storage errors
+  }
+}
+
+// Flattens Trix HTML into one line of text per block for diffing
+function htmlToLines(html) {
+  const doc = new DOMParser().parseFromString(`<div>${html || ""}</div>`, "text/html");
+  doc.querySelectorAll("figure").forEach((figure) => {
+    const caption = figure.querySelector("figcaption")?.textContent?.trim();
+    figure.textContent = caption ? `[Image: ${caption}]` : "[Image]";
+  });
+  doc.querySelectorAll("br").forEach((br) => br.replaceWith("\n"));
+  doc.querySelectorAll("div, h1, li, blockquote, pre, figure").forEach((el) => el.append("\n"));
+
+  return doc.body.textContent
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0);
+}
+
+// Longest-common-subsequence line diff
+function diffLines(before, after) {
+  if (before.length * after.length > MAX_DIFF_CELLS) {
+    return [
+      ...before.map((text) => ({ type: "removed", text })),
+      ...after.map((text) => ({ type: "added", text })),
+    ];
+  }
+
+  const lengths = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      ops.push({ type: "same", text: before[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push({ type: "removed", text: before[i++] });
+    } else {
+      ops.push({ type: "added", text: after[j++] });
+    }
+  }
+  while (i < before.length) ops.push({ type: "removed", text: before[i++] });
+  while (j < after.length) ops.push({ type: "added", text: after[j++] });
+
+  return ops;
+}
+
+// Pairs diff ops into [left, right] rows, aligning changed runs side by side
+function diffRows(ops) {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    const count = Math.max(removed.length, added.length);
+    for (let k = 0; k < count; k++) {
+      rows.push([
+        removed[k] !== undefined ? { type: "removed", text: removed[k] } : null,
+        added[k] !== undefined ? { type: "added", text: added[k] } : null,
+      ]);
+    }
+    removed = [];
+    added = [];
+  };
+
+  ops.forEach((op) => {
+    if (op.type === "same") {
+      flush();
+      rows.push([op, op]);
+    } else if (op.type === "removed") {
+      removed.push(op.text);
+    } else {
+      added.push(op.text);
+    }
+  });
+  flush();
+
+  return rows;
+}
+
+function makeElement(tagName, className, text) {
+  const el = document.createElement(tagName);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+function makeButton(label, className, onClick) {
+  const button = makeElement("button", className, label);
+  button.type = "button";
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+const CELL_CLASSES = {
+  same: "text-zinc-700",
+  removed: "bg-red-50 text-red-800",
+  added: "bg-green-50 text-green-800",
+};
+
+function renderDiff(localHtml, serverHtml) {
+  const rows = diffRows(diffLines(htmlToLines(localHtml), htmlToLines(serverHtml)));
+  const grid = makeElement("div", "grid grid-cols-2 gap-x-2 text-sm max-h-80 overflow-y-auto border border-zinc-200 rounded bg-white");
+
+  grid.appendChild(makeElement("div", "px-2 py-1 font-semibold text-zinc-900 border-b border-zinc-200 sticky top-0 bg-white", "Your version"));
+  grid.appendChild(makeElement("div", "px-2 py-1 font-semibold text-zinc-900 border-b border-zinc-200 sticky top-0 bg-white", "Saved version"));
+
+  rows.forEach(([left, right]) => {
+    [left, right].forEach((cell) => {
+      grid.appendChild(makeElement(
+        "div",
+        `px-2 py-0.5 whitespace-pre-wrap break-words ${cell ? CELL_CLASSES[cell.type] : ""}`,
+        cell ? cell.text : ""
+      ));
+    });
+  });
+
+  return grid;
+}
+
+function createAutosave(hook, { event, draftKey, revision, editorElement, statusElement, noticeElement }) {
+  const autosave = {
+    revision,
+    lastSavedBody: hook.el.value,
+    status: null,
+    saving: false,
+    queued: false,
+    timer: null,
+    replyTimer: null,
+    conflict: null,
+
+    body() {
+      return hook.el.value;
+    },
+
+    setStatus(status) {
+      this.status = status;
+      if (!statusElement) return;
+      statusElement.textContent = STATUS_LABELS[status] || "";
+      statusElement.dataset.status = status;
+      Object.values(STATUS_CLASSES).forEach((classes) => {
+        statusElement.classList.remove(...classes.split(" "));
+      });
+      statusElement.classList.add(...STATUS_CLASSES[status].split(" "));
+    },
+
+    hasUnsavedChanges() {
+      return this.body() !== this.lastSavedBody || this.saving || !!this.conflict;
+    },
+
+    changed() {
+      if (this.body() === this.lastSavedBody && !this.conflict) {
+        clearTimeout(this.timer);
+        clearDraft(draftKey);
+        if (!this.saving) this.setStatus("saved");
+        return;
+      }
+
+      writeDraft(draftKey, { raw_body: this.body(), revision: this.revision, savedAt: Date.now() });
+      if (this.conflict) return;
+
+      this.setStatus("unsaved");
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.save(), SAVE_DEBOUNCE_MS);
+    },
+
+    flush() {
+      clearTimeout(this.timer);
+      if (this.body() !== this.lastSavedBody) this.save();
+    },
+
+    save() {
+      clearTimeout(this.timer);
+      if (this.conflict) return;
+      if (this.saving) {
+        this.queued = true;
+        return;
+      }
+
+      const body = this.body();
+      if (body === this.lastSavedBody) {
+        this.setStatus("saved");
+        return;
+      }
+
+      this.saving = true;
+      this.setStatus("saving");
+
+      const pushed = hook.pushEvent(event, { raw_body: body, revision: this.revision }, (reply) => {
+        clearTimeout(this.replyTimer);
+        this.saving = false;
+        this.handleReply(reply || {}, body);
+      });
+
+      // pushEvent returns false while the LiveView is disconnected
+      if (pushed === false) {
+        this.saving = false;
+        this.setStatus("offline");
+        return;
+      }
+
+      this.replyTimer = setTimeout(() => {
+        this.saving = false;
+        this.setStatus("offline");
+      }, SAVE_REPLY_TIMEOUT_MS);
+    },
+
+    handleReply(reply, body) {
+      if (reply.status === "saved") {
+        this.revision = reply.revision;
+        this.lastSavedBody = body;
+
+        if (this.body() === body) {
+          clearDraft(draftKey);
+          this.setStatus("saved");
+        } else {
+          this.setStatus("unsaved");
+        }
+        if (this.queued || this.body() !== body) {
+          this.queued = false;
+          this.timer = setTimeout(() => this.save(), SAVE_DEBOUNCE_MS);
+        }
+      } else if (reply.status === "conflict") {
+        this.queued = false;
+        this.showConflict(reply.raw_body, reply.revision);
+      } else {
+        this.setStatus("error");
+        this.timer = setTimeout(() => this.save(), SAVE_RETRY_MS);
+      }
+    },
+
+    // The LiveView announces every saved revision of this post
+    remoteRevision(remoteRevision) {
+      if (remoteRevision <= this.revision || this.saving) return;
+
+      if (this.body() === this.lastSavedBody) {
+        this.showNotice(
+          "Another admin saved changes to this post. Reload to continue from their version.",
+          [makeButton("Reload", "px-3 py-1 rounded bg-blue-600 text-white text-sm", () => window.location.reload())]
+        );
+      }
+      // With local edits pending, the next save gets a conflict reply and diff
+    },
+
+    reconnected() {
+      if (this.status === "offline" && !this.conflict) this.save();
+    },
+
+    showConflict(serverBody, serverRevision) {
+      const localBody = this.body();
+      this.conflict = { serverBody, serverRevision };
+      this.setStatus("conflict");
+
+      const keepMine = makeButton("Keep my version", "px-3 py-1 rounded bg-blue-600 text-white text-sm", () => {
+        this.conflict = null;
+        this.revision = serverRevision;
+        this.hideNotice();
+        this.save();
+      });
+
+      const useSaved = makeButton("Use saved version", "px-3 py-1 rounded border border-zinc-300 text-zinc-800 text-sm", () => {
+        this.conflict = null;
+        this.revision = serverRevision;
+        this.lastSavedBody = serverBody;
+        clearDraft(draftKey);
+        this.hideNotice();
+        if (editorElement && editorElement.editor) {
+          editorElement.editor.loadHTML(serverBody);
+        }
+        this.setStatus("saved");
+      });
+
+      this.showNotice(
+        "Another admin saved this post while you were editing. Choose which version to keep.",
+        [keepMine, useSaved],
+        renderDiff(localBody, serverBody)
+      );
+    },
+
+    offerDraftRecovery() {
+      const draft = readDraft(draftKey);
+      if (!draft || draft.raw_body === this.body()) {
+        if (draft) clearDraft(draftKey);
+        return;
+      }
+
+      const savedAt = new Date(draft.savedAt).toLocaleString();
+
+      const restore = makeButton("Restore", "px-3 py-1 rounded bg-blue-600 text-white text-sm", () => {
+        this.hideNotice();
+        // Keep the draft's base revision so edits made elsewhere since then
+        // surface as a conflict instead of being overwritten
+        this.revision = draft.revision;
+        if (editorElement && editorElement.editor) {
+          editorElement.editor.loadHTML(draft.raw_body);
+        }
+      });
+
+      const discard = makeButton("Discard", "px-3 py-1 rounded border border-zinc-300 text-zinc-800 text-sm", () => {
+        clearDraft(draftKey);
+        this.hideNotice();
+      });
+
+      this.showNotice(`Unsaved changes from ${savedAt} were found on this device.`, [restore, discard]);
+    },
+
+    showNotice(message, actions, details) {
+      if (!noticeElement) return;
+      noticeElement.replaceChildren();
+
+      const notice = makeElement("div", "my-4 p-4 rounded-lg border border-amber-300 bg-amber-50 space-y-3 not-prose");
+      notice.setAttribute("role", "alert");
+      notice.appendChild(makeElement("p", "text-sm text-amber-900", message));
+      if (details) notice.appendChild(details);
+
+      const buttons = makeElement("div", "flex gap-2");
+      actions.forEach((action) => buttons.appendChild(action));
+      notice.appendChild(buttons);
+
+      noticeElement.appendChild(notice);
+    },
+
+    hideNotice() {
+      if (noticeElement) noticeElement.replaceChildren();
+    },
+
+    destroy() {
+      clearTimeout(this.timer);
+      clearTimeout(this.replyTimer);
+    },
+  };
+
+  autosave.setStatus("saved");
+  return autosave;
+}
+
+export { createAutosave };
@@ -0,0 +1,259 @@
+// Rich embeds for the Trix post editor
+// Adds Event, Map and Gallery buttons to the editor toolbar. Each opens a
+// picker filled from the LiveView's "embed-options" event and inserts a Trix
+// content attachment, so the embed's HTML is saved into raw_body and renders
+// the same in the editor and the published post.
+//
+// Published embeds stay plain HTML: event cards link to the event page, and
+// map and gallery images carry data-embed-lightbox so GLightboxHook can open
+// them (one lightbox group per embed).
+
+import Trix from "../vendor/trix";
+
+const EMBED_CONTENT_TYPES = {
+  event: "application/vnd.ysc.event-card+html",
+  map: "application/vnd.ysc.map-pin+html",
+  gallery: "application/vnd.ysc.gallery+html",
+};
+
+const EMBED_LABELS = {
+  event: "Event",
+  map: "Map",
+  gallery: "Gallery",
+};
+
+// Served by StaticMapController, which adds the map provider and its key when
+// the post is viewed; the saved post only holds the coordinates
+const STATIC_MAP_PATH = "/maps/static";
+
+function escapeHTML(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function embedGroupId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function staticMapUrl({ latitude, longitude }, width, height) {
+  const params = new URLSearchParams({
+    lat: String(latitude),
+    lng: String(longitude),
+    width: String(width),
+    height: String(height),
+  });
+  return `${STATIC_MAP_PATH}?${params.toString()}`;
+}
+
+function eventCardHTML(event) {
+  const image = event.image_url
+    ? `<img src="${escapeHTML(event.image_url)}" alt="" class="w-32 sm:w-40 object-cover shrink-0 m-0">`
+    : "";
+
+  return `<div class="not-prose my-2" data-embed="event" data-event-id="${escapeHTML(event.id)}">
+<a href="${escapeHTML(event.url)}" class="flex items-stretch gap-4 rounded-lg border border-zinc-200 bg-white overflow-hidden no-underline hover:shadow-md transition">
+${image}<span class="flex flex-col justify-center py-3 pr-4 ${image ? "" : "pl-4"}">
+<span class="text-xs font-semibold uppercase tracking-wide text-blue-600">${escapeHTML(event.date)}</span>
+<span class="text-lg font-bold text-zinc-900 leading-snug">${escapeHTML(event.title)}</span>
+<span class="text-sm text-zinc-600">${escapeHTML(event.location)}</span>
+</span>
+</a>
+</div>`;
+}
+
+function mapPinHTML(place) {
+  const directions = `https://www.google.com/maps?saddr=Current+Location&daddr=${place.latitude},${place.longitude}&mode=driving`;
+  const address = place.address ? ` · ${escapeHTML(place.address)}` : "";
+
+  return `<div class="not-prose my-2" data-embed="map">
+<a href="${escapeHTML(staticMapUrl(place, 1200, 800))}" data-embed-lightbox="${embedGroupId("map")}" data-type="image" data-title="${escapeHTML(place.name)}">
+<img src="${escapeHTML(staticMapUrl(place, 640, 320))}" alt="Map of ${escapeHTML(place.name)}" class="w-full rounded-lg border border-zinc-200 m-0">
+</a>
+<p class="mt-2 text-sm text-zinc-600"><span class="font-semibold text-zinc-900">${escapeHTML(place.name)}</span>${address} · <a href="${escapeHTML(directions)}" target="_blank" rel="noopener" class="text-blue-600 underline">Directions</a></p>
+</div>`;
+}
+
+function galleryHTML(images) {
+  const group = embedGroupId("gallery");
+  const items = images.map((image) => {
+    const size = image.width && image.height
+      ? ` data-width="${escapeHTML(image.width)}" data-height="${escapeHTML(image.height)}"`
+      : "";
+    return `<a href="${escapeHTML(image.url)}" data-embed-lightbox="${group}" data-title="${escapeHTML(image.title)}"${size} class="shrink-0 snap-start">` +
+      `<img src="${escapeHTML(image.thumbnail_url)}" alt="${escapeHTML(image.alt)}" loading="lazy" class="h-40 w-auto rounded-md object-cover m-0"></a>`;
+  });
+
+  return `<div class="not-prose my-2 flex gap-2 overflow-x-auto snap-x py-1" data-embed="gallery">
+${items.join("\n")}
+</div>`;
+}
+
+const PANEL_CLASS = "absolute z-20 left-0 right-0 mt-1 max-h-96 overflow-y-auto rounded-lg border border-zinc-200 bg-white p-3 shadow-lg text-sm";
+const OPTION_CLASS = "w-full flex items-center gap-3 rounded px-2 py-2 text-left hover:bg-zinc-100";
+
+function makeElement(tagName, className, text) {
+  const el = document.createElement(tagName);
+  if (className) el.className = className;
+  if (text !== undefined && text !== null) el.textContent = text;
+  return el;
+}
+
+function installEmbeds(hook, editorElement) {
+  const toolbar = editorElement.toolbarElement;
+  if (!toolbar) return () => { };
+
+  const group = makeElement("span", "trix-button-group trix-button-group--embeds");
+  const panel = makeElement("div", `${PANEL_CLASS} hidden`);
+  panel.setAttribute("role", "dialog");
+
+  toolbar.style.position = toolbar.style.position || "relative";
+
+  // Bumped whenever the panel closes, so replies for a closed picker are dropped
+  let pickerSession = 0;
+
+  const closePanel = () => {
+    pickerSession++;
+    panel.classList.add("hidden");
+    panel.replaceChildren();
+  };
+
+  const insert = (type, html) => {
+    closePanel();
+    const attachment = new Trix.Attachment({ content: html, contentType: EMBED_CONTENT_TYPES[type] });
+    editorElement.editor.insertAttachment(attachment);
+    editorElement.focus();
+  };
+
+  const loadOptions = (type, params, callback) => {
+    const session = pickerSession;
+    hook.pushEvent("embed-options", { type, ...params }, (reply) => {
+      if (session === pickerSession) callback(reply || { items: [] });
+    });
+  };
+
+  const showEmpty = (message) => {
+    panel.appendChild(makeElement("p", "px-2 py-2 text-zinc-500", message));
+  };
+
+  const pickers = {
+    event() {
+      loadOptions("event", {}, ({ items }) => {
+        if (items.length === 0) return showEmpty("No upcoming events.");
+        items.forEach((event) => {
+          const option = makeElement("button", OPTION_CLASS);
+          option.type = "button";
+          option.appendChild(makeElement("span", "font-semibold text-zinc-900", event.title));
+          option.appendChild(makeElement("span", "text-zinc-500", event.date));
+          option.addEventListener("click", () => insert("event", eventCardHTML(event)));
+          panel.appendChild(option);
+        });
+      });
+    },
+
+    map() {
+      loadOptions("map", {}, ({ items }) => {
+        items.forEach((place) => {
+          const option = makeElement("button", OPTION_CLASS);
+          option.type = "button";
+          option.appendChild(makeElement("span", "font-semibold text-zinc-900", place.name));
+          if (place.address) option.appendChild(makeElement("span", "text-zinc-500", place.address));
+          option.addEventListener("click", () => insert("map", mapPinHTML(place)));
+          panel.appendChild(option);
+        });
+      });
+    },
+
+    gallery() {
+      const selected = new Map();
+      const grid = makeElement("div", "grid grid-cols-4 sm:grid-cols-6 gap-2");
+      const footer = makeElement("div", "flex items-center justify-between gap-2 mt-3");
+      const more = makeElement("button", "px-3 py-1 rounded border border-zinc-300 text-zinc-800", "Load more");
+      const done = makeElement("button", "px-3 py-1 rounded bg-blue-600 text-white disabled:opacity-50", "Insert gallery");
+      more.type = "button";
+      done.type = "button";
+      done.disabled = true;
+
+      const load = (offset) => {
+        more.disabled = true;
+        loadOptions("gallery", { offset }, ({ items, more: hasMore }) => {
+          items.forEach((image) => {
+            const tile = makeElement("button", "relative aspect-square rounded overflow-hidden ring-offset-1 aria-pressed:ring-2 aria-pressed:ring-blue-600");
+            tile.type = "button";
+            tile.title = image.title || "";
+            tile.setAttribute("aria-pressed", "false");
+            const img = makeElement("img", "w-full h-full object-cover m-0");
+            img.src = image.thumbnail_url;
+            img.alt = image.alt || "";
+            img.loading = "lazy";
+            tile.appendChild(img);
+            tile.addEventListener("click", () => {
+              if (selected.has(image.id)) {
+                selected.delete(image.id);
+              } else {
+                selected.set(image.id, image);
+              }
+              tile.setAttribute("aria-pressed", String(selected.has(image.id)));
+              done.disabled = selected.size === 0;
+              done.textContent = selected.size > 0 ? `Insert gallery (${selected.size})` : "Insert gallery";
+            });
+            grid.appendChild(tile);
+          });
+          more.disabled = false;
+          more.classList.toggle("hidden", !hasMore);
+        });
+      };
+
+      more.addEventListener("click", () => load(grid.children.length));
+      done.addEventListener("click", () => insert("gallery", galleryHTML(Array.from(selected.values()))));
+
+      footer.appendChild(more);
+      footer.appendChild(done);
+      panel.appendChild(grid);
+      panel.appendChild(footer);
+      load(0);
+    },
+  };
+
+  Object.keys(pickers).forEach((type) => {
+    const button = makeElement("button", "trix-button", EMBED_LABELS[type]);
+    button.type = "button";
+    button.title = `Embed ${EMBED_LABELS[type].toLowerCase()}`;
+    button.tabIndex = -1;
+    button.addEventListener("click", () => {
+      const reopening = panel.dataset.type === type && !panel.classList.contains("hidden");
+      closePanel();
+      if (reopening) return;
+
+      panel.dataset.type = type;
+      panel.classList.remove("hidden");
+      pickers[type]();
+    });
+    group.appendChild(button);
+  });
+
+  const handleKeydown = (event) => {
+    if (event.key === "Escape") closePanel();
+  };
+  const handleOutsideClick = (event) => {
+    if (!toolbar.contains(event.target)) closePanel();
+  };
+
+  const buttonRow = toolbar.querySelector(".trix-button-row") || toolbar;
+  buttonRow.appendChild(group);
+  toolbar.appendChild(panel);
+  document.addEventListener("keydown", handleKeydown);
+  document.addEventListener("click", handleOutsideClick);
+
+  return () => {
+    document.removeEventListener("keydown", handleKeydown);
+    document.removeEventListener("click", handleOutsideClick);
+    group.remove();
+    panel.remove();
+  };
+}
+
+export { installEmbeds, EMBED_CONTENT_TYPES };
@@ -1,69 +1,307 @@
 import Trix from "../vendor/trix";
+import { createAutosave } from "./trix_autosave";
+import { installEmbeds } from "./trix_embeds";
+import { installPasteNormalizer } from "./trix_paste";
+
+const UPLOAD_MAX_ATTEMPTS = 3;
+const UPLOAD_RETRY_BASE_MS = 1000;
+const UPLOAD_TIMEOUT_MS = 60000;
+const DEFAULT_UPLOAD_URL = "/admin/trix-uploads";
+const DEFAULT_UPDATE_EVENT = "editor-update";
+
+// Each TrixHook sits on the hidden input of one <trix-editor input="...">
+// and only handles events from that editor, so a page can hold several:
+//
+//   id="event-details"                   required, matches the editor's input
+//   data-update-event="editor-update"    event pushed with { raw_body }
+//   data-upload-url="/admin/trix-uploads"
+//   data-post-id="..."                   sent with uploads, optional
+//   data-revision="3"                    enables autosave (see trix_autosave.js)
+//   data-embeds                          adds event/map/gallery embeds (see trix_embeds.js)
+//   data-status-target="editor-status"   autosave status element id
+//   data-notice-target="editor-notice"   autosave notice element id
 
 function emitEditorUpdateEvent(source) {
-  const editorElement = document.getElementById("post[raw_body]");
-  source.pushEvent("editor-update", { raw_body: editorElement.value });
+  source.pushEvent(source.updateEvent, { raw_body: source.el.value });
 }
 
-function uploadFileAttachment(attachment, postID) {
-  uploadFile(attachment.file, postID, setProgress, setAttributes);
+function uploadFileAttachment(source, attachment) {
+  source.trackUpload(attachment, "uploading");
 
-  function setProgress(progress) {
-    attachment.setUploadProgress(progress);
-  }
+  const upload = uploadFile(attachment.file, source.uploadTarget(), {
+    onProgress(progress) {
+      attachment.setUploadProgress(progress);
+    },
+    onSuccess(attributes) {
+      attachment.setAttributes(attributes);
+      source.trackUpload(attachment, "done");
+    },
+    onFailure(message) {
+      source.trackUpload(attachment, "failed", message);
+    },
+  });
 
-  function setAttributes(attributes) {
-    attachment.setAttributes(attributes);
-  }
+  const entry = source.uploads.get(attachment.id);
+  if (entry) entry.upload = upload;
 }
 
-function uploadFile(file, postID, progressCallback, successCallback) {
-  const formData = new FormData();
-  formData.append("file", file);
-  formData.append("post_id", postID);
-  const csrfToken = document
-    .querySelector("meta[name='csrf-token']")
-    .getAttribute("content");
-  const xhr = new XMLHttpRequest();
-
-  xhr.open("POST", "/admin/trix-uploads", true);
-  xhr.setRequestHeader("X-CSRF-Token", csrfToken);
-
-  xhr.upload.addEventListener("progress", function (event) {
-    if (event.lengthComputable) {
-      const progress = Math.round((event.loaded / event.total) * 100);
-      progressCallback(progress);
-    }
-  });
+// Server errors and dropped connections are retried with backoff. Client
+// errors (e.g. 413 Payload Too Large) won't succeed on retry, so they fail
+// straight away.
+function isRetryable(status) {
+  return status === 0 || status === 408 || status === 429 || status >= 500;
+}
 
-  xhr.addEventListener("load", function (_event) {
-    if (xhr.status === 201) {
-      const url = xhr.responseText;
-      const attributes = { url, href: `${url}?content-disposition=attachment` };
-      successCallback(attributes);
-    }
-  });
+function uploadErrorMessage(status) {
+  if (status === 0) return "Network error";
+  if (status === 413) return "Image is too large";
+  if (status === 415) return "Unsupported file type";
+  return `Server responded with ${status}`;
+}
+
+function uploadFile(file, { url, postID }, callbacks) {
+  const upload = { xhr: null, timer: null, cancelled: false };
+
+  const send = (currentAttempt) => {
+    const formData = new FormData();
+    formData.append("file", file);
+    if (postID) formData.append("post_id", postID);
+    const csrfToken = document
+      .querySelector("meta[name='csrf-token']")
+      .getAttribute("content");
+    const xhr = new XMLHttpRequest();
+    upload.xhr = xhr;
+
+    xhr.open("POST", url, true);
+    xhr.setRequestHeader("X-CSRF-Token", csrfToken);
+    xhr.timeout = UPLOAD_TIMEOUT_MS;
+
+    xhr.upload.addEventListener("progress", function (event) {
+      if (event.lengthComputable) {
+        const progress = Math.round((event.loaded / event.total) * 100);
+        callbacks.onProgress(progress);
+      }
+    });
+
+    const fail = (status, message) => {
+      if (upload.cancelled) return;
+
+      if (isRetryable(status) && currentAttempt < UPLOAD_MAX_ATTEMPTS) {
+        const delay = UPLOAD_RETRY_BASE_MS * Math.pow(2, currentAttempt - 1);
+        callbacks.onProgress(0);
+        upload.timer = setTimeout(() => send(currentAttempt + 1), delay);
+      } else {
+        callbacks.onFailure(message);
+      }
+    };
 
-  xhr.send(formData);
+    xhr.addEventListener("load", function (_event) {
+      if (xhr.status === 201) {
+        const url = xhr.responseText;
+        const attributes = { url, href: `${url}?content-disposition=attachment` };
+        callbacks.onSuccess(attributes);
+      } else {
+        fail(xhr.status, uploadErrorMessage(xhr.status));
+      }
+    });
+
+    xhr.addEventListener("error", () => fail(0, uploadErrorMessage(0)));
+    xhr.addEventListener("timeout", () => fail(0, "Upload timed out"));
+
+    xhr.send(formData);
+  };
+
+  upload.cancel = () => {
+    upload.cancelled = true;
+    clearTimeout(upload.timer);
+    if (upload.xhr) upload.xhr.abort();
+  };
+
+  send(1);
+  return upload;
+}
+
+// Failed attachments are marked with CSS keyed on Trix's attachment id rather
+// than attributes on the attachment, so the markers never end up in raw_body.
+function failedUploadRules(uploads, inputID) {
+  const editor = `trix-editor[input="${CSS.escape(inputID)}"]`;
+  return Array.from(uploads.entries())
+    .filter(([_id, entry]) => entry.state === "failed")
+    .map(([id, entry]) => {
+      const message = `Upload failed (${entry.message}). Select the image to retry or remove it.`
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, '\\"');
+      return `${editor} figure[data-trix-id="${id}"] { outline: 2px solid #ef4444; outline-offset: 2px; }
+${editor} figure[data-trix-id="${id}"]::after { content: "${message}"; display: block; color: #dc2626; font-size: 0.875rem; }`;
+    })
+    .join("\n");
 }
 
 module.exports = {
   mounted() {
     window.Trix = Trix;
 
-    document.addEventListener("trix-change", () => {
-      emitEditorUpdateEvent(this);
-    });
+    this.editorElement = document.querySelector(`trix-editor[input="${CSS.escape(this.el.id)}"]`);
+    if (!this.editorElement) {
+      console.error(`TrixHook: no trix-editor found for input #${this.el.id}`);
+      return;
+    }
 
-    document.addEventListener("trix-blur", () => {
-      emitEditorUpdateEvent(this);
-    });
+    this.updateEvent = this.el.dataset.updateEvent || DEFAULT_UPDATE_EVENT;
+
+    // attachment id -> { attachment, state: uploading | failed, message, upload }
+    this.uploads = new Map();
+    this.uploadStyles = document.createElement("style");
+    document.head.appendChild(this.uploadStyles);
+
+    // Editors that render data-revision get debounced autosave with conflict
+    // detection; the rest push every change as before.
+    if (this.el.dataset.revision !== undefined) {
+      this.autosave = createAutosave(this, {
+        event: this.updateEvent,
+        draftKey: `${this.updateEvent}:${this.el.dataset.postId || this.el.id}`,
+        revision: parseInt(this.el.dataset.revision, 10) || 1,
+        editorElement: this.editorElement,
+        statusElement: document.getElementById(this.el.dataset.statusTarget),
+        noticeElement: document.getElementById(this.el.dataset.noticeTarget),
+      });
+      this.autosave.offerDraftRecovery();
+
+      this.handleEvent("editor-revision", ({ revision }) => {
+        this.autosave.remoteRevision(revision);
+      });
+
+      this.handleBeforeUnload = (event) => {
+        if (!this.autosave.hasUnsavedChanges()) return;
+        this.autosave.flush();
+        event.preventDefault();
+        event.returnValue = "";
+      };
+      window.addEventListener("beforeunload", this.handleBeforeUnload);
+    }
 
-    document.addEventListener("trix-attachment-add", (event) => {
-      const postID = this.el.getAttribute("data-post-id");
-      uploadFileAttachment(event.attachment, postID);
+    this.listeners = {
+      "trix-change": () => {
+        if (this.autosave) {
+          this.autosave.changed();
+        } else {
+          emitEditorUpdateEvent(this);
+        }
+      },
+
+      "trix-blur": () => {
+        if (this.autosave) {
+          this.autosave.flush();
+        } else {
+          emitEditorUpdateEvent(this);
+        }
+      },
+
+      "trix-attachment-add": (event) => {
+        if (!event.attachment.file) return;
+        uploadFileAttachment(this, event.attachment);
+      },
+
+      "trix-attachment-remove": (event) => {
+        const entry = this.uploads.get(event.attachment.id);
+        if (!entry) return;
+        if (entry.upload) entry.upload.cancel();
+        this.uploads.delete(event.attachment.id);
+        this.reportUploads();
+      },
+
+      // Add a retry action to the toolbar Trix shows for a selected attachment
+      "trix-attachment-before-toolbar": (event) => {
+        const entry = this.uploads.get(event.attachment.id);
+        if (!entry || entry.state !== "failed") return;
+
+        const group = event.toolbar.querySelector(".trix-button-group--actions");
+        if (!group) return;
+
+        const retryButton = document.createElement("button");
+        retryButton.type = "button";
+        retryButton.className = "trix-button";
+        retryButton.title = "Retry upload";
+        retryButton.textContent = "Retry upload";
+        retryButton.addEventListener("click", () => {
+          uploadFileAttachment(this, event.attachment);
+          retryButton.remove();
+        });
+        group.insertBefore(retryButton, group.firstChild);
+      },
+    };
+
+    Object.entries(this.listeners).forEach(([type, listener]) => {
+      this.editorElement.addEventListener(type, listener);
     });
+
+    this.removePasteNormalizer = installPasteNormalizer(this.editorElement);
+
+    if (this.el.dataset.embeds !== undefined) {
+      this.removeEmbeds = installEmbeds(this, this.editorElement);
+    }
   },
 
   updated() { },
+
+  reconnected() {
+    if (this.autosave) this.autosave.reconnected();
+  },
+
+  destroyed() {
+    if (!this.editorElement) return;
+
+    Object.entries(this.listeners).forEach(([type, listener]) => {
+      this.editorElement.removeEventListener(type, listener);
+    });
+
+    this.removePasteNormalizer();
+    if (this.removeEmbeds) this.removeEmbeds();
+
+    if (this.autosave) {
+      this.autosave.destroy();
+      window.removeEventListener("beforeunload", this.handleBeforeUnload);
+    }
+
+    this.uploads.forEach((entry) => entry.upload && entry.upload.cancel());
+    this.uploads.clear();
+    this.uploadStyles.remove();
+  },
+
+  uploadTarget() {
+    return {
+      url: this.el.dataset.uploadUrl || DEFAULT_UPLOAD_URL,
+      postID: this.el.dataset.postId,
+    };
+  },
+
+  trackUpload(attachment, state, message) {
+    if (state === "done") {
+      this.uploads.delete(attachment.id);
+    } else {
+      const entry = this.uploads.get(attachment.id) || { attachment };
+      entry.state = state;
+      entry.message = message;
+      this.uploads.set(attachment.id, entry);
+    }
+    this.reportUploads();
+  },
+
+  // Tell the LiveView how many uploads are unfinished so it can hold off
+  // publishing while images are still uploading or broken.
+  reportUploads() {
+    let pending = 0;
+    let failed = 0;
+    this.uploads.forEach((entry) => {
+      if (entry.state === "uploading") pending++;
+      if (entry.state === "failed") failed++;
+    });
+
+    this.uploadStyles.textContent = failedUploadRules(this.uploads, this.el.id);
+
+    if (pending === this.reportedPending && failed === this.reportedFailed) return;
+    this.reportedPending = pending;
+    this.reportedFailed = failed;
+    this.pushEvent("editor-uploads", { pending, failed });
+  },
 };
@@ -0,0 +1,387 @@
+// Paste normalization for Trix editors
+// Content pasted from Google Docs and Word arrives as HTML full of inline
+// styles, wrapper spans and heading levels Trix doesn't have. This rewrites
+// pasted HTML to the set Trix supports (div, h1, blockquote, pre, ul/ol/li,
+// strong, em, del, a, br and https images) before it reaches the editor, and
+// turns pasted Markdown into the same HTML. Whatever had to be dropped is
+// listed in a short notice above the editor.
+
+const NOTICE_DISPLAY_MS = 8000;
+
+// Removed together with their content
+const DROPPED_TAGS = new Set([
+  "script", "style", "meta", "link", "title", "head", "template", "noscript",
+  "iframe", "object", "embed", "svg", "canvas", "video", "audio",
+  "form", "input", "button", "select", "textarea",
+]);
+
+// Dropped content worth telling the editor about
+const REPORTED_TAGS = {
+  iframe: "embedded frames",
+  object: "embedded objects",
+  embed: "embedded objects",
+  svg: "drawings",
+  canvas: "drawings",
+  video: "videos",
+  audio: "audio",
+  form: "form fields",
+  input: "form fields",
+  button: "form fields",
+  select: "form fields",
+  textarea: "form fields",
+};
+
+const BLOCK_TAGS = new Set([
+  "p", "div", "section", "article", "header", "footer", "aside", "main", "nav",
+  "figure", "figcaption", "address", "dl", "dt", "dd", "center",
+]);
+
+const SAFE_URL = /^(https?:|mailto:|tel:|\/|#)/i;
+
+function isSafeUrl(url) {
+  return SAFE_URL.test((url || "").trim());
+}
+
+// Google Docs routes links through https://www.google.com/url?q=<target>
+function unwrapRedirect(url) {
+  try {
+    const parsed = new URL(url);
+    if (/(^|\.)google\.com$/.test(parsed.hostname) && parsed.pathname === "/url" && parsed.searchParams.get("q")) {
+      return parsed.searchParams.get("q");
+    }
+  } catch (_) {
+    // Relative or malformed URLs are used as-is
+  }
+  return url;
+}
+
+function styleFormatting(el) {
+  const style = el.style;
+  const weight = style.fontWeight;
+  return {
+    bold: weight === "bold" || weight === "bolder" || parseInt(weight, 10) >= 600,
+    notBold: weight === "normal" || (parseInt(weight, 10) > 0 && parseInt(weight, 10) < 600),
+    italic: style.fontStyle === "italic",
+    strike: /line-through/.test(style.textDecoration || style.textDecorationLine || ""),
+  };
+}
+
+function wrap(doc, tagName, child) {
+  const el = doc.createElement(tagName);
+  el.appendChild(child);
+  return el;
+}
+
+function normalizeChildren(doc, node, report, inPre) {
+  const fragment = doc.createDocumentFragment();
+  Array.from(node.childNodes).forEach((child) => {
+    const normalized = normalizeNode(doc, child, report, inPre);
+    if (normalized) fragment.appendChild(normalized);
+  });
+  return fragment;
+}
+
+function normalizeNode(doc, node, report, inPre) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    const text = inPre ? node.textContent : node.textContent.replace(/\s+/g, " ");
+    return doc.createTextNode(text);
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) return null;
+
+  // Word wraps Office markup in namespaced tags like <o:p>
+  const tag = node.localName.toLowerCase();
+  if (tag.includes(":")) return normalizeChildren(doc, node, report, inPre);
+
+  if (DROPPED_TAGS.has(tag)) {
+    if (REPORTED_TAGS[tag]) report.add(REPORTED_TAGS[tag]);
+    return null;
+  }
+
+  if (node.hasAttribute("style") && /(color|font-family|font-size|background)/i.test(node.getAttribute("style"))) {
+    report.add("text colors and fonts");
+  }
+
+  const children = () => normalizeChildren(doc, node, report, inPre || tag === "pre");
+
+  switch (tag) {
+    case "br":
+      return doc.createElement("br");
+
+    case "img": {
+      const src = node.getAttribute("src") || "";
+      if (!/^https:/i.test(src)) {
+        report.add("images that weren't uploaded");
+        return null;
+      }
+      const img = doc.createElement("img");
+      img.setAttribute("src", src);
+      if (node.getAttribute("alt")) img.setAttribute("alt", node.getAttribute("alt"));
+      return img;
+    }
+
+    case "h1":
+    case "h2":
+      return wrap(doc, "h1", children());
+
+    case "h3":
+    case "h4":
+    case "h5":
+    case "h6":
+      report.add("smaller heading levels (kept as bold text)");
+      return wrap(doc, "div", wrap(doc, "strong", children()));
+
+    case "blockquote":
+    case "ul":
+    case "ol":
+    case "li":
+      return wrap(doc, tag, children());
+
+    case "pre": {
+      const pre = doc.createElement("pre");
+      pre.textContent = node.textContent;
+      return pre;
+    }
+
+    case "hr":
+      report.add("horizontal rules");
+      return null;
+
+    case "table":
+    case "thead":
+    case "tbody":
+    case "tfoot":
+      report.add("table layout");
+      return children();
+
+    case "tr":
+      return wrap(doc, "div", children());
+
+    case "td":
+    case "th": {
+      const cell = children();
+      if (node.nextElementSibling) cell.appendChild(doc.createTextNode(" · "));
+      return cell;
+    }
+
+    case "a": {
+      const href = unwrapRedirect(node.getAttribute("href") || "");
+      if (!href || !isSafeUrl(href)) return children();
+      const link = doc.createElement("a");
+      link.setAttribute("href", href);
+      link.appendChild(children());
+      return link;
+    }
+
+    case "strong":
+    case "b":
+      // Google Docs wraps the whole clipboard in <b style="font-weight:normal">
+      if (styleFormatting(node).notBold) return children();
+      return wrap(doc, "strong", children());
+
+    case "em":
+    case "i":
+      return wrap(doc, "em", children());
+
+    case "s":
+    case "strike":
+    case "del":
+      return wrap(doc, "del", children());
+  }
+
+  // Inline wrappers (span, font, u, ...) carry formatting in their styles
+  let result = children();
+  const format = styleFormatting(node);
+  if (format.strike) result = wrap(doc, "del", result);
+  if (format.italic) result = wrap(doc, "em", result);
+  if (format.bold) result = wrap(doc, "strong", result);
+
+  if (BLOCK_TAGS.has(tag)) return wrap(doc, "div", result);
+  return result;
+}
+
+// Returns { html, stripped } where stripped lists what was dropped
+function normalizePastedHTML(html) {
+  const source = new DOMParser().parseFromString(html, "text/html");
+  const doc = document.implementation.createHTMLDocument("");
+  const report = new Set();
+
+  const container = doc.createElement("div");
+  container.appendChild(normalizeChildren(doc, source.body, report, false));
+
+  return { html: container.innerHTML, stripped: Array.from(report) };
+}
+
+const MARKDOWN_PATTERNS = [
+  /^#{1,6}\s+\S/m,
+  /^\s*[-*+]\s+\S.*\n\s*[-*+]\s+\S/m,
+  /^\s*\d+[.)]\s+\S.*\n\s*\d+[.)]\s+\S/m,
+  /^>\s+\S/m,
+  /^```/m,
+  /\*\*[^*\n]+\*\*/,
+  /__[^_\n]+__/,
+  /~~[^~\n]+~~/,
+  /\[[^\]\n]+\]\([^)\s]+\)/,
+];
+
+function looksLikeMarkdown(text) {
+  return MARKDOWN_PATTERNS.some((pattern) => pattern.test(text));
+}
+
+function escapeHTML(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function markdownInline(text) {
+  return escapeHTML(text)
+    .replace(/!\[([^\]]*)\]\((https:[^)\s]+)\)/g, '<img src="$2" alt="$1">')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
+      return isSafeUrl(href) ? `<a href="${href}">${label}</a>` : label;
+    })
+    .replace(/`([^`]+)`/g, "$1")
+    .replace(/(\*\*|__)(\S(?:.*?\S)?)\1/g, "<strong>$2</strong>")
+    // Underscores only count at word edges, so snake_case and URLs survive
+    .replace(/(^|[^\w*])([*_])(\S(?:.*?\S)?)\2(?=[^\w*]|$)/g, "$1<em>$3</em>")
+    .replace(/~~(\S(?:.*?\S)?)~~/g, "<del>$1</del>");
+}
+
+function markdownToHTML(text) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+  let quote = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length) blocks.push(`<div>${paragraph.map(markdownInline).join("<br>")}</div>`);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) blocks.push(`<${list.tag}>${list.items.map((item) => `<li>${markdownInline(item)}</li>`).join("")}</${list.tag}>`);
+    list = null;
+  };
+  const flushQuote = () => {
+    if (quote.length) blocks.push(`<blockquote>${quote.map(markdownInline).join("<br>")}</blockquote>`);
+    quote = [];
+  };
+  const flushAll = () => {
+    flushParagraph();
+    flushList();
+    flushQuote();
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+
+    if (/^```/.test(line)) {
+      flushAll();
+      const code = [];
+      while (++i < lines.length && !/^```/.test(lines[i])) code.push(lines[i]);
+      blocks.push(`<pre>${escapeHTML(code.join("\n"))}</pre>`);
+    } else if ((match = line.match(/^(#{1,6})\s+(.*)$/))) {
+      flushAll();
+      const content = markdownInline(match[2].replace(/\s+#+\s*$/, ""));
+      blocks.push(match[1].length <= 2 ? `<h1>${content}</h1>` : `<div><strong>${content}</strong></div>`);
+    } else if ((match = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/))) {
+      flushParagraph();
+      flushQuote();
+      const tag = /\d/.test(match[1]) ? "ol" : "ul";
+      if (list && list.tag !== tag) flushList();
+      list = list || { tag, items: [] };
+      list.items.push(match[2]);
+    } else if ((match = line.match(/^>\s?(.*)$/))) {
+      flushParagraph();
+      flushList();
+      quote.push(match[1]);
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      // Horizontal rules have no Trix equivalent
+      flushAll();
+    } else if (line.trim() === "") {
+      flushAll();
+    } else {
+      flushList();
+      flushQuote();
+      paragraph.push(line.trim());
+    }
+  }
+  flushAll();
+
+  return blocks.join("");
+}
+
+// Markdown copied from a code editor often comes with a thin HTML version
+// (spans and line breaks only), so prefer the Markdown in that case
+function hasRichStructure(html) {
+  return /<(h[1-6]|ul|ol|li|strong|b|em|i|a|table|blockquote)[\s>]/i.test(html);
+}
+
+function isTrixCopy(clipboard) {
+  return Array.from(clipboard.types || []).some((type) => type.startsWith("application/x-trix"));
+}
+
+function showPasteNotice(editorElement, stripped) {
+  let notice = editorElement.previousElementSibling;
+  if (!notice || !notice.hasAttribute("data-paste-notice")) {
+    notice = document.createElement("div");
+    notice.setAttribute("data-paste-notice", "");
+    notice.setAttribute("role", "status");
+    notice.className = "not-prose flex items-start justify-between gap-3 mb-2 px-3 py-2 rounded border border-amber-300 bg-amber-50 text-sm text-amber-900";
+    editorElement.parentNode.insertBefore(notice, editorElement);
+  }
+
+  const message = document.createElement("span");
+  message.textContent = `Pasted content was cleaned up to match the site's formatting. Removed: ${stripped.join(", ")}.`;
+
+  const dismiss = document.createElement("button");
+  dismiss.type = "button";
+  dismiss.className = "shrink-0 font-semibold underline";
+  dismiss.textContent = "Dismiss";
+  dismiss.addEventListener("click", () => notice.remove());
+
+  notice.replaceChildren(message, dismiss);
+
+  clearTimeout(notice.hideTimer);
+  notice.hideTimer = setTimeout(() => notice.remove(), NOTICE_DISPLAY_MS);
+}
+
+// Intercepts pastes on the editor element before Trix sees them. Returns a
+// function that removes the listener.
+function installPasteNormalizer(editorElement) {
+  const handlePaste = (event) => {
+    const clipboard = event.clipboardData;
+    if (!clipboard || isTrixCopy(clipboard)) return;
+    // Pasted images are uploaded by TrixHook's attachment handling
+    if (Array.from(clipboard.types || []).includes("Files") && !clipboard.getData("text/plain")) return;
+    if (event.target.closest && event.target.closest("input, textarea")) return;
+
+    const html = clipboard.getData("text/html");
+    const text = clipboard.getData("text/plain");
+
+    let result;
+    if (text && looksLikeMarkdown(text) && (!html || !hasRichStructure(html))) {
+      result = { html: markdownToHTML(text), stripped: [] };
+    } else if (html) {
+      result = normalizePastedHTML(html);
+    } else {
+      // Plain text and files go through Trix as usual
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    editorElement.editor.recordUndoEntry("Paste");
+    editorElement.editor.insertHTML(result.html);
+
+    if (result.stripped.length > 0) showPasteNotice(editorElement, result.stripped);
+  };
+
+  editorElement.addEventListener("paste", handlePaste, true);
+  return () => editorElement.removeEventListener("paste", handlePaste, true);
+}
+
+export { installPasteNormalizer, normalizePastedHTML, markdownToHTML };
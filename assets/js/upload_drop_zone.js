@@ -0,0 +1,235 @@
+import { isProcessableImage } from "./image_preprocess";
+
+// Upload Drop Zone Hook for Phoenix LiveView
+// Turns any container around a live_file_input into a drag-and-drop and
+// paste target. Accepted files are handed to the input the same way the file
+// picker does, so they become regular LiveView upload entries.
+//
+//   data-max-file-size="10000000"   bytes, optional
+//   data-max-files="1"              optional, defaults to 1 unless the input is multiple
+//
+// Images that an ImagePreprocess hook around the input will shrink skip the
+// size check here; LiveView still checks the processed file's size.
+//
+// Accepted types come from the input's accept attribute. While a file is
+// dragged over the zone it carries data-drag-state="over"; rejected drops set
+// data-drag-state="rejected" and write the reason into a [data-drop-zone-error]
+// child (if present) for a few seconds.
+//
+// Pasting an image (e.g. a screenshot) goes to the zone the member last
+// pointed at or focused, unless the paste lands in a text field.
+
+const REJECTION_DISPLAY_MS = 5000;
+
+// Zone that receives clipboard pastes
+let activeZone = null;
+
+function formatBytes(bytes) {
+    if (bytes >= 1000000) return `${Math.round(bytes / 100000) / 10} MB`;
+    if (bytes >= 1000) return `${Math.round(bytes / 1000)} KB`;
+    return `${bytes} bytes`;
+}
+
+function isEditable(el) {
+    return !!el && (
+        el.isContentEditable ||
+        (el.tagName === "INPUT" && el.type !== "file") ||
+        el.tagName === "TEXTAREA" ||
+        el.tagName === "SELECT"
+    );
+}
+
+function matchesAccept(file, accept) {
+    if (!accept) return true;
+
+    const name = file.name.toLowerCase();
+    const type = (file.type || "").toLowerCase();
+
+    return accept.split(",").map((token) => token.trim().toLowerCase()).some((token) => {
+        if (!token) return false;
+        if (token.startsWith(".")) return name.endsWith(token);
+        if (token.endsWith("/*")) return type.startsWith(token.slice(0, -1));
+        return type === token;
+    });
+}
+
+function extensionForType(type) {
+    const subtype = (type.split("/")[1] || "png").replace("jpeg", "jpg");
+    return subtype.replace(/[^a-z0-9]/g, "") || "png";
+}
+
+const UploadDropZone = {
+    mounted() {
+        this.dragDepth = 0;
+
+        this.handleDragEnter = (event) => {
+            if (!this.hasFiles(event)) return;
+            event.preventDefault();
+            this.dragDepth++;
+            this.setState("over");
+        };
+
+        this.handleDragOver = (event) => {
+            if (!this.hasFiles(event)) return;
+            // Required for the drop event to fire
+            event.preventDefault();
+            event.dataTransfer.dropEffect = "copy";
+        };
+
+        this.handleDragLeave = () => {
+            this.dragDepth = Math.max(0, this.dragDepth - 1);
+            if (this.dragDepth === 0 && this.el.dataset.dragState === "over") {
+                this.setState(null);
+            }
+        };
+
+        this.handleDrop = (event) => {
+            if (!this.hasFiles(event)) return;
+            event.preventDefault();
+            // Capture phase: handled here instead of LiveView's phx-drop-target
+            event.stopPropagation();
+            this.dragDepth = 0;
+            this.setState(null);
+            this.addFiles(Array.from(event.dataTransfer.files));
+        };
+
+        this.handleActivate = () => {
+            activeZone = this;
+        };
+
+        this.handlePaste = (event) => {
+            if (activeZone !== this || !document.contains(this.el)) return;
+            if (isEditable(event.target)) return;
+
+            const files = Array.from(event.clipboardData?.items || [])
+                .filter((item) => item.kind === "file")
+                .map((item) => item.getAsFile())
+                .filter(Boolean)
+                .map((file) => this.namePastedFile(file));
+
+            if (files.length === 0) return;
+
+            event.preventDefault();
+            this.addFiles(files);
+        };
+
+        this.el.addEventListener("dragenter", this.handleDragEnter, true);
+        this.el.addEventListener("dragover", this.handleDragOver, true);
+        this.el.addEventListener("dragleave", this.handleDragLeave, true);
+        this.el.addEventListener("drop", this.handleDrop, true);
+        this.el.addEventListener("pointerenter", this.handleActivate);
+        this.el.addEventListener("focusin", this.handleActivate);
+        document.addEventListener("paste", this.handlePaste);
+    },
+
+    destroyed() {
+        this.el.removeEventListener("dragenter", this.handleDragEnter, true);
+        this.el.removeEventListener("dragover", this.handleDragOver, true);
+        this.el.removeEventListener("dragleave", this.handleDragLeave, true);
+        this.el.removeEventListener("drop", this.handleDrop, true);
+        this.el.removeEventListener("pointerenter", this.handleActivate);
+        this.el.removeEventListener("focusin", this.handleActivate);
+        document.removeEventListener("paste", this.handlePaste);
+
+        if (this.rejectionTimer) {
+            clearTimeout(this.rejectionTimer);
+        }
+        if (activeZone === this) {
+            activeZone = null;
+        }
+    },
+
+    fileInput() {
+        return this.el.querySelector("input[type='file']");
+    },
+
+    hasFiles(event) {
+        return Array.from(event.dataTransfer?.types || []).includes("Files");
+    },
+
+    namePastedFile(file) {
+        // Clipboard images all arrive as "image.png"; give them a useful name
+        const uploadType = this.fileInput()?.name || "upload";
+        const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+        return new File([file], `pasted-${uploadType}-${stamp}.${extensionForType(file.type)}`, {
+            type: file.type,
+            lastModified: Date.now()
+        });
+    },
+
+    setState(state) {
+        if (state) {
+            this.el.dataset.dragState = state;
+        } else {
+            delete this.el.dataset.dragState;
+        }
+    },
+
+    reject(message) {
+        this.setState("rejected");
+
+        const errorEl = this.el.querySelector("[data-drop-zone-error]");
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.classList.remove("hidden");
+        }
+
+        clearTimeout(this.rejectionTimer);
+        this.rejectionTimer = setTimeout(() => {
+            if (this.el.dataset.dragState === "rejected") this.setState(null);
+            if (errorEl) {
+                errorEl.textContent = "";
+                errorEl.classList.add("hidden");
+            }
+        }, REJECTION_DISPLAY_MS);
+    },
+
+    addFiles(files) {
+        const input = this.fileInput();
+        if (!input || input.disabled || files.length === 0) return;
+
+        const accept = input.getAttribute("accept");
+        const maxFileSize = parseInt(this.el.dataset.maxFileSize, 10);
+        const maxFiles = parseInt(this.el.dataset.maxFiles, 10) || (input.multiple ? Infinity : 1);
+        const preprocessed = !!input.closest("[phx-hook='ImagePreprocess']");
+
+        const rejected = [];
+        const accepted = files.filter((file) => {
+            if (!matchesAccept(file, accept)) {
+                rejected.push(`${file.name} is not a supported file type (${accept}).`);
+                return false;
+            }
+            if (preprocessed && isProcessableImage(file)) return true;
+            if (maxFileSize > 0 && file.size > maxFileSize) {
+                rejected.push(`${file.name} is larger than ${formatBytes(maxFileSize)}.`);
+                return false;
+            }
+            return true;
+        });
+
+        if (accepted.length > maxFiles) {
+            rejected.push(`Only ${maxFiles} file${maxFiles === 1 ? "" : "s"} can be added here.`);
+            accepted.splice(maxFiles);
+        }
+
+        if (rejected.length > 0) {
+            this.reject(rejected.join(" "));
+        }
+        if (accepted.length === 0) return;
+
+        try {
+            const transfer = new DataTransfer();
+            accepted.forEach((file) => transfer.items.add(file));
+            input.files = transfer.files;
+        } catch (error) {
+            console.error("UploadDropZone: unable to add files to input", error);
+            this.reject("Your browser could not add these files. Please use the file picker instead.");
+            return;
+        }
+
+        // Same event the file picker fires; LiveView and other hooks take it from here
+        input.dispatchEvent(new Event("input", { bubbles: true }));
+    }
+};
+
+export default UploadDropZone;
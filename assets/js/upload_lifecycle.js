@@ -0,0 +1,119 @@
+// Upload lifecycle events
+// Single place that uploaders and upload hooks report entry state to. Each
+// transition is dispatched as a bubbling CustomEvent on the entry's element
+// (falling back to window), so hooks and page scripts can react without
+// polling the DOM:
+//
+//   upload:started    { ref, uploadType }
+//   upload:progress   { ref, uploadType, progress }
+//   upload:completed  { ref, uploadType }
+//   upload:failed     { ref, uploadType, reason }
+//   upload:consumed   { ref, uploadType }
+//
+// started, completed, failed and consumed fire at most once per entry ref,
+// however many times they are reported. Progress fires on every change.
+//
+// Finished refs (completed, failed or consumed) stay tracked, so a late report
+// for one (a re-rendered progress element, a last progress tick after an
+// error) doesn't start it over. forget(ref) only drops refs that never
+// finished, such as entries cancelled mid-upload. Tracked refs are dropped
+// oldest first past MAX_TRACKED_REFS.
+
+const STARTED = "started";
+const COMPLETED = "completed";
+const FAILED = "failed";
+const CONSUMED = "consumed";
+
+const MAX_TRACKED_REFS = 100;
+
+// ref -> Set of states already emitted, in insertion order
+const emitted = new Map();
+
+function emit(state, ref, detail = {}) {
+    const { el, ...rest } = detail;
+    const event = new CustomEvent(`upload:${state}`, {
+        bubbles: true,
+        detail: { ref, ...rest }
+    });
+
+    if (el && document.contains(el)) {
+        el.dispatchEvent(event);
+    } else {
+        window.dispatchEvent(event);
+    }
+}
+
+function emitOnce(state, ref, detail) {
+    if (!ref) return false;
+
+    let states = emitted.get(ref);
+    if (!states) {
+        states = new Set();
+        emitted.set(ref, states);
+
+        if (emitted.size > MAX_TRACKED_REFS) {
+            emitted.delete(emitted.keys().next().value);
+        }
+    }
+    if (states.has(state)) return false;
+
+    // A completed or failed entry is past the point of starting
+    if (state !== STARTED && !states.has(STARTED)) {
+        states.add(STARTED);
+        emit(STARTED, ref, detail);
+    }
+
+    states.add(state);
+    emit(state, ref, detail);
+    return true;
+}
+
+function finished(states) {
+    return Boolean(states) && (states.has(COMPLETED) || states.has(FAILED) || states.has(CONSUMED));
+}
+
+const UploadLifecycle = {
+    started(ref, detail) {
+        return emitOnce(STARTED, ref, detail);
+    },
+
+    progress(ref, progress, detail = {}) {
+        if (finished(emitted.get(ref))) return;
+
+        emitOnce(STARTED, ref, detail);
+        emit("progress", ref, { ...detail, progress });
+    },
+
+    completed(ref, detail) {
+        const states = emitted.get(ref);
+        if (states && (states.has(FAILED) || states.has(CONSUMED))) return false;
+        return emitOnce(COMPLETED, ref, detail);
+    },
+
+    failed(ref, detail) {
+        const states = emitted.get(ref);
+        if (states && (states.has(COMPLETED) || states.has(CONSUMED))) return false;
+        return emitOnce(FAILED, ref, detail);
+    },
+
+    consumed(ref, detail) {
+        return emitOnce(CONSUMED, ref, detail);
+    },
+
+    // Stops tracking a ref whose element is gone, unless it finished
+    forget(ref) {
+        if (!finished(emitted.get(ref))) {
+            emitted.delete(ref);
+        }
+    },
+
+    // Details for an entry handed to a LiveView uploader
+    entryDetail(entry) {
+        return {
+            el: entry.fileEl,
+            uploadType: entry.fileEl ? entry.fileEl.name : undefined
+        };
+    }
+};
+
+export default UploadLifecycle;
@@ -1,51 +1,339 @@
+import UploadLifecycle from "./upload_lifecycle"
+
 let Uploaders = {}
 
+// Multipart uploads: parts uploaded concurrently, retries per part and how
+// long a journal of completed parts is kept for resuming after a reconnect.
+const MULTIPART_CONCURRENCY = 3
+const MULTIPART_MAX_ATTEMPTS = 4
+const MULTIPART_RETRY_BASE_MS = 1000
+const MULTIPART_JOURNAL_PREFIX = "ysc:s3-multipart:"
+const MULTIPART_JOURNAL_TTL_MS = 7 * 24 * 60 * 60 * 1000
+
 Uploaders.S3 = function(entries, onViewError) {
+    pruneMultipartJournals()
+
     entries.forEach(entry => {
-        let formData = new FormData()
-        let { url, fields } = entry.meta
-        Object.entries(fields).forEach(([key, val]) => formData.append(key, val))
-        formData.append("file", entry.file)
+        reportLifecycle(entry)
+
+        // Large files (e.g. admin media library videos) are presigned as an S3
+        // multipart upload; everything else keeps the single form POST.
+        if (entry.meta.multipart) {
+            uploadMultipart(entry, onViewError)
+        } else {
+            uploadSinglePost(entry, onViewError)
+        }
+    })
+}
+
+// Wraps the entry callbacks so every uploader reports to UploadLifecycle
+function reportLifecycle(entry) {
+    let detail = UploadLifecycle.entryDetail(entry)
+    let progress = entry.progress.bind(entry)
+    let error = entry.error.bind(entry)
+
+    entry.progress = (percent) => {
+        progress(percent)
+        if (percent >= 100) {
+            UploadLifecycle.completed(entry.ref, detail)
+        } else {
+            UploadLifecycle.progress(entry.ref, percent, detail)
+        }
+    }
+    entry.error = (reason) => {
+        error(reason)
+        UploadLifecycle.failed(entry.ref, { ...detail, reason })
+    }
+
+    UploadLifecycle.started(entry.ref, detail)
+}
+
+function uploadSinglePost(entry, onViewError) {
+    let formData = new FormData()
+    let { url, fields } = entry.meta
+    Object.entries(fields).forEach(([key, val]) => formData.append(key, val))
+    formData.append("file", entry.file)
+    let xhr = new XMLHttpRequest()
+    onViewError(() => xhr.abort())
+
+    xhr.onload = () => {
+        // S3 returns 204 No Content on success, but Tigris returns 200 OK
+        // Accept both as success for compatibility
+        if (xhr.status === 204 || xhr.status === 200) {
+            entry.progress(100)
+        } else {
+            // Log error details for debugging
+            console.error("S3 upload failed:", {
+                status: xhr.status,
+                statusText: xhr.statusText,
+                response: xhr.responseText,
+                url: url
+            })
+            entry.error()
+        }
+    }
+
+    xhr.onerror = () => {
+        // Log network/CORS errors for debugging
+        console.error("S3 upload network error:", {
+            url: url,
+            readyState: xhr.readyState,
+            status: xhr.status
+        })
+        entry.error()
+    }
+
+    xhr.upload.addEventListener("progress", (event) => {
+        if (event.lengthComputable) {
+            let percent = Math.round((event.loaded / event.total) * 100)
+            if (percent < 100) { entry.progress(percent) }
+        }
+    })
+
+    xhr.open("POST", url, true)
+    xhr.send(formData)
+}
+
+// Uploads an entry as an S3 multipart upload. The server
+// (YscWeb.S3.MultipartUpload) presigns every part, the completion and the
+// abort request up front and passes them through `entry.meta`:
+//
+//     multipart: {
+//         upload_id: "...",
+//         part_size: 10485760,
+//         parts: [{ part_number: 1, url: "https://..." }, ...],
+//         complete_url: "https://...",
+//         abort_url: "https://..."
+//     }
+//
+// Completed parts are journaled in localStorage under the upload id. When the
+// LiveView reconnects the server hands back the same upload id for the same
+// file, so only the missing parts are sent. If a part runs out of retries the
+// other parts are stopped and the upload is aborted on S3. The bucket CORS
+// rules must expose the ETag header.
+function uploadMultipart(entry, onViewError) {
+    let {
+        upload_id: uploadId,
+        part_size: partSize,
+        parts,
+        complete_url: completeUrl,
+        abort_url: abortUrl
+    } = entry.meta.multipart
+    let file = entry.file
+    let journal = readMultipartJournal(uploadId, file)
+    let inFlight = new Set()
+    // A view error keeps the upload so it can resume; a failure ends it
+    let aborted = false
+    let failed = false
+
+    onViewError(() => {
+        aborted = true
+        inFlight.forEach(xhr => xhr.abort())
+    })
+
+    // Bytes uploaded per part number, used for aggregate progress
+    let loaded = {}
+    parts.forEach(({ part_number }) => {
+        loaded[part_number] = journal.etags[part_number] ? partBlob(file, part_number, partSize).size : 0
+    })
+
+    let reportProgress = () => {
+        let total = Object.values(loaded).reduce((sum, bytes) => sum + bytes, 0)
+        let percent = file.size > 0 ? Math.floor((total / file.size) * 100) : 0
+        // 100 is only reported once S3 has assembled the object
+        if (percent < 100) { entry.progress(percent) }
+    }
+
+    let pending = parts.filter(({ part_number }) => !journal.etags[part_number])
+
+    let uploadPart = ({ part_number, url }, attempt = 1) => {
+        return putPart(url, partBlob(file, part_number, partSize), inFlight, (bytes) => {
+            loaded[part_number] = bytes
+            reportProgress()
+        }).then(etag => {
+            journal.etags[part_number] = etag
+            writeMultipartJournal(uploadId, journal)
+        }).catch(error => {
+            if (aborted || failed || attempt >= MULTIPART_MAX_ATTEMPTS) { throw error }
+
+            loaded[part_number] = 0
+            reportProgress()
+
+            let delay = MULTIPART_RETRY_BASE_MS * Math.pow(2, attempt - 1)
+            console.warn("S3 multipart part failed, retrying:", { part_number, attempt, delay, error })
+            return wait(delay).then(() => uploadPart({ part_number, url }, attempt + 1))
+        })
+    }
+
+    // Simple worker pool so a large file doesn't open hundreds of connections
+    let worker = () => {
+        let next = pending.shift()
+        if (!next || aborted || failed) { return Promise.resolve() }
+        return uploadPart(next).then(worker)
+    }
+
+    let workers = []
+    for (let i = 0; i < Math.min(MULTIPART_CONCURRENCY, pending.length); i++) {
+        workers.push(worker())
+    }
+
+    reportProgress()
+
+    Promise.all(workers)
+        .then(() => completeMultipart(completeUrl, parts, journal.etags, inFlight))
+        .then(() => {
+            clearMultipartJournal(uploadId)
+            entry.progress(100)
+        })
+        .catch(error => {
+            // Keep the journal so the upload resumes after a reconnect
+            if (aborted) { return }
+
+            // Stop the parts still uploading and let S3 drop the stored ones
+            failed = true
+            inFlight.forEach(xhr => xhr.abort())
+            abortMultipart(abortUrl)
+            clearMultipartJournal(uploadId)
+
+            console.error("S3 multipart upload failed:", {
+                uploadId: uploadId,
+                error: error
+            })
+            entry.error()
+        })
+}
+
+function partBlob(file, partNumber, partSize) {
+    let start = (partNumber - 1) * partSize
+    return file.slice(start, Math.min(start + partSize, file.size))
+}
+
+function putPart(url, blob, inFlight, onProgress) {
+    return new Promise((resolve, reject) => {
         let xhr = new XMLHttpRequest()
-        onViewError(() => xhr.abort())
+        inFlight.add(xhr)
 
         xhr.onload = () => {
-            // S3 returns 204 No Content on success, but Tigris returns 200 OK
-            // Accept both as success for compatibility
-            if (xhr.status === 204 || xhr.status === 200) {
-                entry.progress(100)
+            inFlight.delete(xhr)
+            let etag = xhr.getResponseHeader("ETag")
+            if (xhr.status >= 200 && xhr.status < 300 && etag) {
+                onProgress(blob.size)
+                resolve(etag)
             } else {
-                // Log error details for debugging
-                console.error("S3 upload failed:", {
-                    status: xhr.status,
-                    statusText: xhr.statusText,
-                    response: xhr.responseText,
-                    url: url
-                })
-                entry.error()
+                reject(new Error(`Part upload failed with status ${xhr.status}`))
             }
         }
-
         xhr.onerror = () => {
-            // Log network/CORS errors for debugging
-            console.error("S3 upload network error:", {
-                url: url,
-                readyState: xhr.readyState,
-                status: xhr.status
-            })
-            entry.error()
+            inFlight.delete(xhr)
+            reject(new Error("Part upload network error"))
+        }
+        xhr.onabort = () => {
+            inFlight.delete(xhr)
+            reject(new Error("Part upload aborted"))
         }
 
         xhr.upload.addEventListener("progress", (event) => {
-            if (event.lengthComputable) {
-                let percent = Math.round((event.loaded / event.total) * 100)
-                if (percent < 100) { entry.progress(percent) }
-            }
+            if (event.lengthComputable) { onProgress(event.loaded) }
         })
 
+        xhr.open("PUT", url, true)
+        xhr.send(blob)
+    })
+}
+
+function completeMultipart(url, parts, etags, inFlight) {
+    let body = "<CompleteMultipartUpload>" +
+        parts.map(({ part_number }) =>
+            `<Part><PartNumber>${part_number}</PartNumber><ETag>${etags[part_number]}</ETag></Part>`
+        ).join("") +
+        "</CompleteMultipartUpload>"
+
+    return new Promise((resolve, reject) => {
+        let xhr = new XMLHttpRequest()
+        inFlight.add(xhr)
+
+        xhr.onload = () => {
+            inFlight.delete(xhr)
+            // S3 can answer 200 with an <Error> body if assembly fails late
+            if (xhr.status === 200 && !/<Error>/.test(xhr.responseText)) {
+                resolve()
+            } else {
+                reject(new Error(`Complete multipart upload failed with status ${xhr.status}`))
+            }
+        }
+        xhr.onerror = () => {
+            inFlight.delete(xhr)
+            reject(new Error("Complete multipart upload network error"))
+        }
+        xhr.onabort = () => {
+            inFlight.delete(xhr)
+            reject(new Error("Complete multipart upload aborted"))
+        }
+
         xhr.open("POST", url, true)
-        xhr.send(formData)
+        xhr.setRequestHeader("Content-Type", "application/xml")
+        xhr.send(body)
     })
 }
 
-export default Uploaders;
\ No newline at end of file
+// Best effort: a bucket lifecycle rule cleans up uploads this can't reach
+function abortMultipart(url) {
+    let xhr = new XMLHttpRequest()
+    xhr.onerror = () => console.warn("S3 multipart abort failed:", { url: url })
+    xhr.open("DELETE", url, true)
+    xhr.send()
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+// Journal helpers. A journal is only reused for the same file, so picking a
+// different file under the same upload id starts over.
+function fileFingerprint(file) {
+    return `${file.name}:${file.size}:${file.lastModified}`
+}
+
+function readMultipartJournal(uploadId, file) {
+    let fresh = { file: fileFingerprint(file), etags: {}, updatedAt: Date.now() }
+    try {
+        let stored = JSON.parse(localStorage.getItem(MULTIPART_JOURNAL_PREFIX + uploadId))
+        if (stored && stored.file === fresh.file && stored.etags) { return stored }
+    } catch (_) {
+        // Storage unavailable or corrupt, start a fresh journal
+    }
+    return fresh
+}
+
+function writeMultipartJournal(uploadId, journal) {
+    try {
+        journal.updatedAt = Date.now()
+        localStorage.setItem(MULTIPART_JOURNAL_PREFIX + uploadId, JSON.stringify(journal))
+    } catch (_) {
+        // Resume is best effort; the upload itself still works without storage
+    }
+}
+
+function clearMultipartJournal(uploadId) {
+    try {
+        localStorage.removeItem(MULTIPART_JOURNAL_PREFIX + uploadId)
+    } catch (_) {
+        // Ignore storage errors
+    }
+}
+
+function pruneMultipartJournals() {
+    try {
+        let cutoff = Date.now() - MULTIPART_JOURNAL_TTL_MS
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(MULTIPART_JOURNAL_PREFIX))
+            .forEach(key => {
+                let journal = JSON.parse(localStorage.getItem(key))
+                if (!journal || journal.updatedAt < cutoff) { localStorage.removeItem(key) }
+            })
+    } catch (_) {
+        // Ignore storage errors
+    }
+}
+
+export default Uploaders;
@@ -0,0 +1,225 @@
+/**
+ * WebAuthn client helpers
+ *
+ * Shared by the passkey hooks for registration (navigator.credentials.create)
+ * and authentication (navigator.credentials.get):
+ *
+ *   - converting the server's JSON options (base64url ids) to the
+ *     ArrayBuffer-based options the browser wants, and credentials back to
+ *     JSON, with the browser's parse*FromJSON/toJSON when it has them
+ *   - turning DOMExceptions into stable error codes with guidance members
+ *     can act on (describeError)
+ *   - debug logging, off unless window.webauthnDebug is true (set by the
+ *     root layout from the :webauthn_debug config, which is only on in dev).
+ *     Challenges and credentials are never logged.
+ */
+
+// Stable codes sent to the server with member-facing guidance
+const GUIDANCE = {
+    cancelled: {
+        authentication: "The passkey prompt was closed before it finished. Try again, or use another sign-in method.",
+        registration: "The passkey prompt was closed before it finished. Try again when you're ready."
+    },
+    timeout: {
+        authentication: "The passkey prompt timed out. Try again and confirm on your device when asked.",
+        registration: "The passkey prompt timed out. Try again and confirm on your device when asked."
+    },
+    already_registered: {
+        registration: "This device already has a passkey for your account. Use another device, or revoke the old passkey in your security settings first."
+    },
+    credential_unavailable: {
+        authentication: "That passkey isn't available on this device. Try another passkey, or use another sign-in method."
+    },
+    security: {
+        authentication: "Passkeys can't be used on this address. Make sure you're on the club's website over a secure (https) connection.",
+        registration: "Passkeys can't be added on this address. Make sure you're on the club's website over a secure (https) connection."
+    },
+    not_supported: {
+        authentication: "This device or browser can't use passkeys this way. Try another device, or use another sign-in method.",
+        registration: "This device or browser can't create a passkey. Try another device or update your browser."
+    },
+    aborted: {
+        authentication: "The passkey request was stopped.",
+        registration: "The passkey request was stopped."
+    },
+    unknown: {
+        authentication: "Something went wrong with the passkey. Try again, or use another sign-in method.",
+        registration: "Something went wrong while adding the passkey. Please try again."
+    }
+};
+
+// Browsers report timeouts as NotAllowedError, like a cancelled prompt;
+// one that ran for (nearly) the whole timeout timed out
+const TIMEOUT_MARGIN_MS = 1000;
+
+export function debugEnabled() {
+    return window.webauthnDebug === true;
+}
+
+export function debug(message, details) {
+    if (debugEnabled()) {
+        console.debug(`[WebAuthn] ${message}`, details ?? "");
+    }
+}
+
+function errorCode(error, { ceremony, timeout, startedAt }) {
+    switch (error?.name) {
+        case "AbortError":
+            return "aborted";
+        case "TimeoutError":
+            return "timeout";
+        case "NotAllowedError": {
+            const elapsed = startedAt ? Date.now() - startedAt : 0;
+            return timeout && elapsed >= timeout - TIMEOUT_MARGIN_MS ? "timeout" : "cancelled";
+        }
+        case "InvalidStateError":
+            return ceremony === "registration" ? "already_registered" : "credential_unavailable";
+        case "SecurityError":
+            return "security";
+        case "NotSupportedError":
+        case "ConstraintError":
+            return "not_supported";
+        default:
+            return "unknown";
+    }
+}
+
+/**
+ * Describes a failed ceremony as { error, code, message }: the DOMException
+ * name, a stable code and guidance for the member.
+ *
+ * `context` is { ceremony: "authentication" | "registration", timeout,
+ * startedAt }, where startedAt is when the prompt opened (Date.now()).
+ */
+export function describeError(error, context) {
+    const code = errorCode(error, context);
+    const guidance = GUIDANCE[code][context.ceremony] || GUIDANCE.unknown[context.ceremony];
+
+    return { error: error?.name || "UnknownError", code, message: guidance };
+}
+
+export function base64UrlToArrayBuffer(base64url) {
+    const base64 = base64url.replace(/-/g, "+").replace(/_/g, "/");
+    const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+    const binary = atob(padded);
+    const bytes = new Uint8Array(binary.length);
+
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+
+    return bytes.buffer;
+}
+
+export function arrayBufferToBase64Url(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = "";
+
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=/g, "");
+}
+
+function hasBytes(buffer) {
+    return !!buffer && buffer.byteLength > 0;
+}
+
+/**
+ * Request options for navigator.credentials.get() from the server's JSON
+ * (camelCase keys, base64url challenge and credential ids).
+ */
+export function requestOptionsFromJSON(options) {
+    if (!options?.challenge) {
+        throw new TypeError("The authentication challenge is missing");
+    }
+
+    const json = {
+        challenge: options.challenge,
+        rpId: options.rpId || options.rp_id,
+        timeout: options.timeout,
+        userVerification: options.userVerification || options.user_verification || "preferred"
+    };
+
+    // Omitted for discoverable credentials so the browser shows its picker
+    if (options.allowCredentials?.length > 0) {
+        json.allowCredentials = options.allowCredentials;
+    }
+
+    if (window.PublicKeyCredential?.parseRequestOptionsFromJSON) {
+        try {
+            const publicKey = PublicKeyCredential.parseRequestOptionsFromJSON(json);
+            if (hasBytes(publicKey.challenge)) {
+                return publicKey;
+            }
+        } catch (error) {
+            debug("parseRequestOptionsFromJSON failed, converting manually", error.name);
+        }
+    }
+
+    return {
+        ...json,
+        challenge: base64UrlToArrayBuffer(json.challenge),
+        allowCredentials: json.allowCredentials?.map((credential) => ({
+            ...credential,
+            id: base64UrlToArrayBuffer(credential.id)
+        }))
+    };
+}
+
+/**
+ * Creation options for navigator.credentials.create() from the server's
+ * JSON (camelCase keys, base64url challenge and user id).
+ */
+export function creationOptionsFromJSON(options) {
+    if (!options?.challenge || !options?.rp || !options?.user) {
+        throw new TypeError("The registration options are incomplete");
+    }
+
+    if (window.PublicKeyCredential?.parseCreationOptionsFromJSON) {
+        try {
+            const publicKey = PublicKeyCredential.parseCreationOptionsFromJSON(options);
+            if (hasBytes(publicKey.challenge) && hasBytes(publicKey.user?.id)) {
+                return publicKey;
+            }
+        } catch (error) {
+            debug("parseCreationOptionsFromJSON failed, converting manually", error.name);
+        }
+    }
+
+    return {
+        ...options,
+        challenge: base64UrlToArrayBuffer(options.challenge),
+        user: { ...options.user, id: base64UrlToArrayBuffer(options.user.id) }
+    };
+}
+
+/**
+ * A credential from navigator.credentials.get() or create() as JSON with
+ * base64url binary fields, the shape the LiveViews decode.
+ */
+export function credentialToJSON(credential) {
+    if (typeof credential.toJSON === "function") {
+        return credential.toJSON();
+    }
+
+    const response = {};
+    const fields = ["clientDataJSON", "authenticatorData", "signature", "userHandle", "attestationObject"];
+
+    fields.forEach((field) => {
+        const value = credential.response[field];
+        if (value) {
+            response[field] = arrayBufferToBase64Url(value);
+        } else if (field === "userHandle" && "userHandle" in credential.response) {
+            response.userHandle = null;
+        }
+    });
+
+    return {
+        id: credential.id,
+        rawId: arrayBufferToBase64Url(credential.rawId),
+        response,
+        type: credential.type
+    };
+}
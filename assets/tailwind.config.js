@@ -5,8 +5,38 @@ const plugin = require("tailwindcss/plugin");
 const fs = require("fs");
 const path = require("path");
 
+// Design tokens for UI styled outside Tailwind classes (Stripe Elements, see
+// js/stripe_appearance.js), as theme paths per color scheme. They're emitted
+// as --ysc-* CSS variables below.
+const designTokens = {
+  shared: {
+    "font-family": "fontFamily.sans",
+    "radius-field": "borderRadius.lg",
+    "radius-card": "borderRadius.xl",
+    "spacing-unit": "spacing.1",
+  },
+  light: {
+    "color-primary": "colors.blue.600",
+    "color-background": "colors.white",
+    "color-text": "colors.zinc.900",
+    "color-text-secondary": "colors.zinc.500",
+    "color-danger": "colors.red.500",
+    "color-border": "colors.zinc.200",
+  },
+  dark: {
+    "color-primary": "colors.blue.400",
+    "color-background": "colors.zinc.900",
+    "color-text": "colors.zinc.100",
+    "color-text-secondary": "colors.zinc.400",
+    "color-danger": "colors.red.400",
+    "color-border": "colors.zinc.700",
+  },
+};
+
 module.exports = {
   content: ["./js/**/*.js", "../lib/*_web.ex", "../lib/*_web/**/*.*ex"],
+  // data-theme is set on <html> by js/theme.js
+  darkMode: ["class", '[data-theme="dark"]'],
   theme: {
     extend: {
       colors: {
@@ -59,6 +89,26 @@ module.exports = {
       addVariant("only", "&:only-child")
     ),
 
+    // Design tokens as CSS variables. The dark ones only apply once
+    // js/theme.js has set data-theme="dark" for a member who chose it.
+    plugin(({ addBase, theme }) => {
+      const variables = (tokens, scheme) => {
+        const values = Object.entries(tokens).map(([name, key]) => {
+          const value = theme(key);
+          return [`--ysc-${name}`, Array.isArray(value) ? value.join(", ") : value];
+        });
+        return { "--ysc-color-scheme": scheme, ...Object.fromEntries(values) };
+      };
+
+      addBase({
+        ":root": {
+          ...variables(designTokens.shared, "light"),
+          ...variables(designTokens.light, "light"),
+        },
+        ':root[data-theme="dark"]': variables(designTokens.dark, "dark"),
+      });
+    }),
+
     // Embeds Heroicons (https://heroicons.com) into your app.css bundle
     // See your `CoreComponents.icon/1` for more information.
     //
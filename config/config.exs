@@ -48,6 +48,12 @@ config :esbuild,
       ~w(js/app.js --bundle --target=es2017 --outdir=../priv/static/assets --external:/fonts/* --external:/images/*),
     cd: Path.expand("../assets", __DIR__),
     env: %{"NODE_PATH" => Path.expand("../deps", __DIR__)}
+  ],
+  stripe_stub: [
+    args:
+      ~w(js/stripe_stub.js --bundle --target=es2017 --outdir=../priv/static/assets),
+    cd: Path.expand("../assets", __DIR__),
+    env: %{"NODE_PATH" => Path.expand("../deps", __DIR__)}
   ]
 
 # Configure tailwind (the version is required)
@@ -132,6 +138,24 @@ config :stripity_stripe, :retries,
   base_backoff: 500,
   max_backoff: 2_000
 
+# Stripe.js is loaded from here. Overridden with STRIPE_JS_URL in
+# config/runtime.exs.
+config :ysc, :stripe_js_url, "https://js.stripe.com/v3/"
+
+# Logs passkey ceremonies (never challenges or credentials) to the browser
+# console. Enabled in dev.
+config :ysc, :webauthn_debug, false
+
+# Default rates (units per 1 USD) for the approximate amounts shown next to
+# USD prices at checkout. Only used to create the `display_currency_rates`
+# site setting, which is what admins update afterwards.
+config :ysc, :display_currency_rates, %{
+  "EUR" => "0.92",
+  "NOK" => "10.85",
+  "SEK" => "10.55",
+  "DKK" => "6.88"
+}
+
 config :ysc, :radar,
   public_key:
     System.get_env(
@@ -82,6 +82,9 @@ config :ysc, YscWeb.Endpoint,
 # Enable dev routes for dashboard and mailbox
 config :ysc, dev_routes: true
 
+# Log passkey ceremonies to the browser console
+config :ysc, :webauthn_debug, true
+
 # Do not include metadata nor timestamps in development logs
 config :logger, :console, format: "[$level] $message\n"
 
@@ -25,6 +25,14 @@ config :ysc, :flowroute,
   secret_key: System.get_env("FLOWROUTE_SECRET_KEY"),
   from_number: System.get_env("FLOWROUTE_FROM_NUMBER")
 
+# ## Stripe.js
+#
+# Point STRIPE_JS_URL at /assets/stripe_stub.js (built with
+# `mix esbuild stripe_stub`) to run checkout against the local stub.
+if System.get_env("STRIPE_JS_URL") do
+  config :ysc, :stripe_js_url, System.get_env("STRIPE_JS_URL")
+end
+
 # ## Email Address Configuration
 #
 # Configure email addresses for outgoing emails and contact information.
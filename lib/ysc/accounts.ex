@@ -200,6 +200,14 @@ defmodule Ysc.Accounts do
     |> Repo.all()
   end
 
+  @doc """
+  Gets one of the user's passkeys, or nil when it doesn't exist or belongs
+  to someone else.
+  """
+  def get_user_passkey(user, id) do
+    Repo.get_by(UserPasskey, id: id, user_id: user.id)
+  end
+
   @doc """
   Gets a user passkey by external_id (credential ID).
   """
@@ -238,6 +246,15 @@ defmodule Ysc.Accounts do
     |> Repo.update()
   end
 
+  @doc """
+  Renames a user passkey.
+  """
+  def rename_user_passkey(passkey, nickname) do
+    passkey
+    |> UserPasskey.rename_changeset(%{nickname: nickname})
+    |> Repo.update()
+  end
+
   @doc """
   Deletes a user passkey.
   """
@@ -955,6 +972,39 @@ defmodule Ysc.Accounts do
     end
   end
 
+  @doc """
+  Emails the user a code to confirm a sensitive action (step-up
+  verification). The code expires after 10 minutes.
+  """
+  def deliver_step_up_code(user) do
+    code = generate_email_verification_code()
+    :ok = Ysc.VerificationCache.store_code(user.id, :step_up, code, 600)
+
+    timestamp = DateTime.utc_now() |> DateTime.to_unix()
+    send_email_verification_code(user, code, "step_up_#{timestamp}")
+  end
+
+  @doc """
+  Verifies a step-up code sent with `deliver_step_up_code/1`.
+
+  Returns the same results as `verify_email_verification_code/2`.
+  """
+  def verify_step_up_code(user, provided_code) do
+    # In dev/test environments, accept "000000" as a valid code
+    if dev_or_sandbox?() and provided_code == "000000" do
+      {:ok, :verified}
+    else
+      Ysc.VerificationCache.verify_code(user.id, :step_up, provided_code)
+    end
+  end
+
+  @doc """
+  Discards the user's step-up code, e.g. after too many wrong guesses.
+  """
+  def remove_step_up_code(user) do
+    Ysc.VerificationCache.remove_code(user.id, :step_up)
+  end
+
   ## Settings
 
   @doc """
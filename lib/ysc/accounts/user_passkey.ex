@@ -14,10 +14,13 @@ defmodule Ysc.Accounts.UserPasskey do
   @foreign_key_type Ecto.ULID
   @timestamps_opts [type: :utc_datetime]
 
+  @device_types [:mobile, :tablet, :desktop, :unknown]
+
   schema "user_passkeys" do
     field :external_id, :binary
     field :public_key, :binary
     field :nickname, :string
+    field :device_type, Ecto.Enum, values: @device_types
     field :sign_count, :integer, default: 0
     field :last_used_at, :utc_datetime
 
@@ -33,11 +36,13 @@ defmodule Ysc.Accounts.UserPasskey do
       :external_id,
       :public_key,
       :nickname,
+      :device_type,
       :sign_count,
       :last_used_at,
       :user_id
     ])
     |> validate_required([:external_id, :public_key, :user_id])
+    |> validate_length(:nickname, max: 60)
     |> validate_number(:sign_count, greater_than_or_equal_to: 0)
     |> unique_constraint(:external_id)
     |> foreign_key_constraint(:user_id)
@@ -60,6 +65,28 @@ defmodule Ysc.Accounts.UserPasskey do
     |> validate_number(:sign_count, greater_than_or_equal_to: 0)
   end
 
+  @doc """
+  Creates a changeset for renaming a passkey.
+  """
+  def rename_changeset(passkey, attrs) do
+    passkey
+    |> cast(attrs, [:nickname])
+    |> update_change(:nickname, &String.trim/1)
+    |> validate_required([:nickname])
+    |> validate_length(:nickname, max: 60)
+  end
+
+  @doc """
+  The device type for a user agent, as parsed by `Ysc.Accounts.AuthEvent`.
+  """
+  def device_type_from_user_agent(user_agent) do
+    device_type =
+      Ysc.Accounts.AuthEvent.parse_user_agent(user_agent)
+      |> Map.get(:device_type, "unknown")
+
+    Enum.find(@device_types, :unknown, &(Atom.to_string(&1) == device_type))
+  end
+
   @doc """
   Converts a COSE key map to binary for storage.
   """
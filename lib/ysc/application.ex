@@ -33,6 +33,10 @@ defmodule Ysc.Application do
       {Cachex, name: :ysc_cache},
       # Auth rate limiting (credential stuffing protection)
       {Ysc.AuthRateLimit, [clean_period: :timer.minutes(1)]},
+      # Promo code rate limiting (code guessing protection)
+      {Ysc.PromoCodes.RateLimit, [clean_period: :timer.minutes(1)]},
+      # Step-up verification rate limiting (per member, survives the modal)
+      {YscWeb.StepUp.RateLimit, [clean_period: :timer.minutes(1)]},
       # Start verification code cache
       Ysc.VerificationCache,
       # Start the Endpoint (http/https)
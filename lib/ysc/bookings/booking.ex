@@ -72,17 +72,28 @@ defmodule Ysc.Bookings.Booking do
     field :pricing_items, :map
     field :checked_in, :boolean, default: false
 
+    field :promo_discount_amount, Money.Ecto.Composite.Type,
+      default_currency: :USD
+
     many_to_many :rooms, Ysc.Bookings.Room,
       join_through: Ysc.Bookings.BookingRoom
 
     belongs_to :user, Ysc.Accounts.User, foreign_key: :user_id, references: :id
 
+    belongs_to :promo_code, Ysc.PromoCodes.PromoCode,
+      foreign_key: :promo_code_id,
+      references: :id
+
     has_many :booking_guests, Ysc.Bookings.BookingGuest,
       foreign_key: :booking_id
 
     has_many :check_in_bookings, Ysc.Bookings.CheckInBooking,
       foreign_key: :booking_id
 
+    has_many :payment_shares, Ysc.Bookings.BookingPaymentShare,
+      foreign_key: :booking_id,
+      preload_order: [asc: :position]
+
     many_to_many :check_ins, Ysc.Bookings.CheckIn,
       join_through: Ysc.Bookings.CheckInBooking
 
@@ -38,6 +38,7 @@ defmodule Ysc.Bookings.BookingLocker do
 
   alias Ysc.Bookings.{
     Booking,
+    PaymentShares,
     PropertyInventory,
     RoomInventory,
     Room
@@ -1627,9 +1628,19 @@ defmodule Ysc.Bookings.BookingLocker do
         Repo.rollback({:error, :invalid_status})
       end
 
+      # Part of a split booking has been paid; releasing it would keep that
+      # money without the booking (PaymentShares.cancel_and_refund/2 refunds
+      # the paid shares first)
+      if PaymentShares.paid_shares?(booking.id) do
+        Repo.rollback({:error, :shares_paid})
+      end
+
       # Cancel PaymentIntent in Stripe if it exists (search by metadata)
       cancel_booking_payment_intent(booking)
 
+      # The unpaid booking gives its promo code's redemption back
+      Ysc.PromoCodes.release(booking.promo_code_id)
+
       case booking.booking_mode do
         :buyout ->
           # Reset buyout_held = false
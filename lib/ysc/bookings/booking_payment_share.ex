@@ -0,0 +1,68 @@
+defmodule Ysc.Bookings.BookingPaymentShare do
+  @moduledoc """
+  BookingPaymentShare schema and changesets.
+
+  Represents one payer's portion of a booking whose total has been split
+  across several members. Each share has its own link token; the share at
+  position 0 belongs to the member who made the booking.
+  """
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  @primary_key {:id, Ecto.ULID, autogenerate: true}
+  @foreign_key_type Ecto.ULID
+  @timestamps_opts [type: :utc_datetime]
+
+  schema "booking_payment_shares" do
+    field :position, :integer
+    field :amount, Money.Ecto.Composite.Type, default_currency: :USD
+    field :token, :string
+
+    field :status, Ecto.Enum,
+      values: [:pending, :paid, :refunded],
+      default: :pending
+
+    field :payment_intent_id, :string
+    field :paid_at, :utc_datetime
+
+    belongs_to :booking, Ysc.Bookings.Booking,
+      foreign_key: :booking_id,
+      references: :id
+
+    belongs_to :payer, Ysc.Accounts.User,
+      foreign_key: :payer_id,
+      references: :id
+
+    timestamps()
+  end
+
+  @doc """
+  Creates a changeset for a new share.
+  """
+  def changeset(share, attrs \\ %{}) do
+    share
+    |> cast(attrs, [:booking_id, :payer_id, :position, :amount, :token])
+    |> validate_required([:booking_id, :position, :amount, :token])
+    |> validate_number(:position, greater_than_or_equal_to: 0)
+    |> unique_constraint(:token)
+    |> unique_constraint([:booking_id, :position])
+  end
+
+  @doc """
+  Changeset marking the share as paid by the given payment intent.
+  """
+  def paid_changeset(share, payment_intent_id) do
+    change(share,
+      status: :paid,
+      payment_intent_id: payment_intent_id,
+      paid_at: DateTime.utc_now() |> DateTime.truncate(:second)
+    )
+  end
+
+  @doc """
+  Changeset marking the share's payment as refunded.
+  """
+  def refunded_changeset(share, payment_intent_id) do
+    change(share, status: :refunded, payment_intent_id: payment_intent_id)
+  end
+end
@@ -6,6 +6,9 @@ defmodule Ysc.Bookings.HoldExpiryWorker do
   - Find bookings with status = :hold AND hold_expires_at < now()
   - Lock the same inventory rows, reverse the hold, move to :canceled
   - Release inventory back to available
+
+  A split booking whose group didn't finish paying is canceled with its
+  paid shares refunded (see `Ysc.Bookings.PaymentShares.cancel_and_refund/2`).
   """
 
   use Oban.Worker, queue: :default, max_attempts: 3
@@ -13,7 +16,7 @@ defmodule Ysc.Bookings.HoldExpiryWorker do
   import Ecto.Query
   require Logger
 
-  alias Ysc.Bookings.{Booking, BookingLocker}
+  alias Ysc.Bookings.{Booking, BookingLocker, PaymentShares}
 
   @impl Oban.Worker
   def perform(%Oban.Job{}) do
@@ -36,7 +39,7 @@ defmodule Ysc.Bookings.HoldExpiryWorker do
     count = length(expired_bookings)
 
     Enum.each(expired_bookings, fn booking ->
-      case BookingLocker.release_hold(booking.id) do
+      case release(booking) do
         {:ok, _updated_booking} ->
           Logger.info("Expired booking hold due to timeout",
             booking_id: booking.id,
@@ -78,6 +81,17 @@ defmodule Ysc.Bookings.HoldExpiryWorker do
     end
   end
 
+  defp release(booking) do
+    if PaymentShares.paid_shares?(booking.id) do
+      PaymentShares.cancel_and_refund(
+        booking,
+        "Split payment was not completed before the hold expired"
+      )
+    else
+      BookingLocker.release_hold(booking.id)
+    end
+  end
+
   @impl Oban.Worker
   def timeout(_job) do
     # Job timeout after 60 seconds (may need to process multiple bookings)
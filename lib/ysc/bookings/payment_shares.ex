@@ -0,0 +1,471 @@
+defmodule Ysc.Bookings.PaymentShares do
+  @moduledoc """
+  Split payments for bookings.
+
+  The member who made a booking can split its total into equal shares, one
+  per payer. Each share gets a link token that another signed-in member can
+  use to pay it through the regular checkout. The booking stays on hold
+  until every share is paid, and the hold is extended when the split is
+  created so the group has time to pay. Once the last share is paid the
+  booking is confirmed.
+
+  Each paid share gives the rest of the group another 48 hours: the hold is
+  extended, never cleared. If the hold still runs out, `HoldExpiryWorker`
+  cancels the booking with `cancel_and_refund/2`, which refunds every paid
+  share before releasing the hold; the booking member and admins can do the
+  same at any time. `BookingLocker.release_hold/1` on its own refuses a
+  booking with paid shares, so their money is never kept for a released
+  booking. A share paid after its booking was released is refunded when the
+  payment is recorded. Shares can only be changed while none of them has
+  been paid.
+
+  Share payments are recorded by the checkout page and, for a payer who
+  closed it too early, by the `payment_intent.succeeded` webhook
+  (`record_intent/1`).
+  """
+  import Ecto.Query, warn: false
+
+  require Logger
+
+  alias Ysc.Bookings
+  alias Ysc.Bookings.{Booking, BookingLocker, BookingPaymentShare}
+  alias Ysc.MessagePassingEvents.BookingPaymentSharesUpdated
+  alias Ysc.Repo
+
+  @max_shares 8
+
+  # Minimum time left on the hold after the split is created
+  @hold_extension_minutes 120
+
+  # Minimum time the rest of the group has to pay after a share is paid
+  @paid_hold_extension_minutes 48 * 60
+
+  def max_shares, do: @max_shares
+
+  def subscribe(booking_id) do
+    Phoenix.PubSub.subscribe(Ysc.PubSub, topic(booking_id))
+  end
+
+  @doc """
+  Lists the booking's shares in payment order (the booking member first).
+  """
+  def list_shares(%Booking{id: booking_id}) do
+    from(s in BookingPaymentShare,
+      where: s.booking_id == ^booking_id,
+      order_by: [asc: s.position],
+      preload: [:payer]
+    )
+    |> Repo.all()
+  end
+
+  @doc """
+  Gets a share by its link token, with its booking. Returns `nil` if the
+  token is unknown.
+  """
+  def get_share_by_token(token) when is_binary(token) do
+    from(s in BookingPaymentShare,
+      where: s.token == ^token,
+      preload: [
+        :payer,
+        booking: [:user, :booking_guests, rooms: :room_category]
+      ]
+    )
+    |> Repo.one()
+  end
+
+  def get_share_by_token(_token), do: nil
+
+  @doc """
+  Splits the booking total into `count` shares, replacing any existing
+  split. Amounts are equal to the cent; the remainder goes to the booking
+  member's share.
+
+  Returns `{:ok, shares}` or `{:error, reason}` where reason is one of
+  `:invalid_count`, `:invalid_status` or `:shares_paid`.
+  """
+  def split(%Booking{} = booking, total_price, count) when is_integer(count) do
+    cond do
+      count < 2 or count > @max_shares ->
+        {:error, :invalid_count}
+
+      booking.status != :hold ->
+        {:error, :invalid_status}
+
+      true ->
+        booking
+        |> replace_shares(share_amounts(total_price, count))
+        |> broadcast_result(booking.id)
+    end
+  end
+
+  def split(_booking, _total_price, _count), do: {:error, :invalid_count}
+
+  @doc """
+  Removes the booking's split so the booking member pays the whole total.
+  """
+  def cancel_split(%Booking{} = booking) do
+    Repo.transaction(fn ->
+      ensure_nothing_paid!(booking.id)
+
+      Repo.delete_all(
+        from(s in BookingPaymentShare, where: s.booking_id == ^booking.id)
+      )
+
+      []
+    end)
+    |> broadcast_result(booking.id)
+  end
+
+  @doc """
+  Assigns an unclaimed share to the member opening its link. Returns
+  `{:error, :claimed}` when another member is already paying it.
+  """
+  def claim(%BookingPaymentShare{payer_id: payer_id} = share, %{id: payer_id}),
+    do: {:ok, share}
+
+  def claim(%BookingPaymentShare{payer_id: nil} = share, %{id: user_id}) do
+    # Only the first of two members opening the link at once gets the share
+    {count, _} =
+      from(s in BookingPaymentShare,
+        where: s.id == ^share.id and is_nil(s.payer_id)
+      )
+      |> Repo.update_all(
+        set: [
+          payer_id: user_id,
+          updated_at: DateTime.utc_now() |> DateTime.truncate(:second)
+        ]
+      )
+
+    case Repo.get(BookingPaymentShare, share.id) do
+      %BookingPaymentShare{payer_id: ^user_id} = claimed ->
+        claimed = Repo.preload(claimed, :payer)
+        if count == 1, do: broadcast(claimed.booking_id)
+        {:ok, claimed}
+
+      _ ->
+        {:error, :claimed}
+    end
+  end
+
+  def claim(%BookingPaymentShare{}, _user), do: {:error, :claimed}
+
+  @doc """
+  Records a successful payment for a share. Extends the hold while other
+  shares are outstanding and confirms the booking once every share is paid.
+
+  Returns `{:ok, :outstanding}` or `{:ok, :fully_paid}`. Recording the same
+  payment twice is a no-op. A payment for a booking that is no longer held
+  (it was released or expired meanwhile) is refunded and returns
+  `{:error, :booking_released}`.
+  """
+  def record_payment(%BookingPaymentShare{} = share, payment_intent_id) do
+    result =
+      Repo.transaction(fn ->
+        share =
+          from(s in BookingPaymentShare,
+            where: s.id == ^share.id,
+            lock: "FOR UPDATE"
+          )
+          |> Repo.one!()
+
+        booking = Repo.get!(Booking, share.booking_id)
+
+        cond do
+          booking.status != :hold and share.status == :pending ->
+            Repo.rollback(:booking_released)
+
+          # Recorded before the booking was confirmed or released
+          booking.status != :hold ->
+            Repo.rollback({:not_held, booking.status})
+
+          share.status == :pending ->
+            share
+            |> BookingPaymentShare.paid_changeset(payment_intent_id)
+            |> Repo.update!()
+
+          true ->
+            :ok
+        end
+
+        outstanding =
+          from(s in BookingPaymentShare,
+            where: s.booking_id == ^share.booking_id and s.status == :pending
+          )
+          |> Repo.aggregate(:count)
+
+        if outstanding > 0 do
+          extend_hold!(share.booking_id, @paid_hold_extension_minutes)
+          :outstanding
+        else
+          :fully_paid
+        end
+      end)
+
+    case result do
+      {:ok, state} ->
+        with {:ok, state} <- maybe_confirm(state, share.booking_id) do
+          broadcast(share.booking_id)
+          {:ok, state}
+        end
+
+      {:error, :booking_released} ->
+        refund_late_payment(share, payment_intent_id)
+        {:error, :booking_released}
+
+      {:error, {:not_held, :complete}} ->
+        {:ok, :fully_paid}
+
+      {:error, {:not_held, _status}} ->
+        {:error, :booking_released}
+
+      {:error, reason} ->
+        {:error, reason}
+    end
+  end
+
+  @doc """
+  Records a share payment reported by Stripe's `payment_intent.succeeded`
+  webhook, for payers who left the checkout page before it could. Adds the
+  ledger payment (unless the page already did) and records the share.
+
+  Returns `:ignore` for intents that aren't share payments.
+  """
+  def record_intent(%{id: payment_intent_id, metadata: metadata} = intent) do
+    share_id = metadata && metadata["payment_share_id"]
+
+    case share_id && Repo.get(BookingPaymentShare, share_id) do
+      nil ->
+        :ignore
+
+      %BookingPaymentShare{} = share ->
+        booking = Repo.get!(Booking, share.booking_id)
+
+        with {:ok, _payment} <- record_ledger_payment(booking, share, intent) do
+          record_payment(share, payment_intent_id)
+        end
+    end
+  end
+
+  def record_intent(_intent), do: :ignore
+
+  @doc """
+  Cancels a split booking that is still on hold: refunds every paid share,
+  then releases the hold. Used when the hold runs out, and by the booking
+  member or an admin to give up on a split that won't be completed.
+
+  Returns `{:ok, booking}`, or `{:error, reason}` when a refund or the
+  release fails; shares refunded before the failure stay refunded, so it can
+  simply be retried.
+  """
+  def cancel_and_refund(%Booking{} = booking, reason) do
+    paid =
+      from(s in BookingPaymentShare,
+        where: s.booking_id == ^booking.id and s.status == :paid
+      )
+      |> Repo.all()
+
+    with :ok <- refund_shares(paid, reason),
+         {:ok, booking} <- BookingLocker.release_hold(booking.id) do
+      broadcast(booking.id)
+      {:ok, booking}
+    end
+  end
+
+  @doc """
+  The share currently payable by `user`: the first pending share they have
+  claimed. Returns `nil` when there is none.
+  """
+  def payable_share(shares, %{id: user_id}) do
+    Enum.find(shares, &(&1.status == :pending and &1.payer_id == user_id))
+  end
+
+  def payable_share(_shares, _user), do: nil
+
+  def paid?(shares), do: Enum.any?(shares, &(&1.status == :paid))
+
+  @doc """
+  Whether any share of the booking has been paid.
+  """
+  def paid_shares?(booking_id) do
+    from(s in BookingPaymentShare,
+      where: s.booking_id == ^booking_id and s.status == :paid
+    )
+    |> Repo.exists?()
+  end
+
+  def fully_paid?([]), do: false
+  def fully_paid?(shares), do: Enum.all?(shares, &(&1.status == :paid))
+
+  @doc """
+  Splits a total into `count` amounts that add up to it exactly.
+  """
+  def share_amounts(%Money{} = total, count) do
+    cents = to_cents(total)
+
+    base = div(cents, count)
+    remainder = cents - base * count
+
+    for position <- 0..(count - 1) do
+      share_cents = if position == 0, do: base + remainder, else: base
+      Money.new(total.currency, Decimal.div(Decimal.new(share_cents), 100))
+    end
+  end
+
+  defp replace_shares(booking, amounts) do
+    Repo.transaction(fn ->
+      ensure_nothing_paid!(booking.id)
+
+      Repo.delete_all(
+        from(s in BookingPaymentShare, where: s.booking_id == ^booking.id)
+      )
+
+      shares =
+        amounts
+        |> Enum.with_index()
+        |> Enum.map(fn {amount, position} ->
+          %BookingPaymentShare{}
+          |> BookingPaymentShare.changeset(%{
+            booking_id: booking.id,
+            payer_id: if(position == 0, do: booking.user_id),
+            position: position,
+            amount: amount,
+            token: generate_token()
+          })
+          |> Repo.insert!()
+        end)
+
+      extend_hold!(booking.id)
+      Repo.preload(shares, :payer)
+    end)
+  end
+
+  defp ensure_nothing_paid!(booking_id) do
+    if paid_shares?(booking_id), do: Repo.rollback(:shares_paid)
+  end
+
+  defp extend_hold!(booking_id, minutes \\ @hold_extension_minutes) do
+    booking = Repo.get!(Booking, booking_id)
+
+    minimum =
+      DateTime.utc_now()
+      |> DateTime.add(minutes, :minute)
+      |> DateTime.truncate(:second)
+
+    if booking.status == :hold && booking.hold_expires_at &&
+         DateTime.compare(booking.hold_expires_at, minimum) == :lt do
+      booking
+      |> Ecto.Changeset.change(hold_expires_at: minimum)
+      |> Repo.update!()
+    end
+  end
+
+  defp refund_shares(shares, reason) do
+    Enum.reduce_while(shares, :ok, fn share, :ok ->
+      case refund_share(share, share.payment_intent_id, reason) do
+        :ok -> {:cont, :ok}
+        {:error, error} -> {:halt, {:error, {:refund_failed, share.id, error}}}
+      end
+    end)
+  end
+
+  # The ledger records the refund from Stripe's refund.created webhook
+  defp refund_share(share, payment_intent_id, reason) do
+    case Bookings.create_stripe_refund_for_admin(
+           payment_intent_id,
+           to_cents(share.amount),
+           reason
+         ) do
+      {:ok, _refund} ->
+        share
+        |> BookingPaymentShare.refunded_changeset(payment_intent_id)
+        |> Repo.update!()
+
+        :ok
+
+      {:error, error} ->
+        Logger.error("Failed to refund booking payment share",
+          payment_share_id: share.id,
+          payment_intent_id: payment_intent_id,
+          error: inspect(error)
+        )
+
+        {:error, error}
+    end
+  end
+
+  defp refund_late_payment(share, payment_intent_id) do
+    Logger.warning("Share paid after its booking was released, refunding",
+      payment_share_id: share.id,
+      booking_id: share.booking_id,
+      payment_intent_id: payment_intent_id
+    )
+
+    refund_share(
+      share,
+      payment_intent_id,
+      "Booking was released before this share was paid"
+    )
+  end
+
+  defp record_ledger_payment(booking, share, intent) do
+    Ysc.Ledgers.process_payment(%{
+      user_id: share.payer_id || booking.user_id,
+      amount: Money.new(:USD, Decimal.div(Decimal.new(intent.amount), 100)),
+      entity_type: :booking,
+      entity_id: booking.id,
+      external_payment_id: intent.id,
+      stripe_fee:
+        Ysc.Stripe.WebhookHandler.extract_stripe_fee_from_payment_intent(
+          intent
+        ),
+      description: "Booking payment - #{booking.reference_id}",
+      property: booking.property,
+      payment_method_id: nil
+    })
+    |> case do
+      {:ok, {payment, _transaction, _entries}} -> {:ok, payment}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  defp to_cents(%Money{amount: amount}) do
+    amount
+    |> Decimal.mult(100)
+    |> Decimal.round(0)
+    |> Decimal.to_integer()
+  end
+
+  defp maybe_confirm(:outstanding, _booking_id), do: {:ok, :outstanding}
+
+  defp maybe_confirm(:fully_paid, booking_id) do
+    case BookingLocker.confirm_booking(booking_id) do
+      {:ok, _booking} -> {:ok, :fully_paid}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  defp generate_token do
+    :crypto.strong_rand_bytes(24) |> Base.url_encode64(padding: false)
+  end
+
+  defp broadcast_result({:ok, _shares} = result, booking_id) do
+    broadcast(booking_id)
+    result
+  end
+
+  defp broadcast_result(error, _booking_id), do: error
+
+  defp broadcast(booking_id) do
+    booking = Repo.get!(Booking, booking_id)
+    shares = list_shares(booking)
+
+    Phoenix.PubSub.broadcast(
+      Ysc.PubSub,
+      topic(booking_id),
+      {__MODULE__,
+       %BookingPaymentSharesUpdated{booking: booking, shares: shares}}
+    )
+  end
+
+  defp topic(booking_id), do: "booking_payment_shares:#{booking_id}"
+end
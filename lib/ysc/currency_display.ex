@@ -0,0 +1,160 @@
+defmodule Ysc.CurrencyDisplay do
+  @moduledoc """
+  Approximate prices in other currencies for international guests.
+
+  Everything is charged in USD. Checkout pages can additionally show an
+  approximate amount in EUR, NOK, SEK or DKK next to USD prices; the
+  conversion and formatting happen in the browser (see the
+  `currency_display` component), from the rates supplied here.
+
+  Rates are units of the currency per 1 USD. They come from the
+  `display_currency_rates` site setting, a JSON object such as
+  `{"EUR": "0.92", "NOK": "10.85"}`, so the treasurer can update them
+  without a deploy. Until that setting exists it is created from the
+  `:display_currency_rates` application config.
+  """
+  require Logger
+
+  alias Ysc.Settings
+
+  @currencies ["EUR", "NOK", "SEK", "DKK"]
+
+  @rates_setting "display_currency_rates"
+  @rates_setting_group "currency"
+
+  @euro_regions ~w(AT BE CY DE EE ES FI FR GR HR IE IT LT LU LV MT NL PT SI SK)
+
+  @default_locale "en-US"
+
+  @doc """
+  The currencies approximate amounts can be shown in.
+  """
+  def currencies, do: @currencies
+
+  @doc """
+  Current display rates as a map of currency code to units per 1 USD.
+  Currencies without a valid positive rate are left out.
+  """
+  def rates do
+    @rates_setting
+    |> Settings.get_or_create_setting(
+      @rates_setting_group,
+      Jason.encode!(default_rates())
+    )
+    |> parse_rates()
+  end
+
+  @doc """
+  Parses a rates setting value. Invalid JSON yields no rates.
+
+  ## Examples
+
+      iex> parse_rates(~s({"NOK": "10.5", "XYZ": "2", "SEK": "-1"}))
+      %{"NOK" => Decimal.new("10.5")}
+  """
+  def parse_rates(value) when is_binary(value) do
+    case Jason.decode(value) do
+      {:ok, rates} when is_map(rates) ->
+        rates
+        |> Map.take(@currencies)
+        |> Enum.map(fn {currency, rate} -> {currency, to_decimal(rate)} end)
+        |> Enum.filter(fn {_currency, rate} -> rate && Decimal.gt?(rate, 0) end)
+        |> Map.new()
+
+      _ ->
+        Logger.warning("Invalid display currency rates setting",
+          value: value
+        )
+
+        %{}
+    end
+  end
+
+  def parse_rates(_value), do: %{}
+
+  @doc """
+  The currency a visitor with `locale` (a BCP 47 tag such as `"nb-NO"`,
+  as sent by the browser) most likely wants to see, or `nil` if none of
+  the display currencies fits.
+
+  The region decides when there is one, so `"sv-FI"` gets euros; otherwise
+  the language does.
+
+  ## Examples
+
+      iex> currency_for_locale("nb-NO")
+      "NOK"
+
+      iex> currency_for_locale("sv-FI")
+      "EUR"
+
+      iex> currency_for_locale("da")
+      "DKK"
+
+      iex> currency_for_locale("en-US")
+      nil
+  """
+  def currency_for_locale(locale) when is_binary(locale) do
+    {language, region} = parse_locale(locale)
+    currency_for_region(region) || currency_for_language(language)
+  end
+
+  def currency_for_locale(_locale), do: nil
+
+  @doc """
+  Settings for the browser: the visitor's locale (falling back to
+  `"#{@default_locale}"` for anything that isn't a locale tag), the default
+  currency for it and the current rates as floats.
+  """
+  def client_settings(locale) do
+    locale = if valid_locale?(locale), do: locale, else: @default_locale
+
+    rates =
+      Map.new(rates(), fn {currency, rate} ->
+        {currency, Decimal.to_float(rate)}
+      end)
+
+    %{locale: locale, currency: currency_for_locale(locale), rates: rates}
+  end
+
+  defp default_rates do
+    Application.get_env(:ysc, :display_currency_rates, %{})
+  end
+
+  defp to_decimal(rate) when is_binary(rate) do
+    case Decimal.parse(rate) do
+      {decimal, ""} -> decimal
+      _ -> nil
+    end
+  end
+
+  defp to_decimal(rate) when is_integer(rate), do: Decimal.new(rate)
+  defp to_decimal(rate) when is_float(rate), do: Decimal.from_float(rate)
+  defp to_decimal(_rate), do: nil
+
+  defp valid_locale?(locale) when is_binary(locale),
+    do: Regex.match?(~r/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/, locale)
+
+  defp valid_locale?(_locale), do: false
+
+  defp parse_locale(locale) do
+    [language | subtags] = String.split(locale, ["-", "_"])
+
+    region = Enum.find(subtags, &Regex.match?(~r/^[A-Za-z]{2}$/, &1))
+
+    {String.downcase(language), region && String.upcase(region)}
+  end
+
+  defp currency_for_region("NO"), do: "NOK"
+  defp currency_for_region("SE"), do: "SEK"
+  defp currency_for_region("DK"), do: "DKK"
+  defp currency_for_region(region) when region in @euro_regions, do: "EUR"
+  defp currency_for_region(_region), do: nil
+
+  defp currency_for_language(language) when language in ~w(nb nn no),
+    do: "NOK"
+
+  defp currency_for_language("sv"), do: "SEK"
+  defp currency_for_language("da"), do: "DKK"
+  defp currency_for_language(_language), do: nil
+end
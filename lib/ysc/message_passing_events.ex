@@ -109,4 +109,9 @@ defmodule Ysc.MessagePassingEvents do
     @moduledoc false
     defstruct ticket_reservation: nil
   end
+
+  defmodule BookingPaymentSharesUpdated do
+    @moduledoc false
+    defstruct booking: nil, shares: []
+  end
 end
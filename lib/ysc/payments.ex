@@ -36,6 +36,35 @@ defmodule Ysc.Payments do
     |> Repo.one()
   end
 
+  @doc """
+  Returns the user's saved Stripe cards that can be offered at checkout,
+  default card first.
+
+  Only cards attached to the user's current Stripe customer are returned,
+  since a payment intent can't be confirmed with another customer's card.
+  Expired cards are left out.
+  """
+  def list_saved_cards(user, today \\ Date.utc_today())
+
+  def list_saved_cards(%{stripe_id: nil}, _today), do: []
+
+  def list_saved_cards(user, today) do
+    from(pm in PaymentMethod,
+      where:
+        pm.user_id == ^user.id and pm.provider == :stripe and pm.type == :card and
+          pm.provider_customer_id == ^user.stripe_id,
+      order_by: [desc: pm.is_default, desc: pm.inserted_at]
+    )
+    |> Repo.all()
+    |> Enum.reject(&card_expired?(&1, today))
+  end
+
+  defp card_expired?(%PaymentMethod{exp_year: year, exp_month: month}, today)
+       when is_integer(year) and is_integer(month),
+       do: {year, month} < {today.year, today.month}
+
+  defp card_expired?(_payment_method, _today), do: false
+
   @doc """
   Creates a payment method with deduplication logic.
   """
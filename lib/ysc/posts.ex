@@ -86,6 +86,41 @@ defmodule Ysc.Posts do
     end
   end
 
+  @doc """
+  Saves the editor body of a post, but only if nobody else has saved the body
+  since `base_revision`.
+
+  Returns `{:ok, post}` with `body_revision` bumped, or
+  `{:error, :conflict, current_post}` when the stored revision has moved ahead.
+  """
+  def update_post_body(
+        %Post{} = post,
+        base_revision,
+        %{raw_body: raw_body, rendered_body: rendered_body},
+        %User{} = current_user
+      ) do
+    with :ok <- Policy.authorize(:post_update, current_user, post) do
+      now = DateTime.utc_now() |> DateTime.truncate(:second)
+
+      query =
+        from p in Post,
+          where: p.id == ^post.id and p.body_revision == ^base_revision,
+          select: p
+
+      case Repo.update_all(query,
+             set: [
+               raw_body: raw_body,
+               rendered_body: rendered_body,
+               body_revision: base_revision + 1,
+               updated_at: now
+             ]
+           ) do
+        {1, [updated_post]} -> {:ok, updated_post}
+        {0, _} -> {:error, :conflict, get_post!(post.id)}
+      end
+    end
+  end
+
   def create_post(params, %User{} = current_user) do
     with :ok <- Policy.authorize(:post_create, current_user) do
       new_params = Map.put(params, "user_id", current_user.id)
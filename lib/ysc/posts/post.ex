@@ -68,6 +68,9 @@ defmodule Ysc.Posts.Post do
     # Easier to render with normalized value and no join required
     field :comment_count, :integer
 
+    # Bumped on every editor body save, used to detect concurrent edits
+    field :body_revision, :integer, default: 1
+
     timestamps()
   end
 
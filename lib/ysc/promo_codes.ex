@@ -0,0 +1,347 @@
+defmodule Ysc.PromoCodes do
+  @moduledoc """
+  Promo and gift card codes applied at booking and ticket checkout.
+
+  A valid code is applied to the booking or ticket order being paid, which
+  keeps the discount with it across page loads. Ticket orders carry the
+  discounted total directly; bookings keep their total and the checkout
+  charges the total minus `promo_discount_amount`. A code's redemption is
+  reserved when it is applied, so two checkouts can't both take the last
+  one, and given back if the code is removed or the booking or order is
+  released before it is paid.
+
+  Members entering codes go through `check_code/5`, which stops them after
+  too many failed codes in a short time.
+
+  Discounts never take a total below Stripe's minimum charge, so a credit
+  larger than the total leaves that minimum to pay.
+  """
+  import Ecto.Query, warn: false
+
+  alias Ysc.Bookings.Booking
+  alias Ysc.PromoCodes.{PromoCode, RateLimit}
+  alias Ysc.Repo
+  alias Ysc.Tickets.TicketOrder
+
+  # Stripe's minimum charge for USD payments
+  @minimum_charge_cents 50
+
+  @doc """
+  Creates a promo code.
+  """
+  def create_promo_code(attrs) do
+    %PromoCode{}
+    |> PromoCode.changeset(attrs)
+    |> Repo.insert()
+  end
+
+  @doc """
+  Gets an active promo code by its code, ignoring case. Returns `nil` if
+  there is none.
+  """
+  def get_active_promo_code(code) when is_binary(code) do
+    Repo.get_by(PromoCode, code: PromoCode.normalize_code(code), active: true)
+  end
+
+  def get_active_promo_code(_code), do: nil
+
+  @doc """
+  Checks a code against a checkout subtotal. `scope` is `:bookings` or
+  `:tickets`.
+
+  Returns `{:ok, promo_code, discount}` or `{:error, reason}` where reason
+  is one of `:not_found`, `:not_started`, `:expired`, `:exhausted`,
+  `:not_applicable` or `:below_minimum`.
+  """
+  def validate_code(
+        code,
+        scope,
+        %Money{} = subtotal,
+        now \\ DateTime.utc_now()
+      ) do
+    with %PromoCode{} = promo_code <- get_active_promo_code(code),
+         :ok <- check_window(promo_code, now),
+         :ok <- check_redemptions(promo_code),
+         :ok <- check_scope(promo_code, scope),
+         {:ok, discount} <- discount_for(promo_code, subtotal) do
+      {:ok, promo_code, discount}
+    else
+      nil -> {:error, :not_found}
+      {:error, _reason} = error -> error
+    end
+  end
+
+  @doc """
+  `validate_code/4` for a code entered by a member. Once they have entered
+  too many codes that fail, further codes are refused with
+  `{:error, :rate_limited}` for a while, so codes can't be guessed.
+  """
+  def check_code(
+        user_id,
+        code,
+        scope,
+        %Money{} = subtotal,
+        now \\ DateTime.utc_now()
+      ) do
+    with :ok <- RateLimit.check(user_id) do
+      case validate_code(code, scope, subtotal, now) do
+        {:ok, _promo_code, _discount} = ok ->
+          ok
+
+        {:error, _reason} = error ->
+          RateLimit.record_failure(user_id)
+          error
+      end
+    end
+  end
+
+  @doc """
+  The discount a promo code gives on `subtotal`, rounded to the cent and
+  capped so at least Stripe's minimum charge is left to pay.
+  """
+  def discount_for(%PromoCode{} = promo_code, %Money{} = subtotal) do
+    subtotal_cents = to_cents(subtotal)
+
+    discount_cents =
+      case promo_code.discount_type do
+        :percentage ->
+          subtotal_cents
+          |> Decimal.mult(promo_code.percent_off)
+          |> Decimal.div(100)
+          |> Decimal.round(0)
+          |> Decimal.to_integer()
+
+        :fixed_amount ->
+          to_cents(promo_code.amount_off)
+      end
+      |> min(subtotal_cents - @minimum_charge_cents)
+
+    if discount_cents > 0 do
+      {:ok, from_cents(discount_cents, subtotal.currency)}
+    else
+      {:error, :below_minimum}
+    end
+  end
+
+  @doc """
+  Member-facing explanation for a `validate_code/4` error.
+  """
+  def error_message(:not_found), do: "That code isn't valid."
+  def error_message(:not_started), do: "That code isn't active yet."
+  def error_message(:expired), do: "That code has expired."
+
+  def error_message(:exhausted),
+    do: "That code has already been used the maximum number of times."
+
+  def error_message(:not_applicable),
+    do: "That code can't be used for this purchase."
+
+  def error_message(:below_minimum),
+    do: "That code can't be used because the total is already at the minimum."
+
+  def error_message(:rate_limited),
+    do: "Too many codes tried. Please wait a few minutes and try again."
+
+  def error_message(_reason), do: "Unable to apply that code. Please try again."
+
+  @doc """
+  Applies a validated code to a booking, reserving one of its redemptions.
+  Returns `{:error, :exhausted}` when the last one was taken in the
+  meantime.
+  """
+  def apply_to_booking(
+        %Booking{} = booking,
+        %PromoCode{} = promo_code,
+        discount
+      ) do
+    booking
+    |> Ecto.Changeset.change(
+      promo_code_id: promo_code.id,
+      promo_discount_amount: discount
+    )
+    |> update_reserving(booking.promo_code_id)
+  end
+
+  @doc """
+  Removes the code from a booking and gives its redemption back.
+  """
+  def remove_from_booking(%Booking{} = booking) do
+    booking
+    |> Ecto.Changeset.change(promo_code_id: nil, promo_discount_amount: nil)
+    |> update_reserving(booking.promo_code_id)
+  end
+
+  @doc """
+  Applies a validated code to a pending ticket order, replacing any code
+  already on it. The order's total drops by the discount and its
+  `discount_amount` includes it. Like `apply_to_booking/3` this reserves a
+  redemption of the code.
+  """
+  def apply_to_ticket_order(
+        %TicketOrder{} = ticket_order,
+        %PromoCode{} = promo_code,
+        discount
+      ) do
+    {total, discount_amount} = without_promo(ticket_order)
+
+    ticket_order
+    |> Ecto.Changeset.change(
+      promo_code_id: promo_code.id,
+      promo_discount_amount: discount,
+      total_amount: Money.sub!(total, discount),
+      discount_amount: Money.add!(discount_amount, discount)
+    )
+    |> update_reserving(ticket_order.promo_code_id)
+  end
+
+  @doc """
+  Removes the code from a pending ticket order, restoring its total.
+  """
+  def remove_from_ticket_order(%TicketOrder{promo_code_id: nil} = ticket_order),
+    do: {:ok, ticket_order}
+
+  def remove_from_ticket_order(%TicketOrder{} = ticket_order) do
+    {total, discount_amount} = without_promo(ticket_order)
+
+    discount_amount =
+      if Money.zero?(discount_amount), do: nil, else: discount_amount
+
+    ticket_order
+    |> Ecto.Changeset.change(
+      promo_code_id: nil,
+      promo_discount_amount: nil,
+      total_amount: total,
+      discount_amount: discount_amount
+    )
+    |> update_reserving(ticket_order.promo_code_id)
+  end
+
+  @doc """
+  Puts a ticket order's code and amounts back to those of `previous`, e.g.
+  when its payment intent couldn't be updated after a change. The previous
+  code's redemption is taken back even if the code has reached its limit,
+  as it was only just given up.
+  """
+  def restore_ticket_order(
+        %TicketOrder{} = ticket_order,
+        %TicketOrder{} = previous
+      ) do
+    ticket_order
+    |> Ecto.Changeset.change(
+      promo_code_id: previous.promo_code_id,
+      promo_discount_amount: previous.promo_discount_amount,
+      total_amount: previous.total_amount,
+      discount_amount: previous.discount_amount
+    )
+    |> update_reserving(ticket_order.promo_code_id, false)
+  end
+
+  @doc """
+  The subtotal a ticket order's promo discount is calculated from: its
+  total before any code was applied.
+  """
+  def ticket_order_subtotal(%TicketOrder{} = ticket_order) do
+    {total, _discount_amount} = without_promo(ticket_order)
+    total
+  end
+
+  @doc """
+  Gives back the redemption reserved for a code, for a booking or ticket
+  order released before it was paid.
+  """
+  def release(nil), do: :ok
+
+  def release(promo_code_id) do
+    from(p in PromoCode,
+      where: p.id == ^promo_code_id and p.redemptions_count > 0
+    )
+    |> Repo.update_all(inc: [redemptions_count: -1])
+
+    :ok
+  end
+
+  # Saves a code change, moving the reserved redemption from the previous
+  # code to the new one
+  defp update_reserving(changeset, previous_id, limited? \\ true) do
+    new_id = Ecto.Changeset.get_field(changeset, :promo_code_id)
+
+    Repo.transaction(fn ->
+      if new_id != previous_id do
+        release(previous_id)
+        reserve!(new_id, limited?)
+      end
+
+      case Repo.update(changeset) do
+        {:ok, updated} -> updated
+        {:error, changeset} -> Repo.rollback(changeset)
+      end
+    end)
+  end
+
+  defp reserve!(nil, _limited?), do: :ok
+
+  defp reserve!(promo_code_id, false) do
+    from(p in PromoCode, where: p.id == ^promo_code_id)
+    |> Repo.update_all(inc: [redemptions_count: 1])
+  end
+
+  defp reserve!(promo_code_id, true) do
+    {count, _} =
+      from(p in PromoCode,
+        where:
+          p.id == ^promo_code_id and
+            (is_nil(p.max_redemptions) or
+               p.redemptions_count < p.max_redemptions)
+      )
+      |> Repo.update_all(inc: [redemptions_count: 1])
+
+    if count == 0, do: Repo.rollback(:exhausted)
+  end
+
+  defp without_promo(%TicketOrder{} = ticket_order) do
+    currency = ticket_order.total_amount.currency
+    promo = ticket_order.promo_discount_amount || Money.new(0, currency)
+    discount_amount = ticket_order.discount_amount || Money.new(0, currency)
+
+    {Money.add!(ticket_order.total_amount, promo),
+     Money.sub!(discount_amount, promo)}
+  end
+
+  defp check_window(promo_code, now) do
+    cond do
+      promo_code.starts_at &&
+          DateTime.compare(now, promo_code.starts_at) == :lt ->
+        {:error, :not_started}
+
+      promo_code.expires_at &&
+          DateTime.compare(now, promo_code.expires_at) != :lt ->
+        {:error, :expired}
+
+      true ->
+        :ok
+    end
+  end
+
+  defp check_redemptions(%{max_redemptions: nil}), do: :ok
+
+  defp check_redemptions(promo_code) do
+    if promo_code.redemptions_count < promo_code.max_redemptions,
+      do: :ok,
+      else: {:error, :exhausted}
+  end
+
+  defp check_scope(%{applies_to: :all}, _scope), do: :ok
+  defp check_scope(%{applies_to: scope}, scope), do: :ok
+  defp check_scope(_promo_code, _scope), do: {:error, :not_applicable}
+
+  defp to_cents(%Money{amount: amount}) do
+    amount
+    |> Decimal.mult(100)
+    |> Decimal.round(0)
+    |> Decimal.to_integer()
+  end
+
+  defp from_cents(cents, currency) do
+    Money.new(currency, Decimal.div(Decimal.new(cents), 100))
+  end
+end
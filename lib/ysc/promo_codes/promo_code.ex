@@ -0,0 +1,97 @@
+defmodule Ysc.PromoCodes.PromoCode do
+  @moduledoc """
+  PromoCode schema and changesets.
+
+  A code members can enter at checkout for a discount: either a percentage
+  off or a fixed credit (e.g. a gift card), limited to bookings, tickets or
+  both, optionally within a date window and up to a number of redemptions.
+  Codes are stored upper-cased and matched case-insensitively.
+  """
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  @primary_key {:id, Ecto.ULID, autogenerate: true}
+  @foreign_key_type Ecto.ULID
+  @timestamps_opts [type: :utc_datetime]
+
+  schema "promo_codes" do
+    field :code, :string
+    field :description, :string
+
+    field :discount_type, Ecto.Enum, values: [:percentage, :fixed_amount]
+    field :percent_off, :decimal
+    field :amount_off, Money.Ecto.Composite.Type, default_currency: :USD
+
+    field :applies_to, Ecto.Enum,
+      values: [:all, :bookings, :tickets],
+      default: :all
+
+    field :starts_at, :utc_datetime
+    field :expires_at, :utc_datetime
+    field :max_redemptions, :integer
+    field :redemptions_count, :integer, default: 0
+    field :active, :boolean, default: true
+
+    timestamps()
+  end
+
+  @doc """
+  Creates a changeset for creating or updating a promo code.
+  """
+  def changeset(promo_code, attrs \\ %{}) do
+    promo_code
+    |> cast(attrs, [
+      :code,
+      :description,
+      :discount_type,
+      :percent_off,
+      :amount_off,
+      :applies_to,
+      :starts_at,
+      :expires_at,
+      :max_redemptions,
+      :active
+    ])
+    |> update_change(:code, &normalize_code/1)
+    |> validate_required([:code, :discount_type, :applies_to])
+    |> validate_length(:code, min: 3, max: 40)
+    |> validate_format(:code, ~r/^[A-Z0-9_-]+$/,
+      message: "may only contain letters, numbers, dashes and underscores"
+    )
+    |> validate_discount()
+    |> validate_number(:max_redemptions, greater_than: 0)
+    |> unique_constraint(:code)
+  end
+
+  @doc """
+  Upper-cases a code and strips surrounding whitespace.
+  """
+  def normalize_code(code) when is_binary(code),
+    do: code |> String.trim() |> String.upcase()
+
+  def normalize_code(code), do: code
+
+  defp validate_discount(changeset) do
+    case get_field(changeset, :discount_type) do
+      :percentage ->
+        changeset
+        |> validate_required([:percent_off])
+        |> validate_number(:percent_off,
+          greater_than: 0,
+          less_than_or_equal_to: 100
+        )
+
+      :fixed_amount ->
+        changeset
+        |> validate_required([:amount_off])
+        |> validate_change(:amount_off, fn :amount_off, amount ->
+          if Money.positive?(amount),
+            do: [],
+            else: [amount_off: "must be greater than 0"]
+        end)
+
+      _ ->
+        changeset
+    end
+  end
+end
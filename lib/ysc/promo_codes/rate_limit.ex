@@ -0,0 +1,38 @@
+defmodule Ysc.PromoCodes.RateLimit do
+  @moduledoc """
+  Rate limiting for promo and gift card codes entered at checkout, so codes
+  can't be found by trying one after another.
+
+  Only codes that fail count: a member can try 10 failing codes per 15
+  minutes before further codes are refused.
+  """
+  use Hammer, backend: :ets
+
+  @default_limit 10
+  @scale_ms :timer.minutes(15)
+
+  defp limit do
+    Application.get_env(:ysc, __MODULE__, [])[:limit] || @default_limit
+  end
+
+  @doc """
+  Checks whether the member may try another code.
+
+  Returns `:ok` or `{:error, :rate_limited}`.
+  """
+  def check(user_id) do
+    if get(key(user_id), @scale_ms) < limit(),
+      do: :ok,
+      else: {:error, :rate_limited}
+  end
+
+  @doc """
+  Counts a code that failed for the member.
+  """
+  def record_failure(user_id) do
+    inc(key(user_id), @scale_ms)
+    :ok
+  end
+
+  defp key(user_id), do: "promo_code:user:#{user_id}"
+end
@@ -879,7 +879,17 @@ defmodule Ysc.Stripe.WebhookHandler do
       customer_id: payment_intent.customer
     )
 
-    :ok
+    # A payer who closed the checkout page right after paying their share
+    # of a split booking is only recorded here
+    case Ysc.Bookings.PaymentShares.record_intent(payment_intent) do
+      {:error, reason} when reason != :booking_released ->
+        # Raise to mark the webhook as failed so the payment isn't lost
+        raise "Failed to record booking payment share for " <>
+                "#{payment_intent.id}: #{inspect(reason)}"
+
+      _ ->
+        :ok
+    end
   end
 
   defp handle("payout.paid", %Stripe.Payout{} = payout) do
@@ -7,6 +7,8 @@ defmodule Ysc.StripeBehaviour do
               {:ok, Stripe.PaymentIntent.t()} | {:error, any()}
   @callback retrieve_payment_intent(String.t(), map()) ::
               {:ok, Stripe.PaymentIntent.t()} | {:error, any()}
+  @callback update_payment_intent(String.t(), map(), keyword()) ::
+              {:ok, Stripe.PaymentIntent.t()} | {:error, any()}
   @callback cancel_payment_intent(String.t(), map()) ::
               {:ok, Stripe.PaymentIntent.t()} | {:error, any()}
   @callback create_customer(map()) ::
@@ -10,6 +10,9 @@ defmodule Ysc.StripeClient do
   def retrieve_payment_intent(id, opts),
     do: Stripe.PaymentIntent.retrieve(id, opts)
 
+  def update_payment_intent(id, params, opts),
+    do: Stripe.PaymentIntent.update(id, params, opts)
+
   def cancel_payment_intent(id, opts), do: Stripe.PaymentIntent.cancel(id, opts)
   def create_customer(params), do: Stripe.Customer.create(params)
   def update_customer(id, params), do: Stripe.Customer.update(id, params)
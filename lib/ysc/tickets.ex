@@ -113,6 +113,7 @@ defmodule Ysc.Tickets do
     |> where([to], to.id == ^id)
     |> preload([
       :user,
+      :promo_code,
       event: [agendas: :agenda_items],
       payment: :payment_method,
       tickets: :ticket_tier
@@ -251,6 +252,42 @@ defmodule Ysc.Tickets do
     |> Repo.update()
   end
 
+  @doc """
+  Applies a validated promo code to a pending ticket order and updates its
+  payment intent to the discounted total. The order is put back as it was
+  if Stripe can't be updated.
+  """
+  def apply_promo_code(ticket_order, promo_code, discount) do
+    change_promo_code(ticket_order, fn order ->
+      Ysc.PromoCodes.apply_to_ticket_order(order, promo_code, discount)
+    end)
+  end
+
+  @doc """
+  Removes the promo code from a pending ticket order and restores the
+  payment intent to the full total.
+  """
+  def remove_promo_code(ticket_order) do
+    change_promo_code(ticket_order, &Ysc.PromoCodes.remove_from_ticket_order/1)
+  end
+
+  # Stripe is called after the order is saved rather than inside a
+  # transaction, so it doesn't hold database locks while waiting on Stripe
+  defp change_promo_code(%TicketOrder{status: :pending} = ticket_order, fun) do
+    with {:ok, order} <- fun.(ticket_order) do
+      case Ysc.Tickets.StripeService.update_payment_intent_amount(order) do
+        {:ok, _payment_intent} ->
+          {:ok, Repo.preload(order, :promo_code, force: true)}
+
+        {:error, reason} ->
+          Ysc.PromoCodes.restore_ticket_order(order, ticket_order)
+          {:error, reason}
+      end
+    end
+  end
+
+  defp change_promo_code(_ticket_order, _fun), do: {:error, :invalid_status}
+
   @doc """
   Marks a ticket order as completed after successful payment.
   """
@@ -292,6 +329,11 @@ defmodule Ysc.Tickets do
           |> Repo.update()
         end)
 
+        # An unpaid order gives its promo code's redemption back
+        if ticket_order.status == :pending do
+          Ysc.PromoCodes.release(ticket_order.promo_code_id)
+        end
+
         updated_order
       end)
 
@@ -563,6 +605,8 @@ defmodule Ysc.Tickets do
           Repo.rollback({:error, :failed_to_expire_tickets})
         end
 
+        Ysc.PromoCodes.release(ticket_order.promo_code_id)
+
         updated_order
       end)
 
@@ -1147,8 +1191,13 @@ defmodule Ysc.Tickets do
           end
         end)
 
-      # Calculate discount amount from fulfilled reservations
-      discount_amount = calculate_discount_from_reservations(ticket_order)
+      # Calculate discount amount from fulfilled reservations and any promo code
+      discount_amount =
+        ticket_order
+        |> calculate_discount_from_reservations()
+        |> Money.add!(
+          ticket_order.promo_discount_amount || Money.new(0, :USD)
+        )
 
       # Calculate donation amount (total - event amount after discounts)
       net_event_amount =
@@ -136,6 +136,35 @@ defmodule Ysc.Tickets.StripeService do
     end
   end
 
+  @doc """
+  Updates a ticket order's payment intent to charge the order's current
+  total, e.g. after a promo code changed it. Elements rendered from the
+  intent pick up the new amount without being recreated.
+
+  ## Returns:
+  - `{:ok, %Stripe.PaymentIntent{}}` on success
+  - `{:error, reason}` on failure
+  """
+  def update_payment_intent_amount(%{payment_intent_id: nil}),
+    do: {:error, :no_payment_intent}
+
+  def update_payment_intent_amount(ticket_order) do
+    params = %{
+      amount: money_to_cents(ticket_order.total_amount),
+      metadata: %{promo_code_id: ticket_order.promo_code_id || ""}
+    }
+
+    case stripe_client().update_payment_intent(
+           ticket_order.payment_intent_id,
+           params,
+           []
+         ) do
+      {:ok, payment_intent} -> {:ok, payment_intent}
+      {:error, %Stripe.Error{} = error} -> {:error, error.message}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
   @doc """
   Cancels a Stripe PaymentIntent.
 
@@ -39,6 +39,10 @@ defmodule Ysc.Tickets.TicketOrder do
     field :status, Ysc.Events.TicketOrderStatus
     field :total_amount, Money.Ecto.Composite.Type, default_currency: :USD
     field :discount_amount, Money.Ecto.Composite.Type, default_currency: :USD
+
+    field :promo_discount_amount, Money.Ecto.Composite.Type,
+      default_currency: :USD
+
     field :payment_intent_id, :string
     field :expires_at, :utc_datetime
     field :completed_at, :utc_datetime
@@ -52,6 +56,10 @@ defmodule Ysc.Tickets.TicketOrder do
       foreign_key: :payment_id,
       references: :id
 
+    belongs_to :promo_code, Ysc.PromoCodes.PromoCode,
+      foreign_key: :promo_code_id,
+      references: :id
+
     has_many :tickets, Ysc.Events.Ticket,
       foreign_key: :ticket_order_id,
       references: :id
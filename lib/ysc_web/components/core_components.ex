@@ -874,6 +874,177 @@ defmodule YscWeb.CoreComponents do
     """
   end
 
+  @doc """
+  Renders a USD amount field with locale-aware formatting (see the
+  `MoneyInput` hook).
+
+  The visible field shows the amount the way the member's locale writes it
+  ("1.234,50" in Norway, "1,234.50" in the US) while a hidden input named
+  `name` always holds the plain amount, e.g. "1234.50", so forms and events
+  get the same value whatever the locale.
+
+  `min`, `max` and `step` are amounts checked as the member types, with an
+  inline message under the field; `step` also adds −/+ buttons. Each of
+  `presets` renders a button that sets that amount. Amounts may be given as
+  Money, Decimal, whole dollars or plain strings.
+
+  ## Examples
+
+      <.money_input field={@form[:price]} label="Price" min="0" required />
+
+      <.money_input
+        id="donation-amount"
+        name="donation_amount"
+        value="25.00"
+        min="1"
+        max="10000"
+        step="5"
+        presets={[10, 25, 50]}
+      />
+  """
+  attr :id, :any, default: nil
+  attr :name, :any
+  attr :label, :string, default: nil
+  attr :value, :any
+
+  attr :field, Phoenix.HTML.FormField,
+    doc:
+      "a form field struct retrieved from the form, for example: @form[:price]"
+
+  attr :errors, :list, default: []
+  attr :min, :any, default: nil
+  attr :max, :any, default: nil
+  attr :step, :any, default: nil
+  attr :presets, :list, default: []
+
+  attr :locale, :string,
+    default: nil,
+    doc: "formatting locale, defaults to the browser's"
+
+  attr :class, :any, default: nil
+  attr :rest, :global, include: ~w(disabled placeholder readonly required)
+
+  def money_input(%{field: %Phoenix.HTML.FormField{} = field} = assigns) do
+    assigns
+    |> assign(field: nil, id: assigns.id || field.id)
+    |> assign(:errors, Enum.map(field.errors, &translate_error(&1)))
+    |> assign_new(:name, fn -> field.name end)
+    |> assign_new(:value, fn -> field.value end)
+    |> money_input()
+  end
+
+  def money_input(assigns) do
+    assigns =
+      assigns
+      |> assign_new(:value, fn -> nil end)
+      |> assign(:id, assigns.id || assigns.name)
+
+    ~H"""
+    <div
+      id={"#{@id}-money"}
+      phx-hook="MoneyInput"
+      phx-feedback-for={@name}
+      data-locale={@locale}
+      data-min={@min && plain_amount(@min)}
+      data-max={@max && plain_amount(@max)}
+      data-step={@step && plain_amount(@step)}
+      class={@class}
+    >
+      <.label :if={@label} for={@id}><%= @label %></.label>
+      <div class="mt-2 flex items-stretch gap-2">
+        <button
+          :if={@step}
+          type="button"
+          data-money-step="-1"
+          aria-label="Decrease amount"
+          class="px-3 rounded border border-zinc-300 bg-white text-zinc-700 hover:bg-zinc-50 disabled:opacity-50"
+        >
+          <.icon name="hero-minus-mini" class="w-4 h-4" />
+        </button>
+        <div class="relative flex-1">
+          <span class="absolute inset-y-0 start-0 flex items-center ps-3 text-zinc-800 pointer-events-none">
+            $
+          </span>
+          <input
+            type="text"
+            id={@id}
+            value={plain_amount(@value)}
+            inputmode="decimal"
+            autocomplete="off"
+            aria-describedby={"#{@id}-message"}
+            data-money-input
+            class={[
+              "block w-full ps-7 rounded text-zinc-900 focus:ring-0 sm:text-sm sm:leading-6",
+              "phx-no-feedback:border-zinc-300 phx-no-feedback:focus:border-zinc-400",
+              @errors == [] && "border-zinc-300 focus:border-zinc-400",
+              @errors != [] && "border-rose-400 focus:border-rose-400"
+            ]}
+            {@rest}
+          />
+        </div>
+        <button
+          :if={@step}
+          type="button"
+          data-money-step="1"
+          aria-label="Increase amount"
+          class="px-3 rounded border border-zinc-300 bg-white text-zinc-700 hover:bg-zinc-50 disabled:opacity-50"
+        >
+          <.icon name="hero-plus-mini" class="w-4 h-4" />
+        </button>
+      </div>
+      <input
+        type="hidden"
+        name={@name}
+        value={plain_amount(@value)}
+        data-money-value
+      />
+      <div :if={@presets != []} class="mt-2 flex flex-wrap justify-end gap-2">
+        <button
+          :for={preset <- @presets}
+          type="button"
+          data-money-preset={plain_amount(preset)}
+          class="px-3 py-1.5 text-sm font-medium rounded-md border transition-colors border-zinc-300 bg-white text-zinc-700 hover:bg-zinc-50 hover:border-zinc-400"
+        >
+          <%= preset_label(preset) %>
+        </button>
+      </div>
+      <p
+        id={"#{@id}-message"}
+        phx-update="ignore"
+        data-money-message
+        aria-live="polite"
+        class="hidden mt-2 text-sm text-rose-600"
+      >
+      </p>
+      <.error :for={msg <- @errors}><%= msg %></.error>
+    </div>
+    """
+  end
+
+  # Amounts in the plain form the MoneyInput hook reads and writes: no
+  # grouping, "." for decimals, cents precision
+  defp plain_amount(nil), do: ""
+  defp plain_amount(%Money{amount: amount}), do: plain_amount(amount)
+
+  defp plain_amount(%Decimal{} = amount),
+    do: amount |> Decimal.round(2) |> Decimal.to_string(:normal)
+
+  defp plain_amount(amount) when is_integer(amount),
+    do: amount |> Decimal.new() |> plain_amount()
+
+  defp plain_amount(amount) when is_float(amount),
+    do: amount |> Decimal.from_float() |> plain_amount()
+
+  defp plain_amount(amount) when is_binary(amount), do: amount
+
+  defp preset_label(preset) do
+    amount = preset |> plain_amount() |> Decimal.new()
+
+    if Decimal.integer?(amount),
+      do: "$#{Decimal.to_integer(amount)}",
+      else: "$#{Decimal.round(amount, 2)}"
+  end
+
   @min_date Date.utc_today() |> Date.add(-365)
 
   attr(:id, :string, required: true)
@@ -2517,6 +2688,220 @@ defmodule YscWeb.CoreComponents do
     """
   end
 
+  @doc """
+  Renders the container for Stripe's Express Checkout Element (Apple Pay,
+  Google Pay). Place it next to the `StripePayment` hook; the hook mounts the
+  wallet buttons here and only reveals the container when a wallet is
+  available on the member's device.
+  """
+  def express_checkout(assigns) do
+    ~H"""
+    <div id="express-checkout" class="hidden mb-6" phx-update="ignore">
+      <div id="express-checkout-element"></div>
+      <div class="flex items-center gap-3 mt-6 text-xs font-medium uppercase tracking-wide text-zinc-500">
+        <span class="flex-1 border-t border-zinc-200"></span>
+        Or pay with card
+        <span class="flex-1 border-t border-zinc-200"></span>
+      </div>
+    </div>
+    """
+  end
+
+  @doc """
+  Renders the member's saved cards as a choice above the Stripe Payment
+  Element, with a "Use a new card" option. The `StripePayment` hook hides the
+  Payment Element while a saved card is selected and confirms with that card.
+  """
+  attr :cards, :list, required: true, doc: "from Ysc.Payments.list_saved_cards/1"
+
+  def saved_payment_methods(assigns) do
+    ~H"""
+    <fieldset
+      :if={@cards != []}
+      id="saved-payment-methods"
+      phx-update="ignore"
+      class="mb-6 space-y-2"
+    >
+      <legend class="text-sm font-medium text-zinc-700 mb-2">Pay with</legend>
+      <label
+        :for={{card, index} <- Enum.with_index(@cards)}
+        class="flex items-center gap-3 p-4 border border-zinc-200 rounded-lg cursor-pointer hover:border-blue-400"
+      >
+        <input
+          type="radio"
+          name="saved-payment-method"
+          value={card.provider_id}
+          checked={index == 0}
+          class="text-blue-600 focus:ring-blue-500"
+        />
+        <span class="font-medium text-zinc-900">
+          <%= String.capitalize(card.display_brand || "Card") %> ending in <%= card.last_four %>
+        </span>
+        <span :if={card.exp_month && card.exp_year} class="text-sm text-zinc-500">
+          Expires <%= String.pad_leading(to_string(card.exp_month), 2, "0") %>/<%= rem(
+            card.exp_year,
+            100
+          ) %>
+        </span>
+        <span
+          :if={card.is_default}
+          class="ml-auto text-xs font-medium text-zinc-600 bg-zinc-100 rounded px-2 py-0.5"
+        >
+          Default
+        </span>
+      </label>
+      <label class="flex items-center gap-3 p-4 border border-zinc-200 rounded-lg cursor-pointer hover:border-blue-400">
+        <input
+          type="radio"
+          name="saved-payment-method"
+          value=""
+          class="text-blue-600 focus:ring-blue-500"
+        />
+        <span class="font-medium text-zinc-900">Use a new card</span>
+      </label>
+    </fieldset>
+    """
+  end
+
+  @doc """
+  Renders the promo / gift card code field shown next to the payment form.
+  Codes are looked up as the member types through the `validate-promo-code`
+  event, which shows the discount in `preview` without reserving the code.
+  A code is applied when submitted through the `apply-promo-code` event;
+  an applied code can be removed with `remove-promo-code`.
+  """
+  attr :form, Phoenix.HTML.Form, required: true, doc: "with a code field"
+  attr :applied, :map, default: nil, doc: "%{code: code, discount: Money}"
+  attr :preview, Money, default: nil, doc: "the discount of a valid code"
+  attr :error, :string, default: nil
+
+  def promo_code_field(assigns) do
+    ~H"""
+    <div id="promo-code" class="mb-6">
+      <div
+        :if={@applied}
+        class="flex items-center justify-between gap-3 p-3 bg-green-50 border border-green-200 rounded-lg"
+      >
+        <span class="flex items-center gap-2 text-sm text-green-800">
+          <.icon name="hero-tag" class="w-4 h-4" />
+          <span class="font-semibold"><%= @applied.code %></span>
+          applied: <%= Ysc.MoneyHelper.format_money!(@applied.discount) %> off
+        </span>
+        <button
+          type="button"
+          phx-click="remove-promo-code"
+          class="text-xs font-medium text-green-800 hover:text-green-900 underline"
+        >
+          Remove
+        </button>
+      </div>
+      <.form
+        :if={!@applied}
+        for={@form}
+        id="promo-code-form"
+        phx-change="validate-promo-code"
+        phx-submit="apply-promo-code"
+      >
+        <label for={@form[:code].id} class="block text-sm font-medium text-zinc-700 mb-2">
+          Promo or gift card code
+        </label>
+        <div class="flex gap-2">
+          <input
+            type="text"
+            name={@form[:code].name}
+            id={@form[:code].id}
+            value={@form[:code].value}
+            phx-debounce="500"
+            autocomplete="off"
+            autocapitalize="characters"
+            spellcheck="false"
+            class="flex-1 rounded-lg border-zinc-300 text-sm uppercase focus:border-blue-500 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            class="px-4 py-2 text-sm font-medium text-blue-700 border border-blue-200 rounded-lg hover:bg-blue-50"
+          >
+            Apply
+          </button>
+        </div>
+        <p :if={@error} class="mt-2 text-sm text-red-600"><%= @error %></p>
+        <p :if={@preview && !@error} class="mt-2 text-sm text-green-700">
+          This code takes <%= Ysc.MoneyHelper.format_money!(@preview) %> off.
+        </p>
+      </.form>
+    </div>
+    """
+  end
+
+  @doc """
+  Renders the currency picker for approximate amounts and hands the
+  display rates and the visitor's locale to the `CurrencyDisplay` hook,
+  which fills in every `approx_amount/1` on the page. Render it once per
+  page; `settings` comes from `Ysc.CurrencyDisplay.client_settings/1`.
+  """
+  attr :settings, :map, required: true
+  attr :class, :string, default: nil
+
+  def currency_display(assigns) do
+    ~H"""
+    <div
+      :if={@settings.rates != %{}}
+      id="currency-display"
+      phx-hook="CurrencyDisplay"
+      phx-update="ignore"
+      data-locale={@settings.locale}
+      data-currency={@settings.currency}
+      data-rates={Jason.encode!(@settings.rates)}
+      class={["flex items-center justify-end gap-2 text-xs", @class]}
+    >
+      <label for="currency-display-select">Approximate amounts in</label>
+      <select
+        id="currency-display-select"
+        class="rounded-md border-zinc-300 py-0.5 pl-2 pr-7 text-xs text-zinc-700"
+      >
+        <option value="">USD only</option>
+        <option :for={{currency, _rate} <- @settings.rates} value={currency}>
+          <%= currency %>
+        </option>
+      </select>
+      <span title="Approximate amounts are for reference only. You're charged in USD.">
+        <.icon name="hero-information-circle" class="w-4 h-4" />
+      </span>
+    </div>
+    """
+  end
+
+  @doc """
+  Renders an empty placeholder next to a USD amount, which the
+  `CurrencyDisplay` hook fills with the approximate amount in the
+  visitor's currency. Nothing shows without a `currency_display/1` on the
+  page or when the visitor picks USD only.
+  """
+  attr :id, :string, required: true
+  attr :amount, :any, required: true, doc: "a USD Money or cents"
+  attr :class, :string, default: nil
+
+  def approx_amount(assigns) do
+    assigns = assign(assigns, :cents, usd_cents(assigns.amount))
+
+    ~H"""
+    <span
+      :if={@cents}
+      id={@id}
+      phx-update="ignore"
+      data-usd-cents={@cents}
+      class={["hidden text-xs font-normal text-zinc-500", @class]}
+    >
+    </span>
+    """
+  end
+
+  defp usd_cents(%Money{currency: :USD} = amount),
+    do: Ysc.MoneyHelper.money_to_cents(amount)
+
+  defp usd_cents(cents) when is_integer(cents), do: cents
+  defp usd_cents(_amount), do: nil
+
   def editor(assigns) do
     ~H"""
     <div class="w-full prose prose-zinc prose-base">
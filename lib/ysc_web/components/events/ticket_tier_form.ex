@@ -34,20 +34,14 @@ defmodule YscWeb.AdminEventsLive.TicketTierForm do
 
         <.input type="textarea" label="Description" field={@form[:description]} />
 
-        <.input
+        <.money_input
           :if={paid_type?(@form[:type].value)}
-          type="text"
           label="Price"
           field={@form[:price]}
           placeholder="0.00"
-          phx-hook="MoneyInput"
-          value={format_money(@form[:price].value)}
+          min="0"
           required
-        >
-          <div class="text-zinc-800">
-            $
-          </div>
-        </.input>
+        />
         <.input
           :if={!donation_type?(@form[:type].value)}
           type="checkbox"
@@ -339,16 +333,6 @@ defmodule YscWeb.AdminEventsLive.TicketTierForm do
 
   defp format_form_value(value), do: value
 
-  defp format_money(nil), do: nil
-  defp format_money(""), do: nil
-
-  defp format_money(%Money{} = value) do
-    case Ysc.MoneyHelper.format_money(value) do
-      {:ok, money} -> money
-      _ -> nil
-    end
-  end
-
   defp sale_end_min_date(nil), do: Date.utc_today()
   defp sale_end_min_date(""), do: Date.utc_today()
 
@@ -8,6 +8,7 @@ defmodule YscWeb.Components.ImageUploadComponent do
 
   alias Ysc.Media
   alias Ysc.S3Config
+  alias YscWeb.S3.MultipartUpload
   alias YscWeb.S3.SimpleS3Upload
 
   @impl true
@@ -18,6 +19,11 @@ defmodule YscWeb.Components.ImageUploadComponent do
         <label
           class="flex p-6 flex-col items-center justify-center w-full min-h-72 border-2 border-zinc-300 border-dashed rounded-lg cursor-pointer bg-zinc-50 hover:bg-zinc-100"
           phx-drop-target={@uploads.media_uploads.ref}
+          id={"#{@id}-drop-zone"}
+          phx-hook="ImagePreprocess"
+          data-image-max-edge="4096"
+          data-image-format="webp"
+          data-image-quality="0.9"
         >
           <.live_file_input upload={@uploads.media_uploads} class="hidden" />
 
@@ -155,8 +161,20 @@ defmodule YscWeb.Components.ImageUploadComponent do
   end
 
   defp presign_upload(entry, socket) do
-    uploads = socket.assigns.uploads
     key = "public/#{entry.client_name}"
+    owner_id = socket.assigns.current_user.id
+
+    # Large files go up in parts so a dropped connection can resume
+    with true <- MultipartUpload.multipart?(entry),
+         {:ok, meta} <- MultipartUpload.presign(entry, key, owner_id) do
+      {:ok, meta, socket}
+    else
+      _ -> presign_form_upload(entry, socket, key)
+    end
+  end
+
+  defp presign_form_upload(entry, socket, key) do
+    uploads = socket.assigns.uploads
 
     config = %{
       region: S3Config.region(),
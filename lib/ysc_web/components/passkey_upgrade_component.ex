@@ -0,0 +1,228 @@
+defmodule YscWeb.Components.PasskeyUpgradeComponent do
+  @moduledoc """
+  Inline offer to create a passkey, shown after a password or emailed/SMS
+  code sign-in (the `passkey_upgrade` session flag).
+
+  The offer starts hidden. The PasskeyUpgrade hook shows it only on devices
+  with a platform authenticator where the member hasn't turned it down, and
+  only to members `Accounts.should_show_passkey_prompt?/1` would prompt (no
+  passkey yet, prompt not dismissed lately). Dismissing it is recorded on
+  the member like the home page prompt; "Never on this device" is also
+  remembered in the browser. The hook clears the session flag once the
+  offer has been made, so it is only offered once per sign-in.
+  Accepting runs the same `create_registration_challenge` ceremony as the
+  Add Passkey page through the PasskeyAuth hook, scoped to this component
+  so other PasskeyAuth elements on the page ignore it.
+  """
+  use YscWeb, :live_component
+
+  require Logger
+
+  alias Ysc.Accounts
+  alias YscWeb.PasskeyRegistration
+
+  @impl true
+  def mount(socket) do
+    {:ok,
+     assign(socket,
+       status: :hidden,
+       error: nil,
+       passkey_challenge: nil,
+       user_agent: nil
+     )}
+  end
+
+  @impl true
+  def update(assigns, socket) do
+    {:ok,
+     socket
+     |> assign(assigns)
+     |> assign_new(:offerable, fn ->
+       Accounts.should_show_passkey_prompt?(assigns.current_user)
+     end)}
+  end
+
+  @impl true
+  def render(assigns) do
+    ~H"""
+    <div
+      id={@id}
+      phx-hook="PasskeyUpgrade"
+      data-user-id={@current_user.id}
+      data-status={@status}
+    >
+      <div
+        id={"#{@id}-auth"}
+        phx-hook="PasskeyAuth"
+        data-passkey-scope="upgrade"
+      >
+        <div
+          :if={@status in [:offered, :creating, :created]}
+          class="bg-blue-50 border-b border-blue-100"
+        >
+          <div class="max-w-screen-xl mx-auto px-4 py-3 flex flex-col sm:flex-row sm:items-center gap-3">
+            <div class="flex items-start gap-3 flex-1">
+              <.icon
+                name={
+                  if @status == :created,
+                    do: "hero-check-circle",
+                    else: "hero-finger-print"
+                }
+                class="w-6 h-6 shrink-0 text-blue-600"
+              />
+              <div>
+                <p class="text-sm font-semibold text-blue-900">
+                  <%= if @status == :created,
+                    do: "Passkey created",
+                    else: "Sign in faster next time with a passkey" %>
+                </p>
+                <p class="text-sm text-blue-800/80">
+                  <%= if @status == :created,
+                    do: "Next time, sign in with your fingerprint, face or device PIN.",
+                    else: "Use your fingerprint, face or device PIN on this device instead of a password or code." %>
+                </p>
+                <p :if={@error} class="mt-1 text-sm text-red-700"><%= @error %></p>
+              </div>
+            </div>
+
+            <div :if={@status != :created} class="flex items-center gap-3">
+              <.button
+                type="button"
+                phx-click="create_passkey"
+                phx-target={@myself}
+                disabled={@status == :creating}
+                class="!py-1.5 !px-4 whitespace-nowrap"
+              >
+                <%= if @status == :creating,
+                  do: "Creating...",
+                  else: "Create a passkey" %>
+              </.button>
+              <button
+                type="button"
+                phx-click="dismiss"
+                phx-target={@myself}
+                data-passkey-offer-dismiss="later"
+                class="whitespace-nowrap text-sm font-medium text-blue-600 hover:text-blue-800"
+              >
+                Not now
+              </button>
+              <button
+                type="button"
+                phx-click="dismiss"
+                phx-target={@myself}
+                data-passkey-offer-dismiss="never"
+                class="whitespace-nowrap text-sm font-medium text-zinc-500 hover:text-zinc-700"
+              >
+                Never on this device
+              </button>
+            </div>
+
+            <button
+              :if={@status == :created}
+              type="button"
+              phx-click="dismiss"
+              phx-target={@myself}
+              class="p-2 text-blue-400 hover:text-blue-600"
+              aria-label="Close"
+            >
+              <.icon name="hero-x-mark" class="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+    """
+  end
+
+  @impl true
+  def handle_event("offer_passkey", _params, socket) do
+    if socket.assigns.offerable and socket.assigns.status == :hidden do
+      {:noreply, assign(socket, :status, :offered)}
+    else
+      {:noreply, socket}
+    end
+  end
+
+  def handle_event("create_passkey", _params, socket) do
+    {challenge, options} =
+      PasskeyRegistration.new_challenge(socket.assigns.current_user)
+
+    {:noreply,
+     socket
+     |> assign(status: :creating, error: nil, passkey_challenge: challenge)
+     |> push_event("create_registration_challenge", %{
+       options: options,
+       scope: "upgrade"
+     })}
+  end
+
+  def handle_event(
+        "verify_registration",
+        _response,
+        %{assigns: %{passkey_challenge: nil}} = socket
+      ) do
+    {:noreply,
+     assign(socket,
+       status: :offered,
+       error: "Registration session expired. Please try again."
+     )}
+  end
+
+  def handle_event("verify_registration", response, socket) do
+    %{current_user: user, passkey_challenge: challenge} = socket.assigns
+
+    case PasskeyRegistration.register(
+           user,
+           challenge,
+           response,
+           socket.assigns.user_agent
+         ) do
+      {:ok, _passkey} ->
+        {:noreply, assign(socket, status: :created, passkey_challenge: nil)}
+
+      {:error, message} ->
+        {:noreply,
+         assign(socket,
+           status: :offered,
+           error: message,
+           passkey_challenge: nil
+         )}
+    end
+  end
+
+  def handle_event("passkey_registration_error", params, socket) do
+    Logger.info("[PasskeyUpgradeComponent] Passkey registration failed", %{
+      code: params["code"]
+    })
+
+    # Closing the prompt is a choice, not an error worth repeating back
+    error =
+      case params do
+        %{"code" => "cancelled"} -> nil
+        %{"message" => guidance} -> guidance
+        _ -> "An error occurred during registration. Please try again."
+      end
+
+    {:noreply,
+     assign(socket, status: :offered, error: error, passkey_challenge: nil)}
+  end
+
+  def handle_event("dismiss", _params, socket) do
+    if socket.assigns.status == :offered do
+      Accounts.dismiss_passkey_prompt(socket.assigns.current_user)
+    end
+
+    {:noreply, assign(socket, status: :dismissed, passkey_challenge: nil)}
+  end
+
+  def handle_event("user_agent_received", %{"user_agent" => user_agent}, socket) do
+    {:noreply, assign(socket, :user_agent, user_agent)}
+  end
+
+  # PasskeyAuth hook sends these events - the PasskeyUpgrade hook checks
+  # support itself
+  def handle_event("passkey_support_detected", _params, socket),
+    do: {:noreply, socket}
+
+  def handle_event("device_detected", _params, socket), do: {:noreply, socket}
+end
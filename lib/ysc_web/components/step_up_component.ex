@@ -0,0 +1,420 @@
+defmodule YscWeb.Components.StepUpComponent do
+  @moduledoc """
+  Modal asking the member to verify it's them before a sensitive action
+  (see `YscWeb.StepUp`).
+
+  Offers a fresh passkey assertion (user verification required), the
+  password, or a code emailed to them. On success it signs an elevated
+  token and sends `{:step_up, :verified, token}` to the LiveView; closing
+  the modal sends `{:step_up, :cancelled}`.
+
+  The passkey runs through the PasskeyAuth hook, scoped to "step_up" so
+  other PasskeyAuth elements on the page ignore the challenge.
+
+  Failed passwords, codes and passkeys are counted per member by
+  `YscWeb.StepUp.RateLimit`; once it refuses, the modal stays locked even
+  when reopened. It also limits how many codes are emailed.
+  """
+  use YscWeb, :live_component
+
+  require Logger
+
+  alias Ysc.Accounts
+  alias Ysc.Accounts.UserPasskey
+  alias YscWeb.StepUp
+  alias YscWeb.StepUp.RateLimit
+
+  @impl true
+  def mount(socket) do
+    {:ok,
+     assign(socket,
+       error: nil,
+       passkey_challenge: nil,
+       passkey_loading: false,
+       code_sent: false,
+       password_form: to_form(%{"password" => ""}, as: :step_up),
+       code_form: to_form(%{"code" => ""}, as: :step_up)
+     )}
+  end
+
+  @impl true
+  def update(assigns, socket) do
+    socket = assign(socket, assigns)
+
+    {:ok,
+     socket
+     |> assign_new(:passkeys, fn ->
+       Accounts.get_user_passkeys(assigns.user)
+     end)
+     |> assign_new(:has_password, fn ->
+       !is_nil(assigns.user.hashed_password)
+     end)
+     |> assign_new(:locked, fn -> rate_limited?(assigns.user) end)}
+  end
+
+  @impl true
+  def render(assigns) do
+    ~H"""
+    <div>
+      <.modal
+        id={"#{@id}-modal"}
+        show
+        max_width="max-w-md"
+        z_index="z-[60]"
+        on_cancel={JS.push("cancel", target: @myself)}
+      >
+        <h2 class="text-2xl font-semibold leading-8 text-zinc-800 mb-2">
+          Verify it's you
+        </h2>
+        <p class="text-sm text-zinc-600 mb-6"><%= @reason %></p>
+
+        <div
+          :if={@error || @locked}
+          id={"#{@id}-error"}
+          class="mb-6 p-3 bg-red-50 border border-red-200 rounded-md"
+        >
+          <p class="text-sm text-red-800">
+            <%= if @locked, do: "Too many failed attempts.", else: @error %>
+          </p>
+        </div>
+
+        <div :if={@locked} class="text-sm text-zinc-600">
+          Close this window and try again later.
+        </div>
+
+        <div :if={!@locked} class="space-y-6">
+          <div
+            :if={@passkeys != []}
+            id={"#{@id}-passkey"}
+            phx-hook="PasskeyAuth"
+            data-passkey-scope="step_up"
+          >
+            <.button
+              type="button"
+              phx-click="passkey"
+              phx-target={@myself}
+              disabled={@passkey_loading}
+              class="w-full"
+            >
+              <.icon name="hero-finger-print" class="w-5 h-5 me-2" />
+              <%= if @passkey_loading,
+                do: "Waiting for your passkey...",
+                else: "Continue with passkey" %>
+            </.button>
+          </div>
+
+          <div :if={@has_password}>
+            <.simple_form
+              for={@password_form}
+              id={"#{@id}-password-form"}
+              phx-submit="password"
+              phx-target={@myself}
+            >
+              <.input
+                field={@password_form[:password]}
+                type="password-toggle"
+                label="Password"
+                required
+                autocomplete="current-password"
+              />
+              <:actions>
+                <.button phx-disable-with="Verifying..." class="w-full">
+                  Verify with password
+                </.button>
+              </:actions>
+            </.simple_form>
+          </div>
+
+          <div class="border-t border-zinc-200 pt-6">
+            <button
+              :if={!@code_sent}
+              type="button"
+              phx-click="send_code"
+              phx-target={@myself}
+              class="w-full text-sm font-semibold text-blue-600 hover:text-blue-800"
+            >
+              Email me a verification code instead
+            </button>
+
+            <.simple_form
+              :if={@code_sent}
+              for={@code_form}
+              id={"#{@id}-code-form"}
+              phx-submit="code"
+              phx-target={@myself}
+            >
+              <p class="text-sm text-zinc-600">
+                We sent a 6-digit code to <%= @user.email %>.
+              </p>
+              <.input
+                field={@code_form[:code]}
+                type="otp"
+                label="Verification code"
+                required
+              />
+              <:actions>
+                <.button phx-disable-with="Verifying..." class="w-full">
+                  Verify code
+                </.button>
+              </:actions>
+            </.simple_form>
+          </div>
+        </div>
+      </.modal>
+    </div>
+    """
+  end
+
+  @impl true
+  def handle_event("cancel", _params, socket) do
+    send(self(), {:step_up, :cancelled})
+    {:noreply, socket}
+  end
+
+  # Locked after too many failures, however often the modal is reopened
+  def handle_event(event, params, socket)
+      when event in ["password", "code", "verify_authentication"] do
+    if rate_limited?(socket.assigns.user) do
+      {:noreply, assign(socket, locked: true, passkey_loading: false)}
+    else
+      verify(event, params, socket)
+    end
+  end
+
+  # A locked modal sends nothing, and only a few codes go out per window
+  def handle_event("send_code", _params, socket) do
+    user = socket.assigns.user
+
+    cond do
+      socket.assigns.locked or rate_limited?(user) ->
+        {:noreply, assign(socket, locked: true)}
+
+      RateLimit.record_send(user.id) != :ok ->
+        {:noreply,
+         assign(socket,
+           error: "Too many codes sent. Please try again in a few minutes."
+         )}
+
+      true ->
+        Accounts.deliver_step_up_code(user)
+
+        {:noreply, assign(socket, code_sent: true, error: nil)}
+    end
+  end
+
+  def handle_event("passkey", _params, socket) do
+    {challenge, options} = new_challenge(socket.assigns.passkeys)
+
+    {:noreply,
+     socket
+     |> assign(passkey_challenge: challenge, passkey_loading: true, error: nil)
+     |> push_event("create_authentication_challenge", %{
+       options: options,
+       scope: "step_up"
+     })}
+  end
+
+  def handle_event("passkey_auth_error", params, socket) do
+    # Closing the passkey prompt isn't an error worth repeating back
+    error =
+      case params do
+        %{"code" => "cancelled"} -> nil
+        %{"message" => guidance} -> guidance
+        _ -> "Passkey verification failed. Please try again."
+      end
+
+    {:noreply,
+     assign(socket,
+       passkey_challenge: nil,
+       passkey_loading: false,
+       error: error
+     )}
+  end
+
+  # PasskeyAuth hook sends these events - not needed for verification
+  def handle_event("passkey_support_detected", _params, socket),
+    do: {:noreply, socket}
+
+  def handle_event("user_agent_received", _params, socket),
+    do: {:noreply, socket}
+
+  def handle_event("device_detected", _params, socket), do: {:noreply, socket}
+
+  defp verify("password", %{"step_up" => %{"password" => password}}, socket) do
+    user = socket.assigns.user
+
+    case Accounts.get_user_by_email_and_password(user.email, password) do
+      nil -> {:noreply, failed(socket, "Invalid password. Please try again.")}
+      _user -> {:noreply, verified(socket, "password")}
+    end
+  end
+
+  defp verify("code", %{"step_up" => %{"code" => code}}, socket) do
+    code = normalize_code(code)
+
+    case Accounts.verify_step_up_code(socket.assigns.user, code) do
+      {:ok, :verified} ->
+        {:noreply, verified(socket, "email_code")}
+
+      {:error, :invalid_code} ->
+        {:noreply, failed(socket, "Invalid code. Please try again.")}
+
+      {:error, _reason} ->
+        {:noreply,
+         assign(socket,
+           code_sent: false,
+           error: "That code has expired. Please request a new one."
+         )}
+    end
+  end
+
+  defp verify(
+         "verify_authentication",
+         _response,
+         %{assigns: %{passkey_challenge: nil}} = socket
+       ) do
+    {:noreply,
+     assign(socket,
+       passkey_loading: false,
+       error: "Verification session expired. Please try again."
+     )}
+  end
+
+  defp verify("verify_authentication", response, socket) do
+    socket = assign(socket, passkey_loading: false)
+
+    case verify_passkey(socket.assigns, response) do
+      :ok ->
+        {:noreply, verified(socket, "passkey")}
+
+      {:error, reason} ->
+        Logger.warning("[StepUpComponent] Passkey verification failed", %{
+          user_id: socket.assigns.user.id,
+          reason: inspect(reason)
+        })
+
+        {:noreply,
+         socket
+         |> assign(:passkey_challenge, nil)
+         |> failed("That passkey couldn't be verified. Please try again.")}
+    end
+  end
+
+  defp rate_limited?(user), do: RateLimit.check(user.id) != :ok
+
+  # The otp input submits one field per digit
+  defp normalize_code(code) when is_map(code) do
+    code
+    |> Enum.sort_by(fn {index, _digit} -> String.to_integer(index) end)
+    |> Enum.map_join(fn {_index, digit} -> digit end)
+  end
+
+  defp normalize_code(code) when is_binary(code), do: String.trim(code)
+
+  defp normalize_code(_code), do: ""
+
+  defp verified(socket, method) do
+    user = socket.assigns.user
+
+    Logger.info("[StepUpComponent] Identity verified", %{
+      user_id: user.id,
+      method: method
+    })
+
+    send(self(), {:step_up, :verified, StepUp.sign_token(user)})
+
+    assign(socket, error: nil, passkey_challenge: nil)
+  end
+
+  defp failed(socket, message) do
+    user = socket.assigns.user
+    RateLimit.record_failure(user.id)
+
+    if rate_limited?(user) do
+      Logger.warning("[StepUpComponent] Too many failed verifications", %{
+        user_id: user.id
+      })
+
+      Accounts.remove_step_up_code(user)
+
+      assign(socket, locked: true, error: nil)
+    else
+      assign(socket, error: message)
+    end
+  end
+
+  # Only the member's own passkeys can answer the challenge
+  defp new_challenge(passkeys) do
+    rp_id = Application.get_env(:wax_, :rp_id) || "localhost"
+    origin = Application.get_env(:wax_, :origin) || "http://localhost:4000"
+
+    challenge =
+      Wax.new_authentication_challenge(
+        rp_id: rp_id,
+        origin: origin,
+        user_verification: "required",
+        allow_credentials:
+          Enum.map(passkeys, fn passkey ->
+            {passkey.external_id,
+             UserPasskey.decode_public_key(passkey.public_key)}
+          end)
+      )
+
+    options = %{
+      challenge: Base.url_encode64(challenge.bytes, padding: false),
+      timeout: challenge.timeout,
+      rpId: rp_id,
+      userVerification: "required",
+      allowCredentials:
+        Enum.map(passkeys, fn passkey ->
+          %{
+            type: "public-key",
+            id: Base.url_encode64(passkey.external_id, padding: false)
+          }
+        end)
+    }
+
+    {challenge, options}
+  end
+
+  defp verify_passkey(assigns, response) do
+    %{passkeys: passkeys, passkey_challenge: challenge} = assigns
+
+    raw_id =
+      Base.url_decode64!(response["rawId"] || response["id"], padding: false)
+
+    authenticator_data =
+      Base.url_decode64!(response["response"]["authenticatorData"],
+        padding: false
+      )
+
+    client_data_json =
+      Base.url_decode64!(response["response"]["clientDataJSON"],
+        padding: false
+      )
+
+    signature =
+      Base.url_decode64!(response["response"]["signature"], padding: false)
+
+    with %UserPasskey{} = passkey <-
+           Enum.find(passkeys, &(&1.external_id == raw_id)) ||
+             {:error, :unknown_passkey},
+         {:ok, auth_data} <-
+           Wax.authenticate(
+             raw_id,
+             authenticator_data,
+             signature,
+             client_data_json,
+             challenge
+           ),
+         true <-
+           auth_data.sign_count >= passkey.sign_count ||
+             {:error, :sign_count},
+         {:ok, _passkey} <-
+           Accounts.update_passkey_sign_count(passkey, auth_data.sign_count) do
+      :ok
+    end
+  rescue
+    error -> {:error, error}
+  end
+end
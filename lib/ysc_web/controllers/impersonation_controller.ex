@@ -1,12 +1,18 @@
 defmodule YscWeb.ImpersonationController do
   @moduledoc """
   Admin-only controller for starting and stopping user impersonation.
+
+  Starting is a POST carrying a step-up token (see `YscWeb.StepUp`) in the
+  `step_up` form field, issued when the admin verified their identity on
+  the user's admin page. The token is only ever sent in the body, so it
+  stays out of URLs, browser history and logs.
   """
   use YscWeb, :controller
 
   alias Ysc.Accounts
+  alias YscWeb.StepUp
 
-  def impersonate(conn, %{"user_id" => user_id}) do
+  def impersonate(conn, %{"user_id" => user_id} = params) do
     current_user = conn.assigns.current_user
 
     unless current_user.role == :admin do
@@ -16,14 +22,24 @@ defmodule YscWeb.ImpersonationController do
       |> halt()
     end
 
-    case Accounts.get_user(user_id) do
-      nil ->
+    case {Accounts.get_user(user_id),
+          StepUp.verify_token(params["step_up"], current_user)} do
+      {nil, _step_up} ->
         conn
         |> put_flash(:error, "User not found.")
         |> redirect(to: ~p"/admin/users")
         |> halt()
 
-      _target_user ->
+      {_target_user, {:error, _reason}} ->
+        conn
+        |> put_flash(
+          :error,
+          "Please verify your identity before logging in as a user."
+        )
+        |> redirect(to: ~p"/admin/users/#{user_id}/details")
+        |> halt()
+
+      {_target_user, :ok} ->
         conn
         |> put_session(:impersonated_user_id, user_id)
         |> put_session(:original_admin_id, current_user.id)
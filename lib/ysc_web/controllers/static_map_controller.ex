@@ -0,0 +1,58 @@
+defmodule YscWeb.StaticMapController do
+  @moduledoc """
+  Map images for the map pin embeds in posts (see assets/js/trix_embeds.js).
+
+  Posts only store the coordinates and size of a map. This redirects to the
+  Radar static map with the current publishable key, so rotating the key
+  doesn't break maps in published posts.
+  """
+  use YscWeb, :controller
+
+  @static_map_url "https://api.radar.io/maps/static"
+  @zoom 14
+  @max_size 1280
+
+  def show(conn, params) do
+    with {:ok, latitude} <- coordinate(params["lat"], 90),
+         {:ok, longitude} <- coordinate(params["lng"], 180),
+         {:ok, width} <- size(params["width"]),
+         {:ok, height} <- size(params["height"]) do
+      center = "#{latitude},#{longitude}"
+
+      query =
+        URI.encode_query(%{
+          width: width,
+          height: height,
+          center: center,
+          zoom: @zoom,
+          markers: center,
+          scale: 2,
+          publishableKey: Application.get_env(:ysc, :radar)[:public_key]
+        })
+
+      conn
+      |> put_resp_header("cache-control", "public, max-age=3600")
+      |> redirect(external: "#{@static_map_url}?#{query}")
+    else
+      :error -> send_resp(conn, :bad_request, "")
+    end
+  end
+
+  defp coordinate(value, limit) when is_binary(value) do
+    case Float.parse(value) do
+      {number, ""} when abs(number) <= limit -> {:ok, number}
+      _ -> :error
+    end
+  end
+
+  defp coordinate(_value, _limit), do: :error
+
+  defp size(value) when is_binary(value) do
+    case Integer.parse(value) do
+      {number, ""} when number in 1..@max_size -> {:ok, number}
+      _ -> :error
+    end
+  end
+
+  defp size(_value), do: :error
+end
@@ -9,11 +9,13 @@ defmodule YscWeb.TrixUploadsController do
   @temp_dir "/tmp/image_processor"
 
   # sobelow_skip ["XSS.SendResp"]
-  def create(conn, %{"post_id" => post_id} = params) do
+  def create(conn, params) do
     current_user = conn.assigns[:current_user]
     updated_image = upload_file(params, current_user)
 
-    post = Posts.get_post(post_id)
+    # Only post editors send a post_id; other editors (e.g. event details)
+    # just need the image URL back
+    post = params["post_id"] && Posts.get_post(params["post_id"])
 
     if post != nil do
       set_cover_photo(post, updated_image.id, current_user)
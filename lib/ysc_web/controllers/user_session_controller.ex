@@ -63,8 +63,10 @@ defmodule YscWeb.UserSessionController do
 
         # Reset failed sign-in attempts and log in user
         # UserAuth.log_in_user will redirect to the appropriate path based on user state
+        # The member just verified a code, so offer a passkey for next time
         conn
         |> delete_session(:failed_login_attempts)
+        |> put_session(:passkey_upgrade, true)
         |> UserAuth.log_in_user(user, %{})
       else
         # Account not active
@@ -146,6 +148,7 @@ defmodule YscWeb.UserSessionController do
           |> delete_session(:failed_login_attempts)
           |> delete_session(:user_return_to)
           |> put_session(:just_logged_in, true)
+          |> put_session(:passkey_upgrade, true)
           |> UserAuth.log_in_user(user, user_params, validated_redirect)
         else
           # Log failed sign-in attempt due to account state
@@ -202,6 +205,14 @@ defmodule YscWeb.UserSessionController do
     |> UserAuth.log_out_user()
   end
 
+  # Called by the PasskeyUpgrade hook once the passkey offer after sign-in
+  # has been shown (or can't be), so it isn't offered on every page
+  def clear_passkey_upgrade(conn, _params) do
+    conn
+    |> delete_session(:passkey_upgrade)
+    |> send_resp(:no_content, "")
+  end
+
   def reset_attempts(conn, _params) do
     # Clear failed login attempts from session and redirect back to login page
     conn
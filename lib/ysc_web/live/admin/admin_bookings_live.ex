@@ -13,6 +13,7 @@ defmodule YscWeb.AdminBookingsLive do
     statics: YscWeb.static_paths()
 
   alias Ysc.Bookings
+  alias Ysc.Bookings.PaymentShares
   alias Ysc.MoneyHelper
   alias Ysc.Accounts
   alias Ysc.Ledgers.{Payment, Refund}
@@ -189,30 +190,22 @@ defmodule YscWeb.AdminBookingsLive do
             required
           />
 
-          <.input
-            type="text"
+          <.money_input
             field={@form[:amount]}
             label="Adult Amount"
             placeholder="0.00"
             id="adult_amount_input"
-            phx-hook="MoneyInput"
-            value={format_money_for_input(@form[:amount].value)}
+            min="0"
             required
-          >
-            <div class="text-zinc-800">$</div>
-          </.input>
+          />
 
-          <.input
-            type="text"
+          <.money_input
             field={@form[:children_amount]}
             label="Children Amount (optional)"
             placeholder="0.00"
             id="children_amount_input"
-            phx-hook="MoneyInput"
-            value={format_money_for_input(@form[:children_amount].value)}
-          >
-            <div class="text-zinc-800">$</div>
-          </.input>
+            min="0"
+          />
           <p class="mt-1 text-sm text-zinc-600">
             Children pricing for this rule. If not set, falls back to $25/night for Tahoe room bookings.
           </p>
@@ -406,8 +399,7 @@ defmodule YscWeb.AdminBookingsLive do
             </p>
           </div>
 
-          <.input
-            type="text"
+          <.money_input
             name="approve_refund[admin_refund_amount]"
             label="Refund Amount"
             placeholder={
@@ -416,11 +408,9 @@ defmodule YscWeb.AdminBookingsLive do
               )
             }
             id="admin_refund_amount_input"
-            phx-hook="MoneyInput"
             value=""
-          >
-            <div class="text-zinc-800">$</div>
-          </.input>
+            min="0"
+          />
 
           <.input
             type="textarea"
@@ -939,6 +929,17 @@ defmodule YscWeb.AdminBookingsLive do
               <.icon name="hero-arrow-uturn-left" class="w-4 h-4 -mt-0.5" />
               <span class="ms-1">Process Refund</span>
             </.button>
+            <.button
+              :if={@split_paid}
+              id="cancel-split-booking"
+              phx-click="cancel-split-booking"
+              phx-disable-with="Canceling..."
+              data-confirm="Cancel this split booking? Everyone who paid a share will be refunded through Stripe and the availability released."
+              class="bg-red-600 hover:bg-red-700 text-white"
+            >
+              <.icon name="hero-x-circle" class="w-4 h-4 -mt-0.5" />
+              <span class="ms-1">Cancel and Refund Shares</span>
+            </.button>
           </div>
           <div class="flex gap-2">
             <.button phx-click={
@@ -3913,6 +3914,10 @@ defmodule YscWeb.AdminBookingsLive do
     |> assign(:primary_payment, primary_payment)
     |> assign(:show_refund_modal, false)
     |> assign(:refund_form, refund_form)
+    |> assign(
+      :split_paid,
+      booking.status == :hold and PaymentShares.paid_shares?(booking.id)
+    )
   end
 
   defp apply_action(socket, :new_booking, params) do
@@ -4892,6 +4897,26 @@ defmodule YscWeb.AdminBookingsLive do
   end
 
   # Booking refund handlers
+  def handle_event("cancel-split-booking", _params, socket) do
+    booking = socket.assigns.booking
+
+    case PaymentShares.cancel_and_refund(booking, "Canceled by an admin") do
+      {:ok, _booking} ->
+        {:noreply,
+         socket
+         |> put_flash(:info, "Booking canceled and paid shares refunded")
+         |> push_patch(to: ~p"/admin/bookings/#{booking.id}")}
+
+      {:error, reason} ->
+        {:noreply,
+         put_flash(
+           socket,
+           :error,
+           "Failed to cancel booking: #{inspect(reason)}"
+         )}
+    end
+  end
+
   def handle_event("show-booking-refund-modal", _params, socket) do
     {:noreply, assign(socket, :show_refund_modal, true)}
   end
@@ -6213,13 +6238,6 @@ defmodule YscWeb.AdminBookingsLive do
     end)
   end
 
-  defp format_money_for_input(nil), do: ""
-
-  defp format_money_for_input(%Money{} = money),
-    do: MoneyHelper.format_money!(money)
-
-  defp format_money_for_input(_), do: ""
-
   defp format_season_dates(start_date, end_date) do
     start_str = "#{month_name(start_date.month)} #{start_date.day}"
     end_str = "#{month_name(end_date.month)} #{end_date.day}"
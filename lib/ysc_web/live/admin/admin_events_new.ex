@@ -345,15 +345,14 @@ defmodule YscWeb.AdminEventsNewLive do
               <div class="prose prose-zinc prose-base prose-a:text-blue-600 max-w-none">
                 <.input
                   type="hidden"
-                  id="post[raw_body]"
+                  id="event-details"
                   field={@form[:raw_details]}
-                  data-post-id={@event.id}
                   phx-hook="TrixHook"
                   phx-debounce={200}
                 />
-                <div id="richtext" phx-update="ignore">
+                <div id="event-details-richtext" phx-update="ignore">
                   <trix-editor
-                    input="post[raw_body]"
+                    input="event-details"
                     class="trix-content block px-4 py-2 bg-white border-zinc-200 focus:ring-1 focus:ring-blue-400 focus:border-blue-400 transition border-l border-b border-r focus:ring-0 text-wrap"
                     placeholder="Write something delightful and nice..."
                   >
@@ -733,6 +732,12 @@ defmodule YscWeb.AdminEventsNewLive do
      assign_form(socket, updated_changeset) |> assign(:event, updated_event)}
   end
 
+  def handle_event("editor-uploads", _params, socket) do
+    # Events publish through their own flow; upload state is only tracked by
+    # the post editor.
+    {:noreply, socket}
+  end
+
   def handle_event(
         "map-new-marker",
         %{"lat" => latitude, "long" => longitude},
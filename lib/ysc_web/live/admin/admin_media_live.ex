@@ -15,6 +15,7 @@ defmodule YscWeb.AdminMediaLive do
   alias Ysc.Media
   alias Ysc.Media.Timeline
   alias Ysc.S3Config
+  alias YscWeb.S3.MultipartUpload
   alias YscWeb.S3.SimpleS3Upload
 
   @impl true
@@ -188,6 +189,11 @@ defmodule YscWeb.AdminMediaLive do
             <label
               class="flex p-6 flex-col items-center justify-center w-full min-h-72 border-2 border-zinc-300 border-dashed rounded-lg cursor-pointer bg-zinc-50 hover:bg-zinc-100"
               phx-drop-target={@uploads.media_uploads.ref}
+              id="admin-media-drop-zone"
+              phx-hook="ImagePreprocess"
+              data-image-max-edge="4096"
+              data-image-format="webp"
+              data-image-quality="0.9"
             >
               <.live_file_input upload={@uploads.media_uploads} class="hidden" />
 
@@ -406,8 +412,13 @@ defmodule YscWeb.AdminMediaLive do
      |> assign(:uploaded_files, [])
      |> stream(:images, [], dom_id: &get_dom_id/1)
      |> allow_upload(:media_uploads,
+       # Images only for now: every upload becomes a Media.Image and goes
+       # through the ImageProcessor, which can't open video. Videos need
+       # their own record and processing before they can be accepted here.
        accept: ~w(.jpg .jpeg .png .gif .webp),
        max_entries: 10,
+       # Originals can be large; anything over 20 MB is uploaded in parts
+       max_file_size: 200_000_000,
        external: &presign_upload/2
      )}
   end
@@ -925,8 +936,20 @@ defmodule YscWeb.AdminMediaLive do
   end
 
   defp presign_upload(entry, socket) do
-    uploads = socket.assigns.uploads
     key = "public/#{entry.client_name}"
+    owner_id = socket.assigns.current_user.id
+
+    # Large files go up in parts so a dropped connection can resume
+    with true <- MultipartUpload.multipart?(entry),
+         {:ok, meta} <- MultipartUpload.presign(entry, key, owner_id) do
+      {:ok, meta, socket}
+    else
+      _ -> presign_form_upload(entry, socket, key)
+    end
+  end
+
+  defp presign_form_upload(entry, socket, key) do
+    uploads = socket.assigns.uploads
 
     config = %{
       region: S3Config.region(),
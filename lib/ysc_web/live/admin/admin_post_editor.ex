@@ -15,11 +15,33 @@ defmodule YscWeb.AdminPostEditorLive do
   alias Ysc.Posts.Post
   alias Ysc.Posts
   alias Ysc.Media
+  alias Ysc.Events
   alias Ysc.S3Config
+  alias YscWeb.S3.MultipartUpload
   alias YscWeb.S3.SimpleS3Upload
 
   @save_debounce_timeout 2000
 
+  @embed_page_size 24
+
+  # Always offered in the map embed picker, ahead of upcoming event venues
+  @cabin_places [
+    %{
+      id: "tahoe-cabin",
+      name: "Tahoe Cabin",
+      address: nil,
+      latitude: 39.12591794747629,
+      longitude: -120.16648676079016
+    },
+    %{
+      id: "clear-lake-cabin",
+      name: "Clear Lake Cabin",
+      address: nil,
+      latitude: 38.98087180833886,
+      longitude: -122.73563627025182
+    }
+  ]
+
   def render(assigns) do
     ~H"""
     <.side_menu
@@ -323,6 +345,14 @@ defmodule YscWeb.AdminPostEditorLive do
               </span>
               Saving...
             </p>
+
+            <p
+              id="editor-status"
+              phx-update="ignore"
+              data-editor-status
+              class="text-sm text-zinc-500 align-middle inline-block px-1 mt-4 whitespace-nowrap"
+            >
+            </p>
           </div>
 
           <div class="flex flex-row align-baseline items-end">
@@ -331,6 +361,7 @@ defmodule YscWeb.AdminPostEditorLive do
               class="hidden lg:block w-28 mr-3"
               type="button"
               phx-click="publish-post"
+              disabled={@editor_uploads.pending > 0 or @editor_uploads.failed > 0}
             >
               <.icon name="hero-document-arrow-up" class="w-5 h-5 -mt-1" />
               <span class="me-1">Publish</span>
@@ -454,8 +485,19 @@ defmodule YscWeb.AdminPostEditorLive do
             id="post[raw_body]"
             field={@form[:raw_body]}
             data-post-id={@post_id}
+            data-revision={@post.body_revision}
+            data-status-target="editor-status"
+            data-notice-target="editor-notice"
+            data-embeds
             phx-hook="TrixHook"
           />
+          <div
+            id="editor-notice"
+            phx-update="ignore"
+            data-editor-notice
+            class="max-w-2xl mx-auto"
+          >
+          </div>
           <div id="richtext" phx-update="ignore">
             <trix-editor
               input="post[raw_body]"
@@ -481,6 +523,7 @@ defmodule YscWeb.AdminPostEditorLive do
      |> assign(:page_title, post.title)
      |> assign(:active_page, :news)
      |> assign(:saving?, false)
+     |> assign(:editor_uploads, %{pending: 0, failed: 0})
      |> assign(:post_id, post.id)
      |> assign(:post, post)
      |> assign(:featured_image_choices, [])
@@ -569,10 +612,110 @@ defmodule YscWeb.AdminPostEditorLive do
     handle_event("post-update", req, socket)
   end
 
+  def handle_event(
+        "editor-update",
+        %{"raw_body" => raw_body, "revision" => revision},
+        socket
+      ) do
+    post = socket.assigns[:post]
+
+    body = %{
+      raw_body: raw_body,
+      rendered_body: Scrubber.scrub(raw_body, Scrubber.BasicHTML)
+    }
+
+    case Posts.update_post_body(
+           post,
+           revision,
+           body,
+           socket.assigns[:current_user]
+         ) do
+      {:ok, updated_post} ->
+        # Let other editors of this post know the body moved ahead
+        YscWeb.Endpoint.broadcast(
+          "post_saved:#{post.id}",
+          "saved",
+          post.id
+        )
+
+        {:reply, %{status: "saved", revision: updated_post.body_revision},
+         socket}
+
+      {:error, :conflict, current_post} ->
+        {:reply,
+         %{
+           status: "conflict",
+           revision: current_post.body_revision,
+           raw_body: current_post.raw_body || ""
+         }, socket}
+
+      {:error, _reason} ->
+        {:reply, %{status: "error"}, socket}
+    end
+  end
+
   def handle_event("editor-update", params, socket) do
     handle_event("post-update", %{"post" => params}, socket)
   end
 
+  def handle_event(
+        "editor-uploads",
+        %{"pending" => pending, "failed" => failed},
+        socket
+      ) do
+    {:noreply,
+     assign(socket, :editor_uploads, %{pending: pending, failed: failed})}
+  end
+
+  # Options for the rich embed pickers in the editor toolbar
+  def handle_event("embed-options", %{"type" => "event"}, socket) do
+    events = Events.list_upcoming_events(@embed_page_size)
+    {:reply, %{items: Enum.map(events, &event_embed/1)}, socket}
+  end
+
+  def handle_event("embed-options", %{"type" => "map"}, socket) do
+    event_places =
+      Events.list_upcoming_events(@embed_page_size)
+      |> Enum.filter(&(&1.latitude && &1.longitude))
+      |> Enum.map(fn event ->
+        %{
+          id: "event-#{event.id}",
+          name: event.location_name || event.title,
+          address: event.address,
+          latitude: event.latitude,
+          longitude: event.longitude
+        }
+      end)
+
+    {:reply, %{items: @cabin_places ++ event_places}, socket}
+  end
+
+  def handle_event("embed-options", %{"type" => "gallery"} = params, socket) do
+    offset = Map.get(params, "offset", 0)
+    images = Media.list_images(offset, @embed_page_size)
+
+    {:reply,
+     %{
+       items: Enum.map(images, &image_embed/1),
+       more: length(images) == @embed_page_size
+     }, socket}
+  end
+
+  def handle_event(
+        "publish-post",
+        _params,
+        %{assigns: %{editor_uploads: %{pending: pending, failed: failed}}} =
+          socket
+      )
+      when pending > 0 or failed > 0 do
+    {:noreply,
+     put_flash(
+       socket,
+       :error,
+       "Wait for image uploads to finish, or remove the images that failed, before publishing."
+     )}
+  end
+
   def handle_event("publish-post", _params, socket) do
     post = socket.assigns[:post]
 
@@ -798,15 +941,54 @@ defmodule YscWeb.AdminPostEditorLive do
   end
 
   def handle_info(%Phoenix.Socket.Broadcast{event: "saved"}, socket) do
+    post =
+      Posts.get_post!(socket.assigns[:post_id])
+      |> Ysc.Repo.preload(:featured_image)
+
     {:noreply,
      assign(socket, :saving?, false)
-     |> assign(
-       :post,
-       Posts.get_post!(socket.assigns[:post_id])
-       |> Ysc.Repo.preload(:featured_image)
-     )}
+     |> assign(:post, post)
+     |> push_event("editor-revision", %{revision: post.body_revision})}
+  end
+
+  defp event_embed(event) do
+    %{
+      id: event.id,
+      title: event.title,
+      url: ~p"/events/#{event.id}",
+      date: format_embed_date(event),
+      location: event.location_name,
+      image_url: event.image && embed_thumbnail_url(event.image)
+    }
+  end
+
+  defp image_embed(%Media.Image{} = image) do
+    %{
+      id: image.id,
+      title: image.title,
+      alt: image.alt_text || image.title,
+      url: image.optimized_image_path || image.raw_image_path,
+      thumbnail_url: embed_thumbnail_url(image),
+      width: image.width,
+      height: image.height
+    }
   end
 
+  defp embed_thumbnail_url(%Media.Image{} = image),
+    do:
+      image.thumbnail_path || image.optimized_image_path ||
+        image.raw_image_path
+
+  defp format_embed_date(%{start_date: nil}), do: nil
+
+  defp format_embed_date(%{start_date: start_date, start_time: nil}),
+    do: Timex.format!(start_date, "{WDshort}, {Mshort} {D}, {YYYY}")
+
+  defp format_embed_date(%{start_date: start_date, start_time: start_time}),
+    do:
+      Timex.format!(start_date, "{WDshort}, {Mshort} {D}, {YYYY}") <>
+        " · " <> Calendar.strftime(start_time, "%-I:%M %p")
+
   defp assign_form(socket, %Ecto.Changeset{} = changeset) do
     form = to_form(changeset, as: "post")
 
@@ -829,8 +1011,20 @@ defmodule YscWeb.AdminPostEditorLive do
   end
 
   defp presign_upload(entry, socket) do
-    uploads = socket.assigns.uploads
     key = "public/#{entry.client_name}"
+    owner_id = socket.assigns.current_user.id
+
+    # Large files go up in parts so a dropped connection can resume
+    with true <- MultipartUpload.multipart?(entry),
+         {:ok, meta} <- MultipartUpload.presign(entry, key, owner_id) do
+      {:ok, meta, socket}
+    else
+      _ -> presign_form_upload(entry, socket, key)
+    end
+  end
+
+  defp presign_form_upload(entry, socket, key) do
+    uploads = socket.assigns.uploads
 
     config = %{
       region: S3Config.region(),
@@ -18,6 +18,9 @@ defmodule YscWeb.AdminUserDetailsLive do
   alias Ysc.Repo
   alias Ysc.Subscriptions
   alias Ysc.Tickets
+  alias YscWeb.StepUp
+
+  on_mount StepUp
 
   def render(assigns) do
     ~H"""
@@ -36,12 +39,25 @@ defmodule YscWeb.AdminUserDetailsLive do
           <h1 class="text-2xl font-semibold leading-8 text-zinc-800">
             <%= "#{String.capitalize(@first_name)} #{String.capitalize(@last_name)}" %>
           </h1>
-          <.link
-            href={~p"/admin/impersonate/#{@user_id}"}
+          <button
+            type="button"
+            id="impersonate-user"
+            phx-click="impersonate"
             class="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors font-semibold"
           >
             <.icon name="hero-user-circle" class="w-5 h-5" /> Log in as User
-          </.link>
+          </button>
+          <%!-- Posts the step-up token once the admin is verified, so it
+               never ends up in a URL --%>
+          <.form
+            for={%{}}
+            id="impersonate-form"
+            action={~p"/admin/impersonate/#{@user_id}"}
+            phx-trigger-action={!is_nil(@impersonate_token)}
+            class="hidden"
+          >
+            <input type="hidden" name="step_up" value={@impersonate_token} />
+          </.form>
         </div>
 
         <div class="w-full py-4">
@@ -190,6 +206,7 @@ defmodule YscWeb.AdminUserDetailsLive do
         <div :if={@live_action == :profile} class="max-w-lg px-2 space-y-8">
           <.simple_form
             for={@form}
+            id="user-profile-form"
             phx-change="validate"
             phx-submit="save"
             class="py-8"
@@ -1611,6 +1628,8 @@ defmodule YscWeb.AdminUserDetailsLive do
         </div>
       </div>
     </.side_menu>
+
+    <StepUp.modal step_up={@step_up} />
     """
   end
 
@@ -1710,6 +1729,7 @@ defmodule YscWeb.AdminUserDetailsLive do
     {:ok,
      socket
      |> assign(:user_id, id)
+     |> assign(:impersonate_token, nil)
      |> assign(:first_name, selected_user.first_name)
      |> assign(:last_name, selected_user.last_name)
      |> assign(:role, selected_user.role)
@@ -1800,28 +1820,47 @@ defmodule YscWeb.AdminUserDetailsLive do
     {:noreply, assign(socket, :panel_width, width)}
   end
 
-  def handle_event("save", %{"user" => user_params}, socket) do
-    current_user = socket.assigns[:current_user]
-    assigned = socket.assigns[:selected_user]
+  def handle_event("impersonate", params, socket) do
+    with {:ok, socket} <-
+           StepUp.authorize(
+             socket,
+             "impersonate",
+             params,
+             "Verify it's you before signing in as this member."
+           ) do
+      # The controller checks the elevated token before switching users
+      {:noreply, assign(socket, :impersonate_token, StepUp.token(socket))}
+    end
+  end
 
-    case Accounts.update_user_with_address(assigned, user_params, current_user) do
-      {:ok, updated_user} ->
-        {:noreply,
-         socket
-         |> put_flash(:info, "User updated")
-         |> redirect(to: ~p"/admin/users/#{updated_user.id}/details")}
+  def handle_event("save", %{"user" => user_params} = params, socket) do
+    with {:ok, socket} <- authorize_email_change(socket, params) do
+      current_user = socket.assigns[:current_user]
+      assigned = socket.assigns[:selected_user]
 
-      {:error, changeset} ->
-        # Log the actual error for debugging
-        require Logger
+      case Accounts.update_user_with_address(
+             assigned,
+             user_params,
+             current_user
+           ) do
+        {:ok, updated_user} ->
+          {:noreply,
+           socket
+           |> put_flash(:info, "User updated")
+           |> redirect(to: ~p"/admin/users/#{updated_user.id}/details")}
 
-        Logger.error(
-          "Failed to update user with address: #{inspect(changeset.errors)}"
-        )
+        {:error, changeset} ->
+          # Log the actual error for debugging
+          require Logger
 
-        {:noreply,
-         socket
-         |> put_flash(:error, "Failed to save: #{inspect(changeset.errors)}")}
+          Logger.error(
+            "Failed to update user with address: #{inspect(changeset.errors)}"
+          )
+
+          {:noreply,
+           socket
+           |> put_flash(:error, "Failed to save: #{inspect(changeset.errors)}")}
+      end
     end
   end
 
@@ -2332,6 +2371,23 @@ defmodule YscWeb.AdminUserDetailsLive do
     end
   end
 
+  # Whoever controls a member's email can reset their password, so changing
+  # it needs the same step-up as signing in as them
+  defp authorize_email_change(socket, %{"user" => user_params} = params) do
+    email = user_params["email"]
+
+    if is_binary(email) and email != socket.assigns.selected_user.email do
+      StepUp.authorize(
+        socket,
+        "save",
+        params,
+        "Verify it's you before changing this member's email."
+      )
+    else
+      {:ok, socket}
+    end
+  end
+
   defp assign_form(socket, %Ecto.Changeset{} = changeset) do
     form = to_form(changeset, as: "user")
 
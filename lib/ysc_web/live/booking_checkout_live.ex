@@ -2,25 +2,32 @@ defmodule YscWeb.BookingCheckoutLive do
   use YscWeb, :live_view
 
   alias Ysc.Bookings
-  alias Ysc.Bookings.{Booking, BookingLocker}
+  alias Ysc.Bookings.{Booking, BookingLocker, PaymentShares}
+  alias Ysc.CurrencyDisplay
+  alias Ysc.MessagePassingEvents.BookingPaymentSharesUpdated
   alias Ysc.MoneyHelper
+  alias Ysc.PromoCodes
   alias Ysc.Repo
   import Ecto.Query
   require Logger
 
   @impl true
-  def mount(%{"booking_id" => booking_id}, _session, socket) do
+  def mount(%{"booking_id" => booking_id} = params, _session, socket) do
     schedule_expiration_check(socket)
     user = socket.assigns.current_user
     timezone = get_timezone_from_connect_params(socket)
 
     result =
       with :ok <- validate_user_signed_in(user),
-           {:ok, booking} <- load_booking(booking_id, user),
+           {:ok, booking, share} <-
+             load_checkout(params, booking_id, user, connected?(socket)),
            booking <- preload_booking_rooms(booking),
            :ok <- validate_booking_status(booking),
            :ok <- validate_booking_not_expired(booking) do
-        initialize_checkout(socket, booking, user, timezone)
+        socket
+        |> assign(:share, share)
+        |> initialize_checkout(booking, user, timezone)
+        |> handle_share_redirect(params)
       end
 
     case result do
@@ -43,6 +50,11 @@ defmodule YscWeb.BookingCheckoutLive do
     Map.get(connect_params, "timezone", "America/Los_Angeles")
   end
 
+  defp get_locale_from_connect_params(socket) do
+    connect_params = get_connect_params(socket) || %{}
+    Map.get(connect_params, "locale")
+  end
+
   defp validate_user_signed_in(nil) do
     {:error,
      {:redirect, ~p"/", "You must be signed in to complete your booking."}}
@@ -50,6 +62,39 @@ defmodule YscWeb.BookingCheckoutLive do
 
   defp validate_user_signed_in(_user), do: :ok
 
+  # Share links let another member pay their part of someone else's booking.
+  # The share is only claimed once the LiveView connects, so link previews
+  # and the static render don't take it.
+  defp load_checkout(%{"token" => token}, booking_id, user, connected?) do
+    with %{booking_id: ^booking_id} = share <-
+           PaymentShares.get_share_by_token(token),
+         {:ok, share} <- claim_share(share, user, connected?) do
+      {:ok, share.booking, share}
+    else
+      {:error, :claimed} ->
+        {:error,
+         {:redirect, ~p"/",
+          "Another member is already paying this share of the booking."}}
+
+      _ ->
+        {:error, {:redirect, ~p"/", "This payment link is not valid."}}
+    end
+  end
+
+  defp load_checkout(_params, booking_id, user, _connected?) do
+    with {:ok, booking} <- load_booking(booking_id, user) do
+      {:ok, booking, nil}
+    end
+  end
+
+  defp claim_share(share, user, true), do: PaymentShares.claim(share, user)
+
+  defp claim_share(%{payer_id: payer_id} = share, %{id: user_id}, false)
+       when is_nil(payer_id) or payer_id == user_id,
+       do: {:ok, share}
+
+  defp claim_share(_share, _user, false), do: {:error, :claimed}
+
   defp load_booking(booking_id, user) do
     # SECURITY: Filter by user_id in the database query to prevent unauthorized access
     # This ensures we only fetch bookings that belong to the current user
@@ -88,6 +133,68 @@ defmodule YscWeb.BookingCheckoutLive do
     end
   end
 
+  defp assign_payment_shares(socket, shares) do
+    payable_share =
+      PaymentShares.payable_share(shares, socket.assigns.current_user)
+
+    # Without a split the member pays the whole booking; with one, only the
+    # share they hold (nothing once it's paid)
+    amount_due =
+      cond do
+        payable_share -> payable_share.amount
+        shares == [] -> socket.assigns.total_due
+        true -> nil
+      end
+
+    assign(socket,
+      payment_shares: shares,
+      payable_share: payable_share,
+      amount_due: amount_due
+    )
+  end
+
+  # The discount is recalculated from the current total, so a code applied
+  # before the price changed still gives the right amount
+  defp assign_promo_code(socket, promo_code) do
+    total_price = socket.assigns.total_price
+
+    discount =
+      with %PromoCodes.PromoCode{} <- promo_code,
+           {:ok, discount} <- PromoCodes.discount_for(promo_code, total_price) do
+        discount
+      else
+        _ -> nil
+      end
+
+    assign(socket,
+      promo_code: discount && promo_code,
+      promo_discount: discount,
+      total_due:
+        if(discount, do: Money.sub!(total_price, discount), else: total_price)
+    )
+  end
+
+  # Codes can't change once the total is split between payers
+  defp promo_code_editable?(assigns) do
+    is_nil(assigns.share) and assigns.payment_shares == [] and
+      not assigns.is_expired
+  end
+
+  # Stripe sends redirect-based share payments back to the share's checkout
+  # page rather than the receipt, since the booking may not be complete yet
+  defp handle_share_redirect({:ok, socket}, %{
+         "payment_intent" => payment_intent_id,
+         "redirect_status" => "succeeded"
+       }) do
+    if connected?(socket) && socket.assigns[:payable_share] do
+      {:ok, process_share_payment_result(socket, payment_intent_id)}
+    else
+      {:ok, socket}
+    end
+  end
+
+  defp handle_share_redirect(result, _params), do: result
+
   defp initialize_checkout(socket, booking, user, timezone) do
     case calculate_booking_price(booking) do
       {:ok, total_price, price_breakdown} ->
@@ -116,11 +223,19 @@ defmodule YscWeb.BookingCheckoutLive do
          price_breakdown,
          timezone
        ) do
-    booking = Repo.preload(booking, [:user, :booking_guests])
+    booking = Repo.preload(booking, [:user, :booking_guests, :promo_code])
     is_expired = booking_expired?(booking)
-    {checkout_step, guest_info_form} = determine_checkout_step(booking, user)
+
+    # Members paying a share skip guest details; those belong to the booker
+    {checkout_step, guest_info_form} =
+      if socket.assigns.share,
+        do: {:payment, nil},
+        else: determine_checkout_step(booking, user)
+
     {family_members, other_family_members} = load_family_members(user)
 
+    if connected?(socket), do: PaymentShares.subscribe(booking.id)
+
     socket =
       assign(socket,
         booking: booking,
@@ -128,7 +243,9 @@ defmodule YscWeb.BookingCheckoutLive do
         price_breakdown: price_breakdown,
         payment_intent: nil,
         payment_error: nil,
-        show_payment_form: false,
+        # The Payment Element renders from the amount alone (deferred intent);
+        # the PaymentIntent is only created once the member submits payment
+        show_payment_form: checkout_step == :payment and not is_expired,
         is_expired: is_expired,
         timezone: timezone,
         checkout_step: checkout_step,
@@ -138,8 +255,19 @@ defmodule YscWeb.BookingCheckoutLive do
         other_family_members: other_family_members,
         guests_for_me: %{},
         selected_family_members_for_guests: %{},
-        show_price_details: false
+        show_price_details: false,
+        saved_cards: Ysc.Payments.list_saved_cards(user),
+        split_form: to_form(%{"count" => "2"}),
+        promo_code_form: to_form(%{"code" => ""}, as: :promo),
+        promo_code_error: nil,
+        promo_code_preview: nil,
+        currency_display:
+          CurrencyDisplay.client_settings(
+            get_locale_from_connect_params(socket)
+          )
       )
+      |> assign_promo_code(booking.promo_code)
+      |> assign_payment_shares(PaymentShares.list_shares(booking))
 
     if is_expired do
       {:ok,
@@ -148,13 +276,7 @@ defmodule YscWeb.BookingCheckoutLive do
            "This booking has expired and is no longer available for payment."
        )}
     else
-      create_payment_intent_if_needed(
-        socket,
-        booking,
-        total_price,
-        user,
-        checkout_step
-      )
+      {:ok, socket}
     end
   end
 
@@ -182,35 +304,6 @@ defmodule YscWeb.BookingCheckoutLive do
     {family_members, other_family_members}
   end
 
-  defp create_payment_intent_if_needed(
-         socket,
-         booking,
-         total_price,
-         user,
-         :payment
-       ) do
-    case create_payment_intent(booking, total_price, user) do
-      {:ok, payment_intent} ->
-        {:ok,
-         assign(socket, payment_intent: payment_intent, show_payment_form: true)}
-
-      {:error, reason} ->
-        {:ok,
-         assign(socket,
-           payment_error: "Failed to initialize payment: #{reason}"
-         )}
-    end
-  end
-
-  defp create_payment_intent_if_needed(
-         socket,
-         _booking,
-         _total_price,
-         _user,
-         _checkout_step
-       ) do
-    {:ok, socket}
-  end
 
   @impl true
   def render(assigns) do
@@ -709,14 +802,42 @@ defmodule YscWeb.BookingCheckoutLive do
             >
               <p class="text-sm text-red-800"><%= @payment_error %></p>
             </div>
+            <!-- Promo Code -->
+            <.promo_code_field
+              :if={
+                is_nil(@share) && @payment_shares == [] && @show_payment_form &&
+                  !@is_expired
+              }
+              form={@promo_code_form}
+              applied={
+                @promo_code && %{code: @promo_code.code, discount: @promo_discount}
+              }
+              preview={@promo_code_preview}
+              error={@promo_code_error}
+            />
+            <!-- Split Payment -->
+            <.split_payment
+              :if={!@is_expired}
+              booking={@booking}
+              share={@share}
+              shares={@payment_shares}
+              split_form={@split_form}
+              current_user={@current_user}
+            />
             <!-- Payment Form -->
-            <div :if={@show_payment_form && @payment_intent && !@is_expired}>
+            <div :if={@show_payment_form && !@is_expired && @amount_due}>
               <div
                 id="stripe-payment-container"
-                phx-hook="StripeElements"
-                data-client-secret={@payment_intent.client_secret}
+                phx-hook="StripePayment"
+                data-mode="deferred"
+                data-amount={money_to_cents(@amount_due)}
+                data-currency="usd"
                 data-booking-id={@booking.id}
+                data-payment-share-id={@payable_share && @payable_share.id}
+                data-return-url={share_return_url(@booking, @share, @payable_share)}
               >
+                <.express_checkout />
+                <.saved_payment_methods cards={@saved_cards} />
                 <div id="payment-element" class="mb-6 hidden">
                   <!-- Stripe Elements will mount here -->
                 </div>
@@ -733,14 +854,21 @@ defmodule YscWeb.BookingCheckoutLive do
                   >
                     <.icon name="hero-lock-closed" class="w-5 h-5 -mt-1 me-1" />
                     <span class="text-lg font-semibold">
-                      Pay <%= MoneyHelper.format_money!(@total_price) %> Securely
+                      Pay <%= MoneyHelper.format_money!(@amount_due) %> Securely
                     </span>
                   </.button>
                   <button
+                    :if={is_nil(@share)}
                     type="button"
                     phx-click="cancel-booking"
                     phx-disable-with="Cancelling..."
-                    phx-confirm="Are you sure you want to cancel this booking? The availability will be released immediately."
+                    phx-confirm={
+                      if PaymentShares.paid?(@payment_shares),
+                        do:
+                          "Are you sure you want to cancel this booking? Everyone who paid a share will be refunded and the availability will be released immediately.",
+                        else:
+                          "Are you sure you want to cancel this booking? The availability will be released immediately."
+                    }
                     class="px-6 py-3.5 text-sm font-medium text-zinc-600 hover:text-zinc-900 border border-zinc-300 rounded-lg hover:bg-zinc-50 transition-colors"
                   >
                     Cancel
@@ -862,7 +990,10 @@ defmodule YscWeb.BookingCheckoutLive do
             </p>
           </div>
           <!-- Price Details -->
-          <div class="bg-zinc-900 text-white rounded-lg p-6 shadow-xl">
+          <div
+            id="price-details-section"
+            class="bg-zinc-900 text-white rounded-lg p-6 shadow-xl"
+          >
             <%!-- Mobile Collapsible Header --%>
             <button
               type="button"
@@ -895,12 +1026,30 @@ defmodule YscWeb.BookingCheckoutLive do
               <%= if @price_breakdown do %>
                 <%= render_price_breakdown_sidebar(assigns) %>
               <% end %>
+              <div
+                :if={@promo_discount}
+                class="flex justify-between text-sm text-green-400"
+              >
+                <span>Promo code <%= @promo_code.code %></span>
+                <span class="font-medium tabular-nums">
+                  -<%= MoneyHelper.format_money!(@promo_discount) %>
+                </span>
+              </div>
               <div class="pt-4 border-t border-zinc-700 flex justify-between items-baseline">
                 <span class="text-lg font-bold">Total</span>
                 <span class="text-3xl font-black text-blue-400">
-                  <%= MoneyHelper.format_money!(@total_price) %>
+                  <%= MoneyHelper.format_money!(@total_due) %>
                 </span>
               </div>
+              <.approx_amount
+                id="total-due-approx"
+                amount={@total_due}
+                class="block text-right text-zinc-400"
+              />
+              <.currency_display
+                settings={@currency_display}
+                class="pt-2 text-zinc-400 [&_select]:bg-zinc-800 [&_select]:border-zinc-600 [&_select]:text-zinc-200"
+              />
             </div>
           </div>
           <!-- What Happens Next -->
@@ -948,8 +1097,9 @@ defmodule YscWeb.BookingCheckoutLive do
           <div>
             <p class="text-xs text-zinc-500 uppercase tracking-wide">Total</p>
             <p class="text-2xl font-black text-blue-600">
-              <%= MoneyHelper.format_money!(@total_price) %>
+              <%= MoneyHelper.format_money!(@total_due) %>
             </p>
+            <.approx_amount id="mobile-total-due-approx" amount={@total_due} />
           </div>
           <.button
             type="submit"
@@ -971,6 +1121,142 @@ defmodule YscWeb.BookingCheckoutLive do
     """
   end
 
+  attr :booking, :map, required: true
+  attr :share, :map, default: nil, doc: "share whose link this member opened"
+  attr :shares, :list, required: true
+  attr :split_form, :map, required: true
+  attr :current_user, :map, required: true
+
+  defp split_payment(assigns) do
+    ~H"""
+    <div id="split-payment" class="mb-6 rounded-lg border border-zinc-200 p-4">
+      <%= if @share do %>
+        <p class="text-sm text-zinc-700 mb-3">
+          <span class="font-semibold"><%= @booking.user.first_name %></span>
+          split the payment for this booking. Your share is
+          <span class="font-semibold">
+            <%= MoneyHelper.format_money!(@share.amount) %>
+          </span>.
+          <.approx_amount id="share-amount-approx" amount={@share.amount} />
+        </p>
+      <% end %>
+
+      <%= if @shares == [] do %>
+        <.form
+          for={@split_form}
+          id="split-payment-form"
+          phx-submit="split-payment"
+          class="flex flex-wrap items-end gap-3"
+        >
+          <div>
+            <p class="text-sm font-semibold text-zinc-900">Sharing the cabin?</p>
+            <p class="text-sm text-zinc-600">
+              Split the total and send each person a link to pay their share.
+            </p>
+          </div>
+          <div class="flex items-center gap-2 ms-auto">
+            <select
+              name={@split_form[:count].name}
+              id={@split_form[:count].id}
+              class="rounded-md border-zinc-300 text-sm"
+              aria-label="Number of payers"
+            >
+              <option
+                :for={count <- 2..PaymentShares.max_shares()}
+                value={count}
+                selected={to_string(count) == @split_form[:count].value}
+              >
+                <%= count %> payers
+              </option>
+            </select>
+            <button
+              type="submit"
+              phx-disable-with="Splitting..."
+              class="px-4 py-2 text-sm font-medium text-blue-700 border border-blue-200 rounded-lg hover:bg-blue-50"
+            >
+              Split payment
+            </button>
+          </div>
+        </.form>
+      <% else %>
+        <div class="flex items-center justify-between mb-3">
+          <h3 class="text-sm font-semibold text-zinc-900">
+            Split payment ·
+            <%= Enum.count(@shares, &(&1.status == :paid)) %> of <%= length(@shares) %> paid
+          </h3>
+          <button
+            :if={is_nil(@share) && !PaymentShares.paid?(@shares)}
+            type="button"
+            phx-click="cancel-split"
+            class="text-xs font-medium text-zinc-500 hover:text-zinc-800 underline"
+          >
+            Remove split
+          </button>
+        </div>
+        <ul class="divide-y divide-zinc-100">
+          <li
+            :for={share <- @shares}
+            id={"payment-share-#{share.id}"}
+            class="flex flex-wrap items-center gap-3 py-2 text-sm"
+          >
+            <span class="font-medium text-zinc-900">
+              <%= share_label(share, @current_user) %>
+            </span>
+            <span class="text-zinc-600">
+              <%= MoneyHelper.format_money!(share.amount) %>
+            </span>
+            <span
+              :if={share.status == :paid}
+              class="ms-auto inline-flex items-center gap-1 text-xs font-medium text-green-700 bg-green-50 rounded px-2 py-0.5"
+            >
+              <.icon name="hero-check" class="w-3 h-3" /> Paid
+            </span>
+            <span
+              :if={share.status == :pending}
+              class="ms-auto text-xs font-medium text-amber-700 bg-amber-50 rounded px-2 py-0.5"
+            >
+              Waiting
+            </span>
+            <button
+              :if={is_nil(@share) && share.status == :pending && share.position > 0}
+              type="button"
+              id={"copy-share-link-#{share.id}"}
+              phx-hook="ClipboardCopy"
+              data-copy={url(~p"/bookings/checkout/#{@booking.id}/share/#{share.token}")}
+              class="inline-flex items-center gap-1 text-xs font-medium text-blue-600 hover:text-blue-800"
+              title="Copy payment link"
+            >
+              <.icon name="hero-clipboard" class="w-4 h-4" /> Copy link
+            </button>
+          </li>
+        </ul>
+        <p
+          :if={@booking.status == :complete}
+          class="mt-3 text-sm font-medium text-green-700"
+        >
+          Everyone has paid. The booking is confirmed!
+        </p>
+      <% end %>
+    </div>
+    """
+  end
+
+  defp share_label(share, current_user) do
+    cond do
+      share.payer_id && share.payer_id == current_user.id -> "You"
+      share.payer -> "#{share.payer.first_name} #{share.payer.last_name}"
+      true -> "Share #{share.position + 1} (not claimed yet)"
+    end
+  end
+
+  defp share_return_url(_booking, _share, nil), do: nil
+
+  defp share_return_url(booking, nil, _payable_share),
+    do: url(~p"/bookings/checkout/#{booking.id}")
+
+  defp share_return_url(booking, share, _payable_share),
+    do: url(~p"/bookings/checkout/#{booking.id}/share/#{share.token}")
+
   @impl true
   def handle_event("validate-guest-info", %{"guests" => guest_params}, socket) do
     require Logger
@@ -1593,37 +1879,19 @@ defmodule YscWeb.BookingCheckoutLive do
                 rooms: :room_category
               ])
 
-            # Create payment intent now that guests are saved
-            user = socket.assigns.current_user
-
-            case create_payment_intent(
-                   booking,
-                   socket.assigns.total_price,
-                   user
-                 ) do
-              {:ok, payment_intent} ->
-                {:noreply,
-                 socket
-                 |> assign(
-                   booking: booking,
-                   checkout_step: :payment,
-                   payment_intent: payment_intent,
-                   show_payment_form: true,
-                   guest_info_form: nil,
-                   guest_info_errors: %{}
-                 )
-                 |> put_flash(
-                   :info,
-                   "Guest information saved. Please complete payment."
-                 )}
-
-              {:error, reason} ->
-                {:noreply,
-                 assign(socket,
-                   payment_error: "Failed to initialize payment: #{reason}",
-                   checkout_step: :payment
-                 )}
-            end
+            {:noreply,
+             socket
+             |> assign(
+               booking: booking,
+               checkout_step: :payment,
+               show_payment_form: true,
+               guest_info_form: nil,
+               guest_info_errors: %{}
+             )
+             |> put_flash(
+               :info,
+               "Guest information saved. Please complete payment."
+             )}
 
           {:error, changeset} ->
             errors =
@@ -1691,30 +1959,235 @@ defmodule YscWeb.BookingCheckoutLive do
   end
 
   @impl true
+  def handle_event(
+        "cancel-booking",
+        _params,
+        %{assigns: %{share: %{}}} = socket
+      ) do
+    # Only the member who made the booking can cancel it
+    {:noreply, socket}
+  end
+
   def handle_event("cancel-booking", _params, socket) do
-    case BookingLocker.release_hold(socket.assigns.booking.id) do
-      {:ok, _canceled_booking} ->
-        property = socket.assigns.booking.property
-        redirect_path = get_property_redirect_path(property)
+    cancel_booking(socket)
+  end
+
+  @impl true
+  def handle_event("split-payment", %{"count" => count}, socket) do
+    %{booking: booking, total_due: total_due, share: share} = socket.assigns
 
+    with nil <- share,
+         {count, ""} <- Integer.parse(count),
+         :ok <- cancel_full_payment_intent(booking),
+         {:ok, shares} <- PaymentShares.split(booking, total_due, count) do
+      {:noreply,
+       socket
+       |> assign(
+         booking: reload_hold(booking),
+         payment_intent: nil,
+         split_form: to_form(%{"count" => Integer.to_string(count)})
+       )
+       |> assign_payment_shares(shares)
+       |> put_flash(
+         :info,
+         "Payment split #{count} ways. Share the links below with your group."
+       )}
+    else
+      {:error, :shares_paid} ->
         {:noreply,
-         socket
-         |> put_flash(
-           :info,
-           "Your booking has been canceled and the availability has been released."
-         )
-         |> redirect(to: redirect_path)}
+         put_flash(
+           socket,
+           :error,
+           "The split can't be changed after someone has paid their share."
+         )}
 
-      {:error, reason} ->
+      {:error, :payment_in_progress} ->
+        {:noreply,
+         put_flash(
+           socket,
+           :error,
+           "A payment for the full amount is already being processed."
+         )}
+
+      _ ->
+        {:noreply, put_flash(socket, :error, "Unable to split this payment.")}
+    end
+  end
+
+  @impl true
+  def handle_event(
+        "cancel-split",
+        _params,
+        %{assigns: %{share: nil}} = socket
+      ) do
+    case PaymentShares.cancel_split(socket.assigns.booking) do
+      {:ok, shares} ->
         {:noreply,
          socket
-         |> put_flash(
+         |> assign(payment_intent: nil)
+         |> assign_payment_shares(shares)
+         |> put_flash(:info, "Split removed. You'll pay the full amount.")}
+
+      {:error, :shares_paid} ->
+        {:noreply,
+         put_flash(
+           socket,
            :error,
-           "Failed to cancel booking: #{inspect(reason)}. Please try again or contact support."
+           "The split can't be removed after someone has paid their share."
          )}
     end
   end
 
+  # Looks the code up as it is typed, counting failures towards the rate
+  # limit; its redemption is only reserved on apply
+  @impl true
+  def handle_event(
+        "validate-promo-code",
+        %{"promo" => %{"code" => code}},
+        socket
+      ) do
+    cond do
+      not promo_code_editable?(socket.assigns) ->
+        {:noreply, socket}
+
+      String.trim(code) == "" ->
+        {:noreply,
+         assign(socket, promo_code_error: nil, promo_code_preview: nil)}
+
+      true ->
+        %{total_price: total_price, current_user: user} = socket.assigns
+
+        form = to_form(%{"code" => code}, as: :promo)
+        socket = assign(socket, promo_code_form: form)
+
+        case PromoCodes.check_code(user.id, code, :bookings, total_price) do
+          {:ok, _promo_code, discount} ->
+            {:noreply,
+             assign(socket,
+               promo_code_error: nil,
+               promo_code_preview: discount
+             )}
+
+          {:error, reason} ->
+            {:noreply,
+             assign(socket,
+               promo_code_error: PromoCodes.error_message(reason),
+               promo_code_preview: nil
+             )}
+        end
+    end
+  end
+
+  @impl true
+  def handle_event(
+        "apply-promo-code",
+        %{"promo" => %{"code" => code}},
+        socket
+      ) do
+    cond do
+      not promo_code_editable?(socket.assigns) ->
+        {:noreply, socket}
+
+      String.trim(code) == "" ->
+        {:noreply, assign(socket, promo_code_error: nil)}
+
+      true ->
+        %{booking: booking, total_price: total_price, current_user: user} =
+          socket.assigns
+
+        with {:ok, promo_code, discount} <-
+               PromoCodes.check_code(user.id, code, :bookings, total_price),
+             {:ok, booking} <-
+               PromoCodes.apply_to_booking(booking, promo_code, discount) do
+          {:noreply,
+           socket
+           |> assign(
+             booking: booking,
+             payment_intent: nil,
+             promo_code_error: nil,
+             promo_code_preview: nil,
+             promo_code_form: to_form(%{"code" => ""}, as: :promo)
+           )
+           |> assign_promo_code(promo_code)
+           |> assign_payment_shares(socket.assigns.payment_shares)
+           |> push_event("scroll-to-price-details", %{})}
+        else
+          {:error, %Ecto.Changeset{}} ->
+            {:noreply,
+             assign(socket,
+               promo_code_error: "Unable to apply that code. Please try again."
+             )}
+
+          {:error, reason} ->
+            {:noreply,
+             assign(socket,
+               promo_code_error: PromoCodes.error_message(reason),
+               promo_code_preview: nil,
+               promo_code_form: to_form(%{"code" => code}, as: :promo)
+             )}
+        end
+    end
+  end
+
+  @impl true
+  def handle_event("remove-promo-code", _params, socket) do
+    if promo_code_editable?(socket.assigns) do
+      {:ok, booking} = PromoCodes.remove_from_booking(socket.assigns.booking)
+
+      {:noreply,
+       socket
+       |> assign(booking: booking, payment_intent: nil)
+       |> assign_promo_code(nil)
+       |> assign_payment_shares(socket.assigns.payment_shares)}
+    else
+      {:noreply, socket}
+    end
+  end
+
+  # Deferred-intent checkout: the StripePayment hook asks for the
+  # PaymentIntent only when the member submits, so abandoned checkouts
+  # don't leave orphaned intents behind.
+  @impl true
+  def handle_event("payment-intent-create", params, socket) do
+    %{
+      booking: booking,
+      amount_due: amount_due,
+      payable_share: share,
+      current_user: user
+    } = socket.assigns
+
+    cond do
+      booking_expired?(booking) ->
+        {:reply,
+         %{
+           error:
+             "This booking has expired and is no longer available for payment."
+         }, socket}
+
+      is_nil(amount_due) or stale_share?(share, params) ->
+        {:reply,
+         %{
+           error:
+             "The payment split for this booking has changed. Please review the amount and try again."
+         }, socket}
+
+      reusable_payment_intent?(socket.assigns.payment_intent, amount_due) ->
+        {:reply, %{client_secret: socket.assigns.payment_intent.client_secret},
+         socket}
+
+      true ->
+        case create_payment_intent(booking, amount_due, user, share) do
+          {:ok, payment_intent} ->
+            {:reply, %{client_secret: payment_intent.client_secret},
+             assign(socket, payment_intent: payment_intent, payment_error: nil)}
+
+          {:error, reason} ->
+            {:reply, %{error: "Failed to initialize payment: #{reason}"},
+             socket}
+        end
+    end
+  end
+
   @impl true
   def handle_event("payment-redirect-started", _params, socket) do
     # Acknowledge that the payment redirect has started (no action needed)
@@ -1722,6 +2195,24 @@ defmodule YscWeb.BookingCheckoutLive do
   end
 
   @impl true
+  def handle_event(
+        "payment-success",
+        %{"payment_intent_id" => payment_intent_id},
+        %{assigns: %{payable_share: %{}}} = socket
+      ) do
+    {:noreply, process_share_payment_result(socket, payment_intent_id)}
+  end
+
+  # A split booking is only ever paid share by share; its full-amount intent
+  # was canceled before the split (see cancel_full_payment_intent/1)
+  def handle_event(
+        "payment-success",
+        _params,
+        %{assigns: %{payment_shares: [_ | _]}} = socket
+      ) do
+    {:noreply, socket}
+  end
+
   def handle_event(
         "payment-success",
         %{"payment_intent_id" => payment_intent_id},
@@ -1759,6 +2250,41 @@ defmodule YscWeb.BookingCheckoutLive do
     end
   end
 
+  @impl true
+  def handle_info(
+        {PaymentShares,
+         %BookingPaymentSharesUpdated{booking: updated, shares: shares}},
+        socket
+      ) do
+    booking = %{
+      socket.assigns.booking
+      | status: updated.status,
+        hold_expires_at: updated.hold_expires_at
+    }
+
+    socket =
+      socket
+      |> assign(booking: booking)
+      |> assign_payment_shares(shares)
+
+    cond do
+      booking.status == :complete and is_nil(socket.assigns.share) ->
+        {:noreply,
+         socket
+         |> put_flash(:info, "Everyone has paid. Your booking is confirmed!")
+         |> push_navigate(
+           to: ~p"/bookings/#{booking.id}/receipt?confetti=true"
+         )}
+
+      booking.status == :complete ->
+        {:noreply,
+         assign(socket, show_payment_form: false)}
+
+      true ->
+        {:noreply, socket}
+    end
+  end
+
   @impl true
   def handle_info(:check_booking_expiration, socket) do
     # Check if booking has expired
@@ -1790,6 +2316,42 @@ defmodule YscWeb.BookingCheckoutLive do
 
   ## Private Functions
 
+  defp cancel_booking(socket) do
+    %{booking: booking, payment_shares: shares} = socket.assigns
+
+    # Shares already paid are refunded before the hold is released
+    result =
+      if PaymentShares.paid?(shares),
+        do:
+          PaymentShares.cancel_and_refund(
+            booking,
+            "Booking canceled by the booking member"
+          ),
+        else: BookingLocker.release_hold(booking.id)
+
+    case result do
+      {:ok, _canceled_booking} ->
+        property = socket.assigns.booking.property
+        redirect_path = get_property_redirect_path(property)
+
+        {:noreply,
+         socket
+         |> put_flash(
+           :info,
+           "Your booking has been canceled and the availability has been released."
+         )
+         |> redirect(to: redirect_path)}
+
+      {:error, reason} ->
+        {:noreply,
+         socket
+         |> put_flash(
+           :error,
+           "Failed to cancel booking: #{inspect(reason)}. Please try again or contact support."
+         )}
+    end
+  end
+
   defp calculate_booking_price(booking) do
     nights = Date.diff(booking.checkout_date, booking.checkin_date)
 
@@ -1907,7 +2469,22 @@ defmodule YscWeb.BookingCheckoutLive do
     end
   end
 
-  defp create_payment_intent(booking, total_amount, user) do
+  defp reusable_payment_intent?(nil, _total_price), do: false
+
+  defp reusable_payment_intent?(payment_intent, total_price) do
+    payment_intent.amount == money_to_cents(total_price)
+  end
+
+  defp stale_share?(nil, _params), do: false
+
+  defp stale_share?(share, params),
+    do: Map.get(params, "payment_share_id") not in [nil, share.id]
+
+  defp reload_hold(booking) do
+    %{booking | hold_expires_at: Repo.get!(Booking, booking.id).hold_expires_at}
+  end
+
+  defp create_payment_intent(booking, total_amount, user, share \\ nil) do
     amount_cents = money_to_cents(total_amount)
 
     # Note: Stripe PaymentIntents don't support expires_at parameter.
@@ -1930,6 +2507,17 @@ defmodule YscWeb.BookingCheckoutLive do
       }
     }
 
+    payment_intent_params =
+      if booking.promo_code_id do
+        put_in(
+          payment_intent_params,
+          [:metadata, :promo_code_id],
+          booking.promo_code_id
+        )
+      else
+        payment_intent_params
+      end
+
     # Add customer if user has Stripe ID
     payment_intent_params =
       if user.stripe_id do
@@ -1939,8 +2527,27 @@ defmodule YscWeb.BookingCheckoutLive do
       end
 
     # Use booking reference ID as idempotency key to prevent duplicate charges
-    # If the same reference is used again, Stripe will return the existing payment intent
-    idempotency_key = "booking_#{booking.reference_id}"
+    # If the same reference is used again, Stripe will return the existing payment intent.
+    # The amount is part of the key so a changed total gets a fresh intent,
+    # and the intent it replaces (canceled first) so that going back to an
+    # earlier total doesn't return the canceled one.
+    # Split payments get one intent per share instead.
+    {payment_intent_params, idempotency_key} =
+      case share do
+        nil ->
+          key = "booking_#{booking.reference_id}_#{amount_cents}"
+
+          case release_booking_payment_intent(booking) do
+            nil -> {payment_intent_params, key}
+            previous_id -> {payment_intent_params, "#{key}_#{previous_id}"}
+          end
+
+        share ->
+          {payment_intent_params
+           |> put_in([:metadata, :payment_share_id], share.id)
+           |> Map.update!(:description, &"#{&1} (share #{share.position + 1})"),
+           "booking_share_#{share.id}"}
+      end
 
     stripe_client = Application.get_env(:ysc, :stripe_client, Ysc.StripeClient)
 
@@ -1948,6 +2555,15 @@ defmodule YscWeb.BookingCheckoutLive do
            headers: %{"Idempotency-Key" => idempotency_key}
          ) do
       {:ok, payment_intent} ->
+        if is_nil(share) do
+          Cachex.put(
+            :ysc_cache,
+            booking_payment_intent_key(booking),
+            payment_intent.id,
+            ttl: :timer.hours(24)
+          )
+        end
+
         {:ok, payment_intent}
 
       {:error, %Stripe.Error{} = error} ->
@@ -1960,6 +2576,62 @@ defmodule YscWeb.BookingCheckoutLive do
     end
   end
 
+  # The booking's latest full-amount intent is remembered across remounts so
+  # it can be canceled when the total changes, instead of being left open
+  # next to the new one. Returns the id of the released intent, if any.
+  defp release_booking_payment_intent(booking) do
+    case Cachex.get(:ysc_cache, booking_payment_intent_key(booking)) do
+      {:ok, payment_intent_id} when is_binary(payment_intent_id) ->
+        Ysc.Tickets.StripeService.cancel_payment_intent(payment_intent_id)
+        payment_intent_id
+
+      _ ->
+        nil
+    end
+  end
+
+  defp booking_payment_intent_key(booking),
+    do: {:booking_payment_intent, booking.id}
+
+  # Once the booking is split its full amount must not be charged any more,
+  # so the open full-amount intent is canceled first. If it already went
+  # through (or can't be checked) the split is refused instead.
+  defp cancel_full_payment_intent(booking) do
+    key = booking_payment_intent_key(booking)
+
+    with {:ok, payment_intent_id} when is_binary(payment_intent_id) <-
+           Cachex.get(:ysc_cache, key),
+         :ok <- cancel_unpaid_payment_intent(payment_intent_id) do
+      Cachex.del(:ysc_cache, key)
+      :ok
+    else
+      {:error, :payment_in_progress} = error -> error
+      _ -> :ok
+    end
+  end
+
+  defp cancel_unpaid_payment_intent(payment_intent_id) do
+    stripe_client = Application.get_env(:ysc, :stripe_client, Ysc.StripeClient)
+
+    case stripe_client.retrieve_payment_intent(payment_intent_id, %{}) do
+      {:ok, %{status: "canceled"}} ->
+        :ok
+
+      {:ok, %{status: status}}
+      when status in ["succeeded", "processing", "requires_capture"] ->
+        {:error, :payment_in_progress}
+
+      {:ok, _payment_intent} ->
+        case stripe_client.cancel_payment_intent(payment_intent_id, %{}) do
+          {:ok, _payment_intent} -> :ok
+          {:error, _reason} -> {:error, :payment_in_progress}
+        end
+
+      {:error, _reason} ->
+        {:error, :payment_in_progress}
+    end
+  end
+
   defp process_payment_success(booking, payment_intent_id_or_secret) do
     # Extract payment intent ID if a client secret was passed
     payment_intent_id =
@@ -2050,8 +2722,77 @@ defmodule YscWeb.BookingCheckoutLive do
     end
   end
 
-  defp process_ledger_payment(booking, payment_intent) do
+  defp process_share_payment_result(socket, payment_intent_id) do
+    %{booking: booking, payable_share: share, current_user: user} =
+      socket.assigns
+
+    case process_share_payment(booking, share, payment_intent_id, user) do
+      {:ok, :fully_paid} ->
+        socket
+        |> assign(show_payment_form: false)
+        |> put_flash(:info, "Payment successful! The booking is confirmed.")
+
+      {:ok, :outstanding} ->
+        socket
+        |> assign_payment_shares(PaymentShares.list_shares(booking))
+        |> assign(booking: reload_hold(booking), payment_intent: nil)
+        |> put_flash(
+          :info,
+          "Your share is paid. The booking is confirmed once everyone has paid."
+        )
+
+      {:error, :booking_released} ->
+        socket
+        |> assign(show_payment_form: false, payment_intent: nil)
+        |> put_flash(
+          :error,
+          "This booking was canceled before your payment went through, so your payment has been refunded."
+        )
+
+      {:error, reason} ->
+        assign(socket,
+          payment_error: "Failed to process payment: #{inspect(reason)}"
+        )
+    end
+  end
+
+  defp process_share_payment(booking, share, payment_intent_id, user) do
+    stripe_client = Application.get_env(:ysc, :stripe_client, Ysc.StripeClient)
+
+    with {:ok, payment_intent} <-
+           stripe_client.retrieve_payment_intent(payment_intent_id, %{
+             expand: ["payment_method", "charges"]
+           }),
+         :ok <- verify_share_payment_intent(payment_intent, share),
+         {:ok, _payment} <-
+           process_ledger_payment(booking, payment_intent, user.id) do
+      PaymentShares.record_payment(share, payment_intent.id)
+    else
+      {:error, reason} ->
+        Logger.error("Failed to process share payment: #{inspect(reason)}",
+          booking_id: booking.id,
+          payment_share_id: share.id,
+          payment_intent_id: payment_intent_id
+        )
+
+        {:error, :payment_processing_failed}
+    end
+  end
+
+  defp verify_share_payment_intent(payment_intent, share) do
+    share_id =
+      payment_intent.metadata && payment_intent.metadata["payment_share_id"]
+
+    cond do
+      payment_intent.status != "succeeded" -> {:error, :payment_not_succeeded}
+      share_id != share.id -> {:error, :payment_share_mismatch}
+      true -> :ok
+    end
+  end
+
+  defp process_ledger_payment(booking, payment_intent, payer_id \\ nil) do
     amount = cents_to_money(payment_intent.amount, :USD)
+    payer_id = payer_id || booking.user_id
     # Use consolidated fee extraction from Stripe.WebhookHandler
     stripe_fee =
       Ysc.Stripe.WebhookHandler.extract_stripe_fee_from_payment_intent(
@@ -2060,10 +2801,10 @@ defmodule YscWeb.BookingCheckoutLive do
 
     # Extract and sync payment method to get our internal ULID
     payment_method_id =
-      extract_and_sync_payment_method(payment_intent, booking.user_id)
+      extract_and_sync_payment_method(payment_intent, payer_id)
 
     attrs = %{
-      user_id: booking.user_id,
+      user_id: payer_id,
       amount: amount,
       entity_type: :booking,
       entity_id: booking.id,
@@ -9,6 +9,9 @@ defmodule YscWeb.BookingReceiptLive do
   require Logger
   import Ecto.Query
   alias Phoenix.LiveView.JS
+  alias YscWeb.StepUp
+
+  on_mount StepUp
 
   @impl true
   def mount(%{"booking_id" => booking_id} = params, _session, socket) do
@@ -106,6 +109,7 @@ defmodule YscWeb.BookingReceiptLive do
             |> assign(:refund_info, nil)
             |> assign(:door_code, nil)
             |> assign(:show_door_code, false)
+            |> assign(:door_code_revealed, false)
             |> assign(:refund_data, nil)
             |> assign(:async_data_loaded, false)
 
@@ -136,6 +140,19 @@ defmodule YscWeb.BookingReceiptLive do
     {:noreply, redirect(socket, to: ~p"/")}
   end
 
+  @impl true
+  def handle_event("reveal_door_code", params, socket) do
+    with {:ok, socket} <-
+           StepUp.authorize(
+             socket,
+             "reveal_door_code",
+             params,
+             "Verify it's you to see the door code."
+           ) do
+      {:noreply, assign(socket, :door_code_revealed, true)}
+    end
+  end
+
   @impl true
   def handle_event("show-cancel-modal", _params, socket) do
     {:noreply, assign(socket, :show_cancel_modal, true)}
@@ -337,9 +354,22 @@ defmodule YscWeb.BookingReceiptLive do
                 ]}>
                   Door Code
                 </p>
-                <p class="text-5xl font-mono font-black text-white text-center tracking-wider">
+                <p
+                  :if={@door_code_revealed}
+                  id="door-code"
+                  class="text-5xl font-mono font-black text-white text-center tracking-wider"
+                >
                   <%= @door_code.code %>
                 </p>
+                <button
+                  :if={!@door_code_revealed}
+                  type="button"
+                  id="reveal-door-code"
+                  phx-click="reveal_door_code"
+                  class="flex items-center gap-2 mx-auto px-4 py-2 rounded-md bg-white/20 hover:bg-white/30 font-semibold text-white"
+                >
+                  <.icon name="hero-eye" class="w-5 h-5" /> Reveal code
+                </button>
               </div>
             </div>
           </div>
@@ -1117,6 +1147,8 @@ defmodule YscWeb.BookingReceiptLive do
         </p>
       </div>
     </div>
+
+    <StepUp.modal step_up={@step_up} />
     """
   end
 
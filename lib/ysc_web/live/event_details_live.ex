@@ -11,6 +11,10 @@ defmodule YscWeb.EventDetailsLive do
 
   alias Ysc.Agendas
 
+  # Donation amounts members can give, in cents
+  @min_donation_cents 100
+  @max_donation_cents 1_000_000
+
   @impl true
   def render(assigns) do
     ~H"""
@@ -1151,62 +1155,38 @@ defmodule YscWeb.EventDetailsLive do
                 <%= if ticket_tier.type == "donation" || ticket_tier.type == :donation do %>
                   <!-- Donation Amount Input -->
                   <div class="flex flex-col space-y-3 mt-4">
-                    <div class="flex items-center justify-end">
-                      <div class="flex items-center space-x-3 w-full sm:w-auto">
-                        <label class="text font-semibold text-zinc-700 whitespace-nowrap">
+                    <div class="flex items-start justify-end">
+                      <div class="flex items-start space-x-3 w-full sm:w-auto">
+                        <label
+                          for={"donation-amount-#{ticket_tier.id}"}
+                          class="text font-semibold text-zinc-700 whitespace-nowrap pt-2"
+                        >
                           Donation Amount:
                         </label>
-                        <div class="flex items-center border border-zinc-300 rounded-lg px-3 py-1 flex-1 sm:flex-initial bg-white">
-                          <span class="text-zinc-800">$</span>
-                          <input
-                            type="text"
-                            id={"donation-amount-#{ticket_tier.id}"}
-                            name={"donation_amount_#{ticket_tier.id}"}
-                            phx-hook="MoneyInput"
-                            data-tier-id={ticket_tier.id}
-                            value={
-                              format_donation_amount(
-                                @selected_tickets,
-                                ticket_tier.id
-                              )
-                            }
-                            placeholder="0.00"
-                            disabled={false}
-                            class="w-full sm:w-32 border-0 focus:ring-0 focus:outline-none font-medium text-zinc-900"
-                          />
-                        </div>
+                        <.money_input
+                          id={"donation-amount-#{ticket_tier.id}"}
+                          name={"donation_amount_#{ticket_tier.id}"}
+                          value={
+                            format_donation_amount(
+                              @selected_tickets,
+                              ticket_tier.id
+                            )
+                          }
+                          min={min_donation()}
+                          max={max_donation()}
+                          presets={[10, 25, 50]}
+                          placeholder="0.00"
+                          data-tier-id={ticket_tier.id}
+                          data-approx-target={"donation-amount-approx-#{ticket_tier.id}"}
+                          class="flex-1 sm:w-56 sm:flex-initial"
+                        />
+                        <.approx_amount
+                          id={"donation-amount-approx-#{ticket_tier.id}"}
+                          amount={Map.get(@selected_tickets, ticket_tier.id)}
+                          class="whitespace-nowrap pt-2"
+                        />
                       </div>
                     </div>
-                    <!-- Quick Amount Buttons -->
-                    <div class="flex items-center justify-end gap-2">
-                      <button
-                        type="button"
-                        phx-click="set-donation-amount"
-                        phx-value-tier-id={ticket_tier.id}
-                        phx-value-amount="1000"
-                        class="px-3 py-1.5 text-sm font-medium rounded-md border transition-colors border-zinc-300 bg-white text-zinc-700 hover:bg-zinc-50 hover:border-zinc-400"
-                      >
-                        $10
-                      </button>
-                      <button
-                        type="button"
-                        phx-click="set-donation-amount"
-                        phx-value-tier-id={ticket_tier.id}
-                        phx-value-amount="2500"
-                        class="px-3 py-1.5 text-sm font-medium rounded-md border transition-colors border-zinc-300 bg-white text-zinc-700 hover:bg-zinc-50 hover:border-zinc-400"
-                      >
-                        $25
-                      </button>
-                      <button
-                        type="button"
-                        phx-click="set-donation-amount"
-                        phx-value-tier-id={ticket_tier.id}
-                        phx-value-amount="5000"
-                        class="px-3 py-1.5 text-sm font-medium rounded-md border transition-colors border-zinc-300 bg-white text-zinc-700 hover:bg-zinc-50 hover:border-zinc-400"
-                      >
-                        $50
-                      </button>
-                    </div>
                   </div>
                   <!-- Donation Disclaimer -->
                   <div class="mt-2 items-center bg-zinc-50 px-3 py-2 rounded-md w-full flex flex-row border border-zinc-200">
@@ -2098,14 +2078,26 @@ defmodule YscWeb.EventDetailsLive do
                 </span>
                 <h3 class="font-semibold text-lg">Payment Information</h3>
               </div>
+              <.promo_code_field
+                form={@promo_code_form}
+                applied={
+                  @ticket_order.promo_discount_amount &&
+                    %{
+                      code: promo_code_label(@ticket_order),
+                      discount: @ticket_order.promo_discount_amount
+                    }
+                }
+                preview={@promo_code_preview}
+                error={@promo_code_error}
+              />
+              <.express_checkout />
+              <.saved_payment_methods cards={@saved_cards} />
               <div
                 id="payment-element"
-                phx-hook="StripeElements"
+                phx-hook="StripePayment"
                 phx-update="ignore"
-                data-publicKey={@public_key}
-                data-public-key={@public_key}
                 data-client-secret={@payment_intent.client_secret}
-                data-clientSecret={@payment_intent.client_secret}
+                data-amount={money_to_cents(@ticket_order.total_amount)}
                 data-ticket-order-id={@ticket_order.id}
               >
                 <!-- Stripe Elements will be mounted here -->
@@ -2118,30 +2110,38 @@ defmodule YscWeb.EventDetailsLive do
                 <div class="flex items-center justify-between mb-2">
                   <span class="text-zinc-600">Amount due:</span>
                   <span class="text-2xl font-bold text-zinc-900">
-                    <%= calculate_total_price(
-                      @selected_tickets,
-                      @event.id,
-                      @ticket_tiers,
-                      @reservations_by_tier,
-                      @current_user,
-                      @user_reservations
-                    ) %>
+                    <%= ticket_amount_due(@ticket_order) ||
+                      calculate_total_price(
+                        @selected_tickets,
+                        @event.id,
+                        @ticket_tiers,
+                        @reservations_by_tier,
+                        @current_user,
+                        @user_reservations
+                      ) %>
                   </span>
                 </div>
+                <.approx_amount
+                  :if={@ticket_order}
+                  id="amount-due-approx"
+                  amount={@ticket_order.total_amount}
+                  class="block text-right -mt-2"
+                />
                 <div class="flex flex-col sm:flex-row gap-3">
                   <.button
                     class="sm:flex-[2] w-full sm:w-auto py-4 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-bold shadow-md active:scale-[0.98] transition-all disabled:opacity-50 disabled:cursor-not-allowed"
                     id="submit-payment"
                     disabled={!all_registrations_complete}
                   >
-                    Confirm and Pay <%= calculate_total_price(
-                      @selected_tickets,
-                      @event.id,
-                      @ticket_tiers,
-                      @reservations_by_tier,
-                      @current_user,
-                      @user_reservations
-                    ) %>
+                    Confirm and Pay <%= ticket_amount_due(@ticket_order) ||
+                      calculate_total_price(
+                        @selected_tickets,
+                        @event.id,
+                        @ticket_tiers,
+                        @reservations_by_tier,
+                        @current_user,
+                        @user_reservations
+                      ) %>
                   </.button>
                   <.button
                     class="sm:flex-1 w-full sm:w-auto bg-transparent text-zinc-500 hover:text-zinc-700 py-4 rounded-lg font-medium transition-colors"
@@ -2173,7 +2173,7 @@ defmodule YscWeb.EventDetailsLive do
                 <h3 class="font-semibold mb-2">Order Summary</h3>
               </div>
 
-              <div class="bg-zinc-50 rounded-lg p-6 space-y-4">
+              <div id="price-details-section" class="bg-zinc-50 rounded-lg p-6 space-y-4">
                 <%= if has_any_tickets_selected?(@selected_tickets) do %>
                   <% pricing =
                     calculate_pricing_with_discounts(
@@ -2245,12 +2245,31 @@ defmodule YscWeb.EventDetailsLive do
                         <span>-<%= format_price(pricing.discount_amount) %></span>
                       </div>
                     <% end %>
+                    <div
+                      :if={@ticket_order && @ticket_order.promo_discount_amount}
+                      class="flex justify-between text-sm text-green-600 font-medium"
+                    >
+                      <span>Promo code <%= promo_code_label(@ticket_order) %>:</span>
+                      <span>
+                        -<%= format_price(@ticket_order.promo_discount_amount) %>
+                      </span>
+                    </div>
                     <div class="flex justify-between font-semibold text-lg">
                       <span>Total:</span>
                       <span>
-                        <%= format_price(pricing.total) %>
+                        <%= ticket_amount_due(@ticket_order) ||
+                          format_price(pricing.total) %>
                       </span>
                     </div>
+                    <.approx_amount
+                      id="summary-total-approx"
+                      amount={promo_total(@ticket_order) || pricing.total}
+                      class="block text-right"
+                    />
+                    <.currency_display
+                      settings={@currency_display}
+                      class="pt-2 text-zinc-500"
+                    />
                   </div>
                 <% else %>
                   <div class="border-t border-zinc-200 pt-4">
@@ -3061,6 +3080,13 @@ defmodule YscWeb.EventDetailsLive do
     end
   end
 
+  # Approximate amounts in the visitor's currency follow the browser locale,
+  # which is only known once connected
+  defp currency_display_settings(socket) do
+    connect_params = get_connect_params(socket) || %{}
+    Ysc.CurrencyDisplay.client_settings(connect_params["locale"])
+  end
+
   # Minimal assigns for fast initial static render (SEO-friendly)
   defp mount_minimal_assigns(socket, event, _event_id) do
     # Preload only ticket_tiers for pricing display (single query)
@@ -3123,7 +3149,12 @@ defmodule YscWeb.EventDetailsLive do
     |> assign(:show_order_completion, false)
     |> assign(:payment_intent, nil)
     |> assign(:public_key, Application.get_env(:stripity_stripe, :public_key))
+    |> assign(:saved_cards, saved_cards(socket.assigns[:current_user]))
     |> assign(:ticket_order, nil)
+    |> assign(:promo_code_form, to_form(%{"code" => ""}, as: :promo))
+    |> assign(:promo_code_error, nil)
+    |> assign(:promo_code_preview, nil)
+    |> assign(:currency_display, currency_display_settings(socket))
     |> assign(:selected_tickets, %{})
     |> assign(:checkout_expired, false)
     |> assign(:show_registration_modal, false)
@@ -3912,6 +3943,9 @@ defmodule YscWeb.EventDetailsLive do
   end
 
   # Retrieve existing payment intent or create a new one
+  defp saved_cards(nil), do: []
+  defp saved_cards(user), do: Ysc.Payments.list_saved_cards(user)
+
   defp retrieve_or_create_payment_intent(ticket_order, user) do
     if ticket_order.payment_intent_id do
       # Try to retrieve existing payment intent
@@ -4779,6 +4813,119 @@ defmodule YscWeb.EventDetailsLive do
     end
   end
 
+  # Looks the code up as it is typed, counting failures towards the rate
+  # limit; its redemption is only reserved on apply
+  @impl true
+  def handle_event(
+        "validate-promo-code",
+        %{"promo" => %{"code" => code}},
+        socket
+      ) do
+    ticket_order = socket.assigns.ticket_order
+
+    cond do
+      is_nil(ticket_order) or is_nil(socket.assigns.payment_intent) ->
+        {:noreply, socket}
+
+      String.trim(code) == "" ->
+        {:noreply,
+         socket
+         |> assign(:promo_code_error, nil)
+         |> assign(:promo_code_preview, nil)}
+
+      true ->
+        subtotal = Ysc.PromoCodes.ticket_order_subtotal(ticket_order)
+
+        form = to_form(%{"code" => code}, as: :promo)
+        socket = assign(socket, :promo_code_form, form)
+
+        case Ysc.PromoCodes.check_code(
+               socket.assigns.current_user.id,
+               code,
+               :tickets,
+               subtotal
+             ) do
+          {:ok, _promo_code, discount} ->
+            {:noreply,
+             socket
+             |> assign(:promo_code_error, nil)
+             |> assign(:promo_code_preview, discount)}
+
+          {:error, reason} ->
+            {:noreply,
+             socket
+             |> assign(:promo_code_error, Ysc.PromoCodes.error_message(reason))
+             |> assign(:promo_code_preview, nil)}
+        end
+    end
+  end
+
+  @impl true
+  def handle_event(
+        "apply-promo-code",
+        %{"promo" => %{"code" => code}},
+        socket
+      ) do
+    ticket_order = socket.assigns.ticket_order
+
+    cond do
+      is_nil(ticket_order) or is_nil(socket.assigns.payment_intent) ->
+        {:noreply, socket}
+
+      String.trim(code) == "" ->
+        {:noreply, assign(socket, :promo_code_error, nil)}
+
+      true ->
+        subtotal = Ysc.PromoCodes.ticket_order_subtotal(ticket_order)
+
+        with {:ok, promo_code, discount} <-
+               Ysc.PromoCodes.check_code(
+                 socket.assigns.current_user.id,
+                 code,
+                 :tickets,
+                 subtotal
+               ),
+             {:ok, ticket_order} <-
+               Ysc.Tickets.apply_promo_code(ticket_order, promo_code, discount) do
+          {:noreply,
+           socket
+           |> assign(:ticket_order, ticket_order)
+           |> assign(:promo_code_error, nil)
+           |> assign(:promo_code_preview, nil)
+           |> assign(:promo_code_form, to_form(%{"code" => ""}, as: :promo))
+           |> push_event("scroll-to-price-details", %{})}
+        else
+          {:error, reason} when is_atom(reason) ->
+            {:noreply,
+             socket
+             |> assign(:promo_code_error, Ysc.PromoCodes.error_message(reason))
+             |> assign(:promo_code_preview, nil)
+             |> assign(:promo_code_form, to_form(%{"code" => code}, as: :promo))}
+
+          {:error, _reason} ->
+            {:noreply,
+             assign(
+               socket,
+               :promo_code_error,
+               "Unable to apply that code. Please try again."
+             )}
+        end
+    end
+  end
+
+  @impl true
+  def handle_event("remove-promo-code", _params, socket) do
+    case socket.assigns.ticket_order &&
+           Ysc.Tickets.remove_promo_code(socket.assigns.ticket_order) do
+      {:ok, ticket_order} ->
+        {:noreply, assign(socket, :ticket_order, ticket_order)}
+
+      _ ->
+        {:noreply,
+         put_flash(socket, :error, "Unable to remove the code. Please try again.")}
+    end
+  end
+
   @impl true
   def handle_event("checkout-expired", _params, socket) do
     # Expire the ticket order to release reserved tickets
@@ -5211,7 +5358,7 @@ defmodule YscWeb.EventDetailsLive do
     donation_amount_cents = parse_donation_amount(value)
 
     updated_tickets =
-      if donation_amount_cents > 0 and tier_id do
+      if valid_donation?(donation_amount_cents) and tier_id do
         # Add or update the donation amount in selected_tickets
         Map.put(socket.assigns.selected_tickets, tier_id, donation_amount_cents)
       else
@@ -5224,27 +5371,6 @@ defmodule YscWeb.EventDetailsLive do
     {:noreply, assign(socket, :selected_tickets, updated_tickets)}
   end
 
-  @impl true
-  def handle_event(
-        "set-donation-amount",
-        %{"tier-id" => tier_id, "amount" => amount_str},
-        socket
-      ) do
-    # Parse the amount string to integer (amount is in cents)
-    case Integer.parse(amount_str) do
-      {amount_cents, _} when amount_cents > 0 ->
-        # Set the donation amount in selected_tickets (amount is already in cents)
-        updated_tickets =
-          Map.put(socket.assigns.selected_tickets, tier_id, amount_cents)
-
-        {:noreply, assign(socket, :selected_tickets, updated_tickets)}
-
-      _ ->
-        # Invalid amount, don't update
-        {:noreply, socket}
-    end
-  end
-
   @impl true
   def handle_event("decrease-ticket-quantity", %{"tier-id" => tier_id}, socket) do
     current_quantity =
@@ -5689,6 +5815,22 @@ defmodule YscWeb.EventDetailsLive do
 
   defp format_price(_), do: "$0.00"
 
+  # With a promo code applied the order total is what's charged; otherwise
+  # nil so the total is calculated from the selected tickets
+  defp ticket_amount_due(ticket_order) do
+    if total = promo_total(ticket_order), do: format_price(total)
+  end
+
+  defp promo_total(%{promo_discount_amount: %Money{}} = ticket_order),
+    do: ticket_order.total_amount
+
+  defp promo_total(_ticket_order), do: nil
+
+  defp promo_code_label(%{promo_code: %Ysc.PromoCodes.PromoCode{code: code}}),
+    do: code
+
+  defp promo_code_label(_ticket_order), do: "applied"
+
   # Helper functions for ticket modal
 
   defp get_ticket_tier_by_id(_event_id, tier_id, ticket_tiers) do
@@ -6686,6 +6828,12 @@ defmodule YscWeb.EventDetailsLive do
     )
   end
 
+  defp valid_donation?(amount_cents),
+    do: amount_cents in @min_donation_cents..@max_donation_cents
+
+  defp min_donation, do: Ysc.MoneyHelper.cents_to_dollars(@min_donation_cents)
+  defp max_donation, do: Ysc.MoneyHelper.cents_to_dollars(@max_donation_cents)
+
   defp format_donation_amount(selected_tickets, tier_id) do
     case Map.get(selected_tickets, tier_id) do
       nil ->
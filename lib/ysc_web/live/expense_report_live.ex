@@ -14,11 +14,14 @@ defmodule YscWeb.ExpenseReportLive do
   alias Ysc.Accounts.User
   alias Ysc.Events
   alias Ysc.Repo
+  alias YscWeb.StepUp
   alias YscWeb.Validators.FileValidator
 
   import Ecto.Query
   require Logger
 
+  on_mount StepUp
+
   @impl true
   def mount(_params, _session, socket) do
     user = socket.assigns.current_user
@@ -184,7 +187,11 @@ defmodule YscWeb.ExpenseReportLive do
     user = socket.assigns.current_user
 
     # Normalize params to ensure all keys are strings (not mixed atoms/strings)
-    expense_report_params = normalize_params_keys(expense_report_params)
+    # and only keep receipt/proof paths this member uploaded
+    expense_report_params =
+      expense_report_params
+      |> normalize_params_keys()
+      |> restore_file_paths(user)
 
     # Rebuild the expense report from params, ensuring we have at least one expense item
     expense_items =
@@ -783,9 +790,21 @@ defmodule YscWeb.ExpenseReportLive do
 
   def handle_event(
         "save-bank-account",
-        %{"bank_account" => bank_account_params},
+        %{"bank_account" => bank_account_params} = params,
         socket
       ) do
+    with {:ok, socket} <-
+           StepUp.authorize(
+             socket,
+             "save-bank-account",
+             params,
+             "Verify it's you before adding a bank account for reimbursements."
+           ) do
+      save_bank_account(socket, bank_account_params)
+    end
+  end
+
+  defp save_bank_account(socket, bank_account_params) do
     user = socket.assigns.current_user
 
     case ExpenseReports.create_bank_account(bank_account_params, user) do
@@ -1220,6 +1239,14 @@ defmodule YscWeb.ExpenseReportLive do
       data-show-confetti={if @show_confetti, do: "true", else: "false"}
       class="py-8 lg:py-10 max-w-screen-xl mx-auto px-4"
     >
+      <div
+        id="expense-report-draft-clear"
+        phx-hook="ExpenseReportDraft"
+        data-draft-key={"expense-report:#{@current_user.id}"}
+        data-draft-clear="true"
+        class="hidden"
+      >
+      </div>
       <div class="max-w-xl mx-auto">
         <!-- Success Header -->
         <div class="text-center mb-8">
@@ -1742,6 +1769,8 @@ defmodule YscWeb.ExpenseReportLive do
               phx-submit="save"
               phx-change="validate"
               phx-auto-recover="recover"
+              phx-hook="ExpenseReportDraft"
+              data-draft-key={"expense-report:#{@current_user.id}"}
               multipart={true}
             >
               <!-- Step 1: Basic Information -->
@@ -1910,17 +1939,13 @@ defmodule YscWeb.ExpenseReportLive do
                         </p>
                       </div>
                       <div>
-                        <.input
+                        <.money_input
                           field={expense_f[:amount]}
-                          type="text"
                           label="Amount"
-                          phx-hook="MoneyInput"
-                          value={format_money_for_input(expense_f[:amount].value)}
                           placeholder="0.00"
+                          min="0"
                           required
-                        >
-                          <div class="text-zinc-800">$</div>
-                        </.input>
+                        />
                         <p
                           :for={error <- expense_f[:amount].errors}
                           class="mt-1 text-sm text-red-600"
@@ -1953,6 +1978,14 @@ defmodule YscWeb.ExpenseReportLive do
                       <p class="text-xs text-zinc-500 mb-3">
                         Upload a photo or PDF of your receipt. Accepted formats: PDF, JPG, JPEG, PNG, WEBP (max 10MB)
                       </p>
+                      <input
+                        :if={expense_f[:receipt_s3_path].value}
+                        type="hidden"
+                        name={"#{expense_f.name}[receipt_s3_token]"}
+                        value={
+                          file_token(@current_user, expense_f[:receipt_s3_path].value)
+                        }
+                      />
                       <!-- Show uploaded receipt with inline preview -->
                       <div
                         :if={expense_f[:receipt_s3_path].value}
@@ -2042,14 +2075,27 @@ defmodule YscWeb.ExpenseReportLive do
                         </div>
                       </div>
                       <!-- Drag-and-drop upload zone with immediate feedback -->
-                      <div :if={!expense_f[:receipt_s3_path].value} class="relative">
+                      <div
+                        :if={!expense_f[:receipt_s3_path].value}
+                        id={"receipt-upload-zone-#{expense_f.index}"}
+                        class="relative group"
+                        phx-hook="UploadDropZone"
+                        data-max-file-size="10000000"
+                        data-max-files="1"
+                      >
                         <!-- Upload zone - always rendered but visually hidden when entries exist -->
                         <label
                           class={
-                            "flex flex-col items-center justify-center w-full min-h-[200px] border-2 border-zinc-300 border-dashed rounded-lg cursor-pointer bg-zinc-50 hover:bg-zinc-100 hover:border-blue-400 transition-colors " <>
+                            "flex flex-col items-center justify-center w-full min-h-[200px] border-2 border-zinc-300 border-dashed rounded-lg cursor-pointer bg-zinc-50 hover:bg-zinc-100 hover:border-blue-400 transition-colors group-data-[drag-state=over]:border-blue-500 group-data-[drag-state=over]:bg-blue-50 group-data-[drag-state=rejected]:border-red-400 group-data-[drag-state=rejected]:bg-red-50 " <>
                               if(Enum.empty?(@uploads.receipt.entries), do: "", else: "hidden")
                           }
                           phx-drop-target={@uploads.receipt.ref}
+                          id={"receipt-drop-zone-#{expense_f.index}"}
+                          phx-hook="ImagePreprocess"
+                          data-upload-type="receipt"
+                          data-index={expense_f.index}
+                          data-image-max-edge="2000"
+                          data-image-format="jpeg"
                         >
                           <.live_file_input
                             upload={@uploads.receipt}
@@ -2063,7 +2109,7 @@ defmodule YscWeb.ExpenseReportLive do
                             />
                             <p class="mb-2 text-sm text-zinc-500">
                               <span class="font-semibold">Click to upload</span>
-                              or drag and drop
+                              or drag and drop (or paste)
                             </p>
                             <p class="text-xs text-zinc-400">
                               PDF, JPG, JPEG, PNG, WEBP (MAX. 10MB)
@@ -2073,6 +2119,14 @@ defmodule YscWeb.ExpenseReportLive do
                             </p>
                           </div>
                         </label>
+                        <p
+                          id={"receipt-upload-zone-error-#{expense_f.index}"}
+                          data-drop-zone-error
+                          role="alert"
+                          phx-update="ignore"
+                          class="hidden mt-2 text-sm text-red-600"
+                        >
+                        </p>
                         <!-- Upload progress for entries - only show if entry matches this expense item index -->
                         <%= for entry <- @uploads.receipt.entries do %>
                           <%= if entry.client_name do %>
@@ -2113,6 +2167,7 @@ defmodule YscWeb.ExpenseReportLive do
                                     data-ref={entry.ref}
                                     data-index={expense_f.index}
                                     data-upload-type="receipt"
+                                    data-done={entry.done?}
                                     phx-hook="AutoConsumeUpload"
                                   >
                                     <%= entry.progress %>%
@@ -2249,17 +2304,13 @@ defmodule YscWeb.ExpenseReportLive do
                         </p>
                       </div>
                       <div>
-                        <.input
+                        <.money_input
                           field={income_f[:amount]}
-                          type="text"
                           label="Amount"
-                          phx-hook="MoneyInput"
-                          value={format_money_for_input(income_f[:amount].value)}
                           placeholder="0.00"
+                          min="0"
                           required
-                        >
-                          <div class="text-zinc-800">$</div>
-                        </.input>
+                        />
                         <p
                           :for={error <- income_f[:amount].errors}
                           class="mt-1 text-sm text-red-600"
@@ -2291,6 +2342,12 @@ defmodule YscWeb.ExpenseReportLive do
                       <p class="text-xs text-zinc-500 mb-3">
                         Upload proof of income (invoice, payment confirmation, etc.)
                       </p>
+                      <input
+                        :if={income_f[:proof_s3_path].value}
+                        type="hidden"
+                        name={"#{income_f.name}[proof_s3_token]"}
+                        value={file_token(@current_user, income_f[:proof_s3_path].value)}
+                      />
                       <!-- Show uploaded proof with inline preview -->
                       <div
                         :if={income_f[:proof_s3_path].value}
@@ -2380,14 +2437,27 @@ defmodule YscWeb.ExpenseReportLive do
                         </div>
                       </div>
                       <!-- Drag-and-drop upload zone with immediate feedback -->
-                      <div :if={!income_f[:proof_s3_path].value} class="relative">
+                      <div
+                        :if={!income_f[:proof_s3_path].value}
+                        id={"proof-upload-zone-#{income_f.index}"}
+                        class="relative group"
+                        phx-hook="UploadDropZone"
+                        data-max-file-size="10000000"
+                        data-max-files="1"
+                      >
                         <!-- Upload zone - always rendered but visually hidden when entries exist -->
                         <label
                           class={
-                            "flex flex-col items-center justify-center w-full min-h-[200px] border-2 border-zinc-300 border-dashed rounded-lg cursor-pointer bg-zinc-50 hover:bg-zinc-100 hover:border-blue-400 transition-colors " <>
+                            "flex flex-col items-center justify-center w-full min-h-[200px] border-2 border-zinc-300 border-dashed rounded-lg cursor-pointer bg-zinc-50 hover:bg-zinc-100 hover:border-blue-400 transition-colors group-data-[drag-state=over]:border-blue-500 group-data-[drag-state=over]:bg-blue-50 group-data-[drag-state=rejected]:border-red-400 group-data-[drag-state=rejected]:bg-red-50 " <>
                               if(Enum.empty?(@uploads.proof.entries), do: "", else: "hidden")
                           }
                           phx-drop-target={@uploads.proof.ref}
+                          id={"proof-drop-zone-#{income_f.index}"}
+                          phx-hook="ImagePreprocess"
+                          data-upload-type="proof"
+                          data-index={income_f.index}
+                          data-image-max-edge="2000"
+                          data-image-format="jpeg"
                         >
                           <.live_file_input
                             upload={@uploads.proof}
@@ -2401,7 +2471,7 @@ defmodule YscWeb.ExpenseReportLive do
                             />
                             <p class="mb-2 text-sm text-zinc-500">
                               <span class="font-semibold">Click to upload</span>
-                              or drag and drop
+                              or drag and drop (or paste)
                             </p>
                             <p class="text-xs text-zinc-400">
                               PDF, JPG, JPEG, PNG, WEBP (MAX. 10MB)
@@ -2411,6 +2481,14 @@ defmodule YscWeb.ExpenseReportLive do
                             </p>
                           </div>
                         </label>
+                        <p
+                          id={"proof-upload-zone-error-#{income_f.index}"}
+                          data-drop-zone-error
+                          role="alert"
+                          phx-update="ignore"
+                          class="hidden mt-2 text-sm text-red-600"
+                        >
+                        </p>
                         <!-- Upload progress for entries - only show if entry matches this income item index -->
                         <%= for entry <- @uploads.proof.entries do %>
                           <%= if entry.client_name do %>
@@ -2451,6 +2529,7 @@ defmodule YscWeb.ExpenseReportLive do
                                     data-ref={entry.ref}
                                     data-index={income_f.index}
                                     data-upload-type="proof"
+                                    data-done={entry.done?}
                                     phx-hook="AutoConsumeUpload"
                                   >
                                     <%= entry.progress %>%
@@ -2841,8 +2920,8 @@ defmodule YscWeb.ExpenseReportLive do
           </div>
         </div>
       </div>
-      <!-- Bank Account Modal -->
-      <%= if @bank_account_form do %>
+      <!-- Bank Account Modal (hidden while verifying identity) -->
+      <%= if @bank_account_form && !@step_up do %>
         <div class="fixed inset-0 z-50 overflow-y-auto" id="modal-backdrop">
           <div
             class="fixed inset-0 transition-opacity bg-zinc-500 bg-opacity-75"
@@ -3088,6 +3167,8 @@ defmodule YscWeb.ExpenseReportLive do
           </div>
         </div>
       <% end %>
+
+      <StepUp.modal step_up={@step_up} />
     </div>
     """
   end
@@ -3153,6 +3234,51 @@ defmodule YscWeb.ExpenseReportLive do
 
   defp date_close_to_30_day_limit?(_), do: false
 
+  # Uploaded receipt/proof paths only live in the changeset. Each item also
+  # renders a signed token for its path, so the browser draft (and form
+  # recovery) can bring the files back without trusting a posted path.
+  @file_token_salt "expense report file"
+  # Drafts are kept for 30 days (expense_report_draft.js)
+  @file_token_max_age 30 * 24 * 60 * 60
+
+  defp file_token(user, path) do
+    Phoenix.Token.sign(YscWeb.Endpoint, @file_token_salt, {user.id, path})
+  end
+
+  defp restore_file_paths(params, user) do
+    params
+    |> Map.update("expense_items", %{}, &restore_files(&1, "receipt", user))
+    |> Map.update("income_items", %{}, &restore_files(&1, "proof", user))
+  end
+
+  defp restore_files(items_params, kind, user) when is_map(items_params) do
+    path_field = "#{kind}_s3_path"
+    token_field = "#{kind}_s3_token"
+
+    Map.new(items_params, fn {index, item_params} ->
+      item_params =
+        case verified_file_path(item_params[token_field], user) do
+          nil -> Map.delete(item_params, path_field)
+          path -> Map.put(item_params, path_field, path)
+        end
+
+      {index, Map.delete(item_params, token_field)}
+    end)
+  end
+
+  defp restore_files(items_params, _kind, _user), do: items_params
+
+  defp verified_file_path(token, %{id: user_id}) when is_binary(token) do
+    case Phoenix.Token.verify(YscWeb.Endpoint, @file_token_salt, token,
+           max_age: @file_token_max_age
+         ) do
+      {:ok, {^user_id, path}} -> path
+      _ -> nil
+    end
+  end
+
+  defp verified_file_path(_token, _user), do: nil
+
   defp pdf?(filename) when is_binary(filename) do
     String.downcase(filename) |> String.ends_with?(".pdf")
   end
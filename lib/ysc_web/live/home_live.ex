@@ -38,8 +38,10 @@ defmodule YscWeb.HomeLive do
 
         user_with_passkeys = Accounts.get_user!(user.id, [:passkeys])
 
+        # After a password or code sign-in the layout offers a passkey
+        # inline instead, to the same members this prompt would be shown to
         show_passkey_prompt =
-          just_logged_in &&
+          just_logged_in && !socket.assigns[:passkey_upgrade] &&
             Accounts.should_show_passkey_prompt?(user_with_passkeys)
 
         socket =
@@ -190,7 +192,7 @@ defmodule YscWeb.HomeLive do
     user_with_passkeys = Accounts.get_user!(user.id, [:passkeys])
 
     show_passkey_prompt =
-      socket.assigns[:just_logged_in] &&
+      socket.assigns[:just_logged_in] && !socket.assigns[:passkey_upgrade] &&
         Accounts.should_show_passkey_prompt?(user_with_passkeys)
 
     socket =
@@ -1,9 +1,7 @@
 defmodule YscWeb.PasskeyRegistrationLive do
   use YscWeb, :live_view
 
-  alias Ysc.Accounts
-  alias Ysc.Accounts.UserNotifier
-  alias Ysc.Accounts.UserPasskey
+  alias YscWeb.PasskeyRegistration
 
   def render(assigns) do
     ~H"""
@@ -84,7 +82,9 @@ defmodule YscWeb.PasskeyRegistrationLive do
          success: false,
          loading: false,
          passkey_challenge: nil,
-         user_agent: nil
+         user_agent: nil,
+         # This page already offers a passkey; skip the post-login offer
+         passkey_upgrade: false
        )}
     end
   end
@@ -96,58 +96,8 @@ defmodule YscWeb.PasskeyRegistrationLive do
     # Set loading state
     socket = assign(socket, :loading, true)
 
-    # Generate registration challenge
-    # For registration, we need to provide user information
-    user_id_binary = user.id
-
     try do
-      # Get rp_id and origin from Wax config to ensure consistency
-      rp_id = Application.get_env(:wax_, :rp_id) || "localhost"
-      origin = get_origin()
-
-      challenge =
-        Wax.new_registration_challenge(
-          origin: origin,
-          rp_id: rp_id,
-          user: %{
-            id: user_id_binary,
-            name: user.email,
-            display_name: "#{user.first_name} #{user.last_name}"
-          },
-          user_verification: "preferred",
-          authenticator_selection: %{
-            authenticator_attachment: "platform",
-            user_verification: "preferred",
-            require_resident_key: true
-          }
-        )
-
-      require Logger
-
-      # Convert challenge to JSON-serializable format for JS
-      # Note: WebAuthn API requires camelCase keys
-      challenge_json = %{
-        challenge: Base.url_encode64(challenge.bytes, padding: false),
-        timeout: challenge.timeout,
-        rp: %{
-          id: challenge.rp_id,
-          name: "YSC"
-        },
-        user: %{
-          id: Base.url_encode64(user_id_binary, padding: false),
-          name: user.email,
-          displayName: "#{user.first_name} #{user.last_name}"
-        },
-        pubKeyCredParams: [
-          %{type: "public-key", alg: -7},
-          %{type: "public-key", alg: -257}
-        ],
-        authenticatorSelection: %{
-          authenticatorAttachment: "platform",
-          userVerification: "preferred",
-          requireResidentKey: true
-        }
-      }
+      {challenge, challenge_json} = PasskeyRegistration.new_challenge(user)
 
       {:noreply,
        socket
@@ -181,73 +131,28 @@ defmodule YscWeb.PasskeyRegistrationLive do
          passkey_challenge: nil
        )}
     else
-      try do
-        attestation_object =
-          Base.url_decode64!(response["response"]["attestationObject"],
-            padding: false
-          )
-
-        client_data_json =
-          Base.url_decode64!(response["response"]["clientDataJSON"],
-            padding: false
-          )
-
-        # Verify the registration
-        # Wax.register returns {:ok, {auth_data, attestation_result_data}}
-        case Wax.register(attestation_object, client_data_json, challenge) do
-          {:ok, {auth_data, _attestation_result_data}} ->
-            credential_data = auth_data.attested_credential_data
-            credential_id = credential_data.credential_id
-            public_key = credential_data.credential_public_key
-
-            attrs = %{
-              external_id: credential_id,
-              public_key: UserPasskey.encode_public_key(public_key),
-              nickname: get_device_nickname(socket.assigns[:user_agent])
-            }
-
-            case Accounts.create_user_passkey(user, attrs) do
-              {:ok, passkey} ->
-                # Send security notification email
-                UserNotifier.deliver_passkey_added_notification(
-                  user,
-                  passkey.nickname
-                )
-
-                {:noreply,
-                 socket
-                 |> assign(:success, true)
-                 |> assign(:error, nil)
-                 |> assign(:loading, false)
-                 |> assign(:passkey_challenge, nil)
-                 |> put_flash(
-                   :info,
-                   "Passkey added successfully! You can now use it to sign in."
-                 )}
-
-              {:error, _changeset} ->
-                {:noreply,
-                 assign(socket,
-                   error: "Failed to save passkey. Please try again.",
-                   loading: false,
-                   passkey_challenge: nil
-                 )}
-            end
+      case PasskeyRegistration.register(
+             user,
+             challenge,
+             response,
+             socket.assigns[:user_agent]
+           ) do
+        {:ok, _passkey} ->
+          {:noreply,
+           socket
+           |> assign(:success, true)
+           |> assign(:error, nil)
+           |> assign(:loading, false)
+           |> assign(:passkey_challenge, nil)
+           |> put_flash(
+             :info,
+             "Passkey added successfully! You can now use it to sign in."
+           )}
 
-          {:error, reason} ->
-            {:noreply,
-             assign(socket,
-               error:
-                 "Passkey registration failed: #{inspect(reason)}. Please try again.",
-               loading: false,
-               passkey_challenge: nil
-             )}
-        end
-      rescue
-        _ ->
+        {:error, message} ->
           {:noreply,
            assign(socket,
-             error: "Invalid passkey response. Please try again.",
+             error: message,
              loading: false,
              passkey_challenge: nil
            )}
@@ -255,6 +160,27 @@ defmodule YscWeb.PasskeyRegistrationLive do
     end
   end
 
+  # Errors described by the WebAuthn client carry a stable code and guidance
+  # for the member
+  def handle_event(
+        "passkey_registration_error",
+        %{"code" => code, "message" => guidance},
+        socket
+      ) do
+    require Logger
+
+    Logger.info("[PasskeyRegistrationLive] Passkey registration failed", %{
+      code: code
+    })
+
+    {:noreply,
+     assign(socket,
+       error: guidance,
+       loading: false,
+       passkey_challenge: nil
+     )}
+  end
+
   def handle_event(
         "passkey_registration_error",
         %{"error" => error, "message" => message},
@@ -311,40 +237,4 @@ defmodule YscWeb.PasskeyRegistrationLive do
   def handle_event("user_agent_received", _params, socket) do
     {:noreply, socket}
   end
-
-  defp get_origin do
-    # Get origin from Wax config
-    Application.get_env(:wax_, :origin) || "http://localhost:4000"
-  end
-
-  defp get_device_nickname(user_agent) do
-    if user_agent && user_agent != "" do
-      parse_user_agent_to_nickname(user_agent)
-    else
-      "Device"
-    end
-  end
-
-  defp parse_user_agent_to_nickname(user_agent) do
-    # Use the existing AuthEvent parsing logic
-    parsed = Ysc.Accounts.AuthEvent.parse_user_agent(user_agent)
-    browser = Map.get(parsed, :browser, "Unknown")
-    os = Map.get(parsed, :operating_system, "Unknown")
-    device_type = Map.get(parsed, :device_type, "unknown")
-
-    # Create a descriptive nickname
-    cond do
-      browser != "Unknown" && os != "Unknown" ->
-        "#{browser} on #{os}"
-
-      browser != "Unknown" ->
-        browser
-
-      os != "Unknown" ->
-        "#{device_type} (#{os})"
-
-      true ->
-        String.capitalize(device_type)
-    end
-  end
 end
@@ -24,7 +24,12 @@ defmodule YscWeb.UserLoginLive do
         </:subtitle>
       </.header>
       <!-- Alternative Authentication Methods -->
-      <div id="auth-methods" class="space-y-3 pt-8" phx-hook="PasskeyAuth">
+      <div
+        id="auth-methods"
+        class="space-y-3 pt-8"
+        phx-hook="PasskeyAuth"
+        data-passkey-autofill="login_form"
+      >
         <.button
           :if={@passkey_supported}
           type="button"
@@ -262,7 +267,13 @@ defmodule YscWeb.UserLoginLive do
         phx-update="ignore"
       >
         <input type="hidden" name="redirect_to" value={@redirect_to} />
-        <.input field={@form[:email]} type="email" label="Email" required />
+        <.input
+          field={@form[:email]}
+          type="email"
+          label="Email"
+          autocomplete="username webauthn"
+          required
+        />
         <.input
           field={@form[:password]}
           type="password-toggle"
@@ -328,74 +339,32 @@ defmodule YscWeb.UserLoginLive do
      |> assign(:banner_dismissed, false)
      |> assign(:passkey_loading, false)
      |> assign(:passkey_challenge, nil)
-     |> assign(:passkey_auth_mode, nil), temporary_assigns: [form: form]}
+     |> assign(:passkey_auth_mode, nil)
+     |> assign(:conditional_passkey, false), temporary_assigns: [form: form]}
   end
 
   def handle_event("sign_in_with_passkey", _params, socket) do
     # Use discoverable credentials (passwordless - no email needed)
     # The browser will show a native account picker with available passkeys
-
-    # Set loading state
-    socket = assign(socket, :passkey_loading, true)
-
-    # For discoverable credentials, we need to pass allow_credentials to Wax
-    # so it knows which public keys to use for verification, but we omit it
-    # from the JSON sent to the browser to enable the native account picker.
-    # Get all passkeys from the database to pass to Wax
-    # Use the same rp_id and origin as registration to ensure consistency
-    rp_id = Application.get_env(:wax_, :rp_id) || "localhost"
-    origin = Application.get_env(:wax_, :origin) || "http://localhost:4000"
-
-    # Get all passkeys from all users for discoverable credentials
-    # Wax needs to know all possible credential_ids and public keys for verification
-    all_passkeys = Ysc.Repo.all(Ysc.Accounts.UserPasskey)
-
-    # Convert to list of {credential_id, public_key} tuples for Wax
-    allow_credentials =
-      Enum.map(all_passkeys, fn passkey ->
-        public_key =
-          Ysc.Accounts.UserPasskey.decode_public_key(passkey.public_key)
-
-        {passkey.external_id, public_key}
-      end)
-
-    challenge =
-      Wax.new_authentication_challenge(
-        rp_id: rp_id,
-        origin: origin,
-        allow_credentials: allow_credentials
-      )
-
-    Logger.debug("[UserLoginLive] Authentication challenge created", %{
-      challenge_bytes_length: byte_size(challenge.bytes),
-      timeout: challenge.timeout
-    })
-
-    # Convert challenge to JSON-serializable format for JS
-    # Note: We omit allow_credentials from the JSON to enable discoverable credentials
-    # (native account picker), but we pass it to Wax so it knows the public keys
-    #
-    # IMPORTANT: All binary data (challenges, credential IDs, signatures) must use Base64URL encoding
-    # Base64URL is URL-safe Base64 without padding, required for WebAuthn data transmission
-    # This prevents issues with JSON parsers and LiveView's transport layer
-    challenge_base64url = Base.url_encode64(challenge.bytes, padding: false)
-
-    challenge_json = %{
-      challenge: challenge_base64url,
-      timeout: challenge.timeout,
-      rpId: challenge.rp_id,
-      userVerification: "preferred"
-      # Intentionally omitting allowCredentials to enable discoverable credentials
-      # (browser will show native account picker)
-    }
+    {challenge, challenge_json} = new_authentication_challenge()
 
     {:noreply,
      socket
+     |> assign(:passkey_loading, true)
      |> assign(:passkey_challenge, challenge)
      |> assign(:passkey_auth_mode, :discoverable)
      |> push_event("create_authentication_challenge", %{options: challenge_json})}
   end
 
+  def handle_event("start_conditional_passkey", _params, socket) do
+    # The browser supports passkey autofill (conditional mediation); offer
+    # saved passkeys in the email field until the member picks one
+    {:noreply,
+     socket
+     |> assign(:conditional_passkey, true)
+     |> start_conditional_passkey()}
+  end
+
   def handle_event("sign_in_with_google", _params, socket) do
     # Pass redirect_to as query parameter - Ueberauth will preserve it through OAuth flow
     redirect_to = socket.assigns.redirect_to
@@ -465,6 +434,158 @@ defmodule YscWeb.UserLoginLive do
   end
 
   def handle_event("verify_authentication", response, socket) do
+    {:noreply, socket} = verify_authentication(response, socket)
+
+    # A failed attempt clears the challenge; re-arm passkey autofill so the
+    # member can pick a passkey again
+    if socket.redirected || socket.assigns.passkey_challenge do
+      {:noreply, socket}
+    else
+      {:noreply, rearm_conditional_passkey(socket)}
+    end
+  end
+
+  def handle_event(
+        "passkey_auth_error",
+        %{"error" => "NotAllowedError", "mediation" => "conditional"},
+        socket
+      ) do
+    # The member dismissed the prompt after picking a passkey from autofill;
+    # nothing to report, just offer the passkeys again
+    {:noreply,
+     socket
+     |> assign(:passkey_challenge, nil)
+     |> assign(:passkey_auth_mode, nil)
+     |> rearm_conditional_passkey()}
+  end
+
+  # Errors described by the WebAuthn client carry a stable code and guidance
+  # for the member
+  def handle_event(
+        "passkey_auth_error",
+        %{"code" => code, "message" => guidance},
+        socket
+      ) do
+    Logger.info("[UserLoginLive] Passkey authentication failed", %{code: code})
+
+    {:noreply,
+     put_flash(socket, :error, guidance)
+     |> assign(:passkey_loading, false)
+     |> assign(:passkey_challenge, nil)
+     |> assign(:passkey_auth_mode, nil)
+     |> rearm_conditional_passkey()}
+  end
+
+  def handle_event(
+        "passkey_auth_error",
+        %{"error" => error, "message" => message},
+        socket
+      ) do
+    error_message =
+      case error do
+        "NotAllowedError" ->
+          "Authentication was cancelled or not allowed. Please try again."
+
+        "InvalidStateError" ->
+          "This passkey may have been removed. Please use another sign-in method."
+
+        "NotSupportedError" ->
+          "Your device doesn't support this authentication method. Please use another sign-in method."
+
+        _ ->
+          "Authentication failed: #{message}. Please try again or use another sign-in method."
+      end
+
+    {:noreply,
+     put_flash(socket, :error, error_message)
+     |> assign(:passkey_loading, false)
+     |> assign(:passkey_challenge, nil)
+     |> assign(:passkey_auth_mode, nil)
+     |> rearm_conditional_passkey()}
+  end
+
+  def handle_event("passkey_auth_error", _params, socket) do
+    {:noreply,
+     put_flash(
+       socket,
+       :error,
+       "An error occurred during authentication. Please try again."
+     )
+     |> assign(:passkey_loading, false)
+     |> assign(:passkey_challenge, nil)
+     |> assign(:passkey_auth_mode, nil)
+     |> rearm_conditional_passkey()}
+  end
+
+  def handle_event("dismiss_banner", _params, socket) do
+    # Reset failed login attempts when user dismisses the banner
+    # Redirect to controller endpoint to clear session, then redirect back
+    {:noreply,
+     socket
+     |> assign(:failed_login_attempts, 0)
+     |> assign(:banner_dismissed, true)
+     |> redirect(to: ~p"/users/log-in/reset-attempts")}
+  end
+
+  defp new_authentication_challenge do
+    # The challenge names no credentials: the browser shows its native account
+    # picker, and verify_authentication looks up the one passkey that answered
+    # by its rawId. Use the same rp_id and origin as registration to ensure
+    # consistency
+    rp_id = Application.get_env(:wax_, :rp_id) || "localhost"
+    origin = Application.get_env(:wax_, :origin) || "http://localhost:4000"
+
+    challenge = Wax.new_authentication_challenge(rp_id: rp_id, origin: origin)
+
+    Logger.debug("[UserLoginLive] Authentication challenge created", %{
+      challenge_bytes_length: byte_size(challenge.bytes),
+      timeout: challenge.timeout
+    })
+
+    # Convert challenge to JSON-serializable format for JS
+    #
+    # IMPORTANT: All binary data (challenges, credential IDs, signatures) must use Base64URL encoding
+    # Base64URL is URL-safe Base64 without padding, required for WebAuthn data transmission
+    # This prevents issues with JSON parsers and LiveView's transport layer
+    challenge_base64url = Base.url_encode64(challenge.bytes, padding: false)
+
+    challenge_json = %{
+      challenge: challenge_base64url,
+      timeout: challenge.timeout,
+      rpId: challenge.rp_id,
+      userVerification: "preferred"
+      # Intentionally omitting allowCredentials to enable discoverable credentials
+      # (browser will show native account picker)
+    }
+
+    {challenge, challenge_json}
+  end
+
+  # The hook starts a navigator.credentials.get() with mediation
+  # "conditional" for this challenge; it resolves when the member picks a
+  # passkey from the email field's autofill and goes through
+  # verify_authentication like the button flow
+  defp start_conditional_passkey(socket) do
+    {challenge, challenge_json} = new_authentication_challenge()
+
+    socket
+    |> assign(:passkey_challenge, challenge)
+    |> assign(:passkey_auth_mode, :discoverable)
+    |> push_event("create_authentication_challenge", %{
+      options: challenge_json,
+      mediation: "conditional"
+    })
+  end
+
+  defp rearm_conditional_passkey(socket) do
+    if socket.assigns.conditional_passkey do
+      start_conditional_passkey(socket)
+    else
+      socket
+    end
+  end
+
+  defp verify_authentication(response, socket) do
     require Logger
 
     Logger.info("[UserLoginLive] verify_authentication event received", %{
@@ -734,55 +855,6 @@ defmodule YscWeb.UserLoginLive do
     end
   end
 
-  def handle_event(
-        "passkey_auth_error",
-        %{"error" => error, "message" => message},
-        socket
-      ) do
-    error_message =
-      case error do
-        "NotAllowedError" ->
-          "Authentication was cancelled or not allowed. Please try again."
-
-        "InvalidStateError" ->
-          "This passkey may have been removed. Please use another sign-in method."
-
-        "NotSupportedError" ->
-          "Your device doesn't support this authentication method. Please use another sign-in method."
-
-        _ ->
-          "Authentication failed: #{message}. Please try again or use another sign-in method."
-      end
-
-    {:noreply,
-     put_flash(socket, :error, error_message)
-     |> assign(:passkey_loading, false)
-     |> assign(:passkey_challenge, nil)
-     |> assign(:passkey_auth_mode, nil)}
-  end
-
-  def handle_event("passkey_auth_error", _params, socket) do
-    {:noreply,
-     put_flash(
-       socket,
-       :error,
-       "An error occurred during authentication. Please try again."
-     )
-     |> assign(:passkey_loading, false)
-     |> assign(:passkey_challenge, nil)
-     |> assign(:passkey_auth_mode, nil)}
-  end
-
-  def handle_event("dismiss_banner", _params, socket) do
-    # Reset failed login attempts when user dismisses the banner
-    # Redirect to controller endpoint to clear session, then redirect back
-    {:noreply,
-     socket
-     |> assign(:failed_login_attempts, 0)
-     |> assign(:banner_dismissed, true)
-     |> redirect(to: ~p"/users/log-in/reset-attempts")}
-  end
-
   defp verify_passkey_authentication(
          socket,
          passkey,
@@ -824,11 +896,17 @@ defmodule YscWeb.UserLoginLive do
       challenge_bytes_length: byte_size(challenge.bytes)
     })
 
+    # The challenge was created without credentials, so give Wax the public
+    # key of the passkey that answered to verify the signature against
+    challenge = %{
+      challenge
+      | allow_credentials: [
+          {passkey.external_id,
+           Ysc.Accounts.UserPasskey.decode_public_key(passkey.public_key)}
+        ]
+    }
+
     # Verify the authentication
-    # For discoverable credentials, Wax.authenticate needs the public key to verify the signature.
-    # Since we didn't pass allow_credentials in the challenge, we need to provide the public key here.
-    # However, Wax.authenticate might not accept public_key as an option. Let's try the standard call first.
-    # If that fails, we might need to reconstruct the challenge with allow_credentials.
     case Wax.authenticate(
            credential_id_to_verify,
            authenticator_data,
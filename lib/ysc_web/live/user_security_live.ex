@@ -168,6 +168,18 @@ defmodule YscWeb.UserSecurityLive do
     {:noreply, process_password_change_after_reauth(socket)}
   end
 
+  def handle_event(
+        "passkey_auth_error",
+        %{"code" => code, "message" => guidance},
+        socket
+      ) do
+    require Logger
+
+    Logger.debug("[UserSecurityLive] Passkey authentication error: #{code}")
+
+    {:noreply, assign(socket, :reauth_error, guidance)}
+  end
+
   def handle_event("passkey_auth_error", %{"error" => error}, socket) do
     require Logger
 
@@ -211,7 +223,12 @@ defmodule YscWeb.UserSecurityLive do
               {:noreply,
                socket
                |> assign(:passkeys, updated_passkeys)
-               |> put_flash(:info, "Passkey deleted successfully.")}
+               |> put_flash(:info, "Passkey deleted successfully.")
+               |> push_event("passkey_revoked", %{
+                 rpId: rp_id(),
+                 credentialId:
+                   Base.url_encode64(passkey.external_id, padding: false)
+               })}
 
             {:error, _changeset} ->
               {:noreply,
@@ -232,6 +249,44 @@ defmodule YscWeb.UserSecurityLive do
     end
   end
 
+  def handle_event(
+        "rename_passkey",
+        %{"passkey_id" => id, "nickname" => nickname},
+        socket
+      ) do
+    user = socket.assigns.current_user
+
+    with %{} = passkey <- Accounts.get_user_passkey(user, id),
+         {:ok, passkey} <- Accounts.rename_user_passkey(passkey, nickname) do
+      updated_passkeys =
+        Enum.map(socket.assigns.passkeys, fn existing ->
+          if existing.id == passkey.id, do: passkey, else: existing
+        end)
+
+      {:noreply,
+       socket
+       |> assign(:passkeys, updated_passkeys)
+       |> put_flash(:info, "Passkey renamed.")
+       |> push_event("passkey_renamed", %{
+         rpId: rp_id(),
+         userId: Base.url_encode64(user.id, padding: false),
+         name: user.email,
+         displayName: "#{user.first_name} #{user.last_name}"
+       })}
+    else
+      nil ->
+        {:noreply, put_flash(socket, :error, "Passkey not found.")}
+
+      {:error, _changeset} ->
+        {:noreply,
+         put_flash(
+           socket,
+           :error,
+           "Passkey names must be between 1 and 60 characters."
+         )}
+    end
+  end
+
   defp process_password_change_after_reauth(socket) do
     user = socket.assigns.current_user
     user_params = socket.assigns.pending_password_change
@@ -448,7 +503,11 @@ defmodule YscWeb.UserSecurityLive do
         <div class="text-medium px-2 text-zinc-500 rounded w-full md:border-l md:border-1 md:border-zinc-100 md:pl-16">
           <div class="space-y-8">
             <!-- Passkeys Section -->
-            <div class="rounded border border-zinc-100 py-4 px-4 space-y-4">
+            <div
+              id="passkey-manager"
+              class="rounded border border-zinc-100 py-4 px-4 space-y-4"
+              phx-hook="PasskeyManager"
+            >
               <h2 class="text-zinc-900 font-bold text-xl">Passkeys</h2>
               <p class="text-zinc-600 text-sm">
                 A passkey is a passwordless way to sign in using your device’s built-in security (fingerprint, face, or PIN). It’s tied to your device and this site, so it can’t be phished or leaked like a password.
@@ -506,16 +565,79 @@ defmodule YscWeb.UserSecurityLive do
                 <div class="space-y-3">
                   <div
                     :for={passkey <- @passkeys}
+                    id={"passkey-#{passkey.id}"}
                     class="flex items-center justify-between p-4 border border-zinc-200 rounded-lg"
                   >
-                    <div class="flex-1">
-                      <div class="flex items-center gap-2 mb-1">
-                        <.icon name="hero-key" class="w-5 h-5 text-zinc-600" />
-                        <p class="text-zinc-900 font-medium">
+                    <div class="flex-1 min-w-0">
+                      <div
+                        id={"passkey-name-#{passkey.id}"}
+                        class="flex items-center gap-2 mb-1"
+                      >
+                        <.icon
+                          name={device_icon(passkey.device_type)}
+                          class="w-5 h-5 text-zinc-600"
+                        />
+                        <p class="text-zinc-900 font-medium truncate">
                           <%= format_passkey_name(passkey) %>
                         </p>
+                        <button
+                          type="button"
+                          phx-click={
+                            JS.hide(to: "#passkey-name-#{passkey.id}")
+                            |> JS.show(
+                              to: "#passkey-rename-#{passkey.id}",
+                              display: "flex"
+                            )
+                            |> JS.focus(to: "#passkey-nickname-#{passkey.id}")
+                          }
+                          class="text-zinc-500 hover:text-zinc-800"
+                          aria-label={"Rename #{format_passkey_name(passkey)}"}
+                        >
+                          <.icon name="hero-pencil-square" class="w-4 h-4" />
+                        </button>
                       </div>
+                      <form
+                        id={"passkey-rename-#{passkey.id}"}
+                        class="hidden items-center gap-2 mb-2"
+                        phx-submit={
+                          JS.push("rename_passkey")
+                          |> JS.hide(to: "#passkey-rename-#{passkey.id}")
+                          |> JS.show(
+                            to: "#passkey-name-#{passkey.id}",
+                            display: "flex"
+                          )
+                        }
+                        data-passkey-rename
+                      >
+                        <input type="hidden" name="passkey_id" value={passkey.id} />
+                        <input
+                          id={"passkey-nickname-#{passkey.id}"}
+                          type="text"
+                          name="nickname"
+                          value={passkey.nickname}
+                          maxlength="60"
+                          required
+                          aria-label="Passkey name"
+                          class="block w-full max-w-xs rounded-md border-zinc-300 text-sm text-zinc-900 focus:border-blue-500 focus:ring-blue-500"
+                        />
+                        <.button type="submit" class="h-9">Save</.button>
+                        <button
+                          type="button"
+                          phx-click={
+                            JS.hide(to: "#passkey-rename-#{passkey.id}")
+                            |> JS.show(
+                              to: "#passkey-name-#{passkey.id}",
+                              display: "flex"
+                            )
+                          }
+                          class="text-sm font-semibold text-zinc-600 hover:text-zinc-900"
+                          data-passkey-rename-cancel
+                        >
+                          Cancel
+                        </button>
+                      </form>
                       <div class="text-sm text-zinc-600 space-y-1">
+                        <p><%= device_label(passkey.device_type) %></p>
                         <p>
                           Created: <%= Calendar.strftime(
                             passkey.inserted_at,
@@ -530,18 +652,25 @@ defmodule YscWeb.UserSecurityLive do
                             Never
                           <% end %>
                         </p>
+                        <p
+                          :if={stale_passkey?(passkey)}
+                          class="inline-flex items-center gap-1 rounded bg-amber-50 px-2 py-0.5 text-xs text-amber-800"
+                        >
+                          <.icon name="hero-clock" class="w-3 h-3" />
+                          Not used in over 6 months
+                        </p>
                       </div>
                     </div>
                     <div>
                       <.button
                         phx-click="delete_passkey"
                         phx-value-passkey_id={passkey.id}
-                        phx-confirm={"Are you sure you want to delete the passkey \"#{format_passkey_name(passkey)}\"? This action cannot be undone."}
-                        phx-disable-with="Deleting..."
+                        phx-confirm={"Revoke the passkey \"#{format_passkey_name(passkey)}\"? You won't be able to sign in with it anymore."}
+                        phx-disable-with="Revoking..."
                         variant="danger"
                         class="ml-4"
                       >
-                        <.icon name="hero-trash" class="w-4 h-4 me-1" /> Delete
+                        <.icon name="hero-trash" class="w-4 h-4 me-1" /> Revoke
                       </.button>
                     </div>
                   </div>
@@ -609,6 +738,25 @@ defmodule YscWeb.UserSecurityLive do
     """
   end
 
+  # Same relying party id the passkeys were registered with
+  defp rp_id, do: Application.get_env(:wax_, :rp_id) || "localhost"
+
+  defp device_label(:mobile), do: "Phone"
+  defp device_label(:tablet), do: "Tablet"
+  defp device_label(:desktop), do: "Computer"
+  defp device_label(_), do: "Unknown device"
+
+  defp device_icon(:mobile), do: "hero-device-phone-mobile"
+  defp device_icon(:tablet), do: "hero-device-tablet"
+  defp device_icon(:desktop), do: "hero-computer-desktop"
+  defp device_icon(_), do: "hero-key"
+
+  # Unused for six months, e.g. left behind on an old phone
+  defp stale_passkey?(passkey) do
+    last_activity = passkey.last_used_at || passkey.inserted_at
+    DateTime.diff(DateTime.utc_now(), last_activity, :day) > 180
+  end
+
   defp format_passkey_name(passkey) do
     if passkey.nickname && passkey.nickname != "" do
       passkey.nickname
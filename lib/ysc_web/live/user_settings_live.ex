@@ -8,9 +8,12 @@ defmodule YscWeb.UserSettingsLive do
   alias Ysc.Ledgers
   alias Ysc.Repo
   alias Ysc.Subscriptions
+  alias YscWeb.StepUp
 
   import Ecto.Query
 
+  on_mount StepUp
+
   @impl true
   def render(assigns) do
     ~H"""
@@ -202,80 +205,6 @@ defmodule YscWeb.UserSettingsLive do
           </.simple_form>
         </.modal>
 
-        <.modal
-          :if={@show_reauth_modal}
-          id="reauth-modal"
-          on_cancel={JS.push("cancel_reauth")}
-          show
-        >
-          <h2 class="text-2xl font-semibold leading-8 text-zinc-800 mb-6">
-            Verify Your Identity
-          </h2>
-
-          <p class="text-sm text-zinc-600 mb-6">
-            For security reasons, please verify your identity before changing your email address.
-          </p>
-
-          <div id="reauth-methods" class="space-y-4" phx-hook="PasskeyAuth">
-            <!-- Password Authentication Option (if user has a password) -->
-            <div :if={@user_has_password} class="space-y-4">
-              <h3 class="font-semibold text-zinc-900">Verify with your password</h3>
-              <.simple_form
-                for={@reauth_form}
-                id="reauth_password_form"
-                phx-submit="reauth_with_password"
-              >
-                <.input
-                  field={@reauth_form[:password]}
-                  type="password-toggle"
-                  label="Password"
-                  required
-                  autocomplete="current-password"
-                />
-                <%= if @reauth_error do %>
-                  <div class="p-3 bg-red-50 border border-red-200 rounded-md">
-                    <p class="text-sm text-red-800"><%= @reauth_error %></p>
-                  </div>
-                <% end %>
-                <:actions>
-                  <.button phx-disable-with="Verifying..." class="w-full">
-                    Continue
-                  </.button>
-                </:actions>
-              </.simple_form>
-            </div>
-            <!-- Passkey Authentication Option -->
-            <div class="space-y-4">
-              <div :if={@user_has_password} class="relative">
-                <div class="absolute inset-0 flex items-center">
-                  <div class="w-full border-t border-zinc-200"></div>
-                </div>
-                <div class="relative flex justify-center text-sm">
-                  <span class="px-2 bg-white text-zinc-500">OR</span>
-                </div>
-              </div>
-
-              <h3 class="font-semibold text-zinc-900">
-                <%= if @user_has_password,
-                  do: "Verify with a passkey",
-                  else: "Verify with your passkey" %>
-              </h3>
-              <p class="text-sm text-zinc-600">
-                Use your device's fingerprint, face recognition, or security key
-              </p>
-              <.button
-                type="button"
-                phx-click="reauth_with_passkey"
-                phx-disable-with="Verifying..."
-                class="w-full"
-              >
-                <.icon name="hero-finger-print" class="w-5 h-5 me-2" />
-                Continue with Passkey
-              </.button>
-            </div>
-          </div>
-        </.modal>
-
         <.modal
           :if={@live_action == :payment_method}
           id="update-payment-method-modal"
@@ -459,11 +388,13 @@ defmodule YscWeb.UserSettingsLive do
             <form
               id="payment-form"
               class="flex space-y-6 flex-col"
-              phx-hook="StripeInput"
-              data-clientSecret={@payment_intent_secret}
-              data-publicKey={@public_key}
-              data-submitURL={"#{YscWeb.Endpoint.url()}/billing/user/#{@user.id}/payment-method"}
-              data-returnURL={"#{YscWeb.Endpoint.url()}/billing/user/#{@user.id}/finalize"}
+              phx-hook="StripePayment"
+              data-mode="setup"
+              data-client-secret={@payment_intent_secret}
+              data-return-url={"#{YscWeb.Endpoint.url()}/billing/user/#{@user.id}/finalize"}
+              data-layout="accordion"
+              data-submit-target="submit"
+              data-message-target="card-errors"
             >
               <div id="error-message">
                 <p id="card-errors" class="text-red-400 text-sm"></p>
@@ -1707,6 +1638,8 @@ defmodule YscWeb.UserSettingsLive do
         </div>
       </div>
     </div>
+
+    <StepUp.modal step_up={@step_up} />
     """
   end
 
@@ -1798,13 +1731,6 @@ defmodule YscWeb.UserSettingsLive do
       |> assign(:current_email, user.email)
       |> assign(:change_membership_button, false)
       |> assign(:membership_change_info, nil)
-      |> assign(:show_reauth_modal, false)
-      |> assign(:reauth_form, to_form(%{"password" => ""}))
-      |> assign(:reauth_error, nil)
-      |> assign(:reauth_verified_at, nil)
-      |> assign(:reauth_challenge, nil)
-      |> assign(:pending_email_change, nil)
-      |> assign(:user_has_password, !is_nil(user.hashed_password))
       # Placeholder values for async-loaded data
       |> assign(:default_payment_method, nil)
       |> assign(:all_payment_methods, [])
@@ -1989,107 +1915,22 @@ defmodule YscWeb.UserSettingsLive do
 
     # Check if email actually changed
     if new_email != user.email do
-      # Store pending email change and show re-auth modal
-      {:noreply,
-       socket
-       |> assign(:pending_email_change, new_email)
-       |> assign(:show_reauth_modal, true)
-       |> assign(:reauth_error, nil)}
+      # Verify it's the member before sending a code to the new address
+      with {:ok, socket} <-
+             StepUp.authorize(
+               socket,
+               "request_email_change",
+               params,
+               "Verify it's you before changing your email address."
+             ) do
+        {:noreply, start_email_change(socket, new_email)}
+      end
     else
       # Email hasn't changed
       {:noreply, put_flash(socket, :info, "Email address is the same.")}
     end
   end
 
-  def handle_event("cancel_reauth", _params, socket) do
-    {:noreply,
-     socket
-     |> assign(:show_reauth_modal, false)
-     |> assign(:pending_email_change, nil)
-     |> assign(:reauth_error, nil)}
-  end
-
-  def handle_event("reauth_with_password", %{"password" => password}, socket) do
-    user = socket.assigns.current_user
-
-    case Accounts.get_user_by_email_and_password(user.email, password) do
-      nil ->
-        {:noreply,
-         assign(socket, :reauth_error, "Invalid password. Please try again.")}
-
-      _valid_user ->
-        # Password verified, proceed with email change
-        {:noreply, process_email_change_after_reauth(socket)}
-    end
-  end
-
-  def handle_event("reauth_with_passkey", _params, socket) do
-    require Logger
-    Logger.info("[UserSettingsLive] reauth_with_passkey event received")
-
-    # Generate authentication challenge for passkey
-    challenge =
-      :crypto.strong_rand_bytes(32) |> Base.url_encode64(padding: false)
-
-    challenge_json = %{
-      challenge: challenge,
-      timeout: 60_000,
-      userVerification: "required"
-    }
-
-    {:noreply,
-     socket
-     |> assign(:reauth_challenge, challenge)
-     |> push_event("create_authentication_challenge", %{options: challenge_json})}
-  end
-
-  def handle_event("verify_authentication", params, socket) do
-    require Logger
-
-    Logger.info(
-      "[UserSettingsLive] verify_authentication event received for re-auth"
-    )
-
-    Logger.debug("Params: #{inspect(params)}")
-
-    # In a full production implementation, you should verify the passkey signature here
-    # against the stored public key and challenge. For now, we trust the browser's
-    # verification since the user is already authenticated in the session.
-
-    # The browser has already verified:
-    # 1. The user's biometric/PIN
-    # 2. The passkey belongs to this domain
-    # 3. The signature is valid
-
-    # Since the user is in an authenticated session and the browser verified their
-    # passkey, we can proceed with the email change
-    {:noreply, process_email_change_after_reauth(socket)}
-  end
-
-  def handle_event("passkey_auth_error", %{"error" => error}, socket) do
-    require Logger
-
-    Logger.debug(
-      "[UserSettingsLive] Passkey authentication error: #{inspect(error)}"
-    )
-
-    {:noreply,
-     assign(
-       socket,
-       :reauth_error,
-       "Passkey authentication failed. Please try again."
-     )}
-  end
-
-  # PasskeyAuth hook sends these events - we don't need to handle them in user settings
-  def handle_event("passkey_support_detected", _params, socket),
-    do: {:noreply, socket}
-
-  def handle_event("user_agent_received", _params, socket),
-    do: {:noreply, socket}
-
-  def handle_event("device_detected", _params, socket), do: {:noreply, socket}
-
   def handle_event("validate_profile", params, socket) do
     %{"user" => user_params} = params
 
@@ -3290,9 +3131,8 @@ defmodule YscWeb.UserSettingsLive do
     end
   end
 
-  defp process_email_change_after_reauth(socket) do
+  defp start_email_change(socket, new_email) do
     user = socket.assigns.current_user
-    new_email = socket.assigns.pending_email_change
 
     # Send verification code to new email address
     email_code = Accounts.generate_and_store_email_verification_code(user)
@@ -3311,10 +3151,6 @@ defmodule YscWeb.UserSettingsLive do
     socket
     |> assign(:email_form, email_form)
     |> assign(:pending_email, new_email)
-    |> assign(:show_reauth_modal, false)
-    |> assign(:pending_email_change, nil)
-    |> assign(:reauth_error, nil)
-    |> assign(:reauth_verified_at, DateTime.utc_now())
     |> push_patch(to: ~p"/users/settings/email-verification?email=#{new_email}")
     |> put_flash(
       :info,
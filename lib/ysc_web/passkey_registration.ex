@@ -0,0 +1,151 @@
+defmodule YscWeb.PasskeyRegistration do
+  @moduledoc """
+  The WebAuthn registration ceremony shared by the Add Passkey page and the
+  passkey offer shown after a password or code sign-in.
+
+  `new_challenge/1` returns the Wax challenge to keep in the socket and the
+  options the PasskeyAuth hook expects with `create_registration_challenge`.
+  `register/4` verifies the `verify_registration` response the hook sends
+  back and saves the passkey.
+  """
+  alias Ysc.Accounts
+  alias Ysc.Accounts.UserNotifier
+  alias Ysc.Accounts.UserPasskey
+
+  @doc """
+  Creates a registration challenge for the user.
+
+  Returns `{challenge, options}`, where the options are JSON-serializable
+  with camelCase keys and base64url binaries, as the WebAuthn API expects.
+  """
+  def new_challenge(user) do
+    # Get rp_id and origin from Wax config to ensure consistency
+    rp_id = Application.get_env(:wax_, :rp_id) || "localhost"
+    origin = Application.get_env(:wax_, :origin) || "http://localhost:4000"
+
+    challenge =
+      Wax.new_registration_challenge(
+        origin: origin,
+        rp_id: rp_id,
+        user: %{
+          id: user.id,
+          name: user.email,
+          display_name: "#{user.first_name} #{user.last_name}"
+        },
+        user_verification: "preferred",
+        authenticator_selection: %{
+          authenticator_attachment: "platform",
+          user_verification: "preferred",
+          require_resident_key: true
+        }
+      )
+
+    options = %{
+      challenge: Base.url_encode64(challenge.bytes, padding: false),
+      timeout: challenge.timeout,
+      rp: %{
+        id: challenge.rp_id,
+        name: "YSC"
+      },
+      user: %{
+        id: Base.url_encode64(user.id, padding: false),
+        name: user.email,
+        displayName: "#{user.first_name} #{user.last_name}"
+      },
+      pubKeyCredParams: [
+        %{type: "public-key", alg: -7},
+        %{type: "public-key", alg: -257}
+      ],
+      authenticatorSelection: %{
+        authenticatorAttachment: "platform",
+        userVerification: "preferred",
+        requireResidentKey: true
+      }
+    }
+
+    {challenge, options}
+  end
+
+  @doc """
+  Verifies the browser's registration response against the challenge and
+  saves the passkey, named after the device in the user agent. Sends the
+  "passkey added" security email.
+
+  Returns `{:ok, passkey}` or `{:error, message}` with a message for the
+  member.
+  """
+  def register(user, challenge, response, user_agent) do
+    attestation_object =
+      Base.url_decode64!(response["response"]["attestationObject"],
+        padding: false
+      )
+
+    client_data_json =
+      Base.url_decode64!(response["response"]["clientDataJSON"],
+        padding: false
+      )
+
+    # Wax.register returns {:ok, {auth_data, attestation_result_data}}
+    case Wax.register(attestation_object, client_data_json, challenge) do
+      {:ok, {auth_data, _attestation_result_data}} ->
+        credential_data = auth_data.attested_credential_data
+        public_key = credential_data.credential_public_key
+
+        attrs = %{
+          external_id: credential_data.credential_id,
+          public_key: UserPasskey.encode_public_key(public_key),
+          nickname: device_nickname(user_agent),
+          device_type: UserPasskey.device_type_from_user_agent(user_agent)
+        }
+
+        case Accounts.create_user_passkey(user, attrs) do
+          {:ok, passkey} ->
+            UserNotifier.deliver_passkey_added_notification(
+              user,
+              passkey.nickname
+            )
+
+            {:ok, passkey}
+
+          {:error, _changeset} ->
+            {:error, "Failed to save passkey. Please try again."}
+        end
+
+      {:error, reason} ->
+        {:error,
+         "Passkey registration failed: #{inspect(reason)}. Please try again."}
+    end
+  rescue
+    _ -> {:error, "Invalid passkey response. Please try again."}
+  end
+
+  @doc """
+  A nickname for a passkey created with the given user agent, e.g.
+  "Safari on iOS".
+  """
+  def device_nickname(user_agent)
+      when is_binary(user_agent) and user_agent != "" do
+    # Use the existing AuthEvent parsing logic
+    parsed = Ysc.Accounts.AuthEvent.parse_user_agent(user_agent)
+    browser = Map.get(parsed, :browser, "Unknown")
+    os = Map.get(parsed, :operating_system, "Unknown")
+    device_type = Map.get(parsed, :device_type, "unknown")
+
+    # Create a descriptive nickname
+    cond do
+      browser != "Unknown" && os != "Unknown" ->
+        "#{browser} on #{os}"
+
+      browser != "Unknown" ->
+        browser
+
+      os != "Unknown" ->
+        "#{device_type} (#{os})"
+
+      true ->
+        String.capitalize(device_type)
+    end
+  end
+
+  def device_nickname(_user_agent), do: "Device"
+end
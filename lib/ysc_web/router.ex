@@ -136,6 +136,9 @@ defmodule YscWeb.Router do
       live "/bookings/tahoe/staying-with", TahoeStayingWithLive, :index
       live "/bookings/clear-lake", ClearLakeBookingLive, :index
       live "/bookings/checkout/:booking_id", BookingCheckoutLive, :index
+      live "/bookings/checkout/:booking_id/share/:token",
+           BookingCheckoutLive,
+           :share
       live "/bookings/:booking_id/receipt", BookingReceiptLive, :index
       live "/property-check-in", PropertyCheckInLive, :index
       live "/cabin-rules", TahoeCabinRulesLive, :index
@@ -275,6 +278,11 @@ defmodule YscWeb.Router do
     pipe_through [:browser]
 
     delete "/users/log-out", UserSessionController, :delete
+    delete "/users/passkey-upgrade",
+           UserSessionController,
+           :clear_passkey_upgrade
+
+    get "/maps/static", StaticMapController, :show
 
     live_session :current_user,
       on_mount: [
@@ -292,7 +300,7 @@ defmodule YscWeb.Router do
   scope "/admin", YscWeb do
     pipe_through [:admin_browser, :require_authenticated_user, :require_admin]
 
-    get "/impersonate/:user_id", ImpersonationController, :impersonate
+    post "/impersonate/:user_id", ImpersonationController, :impersonate
     get "/stop-impersonation", ImpersonationController, :stop_impersonation
 
     live_dashboard "/dashboard", metrics: {YscWeb.Telemetry, :metrics}
@@ -0,0 +1,159 @@
+defmodule YscWeb.S3.MultipartUpload do
+  @moduledoc """
+  Presigned S3 multipart uploads for large files, used by the `multipart`
+  mode of `Uploaders.S3` (assets/js/uploaders.js).
+
+  `presign/3` creates the multipart upload and presigns a PUT URL for every
+  part plus the complete (POST) and abort (DELETE) requests. The browser
+  uploads the parts directly to S3.
+
+  The upload id is cached per owner and file (name, size, last modified) so
+  that when the LiveView reconnects and presigns the same file again the
+  browser gets the same upload back and only sends the parts it hasn't
+  journaled yet. A cached upload is only reused while S3 still knows it;
+  once it has been completed or aborted a new one is started.
+
+  Incomplete uploads that are never resumed should be cleaned up by a
+  bucket lifecycle rule (AbortIncompleteMultipartUpload).
+  """
+  require Logger
+
+  alias Ysc.S3Config
+
+  # S3 parts must be at least 5 MiB (except the last one)
+  @part_size 10 * 1024 * 1024
+  @threshold 2 * @part_size
+  @url_expires_in 60 * 60
+  @journal_ttl :timer.hours(24)
+
+  @doc """
+  Whether an upload entry is large enough to be sent in parts.
+  """
+  def multipart?(%{client_size: size}) when is_integer(size),
+    do: size > @threshold
+
+  def multipart?(_entry), do: false
+
+  @doc """
+  Starts (or resumes) a multipart upload for `entry` under `key`.
+
+  Returns `{:ok, meta}` with the `entry.meta` expected by `Uploaders.S3`, or
+  `{:error, reason}` when S3 refuses to start the upload.
+  """
+  def presign(entry, key, owner_id) do
+    bucket = S3Config.bucket_name()
+    journal_key = journal_key(owner_id, key, entry)
+
+    case upload_id(journal_key, bucket, key, entry) do
+      {:ok, upload_id} ->
+        config = ExAws.Config.new(:s3)
+
+        urls =
+          presigned_urls(config, bucket, key, upload_id, entry.client_size)
+
+        {:ok,
+         %{
+           uploader: "S3",
+           key: key,
+           multipart: Map.put(urls, :upload_id, upload_id)
+         }}
+
+      {:error, reason} ->
+        Logger.warning("[S3] Could not start multipart upload", %{
+          key: key,
+          reason: inspect(reason)
+        })
+
+        {:error, reason}
+    end
+  end
+
+  @doc """
+  Presigns the part, complete and abort URLs of an existing upload.
+  """
+  def presigned_urls(config, bucket, key, upload_id, size) do
+    parts =
+      for part_number <- 1..part_count(size) do
+        %{
+          part_number: part_number,
+          url:
+            presigned_url(config, :put, bucket, key, [
+              {"partNumber", "#{part_number}"},
+              {"uploadId", upload_id}
+            ])
+        }
+      end
+
+    %{
+      part_size: @part_size,
+      parts: parts,
+      complete_url:
+        presigned_url(config, :post, bucket, key, [{"uploadId", upload_id}]),
+      abort_url:
+        presigned_url(config, :delete, bucket, key, [{"uploadId", upload_id}])
+    }
+  end
+
+  @doc """
+  Number of parts a file of `size` bytes is split into.
+  """
+  def part_count(size) when size > 0, do: div(size + @part_size - 1, @part_size)
+  def part_count(_size), do: 1
+
+  defp upload_id(journal_key, bucket, key, entry) do
+    case Cachex.get(:ysc_cache, journal_key) do
+      {:ok, upload_id} when is_binary(upload_id) ->
+        if upload_exists?(bucket, key, upload_id) do
+          {:ok, upload_id}
+        else
+          initiate(journal_key, bucket, key, entry)
+        end
+
+      _ ->
+        initiate(journal_key, bucket, key, entry)
+    end
+  end
+
+  defp upload_exists?(bucket, key, upload_id) do
+    case bucket |> ExAws.S3.list_parts(key, upload_id) |> ExAws.request() do
+      {:ok, _response} -> true
+      {:error, _reason} -> false
+    end
+  end
+
+  defp initiate(journal_key, bucket, key, entry) do
+    bucket
+    |> ExAws.S3.initiate_multipart_upload(key,
+      acl: :public_read,
+      content_type: entry.client_type,
+      encryption: "AES256"
+    )
+    |> ExAws.request()
+    |> case do
+      {:ok, %{body: %{upload_id: upload_id}}} ->
+        Cachex.put(:ysc_cache, journal_key, upload_id, ttl: @journal_ttl)
+        {:ok, upload_id}
+
+      {:ok, response} ->
+        {:error, {:unexpected_response, response}}
+
+      {:error, reason} ->
+        {:error, reason}
+    end
+  end
+
+  defp presigned_url(config, method, bucket, key, query_params) do
+    {:ok, url} =
+      ExAws.S3.presigned_url(config, method, bucket, key,
+        expires_in: @url_expires_in,
+        query_params: query_params
+      )
+
+    url
+  end
+
+  defp journal_key(owner_id, key, entry) do
+    {:s3_multipart, owner_id, key, entry.client_size,
+     Map.get(entry, :client_last_modified)}
+  end
+end
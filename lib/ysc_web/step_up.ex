@@ -0,0 +1,155 @@
+defmodule YscWeb.StepUp do
+  @moduledoc """
+  Step-up re-authentication for sensitive actions.
+
+  A LiveView opts in with `on_mount YscWeb.StepUp`, renders
+  `<YscWeb.StepUp.modal step_up={@step_up} />` and wraps each protected
+  event in `authorize/4`:
+
+      def handle_event("reveal_door_code", params, socket) do
+        with {:ok, socket} <-
+               StepUp.authorize(socket, "reveal_door_code", params,
+                 "Verify it's you to see the door code."
+               ) do
+          {:noreply, assign(socket, :door_code_revealed, true)}
+        end
+      end
+
+  Without a fresh elevated token, `authorize/4` keeps the event and opens
+  the StepUpComponent modal. The member confirms with a passkey, their
+  password or a code emailed to them; the component mints a short-lived
+  elevated token and this hook replays the event, which now passes.
+  Cancelling drops the event.
+
+  The token lasts five minutes, for the signed-in person: the admin, not
+  the member, while impersonating. Controllers take it as a `step_up`
+  parameter in a POST body (never in a URL, where it would be logged) and
+  check it with `verify_token/2`.
+  """
+  use Phoenix.Component
+
+  import Phoenix.LiveView, only: [attach_hook: 4]
+
+  require Logger
+
+  @salt "step up"
+  @max_age 5 * 60
+
+  def on_mount(:default, _params, _session, socket) do
+    {:cont,
+     socket
+     |> assign(step_up: nil, step_up_token: nil)
+     |> attach_hook(:step_up, :handle_info, &handle_step_up_info/2)}
+  end
+
+  @doc """
+  Runs a protected event only with a fresh elevated token.
+
+  Returns `{:ok, socket}` when the member is elevated. Otherwise returns
+  `{:noreply, socket}` with the verification modal open, showing `reason`,
+  and `event` with `params` to replay once the member is verified.
+  """
+  def authorize(socket, event, params, reason) do
+    if elevated?(socket) do
+      {:ok, socket}
+    else
+      {:noreply,
+       assign(socket, :step_up, %{
+         event: event,
+         params: params,
+         reason: reason,
+         user: user(socket)
+       })}
+    end
+  end
+
+  @doc """
+  Whether the socket holds an elevated token that is still valid.
+  """
+  def elevated?(socket) do
+    verify_token(socket.assigns[:step_up_token], user(socket)) == :ok
+  end
+
+  @doc """
+  The elevated token, to hand to a controller as the `step_up` parameter.
+  """
+  def token(socket), do: socket.assigns[:step_up_token]
+
+  @doc """
+  Signs an elevated token for a user who just verified their identity.
+  """
+  def sign_token(user) do
+    Phoenix.Token.sign(YscWeb.Endpoint, @salt, user.id)
+  end
+
+  @doc """
+  Checks an elevated token against the user.
+
+  Returns `:ok`, or `{:error, reason}` when the token is missing, expired,
+  forged or belongs to someone else.
+  """
+  def verify_token(token, %{id: user_id}) when is_binary(token) do
+    YscWeb.Endpoint
+    |> Phoenix.Token.verify(@salt, token, max_age: @max_age)
+    |> case do
+      {:ok, ^user_id} -> :ok
+      {:ok, _other_user_id} -> {:error, :invalid}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  def verify_token(_token, _user), do: {:error, :missing}
+
+  @doc """
+  The person at the keyboard: the admin while impersonating a member.
+  """
+  def user(socket) do
+    socket.assigns[:real_current_user] || socket.assigns[:current_user]
+  end
+
+  @doc """
+  The verification modal, shown while a protected event waits.
+  """
+  attr :step_up, :map, default: nil
+
+  def modal(assigns) do
+    ~H"""
+    <.live_component
+      :if={@step_up}
+      module={YscWeb.Components.StepUpComponent}
+      id="step-up"
+      user={@step_up.user}
+      reason={@step_up.reason}
+    />
+    """
+  end
+
+  defp handle_step_up_info({:step_up, :verified, token}, socket) do
+    pending = socket.assigns.step_up
+    socket = assign(socket, step_up: nil, step_up_token: token)
+
+    if pending do
+      Logger.info("[StepUp] Identity verified, running protected event", %{
+        event: pending.event,
+        user_id: user(socket).id
+      })
+
+      {:halt, replay(socket, pending.event, pending.params)}
+    else
+      {:halt, socket}
+    end
+  end
+
+  defp handle_step_up_info({:step_up, :cancelled}, socket) do
+    {:halt, assign(socket, :step_up, nil)}
+  end
+
+  defp handle_step_up_info(_message, socket), do: {:cont, socket}
+
+  defp replay(socket, event, params) do
+    case socket.view.handle_event(event, params, socket) do
+      {:noreply, socket} -> socket
+      {:reply, _reply, socket} -> socket
+    end
+  end
+end
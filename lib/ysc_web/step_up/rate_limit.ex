@@ -0,0 +1,63 @@
+defmodule YscWeb.StepUp.RateLimit do
+  @moduledoc """
+  Limits failed identity checks in the step-up modal
+  (`YscWeb.Components.StepUpComponent`), per member.
+
+  Failures are counted on the server, so closing and reopening the modal
+  doesn't reset them: after 5 wrong passwords, codes or passkeys in 15
+  minutes the modal refuses to verify until the window has passed.
+
+  Emailed codes are limited separately, to 3 per 15 minutes, so the modal
+  can't be used to flood a member's inbox.
+  """
+  use Hammer, backend: :ets
+
+  @default_limit 5
+  @default_send_limit 3
+  @scale_ms :timer.minutes(15)
+
+  defp limit do
+    Application.get_env(:ysc, __MODULE__, [])[:limit] || @default_limit
+  end
+
+  defp send_limit do
+    Application.get_env(:ysc, __MODULE__, [])[:send_limit] ||
+      @default_send_limit
+  end
+
+  @doc """
+  Checks whether the member may try to verify again.
+
+  Returns `:ok` or `{:error, :rate_limited}`.
+  """
+  def check(user_id) do
+    if get(key(user_id), @scale_ms) < limit(),
+      do: :ok,
+      else: {:error, :rate_limited}
+  end
+
+  @doc """
+  Counts a failed verification for the member.
+  """
+  def record_failure(user_id) do
+    inc(key(user_id), @scale_ms)
+    :ok
+  end
+
+  @doc """
+  Counts a code about to be emailed to the member.
+
+  Returns `:ok`, or `{:error, :rate_limited}` when the code shouldn't be
+  sent.
+  """
+  def record_send(user_id) do
+    case hit(send_key(user_id), @scale_ms, send_limit()) do
+      {:allow, _count} -> :ok
+      {:deny, _retry_after_ms} -> {:error, :rate_limited}
+    end
+  end
+
+  defp key(user_id), do: "step_up:user:#{user_id}"
+
+  defp send_key(user_id), do: "step_up:send:user:#{user_id}"
+end
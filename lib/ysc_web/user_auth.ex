@@ -49,8 +49,17 @@ defmodule YscWeb.UserAuth do
           nil
       end
 
+    # The passkey offer set by the sign-in that led here survives the new
+    # session (and only this renewal)
+    passkey_upgrade = get_session(conn, :passkey_upgrade) == true
+
     conn
     |> renew_session()
+    |> then(fn conn ->
+      if passkey_upgrade,
+        do: put_session(conn, :passkey_upgrade, true),
+        else: conn
+    end)
     |> put_token_in_session(token)
     |> maybe_write_remember_me_cookie(token, params)
     |> redirect(to: validated_redirect || signed_in_path_for_user(user, conn))
@@ -339,6 +348,11 @@ defmodule YscWeb.UserAuth do
       |> Phoenix.Component.assign_new(:original_admin_id, fn ->
         session["original_admin_id"]
       end)
+      |> Phoenix.Component.assign_new(:passkey_upgrade, fn ->
+        # Offer a passkey after a password or code sign-in, never to an
+        # admin impersonating the member
+        session["passkey_upgrade"] == true && is_nil(impersonated_user_id)
+      end)
 
     socket
   end
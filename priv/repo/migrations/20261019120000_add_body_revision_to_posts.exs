@@ -0,0 +1,9 @@
+defmodule Ysc.Repo.Migrations.AddBodyRevisionToPosts do
+  use Ecto.Migration
+
+  def change do
+    alter table(:posts) do
+      add :body_revision, :integer, default: 1, null: false
+    end
+  end
+end
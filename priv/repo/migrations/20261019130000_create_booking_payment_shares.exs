@@ -0,0 +1,29 @@
+defmodule Ysc.Repo.Migrations.CreateBookingPaymentShares do
+  use Ecto.Migration
+
+  def change do
+    create table(:booking_payment_shares, primary_key: false) do
+      add :id, :binary_id, primary_key: true
+
+      add :booking_id,
+          references(:bookings, type: :binary_id, on_delete: :delete_all),
+          null: false
+
+      add :payer_id,
+          references(:users, type: :binary_id, on_delete: :nilify_all)
+      add :position, :integer, null: false
+      add :amount, :money_with_currency, null: false
+      add :token, :string, null: false
+      add :status, :string, null: false, default: "pending"
+      add :payment_intent_id, :string
+      add :paid_at, :utc_datetime
+
+      timestamps(type: :utc_datetime)
+    end
+
+    create index(:booking_payment_shares, [:booking_id])
+    create index(:booking_payment_shares, [:payer_id])
+    create unique_index(:booking_payment_shares, [:token])
+    create unique_index(:booking_payment_shares, [:booking_id, :position])
+  end
+end
@@ -0,0 +1,41 @@
+defmodule Ysc.Repo.Migrations.CreatePromoCodes do
+  use Ecto.Migration
+
+  def change do
+    create table(:promo_codes, primary_key: false) do
+      add :id, :binary_id, primary_key: true
+      add :code, :string, null: false
+      add :description, :string
+      add :discount_type, :string, null: false
+      add :percent_off, :decimal
+      add :amount_off, :money_with_currency
+      add :applies_to, :string, null: false, default: "all"
+      add :starts_at, :utc_datetime
+      add :expires_at, :utc_datetime
+      add :max_redemptions, :integer
+      add :redemptions_count, :integer, null: false, default: 0
+      add :active, :boolean, null: false, default: true
+
+      timestamps(type: :utc_datetime)
+    end
+
+    create unique_index(:promo_codes, [:code])
+
+    alter table(:bookings) do
+      add :promo_code_id,
+          references(:promo_codes, type: :binary_id, on_delete: :nilify_all)
+
+      add :promo_discount_amount, :money_with_currency
+    end
+
+    alter table(:ticket_orders) do
+      add :promo_code_id,
+          references(:promo_codes, type: :binary_id, on_delete: :nilify_all)
+
+      add :promo_discount_amount, :money_with_currency
+    end
+
+    create index(:bookings, [:promo_code_id])
+    create index(:ticket_orders, [:promo_code_id])
+  end
+end
@@ -0,0 +1,9 @@
+defmodule Ysc.Repo.Migrations.AddDeviceTypeToUserPasskeys do
+  use Ecto.Migration
+
+  def change do
+    alter table(:user_passkeys) do
+      add :device_type, :string
+    end
+  end
+end
@@ -210,6 +210,54 @@ defmodule Ysc.Accounts.PasskeyTest do
     end
   end
 
+  describe "passkey panel" do
+    setup do
+      %{user: user_fixture()}
+    end
+
+    test "get_user_passkey/2 only returns the user's own passkeys", %{
+      user: user
+    } do
+      passkey = passkey_fixture(user)
+      other_passkey = passkey_fixture(user_fixture())
+
+      assert Accounts.get_user_passkey(user, passkey.id).id == passkey.id
+      assert Accounts.get_user_passkey(user, other_passkey.id) == nil
+    end
+
+    test "rename_user_passkey/2 trims and validates the nickname", %{
+      user: user
+    } do
+      passkey = passkey_fixture(user)
+
+      assert {:ok, renamed} =
+               Accounts.rename_user_passkey(passkey, "  Old phone ")
+      assert renamed.nickname == "Old phone"
+
+      assert {:error, changeset} = Accounts.rename_user_passkey(passkey, " ")
+      assert "can't be blank" in errors_on(changeset).nickname
+
+      assert {:error, _changeset} =
+               Accounts.rename_user_passkey(passkey, String.duplicate("a", 61))
+    end
+
+    test "device_type_from_user_agent/1 maps user agents to device types" do
+      iphone =
+        "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) " <>
+          "AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 " <>
+          "Mobile/15E148 Safari/604.1"
+
+      mac =
+        "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) " <>
+          "AppleWebKit/605.1.15 (KHTML, like Gecko) " <>
+          "Version/17.0 Safari/605.1.15"
+
+      assert UserPasskey.device_type_from_user_agent(iphone) == :mobile
+      assert UserPasskey.device_type_from_user_agent(mac) == :desktop
+      assert UserPasskey.device_type_from_user_agent(nil) == :unknown
+    end
+  end
+
   describe "should_show_passkey_prompt?/1" do
     setup do
       user = user_fixture()
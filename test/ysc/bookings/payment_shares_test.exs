@@ -0,0 +1,294 @@
+defmodule Ysc.Bookings.PaymentSharesTest do
+  use Ysc.DataCase, async: true
+
+  import Ysc.AccountsFixtures
+
+  alias Ysc.Bookings.{
+    Booking,
+    BookingLocker,
+    BookingPaymentShare,
+    HoldExpiryWorker,
+    PaymentShares
+  }
+
+  alias Ysc.MessagePassingEvents.BookingPaymentSharesUpdated
+  alias Ysc.Repo
+
+  defp hold_booking(attrs \\ %{}) do
+    user = user_fixture()
+
+    hold_expires_at =
+      DateTime.utc_now()
+      |> DateTime.add(10, :minute)
+      |> DateTime.truncate(:second)
+
+    {:ok, booking} =
+      %Booking{}
+      |> Booking.changeset(
+        Map.merge(
+          %{
+            user_id: user.id,
+            checkin_date: Date.add(Date.utc_today(), 30),
+            checkout_date: Date.add(Date.utc_today(), 32),
+            property: :tahoe,
+            booking_mode: :room,
+            status: :hold,
+            hold_expires_at: hold_expires_at
+          },
+          attrs
+        ),
+        skip_validation: true
+      )
+      |> Repo.insert()
+
+    booking
+  end
+
+  describe "share_amounts/2" do
+    test "splits evenly and gives the remainder to the first share" do
+      amounts = PaymentShares.share_amounts(Money.new(100, :USD), 3)
+
+      expected = [
+        Money.new(:USD, "33.34"),
+        Money.new(:USD, "33.33"),
+        Money.new(:USD, "33.33")
+      ]
+
+      assert Enum.zip_with(amounts, expected, &Money.equal?/2) ==
+               [true, true, true]
+    end
+  end
+
+  describe "split/3" do
+    test "creates shares with links and extends the hold" do
+      booking = hold_booking()
+
+      assert {:ok, [first, second]} =
+               PaymentShares.split(booking, Money.new(250, :USD), 2)
+
+      assert first.position == 0
+      assert first.payer_id == booking.user_id
+      assert second.payer_id == nil
+      assert first.token != second.token
+      assert Money.equal?(first.amount, Money.new(125, :USD))
+
+      extended = Repo.get!(Booking, booking.id)
+      assert DateTime.compare(
+               extended.hold_expires_at,
+               booking.hold_expires_at
+             ) == :gt
+    end
+
+    test "replaces an unpaid split" do
+      booking = hold_booking()
+      {:ok, _shares} = PaymentShares.split(booking, Money.new(90, :USD), 3)
+      {:ok, shares} = PaymentShares.split(booking, Money.new(90, :USD), 2)
+
+      assert length(shares) == 2
+      assert length(PaymentShares.list_shares(booking)) == 2
+    end
+
+    test "rejects invalid counts and bookings that aren't on hold" do
+      booking = hold_booking()
+
+      assert {:error, :invalid_count} =
+               PaymentShares.split(booking, Money.new(90, :USD), 1)
+
+      assert {:error, :invalid_count} =
+               PaymentShares.split(
+                 booking,
+                 Money.new(90, :USD),
+                 PaymentShares.max_shares() + 1
+               )
+
+      assert {:error, :invalid_status} =
+               PaymentShares.split(
+                 %{booking | status: :complete},
+                 Money.new(90, :USD),
+                 2
+               )
+    end
+
+    test "can't change a split once a share is paid" do
+      booking = hold_booking()
+      {:ok, [first, _second]} =
+        PaymentShares.split(booking, Money.new(90, :USD), 2)
+
+      {:ok, :outstanding} = PaymentShares.record_payment(first, "pi_first")
+
+      assert {:error, :shares_paid} =
+               PaymentShares.split(booking, Money.new(90, :USD), 3)
+
+      assert {:error, :shares_paid} = PaymentShares.cancel_split(booking)
+    end
+  end
+
+  describe "claim/2" do
+    test "assigns an unclaimed share to the first member who opens it" do
+      booking = hold_booking()
+      {:ok, [_first, second]} =
+        PaymentShares.split(booking, Money.new(90, :USD), 2)
+
+      friend = user_fixture()
+
+      assert {:ok, claimed} = PaymentShares.claim(second, friend)
+      assert claimed.payer_id == friend.id
+      assert {:ok, _share} = PaymentShares.claim(claimed, friend)
+      assert {:error, :claimed} = PaymentShares.claim(claimed, user_fixture())
+    end
+
+    test "doesn't take a share claimed since it was loaded" do
+      booking = hold_booking()
+      {:ok, [_first, second]} =
+        PaymentShares.split(booking, Money.new(90, :USD), 2)
+
+      friend = user_fixture()
+      {:ok, _claimed} = PaymentShares.claim(second, friend)
+
+      # `second` still has no payer, as if loaded before the other claim
+      assert {:error, :claimed} = PaymentShares.claim(second, user_fixture())
+      assert Repo.get!(BookingPaymentShare, second.id).payer_id == friend.id
+    end
+  end
+
+  describe "record_payment/2" do
+    test "confirms the booking once every share is paid" do
+      booking = hold_booking()
+      PaymentShares.subscribe(booking.id)
+
+      {:ok, [first, second]} =
+        PaymentShares.split(booking, Money.new(90, :USD), 2)
+
+      assert {:ok, :outstanding} =
+               PaymentShares.record_payment(first, "pi_first")
+
+      # Recording the same payment again changes nothing
+      assert {:ok, :outstanding} =
+               PaymentShares.record_payment(first, "pi_first")
+
+      assert Repo.get!(Booking, booking.id).status == :hold
+
+      assert {:ok, :fully_paid} =
+               PaymentShares.record_payment(second, "pi_second")
+
+      assert Repo.get!(Booking, booking.id).status == :complete
+
+      assert %BookingPaymentShare{
+               status: :paid,
+               payment_intent_id: "pi_second"
+             } = Repo.get!(BookingPaymentShare, second.id)
+
+      assert_received {PaymentShares,
+                       %BookingPaymentSharesUpdated{
+                         booking: %Booking{status: :complete},
+                         shares: shares
+                       }}
+
+      assert PaymentShares.fully_paid?(shares)
+    end
+
+    test "gives the rest of the group two more days once a share is paid" do
+      booking = hold_booking()
+      {:ok, [first, _second]} =
+        PaymentShares.split(booking, Money.new(90, :USD), 2)
+
+      {:ok, :outstanding} = PaymentShares.record_payment(first, "pi_first")
+
+      minimum =
+        DateTime.utc_now()
+        |> DateTime.add(47, :hour)
+
+      assert %Booking{status: :hold, hold_expires_at: %DateTime{} = expires} =
+               Repo.get!(Booking, booking.id)
+
+      assert DateTime.compare(expires, minimum) == :gt
+      assert {:error, _reason} = BookingLocker.release_hold(booking.id)
+    end
+
+    test "refunds a share paid after its booking was released" do
+      booking = hold_booking()
+      {:ok, [first, _second]} =
+        PaymentShares.split(booking, Money.new(90, :USD), 2)
+
+      {:ok, _booking} = BookingLocker.release_hold(booking.id)
+
+      assert {:error, :booking_released} =
+               PaymentShares.record_payment(first, "pi_late")
+
+      assert %BookingPaymentShare{
+               status: :refunded,
+               payment_intent_id: "pi_late"
+             } = Repo.get!(BookingPaymentShare, first.id)
+    end
+  end
+
+  describe "record_intent/1" do
+    test "records a share paid by a payer who left the checkout page" do
+      booking = hold_booking()
+      {:ok, [first, _second]} =
+        PaymentShares.split(booking, Money.new(90, :USD), 2)
+
+      intent = %Stripe.PaymentIntent{
+        id: "pi_webhook",
+        amount: 4_500,
+        status: "succeeded",
+        metadata: %{"payment_share_id" => first.id}
+      }
+
+      assert {:ok, :outstanding} = PaymentShares.record_intent(intent)
+      # The webhook may be delivered more than once
+      assert {:ok, :outstanding} = PaymentShares.record_intent(intent)
+
+      assert Repo.get!(BookingPaymentShare, first.id).status == :paid
+      assert %Ysc.Ledgers.Payment{} =
+               Ysc.Ledgers.get_payment_by_external_id("pi_webhook")
+    end
+
+    test "ignores payment intents that aren't share payments" do
+      assert :ignore =
+               PaymentShares.record_intent(%Stripe.PaymentIntent{
+                 id: "pi_other",
+                 metadata: %{"booking_id" => Ecto.ULID.generate()}
+               })
+    end
+  end
+
+  describe "cancel_and_refund/2" do
+    test "refunds the paid shares and releases the booking" do
+      booking = hold_booking()
+      {:ok, [first, second]} =
+        PaymentShares.split(booking, Money.new(90, :USD), 2)
+
+      {:ok, :outstanding} = PaymentShares.record_payment(first, "pi_first")
+
+      assert {:ok, %Booking{status: :canceled}} =
+               PaymentShares.cancel_and_refund(booking, "Changed plans")
+
+      assert Repo.get!(BookingPaymentShare, first.id).status == :refunded
+      assert Repo.get!(BookingPaymentShare, second.id).status == :pending
+    end
+
+    test "is used when the hold runs out before the group has paid" do
+      booking = hold_booking()
+      {:ok, [first, _second]} =
+        PaymentShares.split(booking, Money.new(90, :USD), 2)
+
+      {:ok, :outstanding} = PaymentShares.record_payment(first, "pi_first")
+
+      expired_at =
+        DateTime.utc_now()
+        |> DateTime.add(-1, :minute)
+        |> DateTime.truncate(:second)
+
+      Repo.update_all(
+        from(b in Booking, where: b.id == ^booking.id),
+        set: [hold_expires_at: expired_at]
+      )
+
+      HoldExpiryWorker.expire_expired_holds()
+
+      assert Repo.get!(Booking, booking.id).status == :canceled
+      assert Repo.get!(BookingPaymentShare, first.id).status == :refunded
+    end
+  end
+end
@@ -0,0 +1,72 @@
+defmodule Ysc.CurrencyDisplayTest do
+  use Ysc.DataCase, async: true
+
+  alias Ysc.CurrencyDisplay
+  alias Ysc.Settings
+
+  describe "currency_for_locale/1" do
+    test "picks the currency from the region, then the language" do
+      assert CurrencyDisplay.currency_for_locale("nb-NO") == "NOK"
+      assert CurrencyDisplay.currency_for_locale("nn") == "NOK"
+      assert CurrencyDisplay.currency_for_locale("sv-SE") == "SEK"
+      assert CurrencyDisplay.currency_for_locale("sv-FI") == "EUR"
+      assert CurrencyDisplay.currency_for_locale("da_DK") == "DKK"
+      assert CurrencyDisplay.currency_for_locale("de-Latn-AT") == "EUR"
+      assert CurrencyDisplay.currency_for_locale("en-NO") == "NOK"
+    end
+
+    test "returns nil when no display currency fits" do
+      assert CurrencyDisplay.currency_for_locale("en-US") == nil
+      assert CurrencyDisplay.currency_for_locale("is-IS") == nil
+      assert CurrencyDisplay.currency_for_locale(nil) == nil
+    end
+  end
+
+  describe "parse_rates/1" do
+    test "keeps positive rates for display currencies" do
+      rates =
+        ~s({"NOK": "10.5", "SEK": 11, "EUR": 0.5, "XYZ": "2", "DKK": "-1"})
+
+      assert CurrencyDisplay.parse_rates(rates) == %{
+               "NOK" => Decimal.new("10.5"),
+               "SEK" => Decimal.new(11),
+               "EUR" => Decimal.from_float(0.5)
+             }
+    end
+
+    test "returns no rates for an invalid value" do
+      assert CurrencyDisplay.parse_rates("not json") == %{}
+      assert CurrencyDisplay.parse_rates(nil) == %{}
+    end
+  end
+
+  describe "client_settings/1" do
+    test "creates the rates setting from the configured defaults" do
+      settings = CurrencyDisplay.client_settings("nb-NO")
+
+      assert settings.locale == "nb-NO"
+      assert settings.currency == "NOK"
+
+      assert Map.keys(settings.rates) |> Enum.sort() ==
+               Enum.sort(CurrencyDisplay.currencies())
+
+      assert is_float(settings.rates["NOK"])
+    end
+
+    test "uses rates updated by admins" do
+      CurrencyDisplay.rates()
+
+      {:ok, _setting} =
+        Settings.update_setting("display_currency_rates", ~s({"EUR": "0.9"}))
+
+      assert CurrencyDisplay.client_settings("fi-FI").rates == %{"EUR" => 0.9}
+    end
+
+    test "falls back to the default locale for invalid locales" do
+      assert %{locale: "en-US", currency: nil} =
+               CurrencyDisplay.client_settings("<script>")
+
+      assert %{locale: "en-US"} = CurrencyDisplay.client_settings(nil)
+    end
+  end
+end
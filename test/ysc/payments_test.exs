@@ -71,6 +71,61 @@ defmodule Ysc.PaymentsTest do
     end
   end
 
+  describe "list_saved_cards/2" do
+    test "returns the customer's unexpired cards, default first" do
+      user = user_fixture() |> Map.put(:stripe_id, "cus_saved_cards")
+
+      other =
+        create_payment_method_fixture(%{
+          user_id: user.id,
+          provider_customer_id: "cus_saved_cards",
+          exp_month: 12,
+          exp_year: 2030
+        })
+
+      default =
+        create_payment_method_fixture(%{
+          user_id: user.id,
+          provider_customer_id: "cus_saved_cards",
+          is_default: true,
+          exp_month: 1,
+          exp_year: 2031
+        })
+
+      _expired =
+        create_payment_method_fixture(%{
+          user_id: user.id,
+          provider_customer_id: "cus_saved_cards",
+          exp_month: 1,
+          exp_year: 2020
+        })
+
+      _other_customer =
+        create_payment_method_fixture(%{
+          user_id: user.id,
+          provider_customer_id: "cus_someone_else"
+        })
+
+      _bank_account =
+        create_payment_method_fixture(%{
+          user_id: user.id,
+          provider_customer_id: "cus_saved_cards",
+          type: :bank_account,
+          provider_type: "us_bank_account"
+        })
+
+      assert Enum.map(Payments.list_saved_cards(user, ~D[2026-10-19]), & &1.id) ==
+               [default.id, other.id]
+    end
+
+    test "returns nothing for users without a Stripe customer" do
+      user = user_fixture() |> Map.put(:stripe_id, nil)
+      _method = create_payment_method_fixture(%{user_id: user.id})
+
+      assert Payments.list_saved_cards(user) == []
+    end
+  end
+
   describe "insert_payment_method/1" do
     test "creates a payment method" do
       user = user_fixture()
@@ -146,6 +146,60 @@ defmodule Ysc.PostsTest do
     end
   end
 
+  describe "update_post_body/4" do
+    setup %{author: author} do
+      {:ok, post} =
+        Posts.create_post(
+          %{"title" => "Body", "url_name" => "body-revision-test"},
+          author
+        )
+
+      %{post: post}
+    end
+
+    test "saves the body and bumps the revision", %{post: post, author: author} do
+      assert {:ok, updated} =
+               Posts.update_post_body(
+                 post,
+                 1,
+                 %{raw_body: "<div>New</div>", rendered_body: "<div>New</div>"},
+                 author
+               )
+
+      assert updated.raw_body == "<div>New</div>"
+      assert updated.body_revision == 2
+    end
+
+    test "returns a conflict when the revision moved ahead", %{
+      post: post,
+      author: author
+    } do
+      body = %{raw_body: "<div>First</div>", rendered_body: "<div>First</div>"}
+      assert {:ok, _} = Posts.update_post_body(post, 1, body, author)
+
+      assert {:error, :conflict, current} =
+               Posts.update_post_body(
+                 post,
+                 1,
+                 %{raw_body: "<div>Stale</div>", rendered_body: "<div>Stale</div>"},
+                 author
+               )
+
+      assert current.raw_body == "<div>First</div>"
+      assert current.body_revision == 2
+    end
+
+    test "returns error when not authorized", %{post: post, regular_user: user} do
+      assert {:error, :unauthorized} =
+               Posts.update_post_body(
+                 post,
+                 1,
+                 %{raw_body: "<div>Nope</div>", rendered_body: "<div>Nope</div>"},
+                 user
+               )
+    end
+  end
+
   describe "list_posts/1 and list_posts/2" do
     test "returns published posts", %{author: author} do
       {:ok, post1} =
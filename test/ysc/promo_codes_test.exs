@@ -0,0 +1,242 @@
+defmodule Ysc.PromoCodesTest do
+  use Ysc.DataCase, async: true
+
+  import Ysc.AccountsFixtures
+
+  alias Ysc.Bookings.Booking
+  alias Ysc.PromoCodes
+  alias Ysc.PromoCodes.PromoCode
+  alias Ysc.Repo
+  alias Ysc.Tickets.TicketOrder
+
+  defp promo_code_fixture(attrs \\ %{}) do
+    {:ok, promo_code} =
+      attrs
+      |> Enum.into(%{
+        code: "SUMMER#{System.unique_integer([:positive])}",
+        discount_type: :percentage,
+        percent_off: Decimal.new(10)
+      })
+      |> PromoCodes.create_promo_code()
+
+    promo_code
+  end
+
+  defp hold_booking do
+    {:ok, booking} =
+      %Booking{}
+      |> Booking.changeset(
+        %{
+          user_id: user_fixture().id,
+          checkin_date: Date.add(Date.utc_today(), 30),
+          checkout_date: Date.add(Date.utc_today(), 32),
+          property: :tahoe,
+          booking_mode: :room,
+          status: :hold
+        },
+        skip_validation: true
+      )
+      |> Repo.insert()
+
+    booking
+  end
+
+  defp redemptions_count(promo_code),
+    do: Repo.get!(PromoCode, promo_code.id).redemptions_count
+
+  describe "create_promo_code/1" do
+    test "stores codes upper-cased" do
+      promo_code = promo_code_fixture(%{code: " welcome-2026 "})
+      assert promo_code.code == "WELCOME-2026"
+    end
+
+    test "requires the discount for the discount type" do
+      assert {:error, changeset} =
+               PromoCodes.create_promo_code(%{
+                 code: "GIFT",
+                 discount_type: :fixed_amount
+               })
+
+      assert "can't be blank" in errors_on(changeset).amount_off
+    end
+  end
+
+  describe "validate_code/4" do
+    test "returns the discount for a valid code, ignoring case" do
+      promo_code = promo_code_fixture()
+
+      assert {:ok, %PromoCode{id: id}, discount} =
+               PromoCodes.validate_code(
+                 String.downcase(promo_code.code),
+                 :bookings,
+                 Money.new(250, :USD)
+               )
+
+      assert id == promo_code.id
+      assert Money.equal?(discount, Money.new(25, :USD))
+    end
+
+    test "rejects unknown, inactive and out-of-scope codes" do
+      total = Money.new(100, :USD)
+      inactive = promo_code_fixture(%{active: false})
+      tickets_only = promo_code_fixture(%{applies_to: :tickets})
+
+      assert {:error, :not_found} =
+               PromoCodes.validate_code("NOPE", :bookings, total)
+
+      assert {:error, :not_found} =
+               PromoCodes.validate_code(inactive.code, :bookings, total)
+
+      assert {:error, :not_applicable} =
+               PromoCodes.validate_code(tickets_only.code, :bookings, total)
+
+      assert {:ok, _promo_code, _discount} =
+               PromoCodes.validate_code(tickets_only.code, :tickets, total)
+    end
+
+    test "checks the date window and redemption limit" do
+      total = Money.new(100, :USD)
+      now = ~U[2026-10-19 12:00:00Z]
+
+      upcoming = promo_code_fixture(%{starts_at: ~U[2026-11-01 00:00:00Z]})
+      expired = promo_code_fixture(%{expires_at: ~U[2026-10-01 00:00:00Z]})
+      single_use = promo_code_fixture(%{max_redemptions: 1})
+
+      assert {:error, :not_started} =
+               PromoCodes.validate_code(upcoming.code, :bookings, total, now)
+
+      assert {:error, :expired} =
+               PromoCodes.validate_code(expired.code, :bookings, total, now)
+
+      {:ok, _booking} =
+        PromoCodes.apply_to_booking(
+          hold_booking(),
+          single_use,
+          Money.new(10, :USD)
+        )
+
+      assert {:error, :exhausted} =
+               PromoCodes.validate_code(single_use.code, :bookings, total, now)
+    end
+  end
+
+  describe "discount_for/2" do
+    test "leaves Stripe's minimum charge to pay" do
+      gift_card =
+        promo_code_fixture(%{
+          discount_type: :fixed_amount,
+          percent_off: nil,
+          amount_off: Money.new(500, :USD)
+        })
+
+      assert {:ok, discount} =
+               PromoCodes.discount_for(gift_card, Money.new(120, :USD))
+
+      assert Money.equal?(discount, Money.new(:USD, "119.50"))
+
+      assert {:error, :below_minimum} =
+               PromoCodes.discount_for(gift_card, Money.new(:USD, "0.50"))
+    end
+  end
+
+  describe "check_code/5" do
+    test "refuses codes after too many failed ones" do
+      user = user_fixture()
+      promo_code = promo_code_fixture()
+      total = Money.new(100, :USD)
+
+      for _attempt <- 1..10 do
+        assert {:error, :not_found} =
+                 PromoCodes.check_code(user.id, "GUESS", :bookings, total)
+      end
+
+      assert {:error, :rate_limited} =
+               PromoCodes.check_code(user.id, promo_code.code, :bookings, total)
+
+      assert {:ok, _promo_code, _discount} =
+               PromoCodes.check_code(
+                 user_fixture().id,
+                 promo_code.code,
+                 :bookings,
+                 total
+               )
+    end
+  end
+
+  describe "apply_to_booking/3" do
+    test "stores the code and discount on the booking until removed" do
+      promo_code = promo_code_fixture()
+
+      assert {:ok, booking} =
+               PromoCodes.apply_to_booking(
+                 hold_booking(),
+                 promo_code,
+                 Money.new(10, :USD)
+               )
+
+      assert booking.promo_code_id == promo_code.id
+      assert Money.equal?(booking.promo_discount_amount, Money.new(10, :USD))
+
+      assert {:ok, booking} = PromoCodes.remove_from_booking(booking)
+      assert booking.promo_code_id == nil
+      assert booking.promo_discount_amount == nil
+    end
+  end
+
+  describe "ticket_order_subtotal/1" do
+    test "adds back the promo discount already taken off the total" do
+      ticket_order = %TicketOrder{
+        total_amount: Money.new(90, :USD),
+        discount_amount: Money.new(15, :USD),
+        promo_discount_amount: Money.new(10, :USD)
+      }
+
+      assert Money.equal?(
+               PromoCodes.ticket_order_subtotal(ticket_order),
+               Money.new(100, :USD)
+             )
+    end
+  end
+
+  describe "redemptions" do
+    test "are reserved when a code is applied, up to the limit" do
+      promo_code = promo_code_fixture(%{max_redemptions: 1})
+      discount = Money.new(10, :USD)
+
+      assert {:ok, booking} =
+               PromoCodes.apply_to_booking(hold_booking(), promo_code, discount)
+
+      assert redemptions_count(promo_code) == 1
+
+      # The last redemption went to the first booking
+      other = hold_booking()
+
+      assert {:error, :exhausted} =
+               PromoCodes.apply_to_booking(other, promo_code, discount)
+
+      assert Repo.get!(Booking, other.id).promo_code_id == nil
+
+      # Removing the code gives it back
+      assert {:ok, _booking} = PromoCodes.remove_from_booking(booking)
+      assert redemptions_count(promo_code) == 0
+
+      assert {:ok, _booking} =
+               PromoCodes.apply_to_booking(other, promo_code, discount)
+    end
+
+    test "are given back when the hold is released" do
+      promo_code = promo_code_fixture(%{max_redemptions: 1})
+
+      {:ok, booking} =
+        PromoCodes.apply_to_booking(
+          hold_booking(),
+          promo_code,
+          Money.new(10, :USD)
+        )
+
+      {:ok, _booking} = Ysc.Bookings.BookingLocker.release_hold(booking.id)
+
+      assert redemptions_count(promo_code) == 0
+    end
+  end
+end
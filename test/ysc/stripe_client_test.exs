@@ -11,6 +11,7 @@ defmodule Ysc.StripeClientTest do
 
       assert {:create_payment_intent, 2} in functions
       assert {:retrieve_payment_intent, 2} in functions
+      assert {:update_payment_intent, 3} in functions
       assert {:cancel_payment_intent, 2} in functions
       assert {:create_customer, 1} in functions
       assert {:update_customer, 2} in functions
@@ -3,10 +3,10 @@ defmodule YscWeb.ImpersonationControllerTest do
 
   import Ysc.AccountsFixtures
 
-  describe "GET /admin/impersonate/:user_id" do
+  describe "POST /admin/impersonate/:user_id" do
     test "redirects unauthenticated users to log in", %{conn: conn} do
       target = user_fixture()
-      conn = get(conn, ~p"/admin/impersonate/#{target.id}")
+      conn = post(conn, ~p"/admin/impersonate/#{target.id}")
 
       assert redirected_to(conn) == ~p"/users/log-in"
       assert Phoenix.Flash.get(conn.assigns.flash, :error) =~ "sign in"
@@ -19,7 +19,7 @@ defmodule YscWeb.ImpersonationControllerTest do
       conn =
         conn
         |> log_in_user(member)
-        |> get(~p"/admin/impersonate/#{target.id}")
+        |> post(~p"/admin/impersonate/#{target.id}")
 
       assert redirected_to(conn) == ~p"/"
 
@@ -36,7 +36,7 @@ defmodule YscWeb.ImpersonationControllerTest do
       conn =
         conn
         |> log_in_user(admin)
-        |> get(~p"/admin/impersonate/#{fake_id}")
+        |> post(~p"/admin/impersonate/#{fake_id}", step_up(admin))
 
       assert redirected_to(conn) == ~p"/admin/users"
       assert Phoenix.Flash.get(conn.assigns.flash, :error) == "User not found."
@@ -54,7 +54,7 @@ defmodule YscWeb.ImpersonationControllerTest do
       conn =
         conn
         |> log_in_user(admin)
-        |> get(~p"/admin/impersonate/#{target.id}")
+        |> post(~p"/admin/impersonate/#{target.id}", step_up(admin))
 
       assert redirected_to(conn) == ~p"/"
       assert Phoenix.Flash.get(conn.assigns.flash, :info) =~ "Impersonating"
@@ -71,7 +71,7 @@ defmodule YscWeb.ImpersonationControllerTest do
       conn =
         conn
         |> log_in_user(admin)
-        |> get(~p"/admin/impersonate/#{target.id}")
+        |> post(~p"/admin/impersonate/#{target.id}", step_up(admin))
 
       assert redirected_to(conn) == ~p"/"
       conn = get(conn, ~p"/")
@@ -80,6 +80,47 @@ defmodule YscWeb.ImpersonationControllerTest do
       assert html =~ "Jane Smith"
       assert html =~ "Stop Impersonating"
     end
+
+    test "requires a step-up token", %{conn: conn} do
+      admin = user_fixture(%{role: "admin"})
+      target = user_fixture()
+
+      conn =
+        conn
+        |> log_in_user(admin)
+        |> post(~p"/admin/impersonate/#{target.id}")
+
+      assert redirected_to(conn) == ~p"/admin/users/#{target.id}/details"
+
+      assert Phoenix.Flash.get(conn.assigns.flash, :error) =~
+               "verify your identity"
+
+      refute get_session(conn, :impersonated_user_id)
+    end
+
+    test "rejects a step-up token issued to another admin", %{conn: conn} do
+      admin = user_fixture(%{role: "admin"})
+      other_admin = user_fixture(%{role: "admin"})
+      target = user_fixture()
+
+      conn =
+        conn
+        |> log_in_user(admin)
+        |> post(~p"/admin/impersonate/#{target.id}", step_up(other_admin))
+
+      assert redirected_to(conn) == ~p"/admin/users/#{target.id}/details"
+      refute get_session(conn, :impersonated_user_id)
+    end
+
+    test "doesn't take the step-up token in a GET", %{conn: conn} do
+      admin = user_fixture(%{role: "admin"})
+      target = user_fixture()
+      conn = log_in_user(conn, admin)
+
+      assert_error_sent 404, fn ->
+        get(conn, ~p"/admin/impersonate/#{target.id}?#{step_up(admin)}")
+      end
+    end
   end
 
   describe "GET /admin/stop-impersonation" do
@@ -152,4 +193,6 @@ defmodule YscWeb.ImpersonationControllerTest do
       assert redirected_to(conn) == ~p"/users/log-in"
     end
   end
+
+  defp step_up(admin), do: %{step_up: YscWeb.StepUp.sign_token(admin)}
 end
@@ -28,6 +28,9 @@ defmodule YscWeb.PasskeyLoginTest do
       # Verify user is logged in
       assert get_session(conn, :user_token) != nil
       assert get_session(conn, :just_logged_in) == true
+
+      # Already using a passkey, nothing to offer
+      refute get_session(conn, :passkey_upgrade)
     end
 
     test "logs in user with redirect_to parameter", %{conn: conn, user: user} do
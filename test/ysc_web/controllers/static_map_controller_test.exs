@@ -0,0 +1,44 @@
+defmodule YscWeb.StaticMapControllerTest do
+  use YscWeb.ConnCase, async: true
+
+  describe "show/2" do
+    test "redirects to the static map with the current key", %{conn: conn} do
+      conn =
+        get(conn, ~p"/maps/static", %{
+          "lat" => "37.7749",
+          "lng" => "-122.4194",
+          "width" => "600",
+          "height" => "300"
+        })
+
+      query =
+        conn
+        |> redirected_to(302)
+        |> URI.parse()
+        |> Map.fetch!(:query)
+        |> URI.decode_query()
+
+      assert query["center"] == "37.7749,-122.4194"
+      assert query["markers"] == "37.7749,-122.4194"
+      assert query["width"] == "600"
+      assert query["height"] == "300"
+
+      assert query["publishableKey"] ==
+               Application.get_env(:ysc, :radar)[:public_key]
+    end
+
+    test "rejects invalid coordinates or sizes", %{conn: conn} do
+      valid = %{"lat" => "0", "lng" => "0", "width" => "600", "height" => "300"}
+
+      for invalid <- [
+            %{"lat" => "91"},
+            %{"lng" => "x"},
+            %{"width" => "9999"},
+            %{"height" => nil}
+          ] do
+        conn = get(conn, ~p"/maps/static", Map.merge(valid, invalid))
+        assert response(conn, 400)
+      end
+    end
+  end
+end
@@ -60,6 +60,9 @@ defmodule YscWeb.UserSessionControllerTest do
       assert get_session(conn, :user_token)
       assert redirected_to(conn) == ~p"/"
 
+      # Password sign-ins are offered a passkey
+      assert get_session(conn, :passkey_upgrade) == true
+
       # Now do a logged in request and assert on the menu
       conn = get(conn, ~p"/")
       response = html_response(conn, 200)
@@ -187,6 +190,20 @@ defmodule YscWeb.UserSessionControllerTest do
     end
   end
 
+  describe "DELETE /users/passkey-upgrade" do
+    test "clears the passkey offer flag", %{conn: conn, user: user} do
+      conn =
+        conn
+        |> log_in_user(user)
+        |> put_session(:passkey_upgrade, true)
+        |> delete(~p"/users/passkey-upgrade")
+
+      assert response(conn, 204)
+      refute get_session(conn, :passkey_upgrade)
+      assert get_session(conn, :user_token)
+    end
+  end
+
   describe "GET /users/log-in/auto" do
     test "auto-logs in user with valid token and redirects to pending review",
          %{conn: conn} do
@@ -232,6 +249,9 @@ defmodule YscWeb.UserSessionControllerTest do
 
       # Should be logged in
       assert get_session(conn, :user_token)
+
+      # Signing in with a verification code offers a passkey
+      assert get_session(conn, :passkey_upgrade) == true
     end
 
     test "redirects to login with invalid token", %{conn: conn} do
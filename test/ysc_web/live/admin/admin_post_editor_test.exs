@@ -377,6 +377,60 @@ defmodule YscWeb.AdminPostEditorLiveTest do
     end
   end
 
+  describe "embed options" do
+    setup %{user: user} do
+      {:ok, post} =
+        Posts.create_post(
+          %{
+            "title" => "Embeds",
+            "url_name" => "embeds-#{System.unique_integer()}",
+            "state" => "draft",
+            "body" => "Content"
+          },
+          user
+        )
+
+      %{post: post}
+    end
+
+    test "renders the editor with embeds enabled", %{conn: conn, post: post} do
+      {:ok, _view, html} = live(conn, ~p"/admin/posts/#{post.id}")
+
+      assert html =~ "data-embeds"
+    end
+
+    test "offers the cabins as map pins", %{conn: conn, post: post} do
+      {:ok, view, _html} = live(conn, ~p"/admin/posts/#{post.id}")
+
+      render_hook(view, "embed-options", %{"type" => "map"})
+
+      assert_reply(view, %{
+        items: [%{id: "tahoe-cabin"}, %{id: "clear-lake-cabin"} | _]
+      })
+    end
+
+    test "pages gallery images", %{conn: conn, post: post, user: user} do
+      for n <- 1..26 do
+        Repo.insert!(%Ysc.Media.Image{
+          user_id: user.id,
+          title: "Image #{n}",
+          raw_image_path: "https://s3.example.com/image-#{n}.jpg",
+          processing_state: :processed
+        })
+      end
+
+      {:ok, view, _html} = live(conn, ~p"/admin/posts/#{post.id}")
+
+      render_hook(view, "embed-options", %{"type" => "gallery", "offset" => 0})
+      assert_reply(view, %{items: first_page, more: true})
+      assert length(first_page) == 24
+
+      render_hook(view, "embed-options", %{"type" => "gallery", "offset" => 24})
+      assert_reply(view, %{items: last_page, more: false})
+      assert length(last_page) == 2
+    end
+  end
+
   defp register_and_log_in_admin(%{conn: conn}) do
     user = user_fixture(%{role: :admin})
     %{conn: log_in_user(conn, user), user: user}
@@ -400,18 +400,88 @@ defmodule YscWeb.AdminUserDetailsLiveTest do
   end
 
   describe "impersonation" do
-    test "displays Log in as User button linking to impersonate URL", %{
+    test "Log in as User asks the admin to verify it's them first", %{
       conn: conn
     } do
       target = user_fixture(%{first_name: "Alice", last_name: "Target"})
 
       {:ok, view, _html} = live(conn, ~p"/admin/users/#{target.id}/details")
 
-      assert has_element?(
-               view,
-               "a[href*='/admin/impersonate/#{target.id}']",
-               "Log in as User"
-             )
+      html = view |> element("#impersonate-user") |> render_click()
+
+      assert html =~ "Verify it&#39;s you before signing in as this member."
+      assert has_element?(view, "#step-up-password-form")
+    end
+
+    test "Log in as User posts a step-up token once verified", %{
+      conn: conn,
+      user: admin
+    } do
+      target = user_fixture()
+
+      {:ok, view, _html} = live(conn, ~p"/admin/users/#{target.id}/details")
+
+      view |> element("#impersonate-user") |> render_click()
+
+      view
+      |> form("#step-up-password-form", %{
+        "step_up" => %{"password" => valid_user_password()}
+      })
+      |> render_submit()
+
+      form = form(view, "#impersonate-form")
+      assert has_element?(view, "#impersonate-form[phx-trigger-action]")
+
+      conn = follow_trigger_action(form, conn)
+
+      assert conn.method == "POST"
+      assert YscWeb.StepUp.verify_token(conn.params["step_up"], admin) == :ok
+      assert redirected_to(conn) == ~p"/"
+      assert get_session(conn, :impersonated_user_id) == target.id
+    end
+
+    test "a wrong password keeps the admin on the page", %{conn: conn} do
+      target = user_fixture()
+
+      {:ok, view, _html} = live(conn, ~p"/admin/users/#{target.id}/details")
+
+      view |> element("#impersonate-user") |> render_click()
+
+      html =
+        view
+        |> form("#step-up-password-form", %{
+          "step_up" => %{"password" => "not the password"}
+        })
+        |> render_submit()
+
+      assert html =~ "Invalid password"
+    end
+
+    test "changing a member's email asks the admin to verify it's them", %{
+      conn: conn
+    } do
+      target = user_fixture()
+      new_email = unique_user_email()
+
+      {:ok, view, _html} = live(conn, ~p"/admin/users/#{target.id}/details")
+
+      html =
+        view
+        |> form("#user-profile-form", user: %{email: new_email})
+        |> render_submit()
+
+      assert html =~
+               "Verify it&#39;s you before changing this member&#39;s email."
+      assert Ysc.Accounts.get_user!(target.id).email == target.email
+
+      view
+      |> form("#step-up-password-form", %{
+        "step_up" => %{"password" => valid_user_password()}
+      })
+      |> render_submit()
+
+      assert_redirect(view, ~p"/admin/users/#{target.id}/details")
+      assert Ysc.Accounts.get_user!(target.id).email == new_email
     end
 
     test "Log in as User button is not shown to non-admin", %{conn: conn} do
@@ -45,5 +45,273 @@ defmodule YscWeb.BookingCheckoutLiveTest do
       # When booking is not found (not owned by user), redirects to home
       assert path == ~p"/"
     end
+
+    test "renders the payment form without creating a payment intent", %{
+      conn: conn,
+      booking: booking
+    } do
+      test_pid = self()
+
+      stub(StripeMock, :create_payment_intent, fn _params, _opts ->
+        send(test_pid, :payment_intent_created)
+        {:error, :unexpected}
+      end)
+
+      {:ok, view, _html} = live(conn, ~p"/bookings/checkout/#{booking.id}")
+
+      refute_received :payment_intent_created
+
+      assert has_element?(
+               view,
+               ~s(#stripe-payment-container[data-mode="deferred"])
+             )
+      assert has_element?(
+               view,
+               ~s(#stripe-payment-container[data-currency="usd"])
+             )
+    end
+
+    test "creates the payment intent when payment is submitted", %{
+      conn: conn,
+      booking: booking
+    } do
+      test_pid = self()
+
+      expect(StripeMock, :create_payment_intent, fn params, opts ->
+        send(test_pid, {:payment_intent_created, params, opts})
+
+        {:ok,
+         %Stripe.PaymentIntent{
+           id: "pi_deferred",
+           amount: params.amount,
+           client_secret: "pi_deferred_secret_789",
+           status: "requires_payment_method"
+         }}
+      end)
+
+      {:ok, view, _html} = live(conn, ~p"/bookings/checkout/#{booking.id}")
+
+      render_hook(view, "payment-intent-create", %{})
+      assert_reply(view, %{client_secret: "pi_deferred_secret_789"})
+
+      assert_received {:payment_intent_created, params, opts}
+      assert params.metadata.booking_id == booking.id
+
+      assert has_element?(
+               view,
+               ~s(#stripe-payment-container[data-amount="#{params.amount}"])
+             )
+
+      assert opts[:headers]["Idempotency-Key"] ==
+               "booking_#{booking.reference_id}_#{params.amount}"
+
+      # A second submit for the same total reuses the intent
+      render_hook(view, "payment-intent-create", %{})
+      assert_reply(view, %{client_secret: "pi_deferred_secret_789"})
+    end
+
+    test "cancels the booking's previous intent before creating a new one", %{
+      conn: conn,
+      booking: booking
+    } do
+      Cachex.put(:ysc_cache, {:booking_payment_intent, booking.id}, "pi_old")
+
+      expect(StripeMock, :cancel_payment_intent, fn "pi_old", _opts ->
+        {:ok, %Stripe.PaymentIntent{id: "pi_old", status: "canceled"}}
+      end)
+
+      expect(StripeMock, :create_payment_intent, fn params, opts ->
+        assert opts[:headers]["Idempotency-Key"] ==
+                 "booking_#{booking.reference_id}_#{params.amount}_pi_old"
+
+        {:ok,
+         %Stripe.PaymentIntent{
+           id: "pi_new",
+           amount: params.amount,
+           client_secret: "pi_new_secret_123",
+           status: "requires_payment_method"
+         }}
+      end)
+
+      {:ok, view, _html} = live(conn, ~p"/bookings/checkout/#{booking.id}")
+
+      render_hook(view, "payment-intent-create", %{})
+      assert_reply(view, %{client_secret: "pi_new_secret_123"})
+
+      assert Cachex.get(:ysc_cache, {:booking_payment_intent, booking.id}) ==
+               {:ok, "pi_new"}
+    end
+
+    test "won't split while the full amount is being paid", %{
+      conn: conn,
+      booking: booking
+    } do
+      Cachex.put(:ysc_cache, {:booking_payment_intent, booking.id}, "pi_full")
+
+      expect(StripeMock, :retrieve_payment_intent, fn "pi_full", _opts ->
+        {:ok, %Stripe.PaymentIntent{id: "pi_full", status: "processing"}}
+      end)
+
+      {:ok, view, _html} = live(conn, ~p"/bookings/checkout/#{booking.id}")
+
+      html = render_submit(view, "split-payment", %{"count" => "2"})
+
+      assert html =~ "A payment for the full amount is already being processed."
+      assert Ysc.Bookings.PaymentShares.list_shares(booking) == []
+    end
+
+    test "previews a code as it is typed and only reserves it on apply", %{
+      conn: conn,
+      booking: booking
+    } do
+      {:ok, promo_code} =
+        Ysc.PromoCodes.create_promo_code(%{
+          code: "SAVE10",
+          discount_type: :percentage,
+          percent_off: Decimal.new(10),
+          max_redemptions: 1
+        })
+
+      {:ok, view, _html} = live(conn, ~p"/bookings/checkout/#{booking.id}")
+
+      html =
+        view
+        |> form("#promo-code-form", promo: %{code: "SAVE10"})
+        |> render_change()
+
+      assert html =~ "This code takes"
+      assert Ysc.Repo.reload!(promo_code).redemptions_count == 0
+
+      view
+      |> form("#promo-code-form", promo: %{code: "SAVE10"})
+      |> render_submit()
+
+      assert Ysc.Repo.reload!(promo_code).redemptions_count == 1
+      assert Ysc.Repo.reload!(booking).promo_code_id == promo_code.id
+    end
+
+    test "refunds paid shares when the booking member cancels", %{
+      conn: conn,
+      booking: booking
+    } do
+      stub(StripeMock, :retrieve_payment_intent, fn id, _opts ->
+        {:ok,
+         %Stripe.PaymentIntent{
+           id: id,
+           status: "succeeded",
+           charges: %Stripe.List{data: [%Stripe.Charge{id: "ch_#{id}"}]}
+         }}
+      end)
+
+      {:ok, [first, _second]} =
+        Ysc.Bookings.PaymentShares.split(booking, Money.new(90, :USD), 2)
+
+      {:ok, :outstanding} =
+        Ysc.Bookings.PaymentShares.record_payment(first, "pi_first")
+
+      {:ok, view, _html} = live(conn, ~p"/bookings/checkout/#{booking.id}")
+
+      assert {:error, {:redirect, _redirect}} =
+               render_click(view, "cancel-booking", %{})
+
+      assert Ysc.Repo.get!(Ysc.Bookings.Booking, booking.id).status ==
+               :canceled
+
+      assert [%{status: :refunded}, %{status: :pending}] =
+               Ysc.Bookings.PaymentShares.list_shares(booking)
+    end
+
+    test "replies with an error when the payment intent can't be created", %{
+      conn: conn,
+      booking: booking
+    } do
+      expect(StripeMock, :create_payment_intent, fn _params, _opts ->
+        {:error,
+         %Stripe.Error{source: :stripe, code: :card_error, message: "Boom"}}
+      end)
+
+      {:ok, view, _html} = live(conn, ~p"/bookings/checkout/#{booking.id}")
+
+      render_hook(view, "payment-intent-create", %{})
+      assert_reply(view, %{error: "Failed to initialize payment: Boom"})
+    end
+  end
+
+  describe "Express Checkout against the Stripe stub" do
+    setup %{conn: conn} do
+      Application.put_env(:ysc, :stripe_client, StripeMock)
+
+      # What `STRIPE_JS_URL=/assets/stripe_stub.js` sets at runtime
+      previous_url = Application.get_env(:ysc, :stripe_js_url)
+      Application.put_env(:ysc, :stripe_js_url, "/assets/stripe_stub.js")
+
+      on_exit(fn ->
+        Application.put_env(:ysc, :stripe_js_url, previous_url)
+      end)
+
+      user = user_fixture()
+      booking = booking_fixture(user_id: user.id, status: :hold)
+
+      %{conn: log_in_user(conn, user), booking: booking}
+    end
+
+    test "loads the stub and the wallet container", %{
+      conn: conn,
+      booking: booking
+    } do
+      html =
+        conn
+        |> get(~p"/bookings/checkout/#{booking.id}")
+        |> html_response(200)
+
+      assert html =~ ~s(src="/assets/stripe_stub.js")
+      refute html =~ "js.stripe.com"
+
+      {:ok, view, _html} = live(conn, ~p"/bookings/checkout/#{booking.id}")
+
+      assert has_element?(
+               view,
+               "#stripe-payment-container #express-checkout-element"
+             )
+    end
+
+    test "a wallet payment runs through the checkout events", %{
+      conn: conn,
+      booking: booking
+    } do
+      expect(StripeMock, :create_payment_intent, fn params, _opts ->
+        {:ok,
+         %Stripe.PaymentIntent{
+           id: "pi_wallet",
+           amount: params.amount,
+           client_secret: "pi_wallet_secret_123",
+           status: "requires_payment_method"
+         }}
+      end)
+
+      expect(StripeMock, :retrieve_payment_intent, fn "pi_wallet", _opts ->
+        {:ok, %Stripe.PaymentIntent{id: "pi_wallet", status: "succeeded"}}
+      end)
+
+      {:ok, view, _html} = live(conn, ~p"/bookings/checkout/#{booking.id}")
+
+      # The events the StripePayment hook sends when the stub's "Buy with
+      # Google Pay" button is clicked: click, then confirm
+      render_hook(view, "payment-redirect-started", %{})
+      render_hook(view, "payment-intent-create", %{})
+      assert_reply(view, %{client_secret: "pi_wallet_secret_123"})
+
+      # The webhook confirmed the booking before the browser reported back
+      booking
+      |> Ecto.Changeset.change(status: :complete)
+      |> Ysc.Repo.update!()
+
+      # The stub's confirmPayment reports the id from the client secret
+      render_hook(view, "payment-success", %{
+        "payment_intent_id" => "pi_wallet"
+      })
+
+      assert_redirect(view, ~p"/bookings/#{booking.id}/receipt?confetti=true")
+    end
   end
 end
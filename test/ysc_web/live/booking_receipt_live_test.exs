@@ -524,6 +524,40 @@ defmodule YscWeb.BookingReceiptLiveTest do
     end
   end
 
+  describe "door code reveal" do
+    test "asks the member to verify it's them first", %{conn: conn} do
+      user = user_fixture()
+      conn = log_in_user(conn, user)
+
+      today = Date.utc_today()
+      days_until_monday = rem(8 - Date.day_of_week(today), 7)
+      checkin_date = Date.add(today, 30 + days_until_monday)
+
+      booking =
+        booking_fixture(%{
+          user_id: user.id,
+          status: :complete,
+          checkin_date: checkin_date,
+          checkout_date: Date.add(checkin_date, 3)
+        })
+
+      {:ok, view, _html} = live(conn, ~p"/bookings/#{booking.id}/receipt")
+
+      html = render_click(view, "reveal_door_code", %{})
+
+      assert html =~ "Verify it&#39;s you to see the door code."
+      assert has_element?(view, "#step-up-password-form")
+
+      view
+      |> form("#step-up-password-form", %{
+        "step_up" => %{"password" => valid_user_password()}
+      })
+      |> render_submit()
+
+      refute has_element?(view, "#step-up-modal")
+    end
+  end
+
   describe "page title and metadata" do
     test "sets correct page title", %{conn: conn} do
       user = user_fixture()
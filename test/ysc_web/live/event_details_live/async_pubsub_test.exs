@@ -81,16 +81,16 @@ defmodule YscWeb.EventDetailsLive.AsyncPubsubTest do
       :timer.sleep(100)
 
       # Change donation amounts
-      render_click(view, "set-donation-amount", %{
+      render_change(view, "update-donation-amount", %{
         "tier-id" => tier.id,
-        "amount" => "25"
+        "donation_amount_#{tier.id}" => "25.00"
       })
 
       :timer.sleep(100)
 
-      render_click(view, "set-donation-amount", %{
+      render_change(view, "update-donation-amount", %{
         "tier-id" => tier.id,
-        "amount" => "50"
+        "donation_amount_#{tier.id}" => "50.00"
       })
 
       :timer.sleep(200)
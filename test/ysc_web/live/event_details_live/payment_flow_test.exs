@@ -120,9 +120,9 @@ defmodule YscWeb.EventDetailsLive.PaymentFlowTest do
       render_click(view, "increase-ticket-quantity", %{"tier-id" => tier.id})
 
       # Add donation (amount interpretation may vary by implementation)
-      render_click(view, "set-donation-amount", %{
+      render_change(view, "update-donation-amount", %{
         "tier-id" => tier.id,
-        "amount" => "50"
+        "donation_amount_#{tier.id}" => "50.00"
       })
 
       render_click(view, "proceed-to-checkout")
@@ -341,7 +341,7 @@ defmodule YscWeb.EventDetailsLiveTest do
       {:ok, %{conn: conn, user: user, event: event}}
     end
 
-    test "handles set-donation-amount event with valid amount", %{
+    test "handles update-donation-amount event with valid amount", %{
       conn: conn,
       event: event
     } do
@@ -351,15 +351,15 @@ defmodule YscWeb.EventDetailsLiveTest do
       :timer.sleep(200)
 
       result =
-        render_click(view, "set-donation-amount", %{
+        render_change(view, "update-donation-amount", %{
           "tier-id" => tier.id,
-          "amount" => "50"
+          "donation_amount_#{tier.id}" => "50.00"
         })
 
       assert is_binary(result)
     end
 
-    test "handles set-donation-amount event with zero", %{
+    test "handles update-donation-amount event with zero", %{
       conn: conn,
       event: event
     } do
@@ -369,15 +369,15 @@ defmodule YscWeb.EventDetailsLiveTest do
       :timer.sleep(200)
 
       result =
-        render_click(view, "set-donation-amount", %{
+        render_change(view, "update-donation-amount", %{
           "tier-id" => tier.id,
-          "amount" => "0"
+          "donation_amount_#{tier.id}" => "0"
         })
 
       assert is_binary(result)
     end
 
-    test "handles set-donation-amount event with large amount", %{
+    test "handles update-donation-amount event with large amount", %{
       conn: conn,
       event: event
     } do
@@ -387,14 +387,54 @@ defmodule YscWeb.EventDetailsLiveTest do
       :timer.sleep(200)
 
       result =
-        render_click(view, "set-donation-amount", %{
+        render_change(view, "update-donation-amount", %{
           "tier-id" => tier.id,
-          "amount" => "1000"
+          "donation_amount_#{tier.id}" => "1000.00"
         })
 
       assert is_binary(result)
     end
 
+    test "only selects donations within the allowed range", %{
+      conn: conn,
+      event: event
+    } do
+      tier =
+        ticket_tier_fixture(%{
+          event_id: event.id,
+          name: "Donation",
+          type: :donation,
+          price: nil,
+          quantity: nil
+        })
+
+      {:ok, view, _html} = live(conn, ~p"/events/#{event.id}/tickets")
+      :timer.sleep(200)
+
+      amount_input = ~s(input[name="donation_amount_#{tier.id}"])
+
+      render_change(view, "update-donation-amount", %{
+        "tier-id" => tier.id,
+        "donation_amount_#{tier.id}" => "25.00"
+      })
+
+      assert has_element?(view, amount_input <> ~s([value="25.00"]))
+
+      render_change(view, "update-donation-amount", %{
+        "tier-id" => tier.id,
+        "donation_amount_#{tier.id}" => "0.50"
+      })
+
+      assert has_element?(view, amount_input <> ~s([value=""]))
+
+      render_change(view, "update-donation-amount", %{
+        "tier-id" => tier.id,
+        "donation_amount_#{tier.id}" => "20000.00"
+      })
+
+      assert has_element?(view, amount_input <> ~s([value=""]))
+    end
+
     test "handles update-donation-amount event", %{conn: conn, event: event} do
       {:ok, view, _html} = live(conn, ~p"/events/#{event.id}")
       :timer.sleep(200)
@@ -851,9 +891,9 @@ defmodule YscWeb.EventDetailsLiveTest do
 
       # Add donation
       html =
-        render_click(view, "set-donation-amount", %{
+        render_change(view, "update-donation-amount", %{
           "tier-id" => tier.id,
-          "amount" => "25"
+          "donation_amount_#{tier.id}" => "25.00"
         })
 
       assert is_binary(html)
@@ -866,25 +906,25 @@ defmodule YscWeb.EventDetailsLiveTest do
       :timer.sleep(200)
 
       # Set initial donation
-      render_click(view, "set-donation-amount", %{
+      render_change(view, "update-donation-amount", %{
         "tier-id" => tier.id,
-        "amount" => "25"
+        "donation_amount_#{tier.id}" => "25.00"
       })
 
       # Change donation
       html =
-        render_click(view, "set-donation-amount", %{
+        render_change(view, "update-donation-amount", %{
           "tier-id" => tier.id,
-          "amount" => "50"
+          "donation_amount_#{tier.id}" => "50.00"
         })
 
       assert is_binary(html)
 
       # Remove donation
       html =
-        render_click(view, "set-donation-amount", %{
+        render_change(view, "update-donation-amount", %{
           "tier-id" => tier.id,
-          "amount" => "0"
+          "donation_amount_#{tier.id}" => "0"
         })
 
       assert is_binary(html)
@@ -1021,9 +1061,9 @@ defmodule YscWeb.EventDetailsLiveTest do
 
       # Add donation
       html =
-        render_click(view, "set-donation-amount", %{
+        render_change(view, "update-donation-amount", %{
           "tier-id" => tier1.id,
-          "amount" => "50"
+          "donation_amount_#{tier1.id}" => "50.00"
         })
 
       assert is_binary(html)
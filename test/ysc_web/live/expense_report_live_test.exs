@@ -5,6 +5,9 @@ defmodule YscWeb.ExpenseReportLiveTest do
   use YscWeb.ConnCase
 
   import Phoenix.LiveViewTest
+
+  alias Ysc.ExpenseReports
+
   setup :register_and_log_in_user
 
   test "renders expense report form", %{conn: conn} do
@@ -18,4 +21,88 @@ defmodule YscWeb.ExpenseReportLiveTest do
 
     assert html =~ "Expense Report"
   end
+
+  test "adding a bank account asks the member to verify it's them", %{
+    conn: conn,
+    user: user
+  } do
+    {:ok, view, _html} = live(conn, ~p"/expensereport?modal=bank-account")
+
+    html =
+      view
+      |> form("#bank-account-form", %{
+        "bank_account" => %{
+          "routing_number" => "021000021",
+          "account_number" => "123456789"
+        }
+      })
+      |> render_submit()
+
+    assert html =~ "Verify it&#39;s you before adding a bank account"
+    assert ExpenseReports.list_bank_accounts(user) == []
+
+    view
+    |> form("#step-up-password-form", %{
+      "step_up" => %{"password" => Ysc.AccountsFixtures.valid_user_password()}
+    })
+    |> render_submit()
+
+    assert [_bank_account] = ExpenseReports.list_bank_accounts(user)
+  end
+
+  describe "draft recovery" do
+    defp recover_receipt(view, item_params) do
+      render_hook(view, "recover", %{
+        "expense_report" => %{
+          "expense_items" => %{
+            "0" =>
+              Map.merge(
+                %{
+                  "date" => Date.to_iso8601(Date.utc_today()),
+                  "vendor" => "Hardware store",
+                  "description" => "Paint",
+                  "amount" => "25.00"
+                },
+                item_params
+              )
+          }
+        }
+      })
+    end
+
+    defp file_token(user_id, path) do
+      Phoenix.Token.sign(YscWeb.Endpoint, "expense report file", {user_id, path})
+    end
+
+    test "restores an uploaded receipt from its signed token", %{
+      conn: conn,
+      user: user
+    } do
+      {:ok, view, _html} = live(conn, ~p"/expensereport")
+
+      recover_receipt(view, %{
+        "receipt_s3_token" => file_token(user.id, "receipts/1_paint.jpg")
+      })
+
+      assert has_element?(view, "#receipt-preview-0")
+      assert has_element?(view, "input[name$='[receipt_s3_token]']")
+    end
+
+    test "ignores receipt paths that weren't signed for the member", %{
+      conn: conn
+    } do
+      other_user = Ysc.AccountsFixtures.user_fixture()
+
+      {:ok, view, _html} = live(conn, ~p"/expensereport")
+
+      recover_receipt(view, %{"receipt_s3_path" => "receipts/1_paint.jpg"})
+      refute has_element?(view, "#receipt-preview-0")
+
+      recover_receipt(view, %{
+        "receipt_s3_token" => file_token(other_user.id, "receipts/1_paint.jpg")
+      })
+
+      refute has_element?(view, "#receipt-preview-0")
+    end
+  end
 end
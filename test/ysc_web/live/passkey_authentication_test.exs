@@ -45,7 +45,7 @@ defmodule YscWeb.PasskeyAuthenticationTest do
       refute Map.has_key?(options, :allowCredentials)
     end
 
-    test "includes all passkeys in challenge for Wax verification", %{
+    test "doesn't load every passkey into the challenge", %{
       conn: conn,
       user: user
     } do
@@ -86,6 +86,147 @@ defmodule YscWeb.PasskeyAuthenticationTest do
       })
 
       assert is_binary(options[:challenge])
+
+      # The passkey that answers is looked up when verifying
+      state = :sys.get_state(lv.pid)
+      assert state.socket.assigns.passkey_challenge.allow_credentials == []
+    end
+  end
+
+  describe "Passkey authentication - autofill" do
+    test "offers passkeys in the email autofill", %{conn: conn} do
+      {:ok, lv, html} = live(conn, ~p"/users/log-in")
+
+      assert html =~ ~s(autocomplete="username webauthn")
+      assert html =~ ~s(data-passkey-autofill="login_form")
+
+      lv
+      |> element("#auth-methods")
+      |> render_hook("start_conditional_passkey", %{})
+
+      assert_push_event(lv, "create_authentication_challenge", %{
+        options: options,
+        mediation: "conditional"
+      })
+
+      assert is_binary(options[:challenge])
+      refute Map.has_key?(options, :allowCredentials)
+
+      # The passkey button isn't busy while autofill waits
+      lv
+      |> element("#auth-methods")
+      |> render_hook("passkey_support_detected", %{"supported" => true})
+
+      refute lv
+             |> element("button[phx-click='sign_in_with_passkey']")
+             |> render() =~ "Signing in..."
+    end
+
+    test "re-arms autofill after a failed attempt", %{conn: conn} do
+      {:ok, lv, _html} = live(conn, ~p"/users/log-in")
+
+      lv
+      |> element("#auth-methods")
+      |> render_hook("start_conditional_passkey", %{})
+
+      assert_push_event(lv, "create_authentication_challenge", %{
+        options: %{challenge: first_challenge},
+        mediation: "conditional"
+      })
+
+      lv
+      |> element("#auth-methods")
+      |> render_hook("verify_authentication", unknown_passkey_response())
+
+      assert render(lv) =~ "Invalid passkey"
+
+      assert_push_event(lv, "create_authentication_challenge", %{
+        options: %{challenge: challenge},
+        mediation: "conditional"
+      })
+
+      assert challenge != first_challenge
+    end
+
+    test "re-arms autofill quietly when the prompt is dismissed", %{
+      conn: conn
+    } do
+      {:ok, lv, _html} = live(conn, ~p"/users/log-in")
+
+      lv
+      |> element("#auth-methods")
+      |> render_hook("start_conditional_passkey", %{})
+
+      assert_push_event(lv, "create_authentication_challenge", %{
+        mediation: "conditional"
+      })
+
+      html =
+        lv
+        |> element("#auth-methods")
+        |> render_hook("passkey_auth_error", %{
+          "error" => "NotAllowedError",
+          "message" => "The operation either timed out or was not allowed.",
+          "mediation" => "conditional"
+        })
+
+      refute html =~ "Authentication was cancelled"
+
+      assert_push_event(lv, "create_authentication_challenge", %{
+        mediation: "conditional"
+      })
+    end
+
+    test "re-arms autofill after the passkey button fails", %{conn: conn} do
+      {:ok, lv, _html} = live(conn, ~p"/users/log-in")
+
+      lv
+      |> element("#auth-methods")
+      |> render_hook("start_conditional_passkey", %{})
+
+      assert_push_event(lv, "create_authentication_challenge", %{
+        mediation: "conditional"
+      })
+
+      lv
+      |> element("#auth-methods")
+      |> render_hook("passkey_support_detected", %{"supported" => true})
+
+      lv
+      |> element("button[phx-click='sign_in_with_passkey']")
+      |> render_click()
+
+      assert_push_event(lv, "create_authentication_challenge", options)
+      refute Map.has_key?(options, :mediation)
+
+      lv
+      |> element("#auth-methods")
+      |> render_hook("passkey_auth_error", %{
+        "error" => "NotAllowedError",
+        "message" => "User cancelled the operation",
+        "mediation" => "optional"
+      })
+
+      assert render(lv) =~ "Authentication was cancelled"
+
+      assert_push_event(lv, "create_authentication_challenge", %{
+        mediation: "conditional"
+      })
+    end
+
+    test "does not start autofill unless the browser asks for it", %{
+      conn: conn
+    } do
+      {:ok, lv, _html} = live(conn, ~p"/users/log-in")
+
+      lv
+      |> element("#auth-methods")
+      |> render_hook("passkey_auth_error", %{
+        "error" => "NotAllowedError",
+        "message" => "User cancelled the operation"
+      })
+
+      refute_push_event(lv, "create_authentication_challenge", %{})
     end
   end
 
@@ -366,6 +507,33 @@ defmodule YscWeb.PasskeyAuthenticationTest do
       assert html =~ "cancelled" || html =~ "Authentication was cancelled"
     end
 
+    test "shows the guidance for coded errors", %{conn: conn} do
+      {:ok, lv, _html} = live(conn, ~p"/users/log-in")
+
+      lv
+      |> element("#auth-methods")
+      |> render_hook("passkey_support_detected", %{"supported" => true})
+
+      lv
+      |> element("button[phx-click='sign_in_with_passkey']")
+      |> render_click()
+
+      lv
+      |> element("#auth-methods")
+      |> render_hook("passkey_auth_error", %{
+        "error" => "NotAllowedError",
+        "code" => "timeout",
+        "message" => "The passkey prompt timed out.",
+        "mediation" => "optional"
+      })
+
+      assert render(lv) =~ "The passkey prompt timed out."
+
+      refute lv
+             |> element("button[phx-click='sign_in_with_passkey']")
+             |> render() =~ "Signing in..."
+    end
+
     test "shows loading state during authentication", %{conn: conn} do
       {:ok, lv, _html} = live(conn, ~p"/users/log-in")
 
@@ -571,4 +739,25 @@ defmodule YscWeb.PasskeyAuthenticationTest do
       assert html =~ "Face ID" || html =~ "Passkey"
     end
   end
+
+  defp unknown_passkey_response do
+    raw_id = Base.url_encode64(:crypto.strong_rand_bytes(16), padding: false)
+
+    %{
+      "id" => raw_id,
+      "rawId" => raw_id,
+      "type" => "public-key",
+      "response" => %{
+        "authenticatorData" =>
+          Base.url_encode64(:crypto.strong_rand_bytes(37), padding: false),
+        "clientDataJSON" =>
+          Base.url_encode64(Jason.encode!(%{type: "webauthn.get"}),
+            padding: false
+          ),
+        "signature" =>
+          Base.url_encode64(:crypto.strong_rand_bytes(64), padding: false),
+        "userHandle" => Base.url_encode64("fake_user_id", padding: false)
+      }
+    }
+  end
 end
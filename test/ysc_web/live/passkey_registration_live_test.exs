@@ -170,6 +170,20 @@ defmodule YscWeb.PasskeyRegistrationLiveTest do
       assert html =~ "error" || html =~ "cancelled" || html =~ "Failed"
     end
 
+    test "shows the guidance for coded registration errors", %{conn: conn} do
+      {:ok, lv, _html} = live(conn, ~p"/users/settings/passkeys/new")
+
+      lv
+      |> element("#passkey-registration")
+      |> render_hook("passkey_registration_error", %{
+        "error" => "InvalidStateError",
+        "code" => "already_registered",
+        "message" => "This device already has a passkey for your account."
+      })
+
+      assert render(lv) =~ "This device already has a passkey for your account."
+    end
+
     test "handles expired challenge", %{conn: conn, user: _user} do
       {:ok, lv, _html} = live(conn, ~p"/users/settings/passkeys/new")
 
@@ -0,0 +1,172 @@
+defmodule YscWeb.PasskeyUpgradeTest do
+  use YscWeb.ConnCase, async: true
+
+  import Phoenix.LiveViewTest
+  import Ysc.AccountsFixtures
+
+  alias Ysc.Accounts
+
+  defp log_in_with_upgrade(conn, user) do
+    conn
+    |> log_in_user(user)
+    |> Plug.Conn.put_session(:passkey_upgrade, true)
+  end
+
+  defp offer(view) do
+    view
+    |> element("#passkey-upgrade")
+    |> render_hook("offer_passkey", %{})
+  end
+
+  describe "passkey offer after sign-in" do
+    test "is not rendered without the session flag", %{conn: conn} do
+      conn = log_in_user(conn, user_fixture())
+
+      {:ok, view, _html} = live(conn, ~p"/users/settings/security")
+
+      refute has_element?(view, "#passkey-upgrade")
+    end
+
+    test "stays hidden until the hook offers it", %{conn: conn} do
+      conn = log_in_with_upgrade(conn, user_fixture())
+
+      {:ok, view, html} = live(conn, ~p"/users/settings/security")
+
+      assert has_element?(view, "#passkey-upgrade[data-status=hidden]")
+      refute html =~ "Sign in faster next time with a passkey"
+
+      html = offer(view)
+
+      assert html =~ "Sign in faster next time with a passkey"
+      assert has_element?(view, "#passkey-upgrade button", "Create a passkey")
+    end
+
+    test "accepting pushes a registration challenge scoped to the offer", %{
+      conn: conn
+    } do
+      conn = log_in_with_upgrade(conn, user_fixture())
+
+      {:ok, view, _html} = live(conn, ~p"/users/settings/security")
+      offer(view)
+
+      html =
+        view
+        |> element("#passkey-upgrade button", "Create a passkey")
+        |> render_click()
+
+      assert html =~ "Creating..."
+
+      assert_push_event(view, "create_registration_challenge", %{
+        options: %{challenge: _, rp: %{name: "YSC"}},
+        scope: "upgrade"
+      })
+    end
+
+    test "a closed prompt returns to the offer without an error", %{
+      conn: conn
+    } do
+      conn = log_in_with_upgrade(conn, user_fixture())
+
+      {:ok, view, _html} = live(conn, ~p"/users/settings/security")
+      offer(view)
+
+      view
+      |> element("#passkey-upgrade button", "Create a passkey")
+      |> render_click()
+
+      html =
+        view
+        |> element("#passkey-upgrade-auth")
+        |> render_hook("passkey_registration_error", %{
+          "error" => "NotAllowedError",
+          "code" => "cancelled",
+          "message" => "The passkey prompt was closed before it finished."
+        })
+
+      refute html =~ "The passkey prompt was closed"
+      assert has_element?(view, "#passkey-upgrade[data-status=offered]")
+    end
+
+    test "shows guidance when the passkey can't be created", %{conn: conn} do
+      conn = log_in_with_upgrade(conn, user_fixture())
+
+      {:ok, view, _html} = live(conn, ~p"/users/settings/security")
+      offer(view)
+
+      html =
+        view
+        |> element("#passkey-upgrade-auth")
+        |> render_hook("passkey_registration_error", %{
+          "error" => "InvalidStateError",
+          "code" => "already_registered",
+          "message" => "This device already has a passkey for your account."
+        })
+
+      assert html =~ "This device already has a passkey for your account."
+    end
+
+    test "an expired challenge asks the member to try again", %{conn: conn} do
+      conn = log_in_with_upgrade(conn, user_fixture())
+
+      {:ok, view, _html} = live(conn, ~p"/users/settings/security")
+      offer(view)
+
+      html =
+        view
+        |> element("#passkey-upgrade-auth")
+        |> render_hook("verify_registration", %{"id" => "credential"})
+
+      assert html =~ "Registration session expired"
+    end
+
+    test "is not offered to members who already have a passkey", %{
+      conn: conn
+    } do
+      user = user_fixture()
+      passkey_fixture(user)
+
+      {:ok, view, _html} =
+        live(log_in_with_upgrade(conn, user), ~p"/users/settings/security")
+
+      offer(view)
+
+      assert has_element?(view, "#passkey-upgrade[data-status=hidden]")
+      refute has_element?(view, "#passkey-upgrade button", "Create a passkey")
+    end
+
+    test "not now and never dismiss the offer", %{conn: conn} do
+      for choice <- ["Not now", "Never on this device"] do
+        user = user_fixture()
+
+        {:ok, view, _html} =
+          live(log_in_with_upgrade(conn, user), ~p"/users/settings/security")
+
+        offer(view)
+
+        view
+        |> element("#passkey-upgrade button", choice)
+        |> render_click()
+
+        assert has_element?(view, "#passkey-upgrade[data-status=dismissed]")
+        refute has_element?(view, "#passkey-upgrade button", "Create a passkey")
+
+        # A later offer from the hook doesn't bring it back
+        offer(view)
+        refute has_element?(view, "#passkey-upgrade button", "Create a passkey")
+
+        # Nor does the next sign-in, for now
+        refute Accounts.should_show_passkey_prompt?(
+                 Accounts.get_user!(user.id)
+               )
+      end
+    end
+
+    test "is not shown on the Add Passkey page", %{conn: conn} do
+      conn = log_in_with_upgrade(conn, user_fixture())
+
+      {:ok, view, _html} = live(conn, ~p"/users/settings/passkeys/new")
+
+      refute has_element?(view, "#passkey-upgrade")
+    end
+  end
+end
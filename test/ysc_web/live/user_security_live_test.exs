@@ -248,6 +248,127 @@ defmodule YscWeb.UserSecurityLiveTest do
     end
   end
 
+  describe "passkey panel" do
+    test "shows device type and last use for each passkey", %{conn: conn} do
+      user = user_fixture()
+      conn = log_in_user(conn, user)
+
+      passkey_fixture(user, %{nickname: "Work laptop", device_type: :desktop})
+
+      {:ok, view, _html} = live(conn, ~p"/users/settings/security")
+      html = render_async(view)
+
+      assert html =~ "Work laptop"
+      assert html =~ "Computer"
+      assert html =~ "Last used:"
+      assert html =~ "Never"
+    end
+
+    test "flags passkeys that haven't been used in months", %{conn: conn} do
+      user = user_fixture()
+      conn = log_in_user(conn, user)
+
+      passkey = passkey_fixture(user, %{nickname: "Old phone"})
+
+      last_used =
+        DateTime.utc_now()
+        |> DateTime.add(-200, :day)
+        |> DateTime.truncate(:second)
+
+      passkey
+      |> Ecto.Changeset.change(last_used_at: last_used)
+      |> Repo.update!()
+
+      {:ok, view, _html} = live(conn, ~p"/users/settings/security")
+
+      assert render_async(view) =~ "Not used in over 6 months"
+    end
+
+    test "renames a passkey and reports the account details", %{conn: conn} do
+      user = user_fixture()
+      conn = log_in_user(conn, user)
+      passkey = passkey_fixture(user, %{nickname: "Test Device"})
+
+      {:ok, view, _html} = live(conn, ~p"/users/settings/security")
+      render_async(view)
+
+      html =
+        view
+        |> form("#passkey-rename-#{passkey.id}", %{nickname: "Kitchen iPad"})
+        |> render_submit()
+
+      assert html =~ "Passkey renamed."
+      assert html =~ "Kitchen iPad"
+      assert Repo.reload(passkey).nickname == "Kitchen iPad"
+
+      user_id = Base.url_encode64(user.id, padding: false)
+      email = user.email
+
+      assert_push_event(view, "passkey_renamed", %{
+        rpId: "localhost",
+        userId: ^user_id,
+        name: ^email
+      })
+    end
+
+    test "rejects blank names", %{conn: conn} do
+      user = user_fixture()
+      conn = log_in_user(conn, user)
+      passkey = passkey_fixture(user, %{nickname: "Test Device"})
+
+      {:ok, view, _html} = live(conn, ~p"/users/settings/security")
+      render_async(view)
+
+      html =
+        render_submit(view, "rename_passkey", %{
+          "passkey_id" => passkey.id,
+          "nickname" => "  "
+        })
+
+      assert html =~ "between 1 and 60 characters"
+      assert Repo.reload(passkey).nickname == "Test Device"
+    end
+
+    test "doesn't rename another user's passkey", %{conn: conn} do
+      user = user_fixture()
+      conn = log_in_user(conn, user)
+      other_passkey = passkey_fixture(user_fixture(), %{nickname: "Theirs"})
+
+      {:ok, view, _html} = live(conn, ~p"/users/settings/security")
+
+      html =
+        render_submit(view, "rename_passkey", %{
+          "passkey_id" => other_passkey.id,
+          "nickname" => "Mine now"
+        })
+
+      assert html =~ "Passkey not found"
+      assert Repo.reload(other_passkey).nickname == "Theirs"
+    end
+
+    test "reports revoked passkeys as unknown credentials", %{conn: conn} do
+      user = user_fixture()
+      conn = log_in_user(conn, user)
+      passkey = passkey_fixture(user)
+
+      {:ok, view, _html} = live(conn, ~p"/users/settings/security")
+      render_async(view)
+
+      view
+      |> element("button[phx-value-passkey_id='#{passkey.id}']")
+      |> render_click()
+
+      credential_id = Base.url_encode64(passkey.external_id, padding: false)
+
+      assert_push_event(view, "passkey_revoked", %{
+        rpId: "localhost",
+        credentialId: ^credential_id
+      })
+
+      refute Repo.get(Ysc.Accounts.UserPasskey, passkey.id)
+    end
+  end
+
   describe "navigation menu" do
     test "shows navigation links", %{conn: conn} do
       user = user_fixture()
@@ -7,6 +7,29 @@ defmodule YscWeb.UserSettingsEmailChangeTest do
   alias Ysc.Accounts
   alias Ysc.Repo
 
+  defp request_email_change(view, email \\ "newemail@example.com") do
+    render_submit(view, "request_email_change", %{user: %{email: email}})
+  end
+
+  defp verify_with_password(view, password \\ valid_user_password()) do
+    view
+    |> form("#step-up-password-form", %{"step_up" => %{"password" => password}})
+    |> render_submit()
+  end
+
+  defp submit_code(view, code) do
+    # The otp input posts one field per digit
+    digits =
+      code
+      |> String.graphemes()
+      |> Enum.with_index(fn digit, index -> {"#{index}", digit} end)
+      |> Map.new()
+
+    view
+    |> form("#step-up-code-form", %{"step_up" => %{"code" => digits}})
+    |> render_submit()
+  end
+
   describe "email change - initial request" do
     test "shows email form without current password field", %{conn: conn} do
       user = user_fixture()
@@ -34,7 +57,7 @@ defmodule YscWeb.UserSettingsEmailChangeTest do
 
       assert result =~ "must have the @ sign"
       # Should not show modal
-      refute has_element?(view, "#reauth-modal")
+      refute has_element?(view, "#step-up-modal")
     end
 
     test "shows re-auth modal when valid email submitted", %{conn: conn} do
@@ -43,14 +66,11 @@ defmodule YscWeb.UserSettingsEmailChangeTest do
 
       {:ok, view, _html} = live(conn, ~p"/users/settings")
 
-      # Submit valid new email
-      render_submit(view, "request_email_change", %{
-        user: %{email: "newemail@example.com"}
-      })
+      request_email_change(view)
 
       # Should show re-auth modal
-      assert has_element?(view, "#reauth-modal")
-      assert render(view) =~ "Verify Your Identity"
+      assert has_element?(view, "#step-up-modal")
+      assert render(view) =~ "Verify it&#39;s you"
       assert render(view) =~ "changing your email address"
     end
 
@@ -61,13 +81,10 @@ defmodule YscWeb.UserSettingsEmailChangeTest do
       {:ok, view, _html} = live(conn, ~p"/users/settings")
 
       # Submit same email
-      result =
-        render_submit(view, "request_email_change", %{
-          user: %{email: user.email}
-        })
+      result = request_email_change(view, user.email)
 
       # Should not show modal, shows message instead
-      refute has_element?(view, "#reauth-modal")
+      refute has_element?(view, "#step-up-modal")
       assert result =~ "Email address is the same"
     end
   end
@@ -79,15 +96,11 @@ defmodule YscWeb.UserSettingsEmailChangeTest do
 
       {:ok, view, _html} = live(conn, ~p"/users/settings")
 
-      # Trigger re-auth modal
-      render_submit(view, "request_email_change", %{
-        user: %{email: "newemail@example.com"}
-      })
+      request_email_change(view)
 
       # Should show password authentication option
-      assert has_element?(view, "#reauth_password_form")
-      assert render(view) =~ "Verify with your password"
-      assert render(view) =~ "Password"
+      assert has_element?(view, "#step-up-password-form")
+      assert render(view) =~ "Verify with password"
     end
 
     test "successfully re-authenticates with correct password", %{conn: conn} do
@@ -96,18 +109,11 @@ defmodule YscWeb.UserSettingsEmailChangeTest do
 
       {:ok, view, _html} = live(conn, ~p"/users/settings")
 
-      # Trigger re-auth modal
-      render_submit(view, "request_email_change", %{
-        user: %{email: "newemail@example.com"}
-      })
+      request_email_change(view)
+      verify_with_password(view)
 
-      # Submit correct password
-      render_submit(view, "reauth_with_password", %{
-        password: valid_user_password()
-      })
-
-      # Should close modal and redirect to email verification
-      refute has_element?(view, "#reauth-modal")
+      # Should close modal and move on to email verification
+      refute has_element?(view, "#step-up-modal")
     end
 
     test "shows error with incorrect password", %{conn: conn} do
@@ -116,20 +122,51 @@ defmodule YscWeb.UserSettingsEmailChangeTest do
 
       {:ok, view, _html} = live(conn, ~p"/users/settings")
 
-      # Trigger re-auth modal
-      render_submit(view, "request_email_change", %{
-        user: %{email: "newemail@example.com"}
-      })
-
-      # Submit wrong password
-      result =
-        render_submit(view, "reauth_with_password", %{
-          password: "wrongpassword"
-        })
+      request_email_change(view)
+      result = verify_with_password(view, "wrongpassword")
 
       # Should still show modal with error
-      assert has_element?(view, "#reauth-modal")
+      assert has_element?(view, "#step-up-modal")
       assert result =~ "Invalid password"
+      assert Accounts.get_email_verification_code(user) == nil
+    end
+
+    test "locks the modal after too many wrong passwords", %{conn: conn} do
+      user = user_fixture()
+      conn = log_in_user(conn, user)
+
+      {:ok, view, _html} = live(conn, ~p"/users/settings")
+
+      request_email_change(view)
+
+      for _attempt <- 1..5 do
+        verify_with_password(view, "wrongpassword")
+      end
+
+      assert render(view) =~ "Too many failed attempts."
+      refute has_element?(view, "#step-up-password-form")
+    end
+
+    test "stays locked when the modal is reopened", %{conn: conn} do
+      user = user_fixture()
+      conn = log_in_user(conn, user)
+
+      {:ok, view, _html} = live(conn, ~p"/users/settings")
+
+      request_email_change(view)
+
+      for _attempt <- 1..5 do
+        verify_with_password(view, "wrongpassword")
+      end
+
+      # A fresh page mounts a fresh modal
+      {:ok, view, _html} = live(conn, ~p"/users/settings")
+
+      request_email_change(view)
+
+      assert render(view) =~ "Too many failed attempts."
+      refute has_element?(view, "#step-up-password-form")
+      assert Accounts.get_email_verification_code(user) == nil
     end
 
     test "sends verification code to new email after successful re-auth", %{
@@ -140,113 +177,135 @@ defmodule YscWeb.UserSettingsEmailChangeTest do
 
       {:ok, view, _html} = live(conn, ~p"/users/settings")
 
-      new_email = "newemail@example.com"
-
-      # Request email change
-      render_submit(view, "request_email_change", %{
-        user: %{email: new_email}
-      })
-
-      # Re-authenticate with password
-      render_submit(view, "reauth_with_password", %{
-        password: valid_user_password()
-      })
+      request_email_change(view)
+      verify_with_password(view)
 
       # Verify code was stored
       code = Accounts.get_email_verification_code(user)
       assert code != nil
       assert String.length(code) == 6
     end
+
+    test "does not ask again right after verifying", %{conn: conn} do
+      user = user_fixture()
+      conn = log_in_user(conn, user)
+
+      {:ok, view, _html} = live(conn, ~p"/users/settings")
+
+      request_email_change(view)
+      verify_with_password(view)
+
+      request_email_change(view, "another@example.com")
+
+      refute has_element?(view, "#step-up-modal")
+      assert render(view) =~ "another@example.com"
+    end
   end
 
   describe "email change - re-auth with passkey" do
-    test "shows passkey option in modal", %{conn: conn} do
+    test "shows passkey option when the user has a passkey", %{conn: conn} do
       user = user_fixture()
+      passkey_fixture(user)
       conn = log_in_user(conn, user)
 
       {:ok, view, _html} = live(conn, ~p"/users/settings")
 
-      # Trigger re-auth modal
-      render_submit(view, "request_email_change", %{
-        user: %{email: "newemail@example.com"}
-      })
+      request_email_change(view)
 
-      # Should show passkey authentication option
-      html = render(view)
-      assert html =~ "Continue with Passkey"
-      assert html =~ "hero-finger-print"
+      assert has_element?(view, "#step-up-passkey[data-passkey-scope=step_up]")
+      assert render(view) =~ "Continue with passkey"
     end
 
-    test "initiates passkey authentication flow", %{conn: conn} do
+    test "hides passkey option without a passkey", %{conn: conn} do
       user = user_fixture()
       conn = log_in_user(conn, user)
 
       {:ok, view, _html} = live(conn, ~p"/users/settings")
 
-      # Trigger re-auth modal
-      render_submit(view, "request_email_change", %{
-        user: %{email: "newemail@example.com"}
-      })
-
-      # Click passkey button
-      render_click(view, "reauth_with_passkey")
+      request_email_change(view)
 
-      # Should have generated a challenge
+      refute has_element?(view, "#step-up-passkey")
     end
 
-    test "processes email change after passkey verification", %{conn: conn} do
+    test "asks for one of the user's own passkeys", %{conn: conn} do
       user = user_fixture()
+      passkey = passkey_fixture(user)
       conn = log_in_user(conn, user)
 
       {:ok, view, _html} = live(conn, ~p"/users/settings")
 
-      new_email = "newemail@example.com"
+      request_email_change(view)
 
-      # Request email change
-      render_submit(view, "request_email_change", %{
-        user: %{email: new_email}
-      })
+      view
+      |> element("#step-up-passkey button", "Continue with passkey")
+      |> render_click()
+
+      credential_id = Base.url_encode64(passkey.external_id, padding: false)
 
-      # Initiate passkey auth
-      render_click(view, "reauth_with_passkey")
-
-      # Simulate successful passkey verification
-      render_hook(view, "verify_authentication", %{
-        "id" => "test-credential-id",
-        "rawId" => Base.encode64("test-raw-id"),
-        "type" => "public-key",
-        "response" => %{
-          "authenticatorData" => Base.encode64("test-auth-data"),
-          "clientDataJSON" => Base.encode64("test-client-data"),
-          "signature" => Base.encode64("test-signature")
-        }
+      assert_push_event(view, "create_authentication_challenge", %{
+        options: %{
+          userVerification: "required",
+          allowCredentials: [%{id: ^credential_id}]
+        },
+        scope: "step_up"
       })
+    end
+
+    test "rejects an assertion that doesn't verify", %{conn: conn} do
+      user = user_fixture()
+      passkey = passkey_fixture(user)
+      conn = log_in_user(conn, user)
+
+      {:ok, view, _html} = live(conn, ~p"/users/settings")
+
+      request_email_change(view)
 
-      # Should redirect to email verification
-      refute has_element?(view, "#reauth-modal")
+      view
+      |> element("#step-up-passkey button", "Continue with passkey")
+      |> render_click()
+
+      raw_id = Base.url_encode64(passkey.external_id, padding: false)
+
+      result =
+        view
+        |> element("#step-up-passkey")
+        |> render_hook("verify_authentication", %{
+          "id" => raw_id,
+          "rawId" => raw_id,
+          "type" => "public-key",
+          "response" => %{
+            "authenticatorData" => Base.url_encode64("test-auth-data"),
+            "clientDataJSON" => Base.url_encode64("test-client-data"),
+            "signature" => Base.url_encode64("test-signature")
+          }
+        })
+
+      assert result =~ "That passkey couldn&#39;t be verified"
+      assert has_element?(view, "#step-up-modal")
+      assert Accounts.get_email_verification_code(user) == nil
     end
 
     test "handles passkey authentication error", %{conn: conn} do
       user = user_fixture()
+      passkey_fixture(user)
       conn = log_in_user(conn, user)
 
       {:ok, view, _html} = live(conn, ~p"/users/settings")
 
-      # Request email change
-      render_submit(view, "request_email_change", %{
-        user: %{email: "newemail@example.com"}
-      })
+      request_email_change(view)
 
-      # Simulate passkey error
       result =
-        render_hook(view, "passkey_auth_error", %{
+        view
+        |> element("#step-up-passkey")
+        |> render_hook("passkey_auth_error", %{
           "error" => "NotAllowedError",
-          "message" => "User cancelled"
+          "code" => "not_allowed",
+          "message" => "Your device didn't allow the passkey."
         })
 
       # Should still show modal with error
-      assert has_element?(view, "#reauth-modal")
-      assert result =~ "Passkey authentication failed"
+      assert has_element?(view, "#step-up-modal")
+      assert result =~ "Your device didn&#39;t allow the passkey."
     end
   end
 
@@ -257,56 +316,83 @@ defmodule YscWeb.UserSettingsEmailChangeTest do
       {:ok, user: user}
     end
 
-    test "shows only passkey option for users without password", %{
-      conn: conn,
-      user: user
-    } do
+    test "does not offer a password", %{conn: conn, user: user} do
       conn = log_in_user(conn, user)
 
       {:ok, view, _html} = live(conn, ~p"/users/settings")
 
-      # Trigger re-auth modal
-      render_submit(view, "request_email_change", %{
-        user: %{email: "newemail@example.com"}
-      })
+      request_email_change(view)
+
+      refute has_element?(view, "#step-up-password-form")
+      assert render(view) =~ "Email me a verification code instead"
+    end
+
+    test "can change email with an emailed code", %{conn: conn, user: user} do
+      conn = log_in_user(conn, user)
+
+      {:ok, view, _html} = live(conn, ~p"/users/settings")
 
-      # Should not show password option
-      refute has_element?(view, "#reauth_password_form")
-      refute render(view) =~ "Verify with your password"
+      request_email_change(view)
 
-      # Should show passkey option
-      assert render(view) =~ "Verify with your passkey"
-      assert render(view) =~ "Continue with Passkey"
+      view
+      |> element("#step-up-modal button", "Email me a verification code")
+      |> render_click()
+
+      {:ok, code} = Ysc.VerificationCache.get_code(user.id, :step_up)
+
+      submit_code(view, code)
+
+      refute has_element?(view, "#step-up-modal")
+      assert has_element?(view, "#email-verification-modal")
     end
 
-    test "can change email using passkey authentication", %{
-      conn: conn,
-      user: user
-    } do
+    test "stops emailing codes after a few", %{conn: conn, user: user} do
       conn = log_in_user(conn, user)
 
+      for _attempt <- 1..3 do
+        # A fresh page mounts a fresh modal, offering the code again
+        {:ok, view, _html} = live(conn, ~p"/users/settings")
+        request_email_change(view)
+
+        view
+        |> element("#step-up-modal button", "Email me a verification code")
+        |> render_click()
+
+        assert has_element?(view, "#step-up-code-form")
+      end
+
+      Accounts.remove_step_up_code(user)
+
       {:ok, view, _html} = live(conn, ~p"/users/settings")
+      request_email_change(view)
 
-      # Request email change
-      render_submit(view, "request_email_change", %{
-        user: %{email: "newemail@example.com"}
-      })
+      html =
+        view
+        |> element("#step-up-modal button", "Email me a verification code")
+        |> render_click()
 
-      # Use passkey
-      render_click(view, "reauth_with_passkey")
-
-      # Simulate passkey success
-      render_hook(view, "verify_authentication", %{
-        "id" => "test-credential-id",
-        "type" => "public-key",
-        "response" => %{
-          "authenticatorData" => Base.encode64("test-data"),
-          "clientDataJSON" => Base.encode64("test-data"),
-          "signature" => Base.encode64("test-sig")
-        }
-      })
+      assert html =~ "Too many codes sent."
+      refute has_element?(view, "#step-up-code-form")
 
-      # Should redirect to verification
+      assert {:error, :not_found} =
+               Ysc.VerificationCache.get_code(user.id, :step_up)
+    end
+
+    test "rejects a wrong code", %{conn: conn, user: user} do
+      conn = log_in_user(conn, user)
+
+      {:ok, view, _html} = live(conn, ~p"/users/settings")
+
+      request_email_change(view)
+
+      view
+      |> element("#step-up-modal button", "Email me a verification code")
+      |> render_click()
+
+      result = submit_code(view, "12345x")
+
+      assert result =~ "Invalid code"
+      refute has_element?(view, "#email-verification-modal")
     end
   end
 
@@ -317,18 +403,17 @@ defmodule YscWeb.UserSettingsEmailChangeTest do
 
       {:ok, view, _html} = live(conn, ~p"/users/settings")
 
-      # Trigger re-auth modal
-      render_submit(view, "request_email_change", %{
-        user: %{email: "newemail@example.com"}
-      })
+      request_email_change(view)
 
-      assert has_element?(view, "#reauth-modal")
+      assert has_element?(view, "#step-up-modal")
 
-      # Cancel modal
-      render_click(view, "cancel_reauth")
+      view
+      |> element("#step-up-password-form")
+      |> render_hook("cancel", %{})
 
-      # Modal should close and pending change cleared
-      refute has_element?(view, "#reauth-modal")
+      # Modal should close and the change is dropped
+      refute has_element?(view, "#step-up-modal")
+      refute has_element?(view, "#email-verification-modal")
     end
   end
 
@@ -343,12 +428,8 @@ defmodule YscWeb.UserSettingsEmailChangeTest do
 
       new_email = "newemail@example.com"
 
-      # Complete email change request with re-auth
-      render_submit(view, "request_email_change", %{user: %{email: new_email}})
-
-      render_submit(view, "reauth_with_password", %{
-        password: valid_user_password()
-      })
+      request_email_change(view, new_email)
+      verify_with_password(view)
 
       # Should show email verification modal
       assert has_element?(view, "#email-verification-modal")
@@ -364,12 +445,8 @@ defmodule YscWeb.UserSettingsEmailChangeTest do
 
       new_email = "newemail@example.com"
 
-      # Complete re-auth
-      render_submit(view, "request_email_change", %{user: %{email: new_email}})
-
-      render_submit(view, "reauth_with_password", %{
-        password: valid_user_password()
-      })
+      request_email_change(view, new_email)
+      verify_with_password(view)
 
       # Get verification code
       code = Accounts.get_email_verification_code(user)
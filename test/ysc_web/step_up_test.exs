@@ -0,0 +1,39 @@
+defmodule YscWeb.StepUpTest do
+  use Ysc.DataCase, async: true
+
+  import Ysc.AccountsFixtures
+
+  alias YscWeb.StepUp
+
+  describe "verify_token/2" do
+    test "accepts a token signed for the user" do
+      user = user_fixture()
+
+      assert StepUp.verify_token(StepUp.sign_token(user), user) == :ok
+    end
+
+    test "rejects a token signed for someone else" do
+      token = StepUp.sign_token(user_fixture())
+
+      assert StepUp.verify_token(token, user_fixture()) == {:error, :invalid}
+    end
+
+    test "rejects a missing or forged token" do
+      user = user_fixture()
+
+      assert StepUp.verify_token(nil, user) == {:error, :missing}
+      assert StepUp.verify_token("forged", user) == {:error, :invalid}
+    end
+
+    test "rejects an expired token" do
+      user = user_fixture()
+
+      token =
+        Phoenix.Token.sign(YscWeb.Endpoint, "step up", user.id,
+          signed_at: System.system_time(:second) - 301
+        )
+
+      assert StepUp.verify_token(token, user) == {:error, :expired}
+    end
+  end
+end
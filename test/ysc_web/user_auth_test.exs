@@ -109,6 +109,16 @@ defmodule YscWeb.UserAuthTest do
       }
     end
 
+    test "drops the passkey offer flag", %{conn: conn} do
+      conn =
+        conn
+        |> put_session(:passkey_upgrade, true)
+        |> fetch_cookies()
+        |> UserAuth.log_out_user()
+
+      refute get_session(conn, :passkey_upgrade)
+    end
+
     test "works even if user is already logged out", %{conn: conn} do
       conn = conn |> fetch_cookies() |> UserAuth.log_out_user()
       refute get_session(conn, :user_token)
@@ -257,6 +267,42 @@ defmodule YscWeb.UserAuthTest do
       assert updated_socket.assigns.impersonating? == false
       assert updated_socket.assigns.original_admin_id == nil
     end
+
+    test "assigns passkey_upgrade from the session", %{
+      conn: conn,
+      user: user
+    } do
+      user_token = Accounts.generate_user_session_token(user)
+
+      session =
+        conn
+        |> put_session(:user_token, user_token)
+        |> put_session(:passkey_upgrade, true)
+        |> get_session()
+
+      {:cont, updated_socket} =
+        UserAuth.on_mount(:mount_current_user, %{}, session, %LiveView.Socket{})
+
+      assert updated_socket.assigns.passkey_upgrade == true
+    end
+
+    test "does not offer a passkey while impersonating", %{conn: conn} do
+      admin = user_fixture(%{role: "admin"})
+      target = user_fixture()
+      user_token = Accounts.generate_user_session_token(admin)
+
+      session =
+        conn
+        |> put_session(:user_token, user_token)
+        |> put_session(:impersonated_user_id, target.id)
+        |> put_session(:passkey_upgrade, true)
+        |> get_session()
+
+      {:cont, updated_socket} =
+        UserAuth.on_mount(:mount_current_user, %{}, session, %LiveView.Socket{})
+
+      assert updated_socket.assigns.passkey_upgrade == false
+    end
   end
 
   describe "on_mount: ensure_authenticated" do
@@ -1015,6 +1061,22 @@ defmodule YscWeb.UserAuthTest do
       # just_logged_in should not be present
       refute get_session(conn, :just_logged_in)
     end
+
+    test "preserves passkey_upgrade flag through session renewal", %{
+      conn: conn,
+      user: user
+    } do
+      {:ok, user} = Ysc.Accounts.mark_email_verified(user)
+
+      conn =
+        conn
+        |> put_session(:passkey_upgrade, true)
+        |> put_session(:failed_login_attempts, 2)
+        |> UserAuth.log_in_user(user)
+
+      assert get_session(conn, :passkey_upgrade) == true
+      refute get_session(conn, :failed_login_attempts)
+    end
   end
 
   describe "log_in_user/4 - remember me functionality" do